@@ -0,0 +1,205 @@
+const { proposeReversal, approveAdjustment, rejectAdjustment } = require('../adjustmentController');
+const httpMocks = require('node-mocks-http');
+const prisma = require('@/lib/prisma');
+
+jest.mock('@/lib/prisma');
+
+describe('Adjustment Controller - maker-checker', () => {
+    let req, res;
+    const makerId = 'staff-maker';
+    const checkerId = 'staff-checker';
+    const transactionId = '5b0c8a52-8a3f-4a5e-9d55-2f1b1f1c7e10';
+
+    const pendingReversal = {
+        id: 'adj-1',
+        reference: 'ADJ-1',
+        type: 'REVERSAL',
+        status: 'PENDING_APPROVAL',
+        userId: 'user-123',
+        transactionId,
+        amount: 500,
+        reason: 'Provider confirmed non-delivery',
+        proposedById: makerId
+    };
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+        jest.clearAllMocks();
+
+        prisma.$transaction.mockImplementation(async (callback) => callback(prisma));
+    });
+
+    describe('proposeReversal', () => {
+        beforeEach(() => {
+            req = httpMocks.createRequest({
+                method: 'POST',
+                user: { id: makerId, isStaff: true },
+                body: { transactionId, reason: 'Provider confirmed non-delivery' }
+            });
+        });
+
+        it('should record a pending proposal without touching the wallet', async () => {
+            prisma.transaction.findUnique.mockResolvedValue({ id: transactionId, userId: 'user-123', amount: 500, status: 'SUCCESS', reference: 'DAT-1' });
+            prisma.walletAdjustment.findFirst.mockResolvedValue(null);
+            prisma.walletAdjustment.create.mockResolvedValue(pendingReversal);
+
+            await proposeReversal(req, res);
+
+            expect(res.statusCode).toBe(201);
+            expect(prisma.walletAdjustment.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ type: 'REVERSAL', transactionId, proposedById: makerId, amount: 500 })
+            });
+            expect(prisma.wallet.update).not.toHaveBeenCalled();
+            expect(prisma.wallet.updateMany).not.toHaveBeenCalled();
+        });
+
+        it.each(['FAILED', 'PENDING'])('should refuse to reverse a transaction that is %s', async (status) => {
+            prisma.transaction.findUnique.mockResolvedValue({ id: transactionId, userId: 'user-123', amount: 500, status });
+
+            await proposeReversal(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(prisma.walletAdjustment.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('approveAdjustment', () => {
+        beforeEach(() => {
+            req = httpMocks.createRequest({
+                method: 'POST',
+                params: { id: 'adj-1' },
+                user: { id: checkerId, isStaff: true },
+                body: {}
+            });
+            prisma.walletAdjustment.findUnique.mockResolvedValue(pendingReversal);
+            prisma.walletAdjustment.updateMany.mockResolvedValue({ count: 1 });
+        });
+
+        it('should reverse the transaction, refund the wallet and record the approver atomically', async () => {
+            prisma.transaction.findUnique.mockResolvedValue({ id: transactionId, type: 'DATA', status: 'SUCCESS', reference: 'DAT-1' });
+            prisma.transaction.updateMany.mockResolvedValue({ count: 1 });
+            prisma.walletLedgerEntry.findFirst.mockResolvedValue({ counterAccount: 'PROVIDER:VTPASS' });
+            prisma.wallet.update.mockResolvedValue({ id: 'wallet-123', userId: 'user-123', balance: 1500 });
+
+            await approveAdjustment(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+            expect(prisma.walletAdjustment.updateMany).toHaveBeenCalledWith({
+                where: { id: 'adj-1', status: 'PENDING_APPROVAL' },
+                data: expect.objectContaining({ status: 'APPROVED', reviewedById: checkerId })
+            });
+            expect(prisma.transaction.updateMany).toHaveBeenCalledWith({
+                where: { id: transactionId, status: { in: ['SUCCESS'] } },
+                data: { status: 'REVERSED' }
+            });
+            expect(prisma.wallet.update).toHaveBeenCalledWith(expect.objectContaining({
+                where: { userId: 'user-123' },
+                data: { balance: { increment: 500 }, totalSpent: { decrement: 500 } }
+            }));
+            expect(prisma.walletLedgerEntry.create.mock.calls[0][0].data).toMatchObject({
+                entryType: 'REVERSAL',
+                direction: 'CREDIT',
+                transactionId
+            });
+        });
+
+        it('should claw back cashback already credited on the reversed purchase', async () => {
+            prisma.transaction.findUnique.mockResolvedValue({ id: transactionId, type: 'DATA', status: 'SUCCESS', reference: 'DAT-1' });
+            prisma.transaction.updateMany.mockResolvedValue({ count: 1 });
+            prisma.wallet.update.mockResolvedValue({ id: 'wallet-123', userId: 'user-123', balance: 1500 });
+            prisma.campaignRedemption.findUnique.mockResolvedValue({ id: 'red-1', campaignId: 'camp-1', userId: 'user-123', cashback: 25, status: 'CREDITED' });
+            prisma.campaignRedemption.updateMany.mockResolvedValue({ count: 1 });
+            prisma.wallet.findUnique.mockResolvedValue({ bonusBalance: 25, balance: 1500 });
+            prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+
+            await approveAdjustment(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(prisma.campaignRedemption.updateMany).toHaveBeenCalledWith({
+                where: { id: 'red-1', status: 'CREDITED' },
+                data: { status: 'CLAWED_BACK' }
+            });
+            expect(prisma.wallet.updateMany.mock.calls[0][0].data.bonusBalance.decrement.toString()).toBe('25');
+        });
+
+        it('should claw back the referral commission credited on the reversed purchase', async () => {
+            prisma.transaction.findUnique.mockResolvedValue({ id: transactionId, type: 'DATA', status: 'SUCCESS', reference: 'DAT-1' });
+            prisma.transaction.updateMany.mockResolvedValue({ count: 1 });
+            prisma.wallet.update.mockResolvedValue({ id: 'wallet-123', userId: 'user-123', balance: 1500 });
+            prisma.campaignRedemption.findUnique.mockResolvedValue(null);
+            prisma.referralCommission.findUnique.mockResolvedValue({ id: 'com-1', referrerId: 'referrer-1', amount: 40, status: 'CREDITED' });
+            prisma.referralCommission.updateMany.mockResolvedValue({ count: 1 });
+            prisma.wallet.findUnique.mockResolvedValue({ bonusBalance: 40 });
+            prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+
+            await approveAdjustment(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(prisma.referralCommission.updateMany).toHaveBeenCalledWith({
+                where: { id: 'com-1', status: 'CREDITED' },
+                data: { status: 'CLAWED_BACK' }
+            });
+            expect(prisma.wallet.updateMany).toHaveBeenCalledWith({
+                where: { userId: 'referrer-1', bonusBalance: { gte: expect.anything() } },
+                data: { bonusBalance: { decrement: expect.anything() } }
+            });
+        });
+
+        it('should not let the proposer approve their own adjustment', async () => {
+            req.user.id = makerId;
+
+            await approveAdjustment(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(res._getJSONData().message).toContain('different staff member');
+            expect(prisma.walletAdjustment.updateMany).not.toHaveBeenCalled();
+            expect(prisma.wallet.update).not.toHaveBeenCalled();
+        });
+
+        it('should not apply an adjustment twice', async () => {
+            prisma.walletAdjustment.updateMany.mockResolvedValue({ count: 0 });
+
+            await approveAdjustment(req, res);
+
+            expect(res.statusCode).toBe(400);
+            expect(prisma.transaction.updateMany).not.toHaveBeenCalled();
+            expect(prisma.wallet.update).not.toHaveBeenCalled();
+        });
+
+        it('should apply a manual debit through the guarded ledger debit', async () => {
+            prisma.walletAdjustment.findUnique.mockResolvedValue({
+                ...pendingReversal, type: 'MANUAL_DEBIT', transactionId: null, reason: 'Duplicate funding credited twice'
+            });
+            prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+            prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-123', userId: 'user-123', balance: 0 });
+
+            await approveAdjustment(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(prisma.wallet.updateMany).toHaveBeenCalledWith({
+                where: { userId: 'user-123', balance: { gte: 500 } },
+                data: { balance: { decrement: 500 } }
+            });
+            expect(prisma.walletLedgerEntry.create.mock.calls[0][0].data).toMatchObject({
+                entryType: 'ADJUSTMENT',
+                counterAccount: 'SYSTEM:ADJUSTMENT'
+            });
+        });
+    });
+
+    describe('rejectAdjustment', () => {
+        it('should require a note and only reject pending proposals', async () => {
+            req = httpMocks.createRequest({ method: 'POST', params: { id: 'adj-1' }, user: { id: checkerId }, body: { note: 'Not enough evidence' } });
+            prisma.walletAdjustment.updateMany.mockResolvedValue({ count: 1 });
+
+            await rejectAdjustment(req, res);
+
+            expect(res.statusCode).toBe(200);
+            expect(prisma.walletAdjustment.updateMany).toHaveBeenCalledWith({
+                where: { id: 'adj-1', status: 'PENDING_APPROVAL' },
+                data: expect.objectContaining({ status: 'REJECTED', reviewedById: checkerId })
+            });
+        });
+    });
+});
@@ -0,0 +1,367 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { TransactionStatus, TransactionType } = require('@prisma/client');
+const { generateRef } = require('@/lib/crypto');
+const { debitWallet, creditWallet, refundTransactionDebit, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { notifyTransactionUpdate } = require('@/lib/partnerWebhooks');
+const { clawBackCampaignCashback } = require('@/lib/campaigns');
+const { clawBackReferralCommission } = require('@/lib/referrals');
+
+/**
+ * Wallet Adjustments (Maker-Checker)
+ * A SUPER_ADMIN proposes a reversal or manual credit/debit; nothing touches the
+ * wallet until a different staff member approves it. Approval updates the
+ * Transaction, the wallet (via the ledger) and the adjustment record in one transaction.
+ */
+
+// PENDING purchases are settled by the provider (webhook, sync job, safeRefund), never by hand
+const REVERSIBLE_STATUSES = [TransactionStatus.SUCCESS];
+
+const proposeReversalSchema = z.object({
+    transactionId: z.string().uuid("Invalid transaction ID"),
+    reason: z.string().trim().min(10, "Please give a reason of at least 10 characters").max(500)
+});
+
+const proposeManualSchema = z.object({
+    userId: z.string().uuid("Invalid user ID"),
+    direction: z.enum(['CREDIT', 'DEBIT']),
+    amount: z.number().positive("Amount must be greater than zero").max(10000000),
+    reason: z.string().trim().min(10, "Please give a reason of at least 10 characters").max(500)
+});
+
+const reviewSchema = z.object({
+    note: z.string().trim().max(500).optional()
+});
+
+const rejectSchema = z.object({
+    note: z.string().trim().min(5, "A rejection note is required").max(500)
+});
+
+/**
+ * 1. Propose a Transaction Reversal
+ * @route POST /api/v1/admin/adjustments/reversals
+ */
+const proposeReversal = async (req, res) => {
+    try {
+        const validation = proposeReversalSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { transactionId, reason } = validation.data;
+
+        const transaction = await prisma.transaction.findUnique({
+            where: { id: transactionId },
+            select: { id: true, userId: true, amount: true, type: true, status: true, reference: true }
+        });
+
+        if (!transaction) {
+            return res.status(404).json({ status: "ERROR", message: "Transaction not found" });
+        }
+
+        if (!REVERSIBLE_STATUSES.includes(transaction.status)) {
+            return res.status(400).json({ status: "ERROR", message: `Cannot reverse a transaction in ${transaction.status} state.` });
+        }
+
+        // Reversing one side would leave the other wallet untouched
+        if (transaction.type === TransactionType.TRANSFER) {
+            return res.status(400).json({ status: "ERROR", message: "Wallet-to-wallet transfers cannot be reversed. Use manual adjustments on both wallets." });
+        }
+
+        // The money has left (or may still leave) for the bank; the gateway's outcome refunds it
+        if (transaction.type === TransactionType.WITHDRAWAL) {
+            return res.status(400).json({ status: "ERROR", message: "Withdrawals are refunded automatically when the payout fails or is reversed." });
+        }
+
+        const openProposal = await prisma.walletAdjustment.findFirst({
+            where: { transactionId, status: 'PENDING_APPROVAL' },
+            select: { reference: true }
+        });
+
+        if (openProposal) {
+            return res.status(409).json({
+                status: "ERROR",
+                message: `A reversal for this transaction is already awaiting approval (${openProposal.reference})`
+            });
+        }
+
+        const adjustment = await prisma.walletAdjustment.create({
+            data: {
+                reference: generateRef('ADJ'),
+                type: 'REVERSAL',
+                userId: transaction.userId,
+                transactionId,
+                amount: transaction.amount,
+                reason,
+                proposedById: req.user.id
+            }
+        });
+
+        res.status(201).json({ status: "OK", message: "Reversal proposed. Awaiting approval by another staff member.", data: adjustment });
+    } catch (error) {
+        console.error("Propose Reversal Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to propose reversal" });
+    }
+};
+
+/**
+ * 2. Propose a Manual Credit/Debit
+ * @route POST /api/v1/admin/adjustments/manual
+ */
+const proposeManualAdjustment = async (req, res) => {
+    try {
+        const validation = proposeManualSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { userId, direction, amount, reason } = validation.data;
+
+        const wallet = await prisma.wallet.findUnique({
+            where: { userId },
+            select: { id: true }
+        });
+
+        if (!wallet) {
+            return res.status(404).json({ status: "ERROR", message: "User wallet not found" });
+        }
+
+        const adjustment = await prisma.walletAdjustment.create({
+            data: {
+                reference: generateRef('ADJ'),
+                type: direction === 'CREDIT' ? 'MANUAL_CREDIT' : 'MANUAL_DEBIT',
+                userId,
+                amount,
+                reason,
+                proposedById: req.user.id
+            }
+        });
+
+        res.status(201).json({ status: "OK", message: "Adjustment proposed. Awaiting approval by another staff member.", data: adjustment });
+    } catch (error) {
+        console.error("Propose Adjustment Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to propose adjustment" });
+    }
+};
+
+/**
+ * 3. List Adjustments (defaults to the approval queue)
+ * @route GET /api/v1/admin/adjustments?status=PENDING_APPROVAL|APPROVED|REJECTED
+ */
+const getAdjustments = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status = 'PENDING_APPROVAL' } = req.query;
+        const skip = (page - 1) * limit;
+
+        if (!['PENDING_APPROVAL', 'APPROVED', 'REJECTED'].includes(status)) {
+            return res.status(400).json({ status: "ERROR", message: "Invalid status filter" });
+        }
+
+        const where = { status };
+
+        const [adjustments, total] = await prisma.$transaction([
+            prisma.walletAdjustment.findMany({
+                where,
+                include: {
+                    user: { select: { id: true, fullName: true, email: true } },
+                    transaction: { select: { reference: true, type: true, status: true, amount: true } },
+                    proposedBy: { select: { id: true, fullName: true } },
+                    reviewedBy: { select: { id: true, fullName: true } }
+                },
+                orderBy: { createdAt: 'desc' },
+                skip: parseInt(skip),
+                take: parseInt(limit)
+            }),
+            prisma.walletAdjustment.count({ where })
+        ]);
+
+        res.status(200).json({
+            status: "OK",
+            data: adjustments,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Get Adjustments Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch adjustments" });
+    }
+};
+
+/**
+ * Applies an approved adjustment's money movement inside the approval transaction.
+ */
+const applyAdjustment = async (tx, adjustment) => {
+    const { userId, amount, reference, reason } = adjustment;
+
+    if (adjustment.type === 'MANUAL_CREDIT') {
+        return creditWallet(tx, {
+            userId,
+            amount,
+            entryType: 'ADJUSTMENT',
+            counterAccount: LEDGER_ACCOUNTS.ADJUSTMENT,
+            reference,
+            description: `Manual credit: ${reason}`
+        });
+    }
+
+    if (adjustment.type === 'MANUAL_DEBIT') {
+        return debitWallet(tx, {
+            userId,
+            amount,
+            trackSpend: false,
+            entryType: 'ADJUSTMENT',
+            counterAccount: LEDGER_ACCOUNTS.ADJUSTMENT,
+            reference,
+            description: `Manual debit: ${reason}`
+        });
+    }
+
+    // REVERSAL: only flips the transaction if it is still reversible right now
+    const transaction = await tx.transaction.findUnique({
+        where: { id: adjustment.transactionId },
+        select: { id: true, type: true, status: true, reference: true }
+    });
+
+    const reversed = await tx.transaction.updateMany({
+        where: { id: adjustment.transactionId, status: { in: REVERSIBLE_STATUSES } },
+        data: { status: TransactionStatus.REVERSED }
+    });
+
+    if (!transaction || reversed.count === 0) {
+        throw new Error("Transaction is no longer reversible");
+    }
+
+    // Funding is reversed by taking the money back; purchases by returning it
+    if (transaction.type === TransactionType.WALLET_FUNDING) {
+        return debitWallet(tx, {
+            userId,
+            amount,
+            trackSpend: false,
+            entryType: 'REVERSAL',
+            counterAccount: LEDGER_ACCOUNTS.ADJUSTMENT,
+            reference: transaction.reference,
+            transactionId: transaction.id,
+            description: `Funding reversed (${reference}): ${reason}`
+        });
+    }
+
+    const wallet = await refundTransactionDebit(tx, {
+        userId,
+        amount,
+        entryType: 'REVERSAL',
+        reference: transaction.reference,
+        transactionId: transaction.id,
+        description: `Transaction reversed (${reference}): ${reason}`
+    });
+
+    // Cashback already paid on the purchase goes back too (may debit the balance),
+    // and so does the referrer's commission on it
+    const clawedBack = await clawBackCampaignCashback(tx, transaction);
+    await clawBackReferralCommission(tx, transaction);
+    return clawedBack > 0
+        ? tx.wallet.findUnique({ where: { userId }, select: { balance: true } })
+        : wallet;
+};
+
+/**
+ * 4. Approve an Adjustment (must be a different staff member than the proposer)
+ * @route POST /api/v1/admin/adjustments/:id/approve
+ */
+const approveAdjustment = async (req, res) => {
+    try {
+        const validation = reviewSchema.safeParse(req.body || {});
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const adjustmentId = req.params.id;
+        const staffId = req.user.id;
+
+        const result = await prisma.$transaction(async (tx) => {
+            const adjustment = await tx.walletAdjustment.findUnique({
+                where: { id: adjustmentId }
+            });
+
+            if (!adjustment) throw new Error("Adjustment not found");
+            if (adjustment.proposedById === staffId) {
+                throw new Error("An adjustment must be approved by a different staff member than the one who proposed it");
+            }
+
+            // Claim the proposal first so two approvers can never both apply it
+            const claimed = await tx.walletAdjustment.updateMany({
+                where: { id: adjustmentId, status: 'PENDING_APPROVAL' },
+                data: {
+                    status: 'APPROVED',
+                    reviewedById: staffId,
+                    reviewNote: validation.data.note,
+                    reviewedAt: new Date()
+                }
+            });
+
+            if (claimed.count === 0) {
+                throw new Error(`Adjustment has already been ${adjustment.status.toLowerCase()}`);
+            }
+
+            const wallet = await applyAdjustment(tx, adjustment);
+
+            return { ...adjustment, status: 'APPROVED', reviewedById: staffId, walletBalance: wallet?.balance ?? null };
+        }, {
+            maxWait: 10000,
+            timeout: 15000
+        });
+
+        if (result.type === 'REVERSAL') await notifyTransactionUpdate(result.transactionId);
+
+        res.status(200).json({ status: "OK", message: "Adjustment approved and applied", data: result });
+    } catch (error) {
+        console.error("Approve Adjustment Error:", error.message);
+        const status = error.message === "Adjustment not found" ? 404 : 400;
+        res.status(status).json({ status: "ERROR", message: error.message || "Failed to approve adjustment" });
+    }
+};
+
+/**
+ * 5. Reject an Adjustment
+ * @route POST /api/v1/admin/adjustments/:id/reject
+ */
+const rejectAdjustment = async (req, res) => {
+    try {
+        const validation = rejectSchema.safeParse(req.body || {});
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const adjustmentId = req.params.id;
+
+        const rejected = await prisma.walletAdjustment.updateMany({
+            where: { id: adjustmentId, status: 'PENDING_APPROVAL' },
+            data: {
+                status: 'REJECTED',
+                reviewedById: req.user.id,
+                reviewNote: validation.data.note,
+                reviewedAt: new Date()
+            }
+        });
+
+        if (rejected.count === 0) {
+            return res.status(404).json({ status: "ERROR", message: "No pending adjustment found with this ID" });
+        }
+
+        res.status(200).json({ status: "OK", message: "Adjustment rejected" });
+    } catch (error) {
+        console.error("Reject Adjustment Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to reject adjustment" });
+    }
+};
+
+module.exports = {
+    proposeReversal,
+    proposeManualAdjustment,
+    getAdjustments,
+    approveAdjustment,
+    rejectAdjustment
+};
@@ -1,4 +1,5 @@
 const prisma = require('@/lib/prisma');
+const { verifyWalletConsistency } = require('@/lib/walletLedger');
 
 /**
  * Get General System Statistics
@@ -41,4 +42,65 @@ const getGeneralStats = async (req, res) => {
     }
 };
 
-module.exports = { getGeneralStats };
+/**
+ * Get a user's wallet ledger (most recent first)
+ * @route GET /api/v1/admin/wallets/:userId/ledger
+ */
+const getWalletLedger = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { page = 1, limit = 50 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const where = { userId };
+
+        const [entries, total] = await prisma.$transaction([
+            prisma.walletLedgerEntry.findMany({
+                where,
+                orderBy: { seq: 'desc' },
+                skip: parseInt(skip),
+                take: parseInt(limit)
+            }),
+            prisma.walletLedgerEntry.count({ where })
+        ]);
+
+        return res.status(200).json({
+            status: "OK",
+            // seq is a BigInt, which JSON cannot carry
+            data: entries.map(entry => ({ ...entry, seq: String(entry.seq) })),
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("[Admin Ledger Error]:", error.message);
+        return res.status(500).json({ status: "ERROR", message: "Failed to fetch wallet ledger" });
+    }
+};
+
+/**
+ * Check that a wallet balance matches the sum of its ledger entries
+ * @route GET /api/v1/admin/wallets/:userId/reconcile
+ */
+const reconcileWallet = async (req, res) => {
+    try {
+        const report = await verifyWalletConsistency(prisma, req.params.userId);
+
+        return res.status(200).json({
+            status: "OK",
+            message: report.isConsistent ? "Wallet balance matches ledger" : "Wallet balance does not match ledger",
+            data: report
+        });
+    } catch (error) {
+        if (error.message === "Wallet not found") {
+            return res.status(404).json({ status: "ERROR", message: error.message });
+        }
+        console.error("[Admin Reconcile Error]:", error.message);
+        return res.status(500).json({ status: "ERROR", message: "Failed to reconcile wallet" });
+    }
+};
+
+module.exports = { getGeneralStats, getWalletLedger, reconcileWallet };
@@ -90,7 +90,7 @@ const getOverview = async (req, res) => {
             prisma.transaction.aggregate({
                 where: {
                     status: 'SUCCESS',
-                    type: { not: 'WALLET_FUNDING' },
+                    type: { notIn: ['WALLET_FUNDING', 'TRANSFER', 'WITHDRAWAL'] },
                     createdAt: { gte: periodStart, lte: periodEnd }
                 },
                 _sum: { amount: true }
@@ -98,7 +98,7 @@ const getOverview = async (req, res) => {
             prisma.transaction.aggregate({
                 where: {
                     status: 'SUCCESS',
-                    type: { not: 'WALLET_FUNDING' },
+                    type: { notIn: ['WALLET_FUNDING', 'TRANSFER', 'WITHDRAWAL'] },
                     createdAt: { gte: todayStart, lte: todayEnd }
                 },
                 _sum: { amount: true }
@@ -167,7 +167,7 @@ const getRevenueChart = async (req, res) => {
                 COUNT(*)::INT as count
             FROM "Transaction"
             WHERE status = 'SUCCESS' 
-              AND type != 'WALLET_FUNDING'
+              AND type NOT IN ('WALLET_FUNDING', 'TRANSFER', 'WITHDRAWAL')
               AND "createdAt" >= NOW() - INTERVAL '${days} days'
             GROUP BY 1
             ORDER BY 1 ASC
@@ -0,0 +1,280 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { UserTier } = require('@prisma/client');
+
+/**
+ * Cashback Campaigns & Promo Codes (Admin)
+ * See lib/campaigns.js for how a purchase picks its campaign and when the
+ * cashback is paid.
+ */
+
+const CAMPAIGN_SERVICES = ['AIRTIME', 'DATA', 'CABLE_TV', 'ELECTRICITY', 'EDUCATION'];
+
+const campaignFields = {
+    name: z.string().trim().min(3).max(100),
+    promoCode: z.string().trim().toUpperCase().regex(/^[A-Z0-9_-]{3,30}$/, "Promo code must be 3-30 letters, digits, - or _"),
+    services: z.array(z.enum(CAMPAIGN_SERVICES)).max(CAMPAIGN_SERVICES.length),
+    networks: z.array(z.string().trim().min(2).max(50).transform(value => value.toUpperCase())).max(20),
+    tiers: z.array(z.enum(Object.values(UserTier))).max(Object.values(UserTier).length),
+    minAmount: z.number().positive().nullable(),
+    startsAt: z.coerce.date(),
+    endsAt: z.coerce.date(),
+    rewardType: z.enum(['PERCENT', 'FLAT']),
+    rewardValue: z.number().positive("Reward must be greater than zero").max(100000),
+    maxReward: z.number().positive().nullable(),
+    perUserLimit: z.number().int().positive().nullable(),
+    maxRedemptions: z.number().int().positive().nullable(),
+    isActive: z.boolean()
+};
+
+const validPercent = (data) => data.rewardType !== 'PERCENT' || data.rewardValue === undefined || data.rewardValue <= 50;
+const percentError = { message: "A percentage cashback cannot exceed 50%", path: ['rewardValue'] };
+
+const validWindow = (data) => !data.startsAt || !data.endsAt || data.endsAt > data.startsAt;
+const windowError = { message: "endsAt must be after startsAt", path: ['endsAt'] };
+
+const createCampaignSchema = z.object({
+    name: campaignFields.name,
+    promoCode: campaignFields.promoCode.optional(),
+    services: campaignFields.services.default([]),
+    networks: campaignFields.networks.default([]),
+    tiers: campaignFields.tiers.default([]),
+    minAmount: campaignFields.minAmount.optional(),
+    startsAt: campaignFields.startsAt,
+    endsAt: campaignFields.endsAt,
+    rewardType: campaignFields.rewardType,
+    rewardValue: campaignFields.rewardValue,
+    maxReward: campaignFields.maxReward.optional(),
+    perUserLimit: campaignFields.perUserLimit.optional(),
+    maxRedemptions: campaignFields.maxRedemptions.optional(),
+    isActive: campaignFields.isActive.default(true)
+}).refine(validPercent, percentError).refine(validWindow, windowError);
+
+// The promo code and reward type are fixed once created; start a new campaign instead
+const updateCampaignSchema = z.object({
+    name: campaignFields.name.optional(),
+    services: campaignFields.services.optional(),
+    networks: campaignFields.networks.optional(),
+    tiers: campaignFields.tiers.optional(),
+    minAmount: campaignFields.minAmount.optional(),
+    startsAt: campaignFields.startsAt.optional(),
+    endsAt: campaignFields.endsAt.optional(),
+    rewardValue: campaignFields.rewardValue.optional(),
+    maxReward: campaignFields.maxReward.optional(),
+    perUserLimit: campaignFields.perUserLimit.optional(),
+    maxRedemptions: campaignFields.maxRedemptions.optional(),
+    isActive: campaignFields.isActive.optional()
+});
+
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+const serializeCampaign = (campaign) => ({
+    ...campaign,
+    minAmount: toNumberOrNull(campaign.minAmount),
+    rewardValue: Number(campaign.rewardValue),
+    maxReward: toNumberOrNull(campaign.maxReward)
+});
+
+/**
+ * Redemption totals per campaign, keyed by campaign ID.
+ */
+const redemptionStats = async (campaignIds) => {
+    const rows = await prisma.campaignRedemption.groupBy({
+        by: ['campaignId', 'status'],
+        where: { campaignId: { in: campaignIds } },
+        _count: { _all: true },
+        _sum: { cashback: true, purchaseAmount: true }
+    });
+
+    const stats = new Map(campaignIds.map(id => [id, {
+        redemptions: 0, pending: 0, credited: 0, cancelled: 0,
+        cashbackPending: 0, cashbackPaid: 0, purchaseVolume: 0
+    }]));
+
+    for (const row of rows) {
+        const entry = stats.get(row.campaignId);
+        const count = row._count._all;
+        const cashback = Number(row._sum.cashback || 0);
+
+        entry[row.status.toLowerCase()] += count;
+        if (row.status === 'CANCELLED') continue;
+
+        entry.redemptions += count;
+        entry.purchaseVolume += Number(row._sum.purchaseAmount || 0);
+        if (row.status === 'CREDITED') entry.cashbackPaid += cashback;
+        else entry.cashbackPending += cashback;
+    }
+    return stats;
+};
+
+/**
+ * 1. List Campaigns with Redemption Totals
+ * @route GET /api/v1/admin/campaigns?isActive=true
+ */
+const getCampaigns = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, isActive } = req.query;
+        const skip = (page - 1) * limit;
+
+        const where = {};
+        if (isActive !== undefined) where.isActive = isActive === 'true';
+
+        const [campaigns, total] = await prisma.$transaction([
+            prisma.campaign.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: parseInt(skip),
+                take: parseInt(limit)
+            }),
+            prisma.campaign.count({ where })
+        ]);
+
+        const stats = await redemptionStats(campaigns.map(campaign => campaign.id));
+
+        res.status(200).json({
+            status: "OK",
+            data: campaigns.map(campaign => ({ ...serializeCampaign(campaign), stats: stats.get(campaign.id) })),
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Get Campaigns Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch campaigns" });
+    }
+};
+
+/**
+ * 2. Create a Campaign (automatic, or with a promo code)
+ * @route POST /api/v1/admin/campaigns
+ */
+const createCampaign = async (req, res) => {
+    try {
+        const validation = createCampaignSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { promoCode, ...fields } = validation.data;
+
+        if (promoCode) {
+            const existing = await prisma.campaign.findUnique({ where: { promoCode }, select: { id: true } });
+            if (existing) {
+                return res.status(409).json({ status: "ERROR", message: "This promo code is already in use" });
+            }
+        }
+
+        const campaign = await prisma.campaign.create({
+            data: { ...fields, promoCode: promoCode || null, createdById: req.user.id }
+        });
+
+        res.status(201).json({ status: "OK", message: "Campaign created", data: serializeCampaign(campaign) });
+    } catch (error) {
+        console.error("Create Campaign Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to create campaign" });
+    }
+};
+
+/**
+ * 3. Update a Campaign (eligibility, limits, window, pause/resume)
+ * Changes apply to new purchases; cashback already reserved is unchanged.
+ * @route PATCH /api/v1/admin/campaigns/:id
+ */
+const updateCampaign = async (req, res) => {
+    try {
+        const validation = updateCampaignSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const existing = await prisma.campaign.findUnique({ where: { id: req.params.id } });
+        if (!existing) {
+            return res.status(404).json({ status: "ERROR", message: "Campaign not found" });
+        }
+
+        const merged = { ...existing, ...validation.data };
+        if (!validWindow(merged)) {
+            return res.status(400).json({ status: "ERROR", message: windowError.message });
+        }
+        if (!validPercent({ rewardType: merged.rewardType, rewardValue: Number(merged.rewardValue) })) {
+            return res.status(400).json({ status: "ERROR", message: percentError.message });
+        }
+
+        const campaign = await prisma.campaign.update({
+            where: { id: existing.id },
+            data: validation.data
+        });
+
+        res.status(200).json({ status: "OK", message: "Campaign updated", data: serializeCampaign(campaign) });
+    } catch (error) {
+        console.error("Update Campaign Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to update campaign" });
+    }
+};
+
+/**
+ * 4. Campaign Details and Redemption Stats
+ * @route GET /api/v1/admin/campaigns/:id
+ */
+const getCampaignStats = async (req, res) => {
+    try {
+        const campaign = await prisma.campaign.findUnique({ where: { id: req.params.id } });
+        if (!campaign) {
+            return res.status(404).json({ status: "ERROR", message: "Campaign not found" });
+        }
+
+        const [stats, users, byService, recent] = await Promise.all([
+            redemptionStats([campaign.id]),
+            prisma.campaignRedemption.groupBy({
+                by: ['userId'],
+                where: { campaignId: campaign.id, status: { not: 'CANCELLED' } }
+            }),
+            prisma.transaction.groupBy({
+                by: ['type'],
+                where: { campaignRedemption: { campaignId: campaign.id, status: { not: 'CANCELLED' } } },
+                _count: { _all: true },
+                _sum: { amount: true }
+            }),
+            prisma.campaignRedemption.findMany({
+                where: { campaignId: campaign.id },
+                include: {
+                    user: { select: { fullName: true, email: true } },
+                    transaction: { select: { reference: true, type: true, status: true } }
+                },
+                orderBy: { createdAt: 'desc' },
+                take: 20
+            })
+        ]);
+
+        res.status(200).json({
+            status: "OK",
+            data: {
+                ...serializeCampaign(campaign),
+                stats: { ...stats.get(campaign.id), uniqueUsers: users.length },
+                byService: byService.map(row => ({
+                    service: row.type,
+                    redemptions: row._count._all,
+                    purchaseVolume: Number(row._sum.amount || 0)
+                })),
+                recentRedemptions: recent.map(redemption => ({
+                    ...redemption,
+                    purchaseAmount: Number(redemption.purchaseAmount),
+                    cashback: Number(redemption.cashback)
+                }))
+            }
+        });
+    } catch (error) {
+        console.error("Get Campaign Stats Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch campaign" });
+    }
+};
+
+module.exports = {
+    getCampaigns,
+    createCampaign,
+    updateCampaign,
+    getCampaignStats
+};
@@ -198,7 +198,13 @@ const getAllDataPlans = async (req, res) => {
  */
 const updateDataPlan = async (req, res) => {
     const { id } = req.params;
-    const { displayName, userPrice, isActive, isBestValue, planType, validity } = req.body;
+    const { displayName, userPrice, isActive, isBestValue, planType, validity, providerCodes } = req.body;
+
+    // Plan codes on fallback providers, e.g. { "NELLOBYTE": "1000.0" }
+    if (providerCodes !== undefined &&
+        (!providerCodes || typeof providerCodes !== 'object' || Array.isArray(providerCodes) || Object.values(providerCodes).some(code => typeof code !== 'string'))) {
+        return res.status(400).json({ status: "ERROR", message: "providerCodes must map provider names to plan codes" });
+    }
 
     try {
         const updated = await prisma.dataPlan.update({
@@ -209,7 +215,8 @@ const updateDataPlan = async (req, res) => {
                 isActive,
                 isBestValue,
                 planType,
-                validity
+                validity,
+                providerCodes
             }
         });
 
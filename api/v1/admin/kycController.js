@@ -0,0 +1,196 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { decrypt } = require('@/lib/crypto');
+const { levelRank } = require('@/lib/kycLimits');
+
+/**
+ * KYC Review Queue
+ * Staff review LEVEL_3 / LEVEL_4 document submissions. Approval raises the
+ * user's kycLevel (never lowers it); rejection records a reason the user sees
+ * on GET /user/kyc so they can resubmit.
+ */
+
+const queueSchema = z.object({
+    status: z.enum(['PENDING', 'APPROVED', 'REJECTED']).default('PENDING'),
+    level: z.enum(['LEVEL_3', 'LEVEL_4']).optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+const rejectSchema = z.object({
+    reason: z.string().trim().min(5, "A rejection reason is required").max(500)
+});
+
+const userSelect = { id: true, fullName: true, email: true, phoneNumber: true, tier: true, kycLevel: true };
+
+/**
+ * 1. List Submissions (defaults to the pending queue, oldest first)
+ * @route GET /api/v1/admin/kyc/submissions?status=PENDING|APPROVED|REJECTED&level=LEVEL_3|LEVEL_4
+ */
+const getKycSubmissions = async (req, res) => {
+    try {
+        const validation = queueSchema.safeParse(req.query);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { status, level, page, limit } = validation.data;
+        const where = { status, ...(level && { level }) };
+
+        const [submissions, total] = await prisma.$transaction([
+            prisma.kycSubmission.findMany({
+                where,
+                select: {
+                    id: true,
+                    level: true,
+                    status: true,
+                    businessName: true,
+                    rejectionReason: true,
+                    reviewedAt: true,
+                    createdAt: true,
+                    user: { select: userSelect },
+                    reviewedBy: { select: { id: true, fullName: true } },
+                    _count: { select: { documents: true } }
+                },
+                orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+                skip: (page - 1) * limit,
+                take: limit
+            }),
+            prisma.kycSubmission.count({ where })
+        ]);
+
+        res.status(200).json({
+            status: "OK",
+            data: submissions,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Get KYC Submissions Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch KYC submissions" });
+    }
+};
+
+/**
+ * 2. Submission Details (documents and the decrypted NIN for the reviewer)
+ * @route GET /api/v1/admin/kyc/submissions/:id
+ */
+const getKycSubmission = async (req, res) => {
+    try {
+        const submission = await prisma.kycSubmission.findUnique({
+            where: { id: req.params.id },
+            include: {
+                user: { select: { ...userSelect, kycData: { select: { status: true, bankName: true, verifiedAt: true } } } },
+                documents: { select: { id: true, type: true, fileUrl: true, createdAt: true } },
+                reviewedBy: { select: { id: true, fullName: true } }
+            }
+        });
+
+        if (!submission) {
+            return res.status(404).json({ status: "ERROR", message: "KYC submission not found" });
+        }
+
+        const { encryptedNin, ...details } = submission;
+
+        res.status(200).json({
+            status: "OK",
+            data: { ...details, nin: decrypt(encryptedNin) }
+        });
+    } catch (error) {
+        console.error("Get KYC Submission Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch KYC submission" });
+    }
+};
+
+/**
+ * 3. Approve a Submission
+ * @route POST /api/v1/admin/kyc/submissions/:id/approve
+ */
+const approveKycSubmission = async (req, res) => {
+    try {
+        const submissionId = req.params.id;
+
+        const result = await prisma.$transaction(async (tx) => {
+            const submission = await tx.kycSubmission.findUnique({
+                where: { id: submissionId },
+                select: { id: true, userId: true, level: true, status: true, user: { select: { kycLevel: true } } }
+            });
+
+            if (!submission) throw new Error("KYC submission not found");
+
+            // Claim it first so two reviewers can never both act on it
+            const claimed = await tx.kycSubmission.updateMany({
+                where: { id: submissionId, status: 'PENDING' },
+                data: { status: 'APPROVED', reviewedById: req.user.id, reviewedAt: new Date(), rejectionReason: null }
+            });
+
+            if (claimed.count === 0) {
+                throw new Error(`KYC submission has already been ${submission.status.toLowerCase()}`);
+            }
+
+            const kycLevel = levelRank(submission.level) > levelRank(submission.user.kycLevel)
+                ? submission.level
+                : submission.user.kycLevel;
+
+            await tx.user.update({
+                where: { id: submission.userId },
+                data: { kycLevel, isKycVerified: true }
+            });
+
+            return { id: submission.id, userId: submission.userId, status: 'APPROVED', kycLevel };
+        }, {
+            maxWait: 10000,
+            timeout: 15000
+        });
+
+        res.status(200).json({ status: "OK", message: `KYC approved. User is now ${result.kycLevel}.`, data: result });
+    } catch (error) {
+        console.error("Approve KYC Error:", error.message);
+        const status = error.message === "KYC submission not found" ? 404 : 400;
+        res.status(status).json({ status: "ERROR", message: error.message || "Failed to approve KYC submission" });
+    }
+};
+
+/**
+ * 4. Reject a Submission (the reason is shown to the user)
+ * Body: { reason }
+ * @route POST /api/v1/admin/kyc/submissions/:id/reject
+ */
+const rejectKycSubmission = async (req, res) => {
+    try {
+        const validation = rejectSchema.safeParse(req.body || {});
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const rejected = await prisma.kycSubmission.updateMany({
+            where: { id: req.params.id, status: 'PENDING' },
+            data: {
+                status: 'REJECTED',
+                rejectionReason: validation.data.reason,
+                reviewedById: req.user.id,
+                reviewedAt: new Date()
+            }
+        });
+
+        if (rejected.count === 0) {
+            return res.status(404).json({ status: "ERROR", message: "No pending KYC submission found with this ID" });
+        }
+
+        res.status(200).json({ status: "OK", message: "KYC submission rejected" });
+    } catch (error) {
+        console.error("Reject KYC Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to reject KYC submission" });
+    }
+};
+
+module.exports = {
+    getKycSubmissions,
+    getKycSubmission,
+    approveKycSubmission,
+    rejectKycSubmission
+};
@@ -0,0 +1,198 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { UserTier } = require('@prisma/client');
+
+/**
+ * Pricing Rules (Admin)
+ * Tier-wide or per-user prices/discounts per service and product.
+ * See lib/pricing.js for how a purchase picks the rule that applies.
+ */
+
+const PRICED_SERVICES = ['AIRTIME', 'DATA', 'CABLE_TV', 'ELECTRICITY', 'EDUCATION'];
+
+const ruleFields = {
+    productCode: z.string().trim().min(1).max(100),
+    type: z.enum(['FIXED_PRICE', 'PERCENT_DISCOUNT', 'FLAT_DISCOUNT']),
+    value: z.number().positive("Value must be greater than zero").max(10000000),
+    isActive: z.boolean()
+};
+
+const validPercent = (data) => data.type !== 'PERCENT_DISCOUNT' || data.value === undefined || data.value < 100;
+const percentError = { message: "A percentage discount must be below 100", path: ['value'] };
+
+const createRuleSchema = z.object({
+    service: z.enum(PRICED_SERVICES),
+    productCode: ruleFields.productCode.default('*'),
+    tier: z.enum(Object.values(UserTier)).optional(),
+    userId: z.string().uuid("Invalid user ID").optional(),
+    type: ruleFields.type,
+    value: ruleFields.value,
+    isActive: ruleFields.isActive.default(true)
+}).refine(data => Boolean(data.tier) !== Boolean(data.userId), {
+    message: "Target either a tier or a single user",
+    path: ['tier']
+}).refine(validPercent, percentError);
+
+const updateRuleSchema = z.object({
+    type: ruleFields.type.optional(),
+    value: ruleFields.value.optional(),
+    isActive: ruleFields.isActive.optional()
+});
+
+const serializeRule = (rule) => ({ ...rule, value: Number(rule.value) });
+
+/**
+ * 1. List Pricing Rules
+ * @route GET /api/v1/admin/pricing-rules?service=DATA&tier=RESELLER&userId=...
+ */
+const getPricingRules = async (req, res) => {
+    try {
+        const { page = 1, limit = 50, service, tier, userId } = req.query;
+        const skip = (page - 1) * limit;
+
+        const where = {};
+        if (service) where.service = service;
+        if (tier) where.tier = tier;
+        if (userId) where.userId = userId;
+
+        const [rules, total] = await prisma.$transaction([
+            prisma.pricingRule.findMany({
+                where,
+                include: { user: { select: { id: true, fullName: true, email: true, tier: true } } },
+                orderBy: [{ service: 'asc' }, { productCode: 'asc' }, { createdAt: 'desc' }],
+                skip: parseInt(skip),
+                take: parseInt(limit)
+            }),
+            prisma.pricingRule.count({ where })
+        ]);
+
+        res.status(200).json({
+            status: "OK",
+            data: rules.map(serializeRule),
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Get Pricing Rules Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch pricing rules" });
+    }
+};
+
+/**
+ * 2. Create a Pricing Rule
+ * @route POST /api/v1/admin/pricing-rules
+ */
+const createPricingRule = async (req, res) => {
+    try {
+        const validation = createRuleSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { service, productCode, tier, userId, type, value, isActive } = validation.data;
+
+        if (userId) {
+            const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+            if (!user) {
+                return res.status(404).json({ status: "ERROR", message: "User not found" });
+            }
+        }
+
+        // One rule per target and product, otherwise "which one wins" is ambiguous
+        const existing = await prisma.pricingRule.findFirst({
+            where: { service, productCode, tier: tier || null, userId: userId || null },
+            select: { id: true }
+        });
+
+        if (existing) {
+            return res.status(409).json({
+                status: "ERROR",
+                message: "A rule for this product and target already exists. Update it instead.",
+                data: { id: existing.id }
+            });
+        }
+
+        const rule = await prisma.pricingRule.create({
+            data: {
+                service,
+                productCode,
+                tier: tier || null,
+                userId: userId || null,
+                type,
+                value,
+                isActive,
+                createdById: req.user.id
+            }
+        });
+
+        res.status(201).json({ status: "OK", message: "Pricing rule created", data: serializeRule(rule) });
+    } catch (error) {
+        console.error("Create Pricing Rule Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to create pricing rule" });
+    }
+};
+
+/**
+ * 3. Update a Pricing Rule (type, value, active flag)
+ * @route PATCH /api/v1/admin/pricing-rules/:id
+ */
+const updatePricingRule = async (req, res) => {
+    try {
+        const validation = updateRuleSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const rule = await prisma.pricingRule.findUnique({ where: { id: req.params.id } });
+        if (!rule) {
+            return res.status(404).json({ status: "ERROR", message: "Pricing rule not found" });
+        }
+
+        const merged = { type: rule.type, value: Number(rule.value), ...validation.data };
+        if (!validPercent(merged)) {
+            return res.status(400).json({ status: "ERROR", message: percentError.message });
+        }
+
+        const updated = await prisma.pricingRule.update({
+            where: { id: rule.id },
+            data: validation.data
+        });
+
+        res.status(200).json({ status: "OK", message: "Pricing rule updated", data: serializeRule(updated) });
+    } catch (error) {
+        console.error("Update Pricing Rule Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to update pricing rule" });
+    }
+};
+
+/**
+ * 4. Delete a Pricing Rule
+ * @route DELETE /api/v1/admin/pricing-rules/:id
+ */
+const deletePricingRule = async (req, res) => {
+    try {
+        const deleted = await prisma.pricingRule.deleteMany({
+            where: { id: req.params.id }
+        });
+
+        if (deleted.count === 0) {
+            return res.status(404).json({ status: "ERROR", message: "Pricing rule not found" });
+        }
+
+        res.status(200).json({ status: "OK", message: "Pricing rule deleted" });
+    } catch (error) {
+        console.error("Delete Pricing Rule Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to delete pricing rule" });
+    }
+};
+
+module.exports = {
+    getPricingRules,
+    createPricingRule,
+    updatePricingRule,
+    deletePricingRule
+};
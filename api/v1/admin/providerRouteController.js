@@ -0,0 +1,113 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const vtuRouter = require('@/services/vtu');
+
+/**
+ * VTU Provider Routing (Admin)
+ * Priority order of providers per service, optionally narrowed to one network/biller.
+ * The first provider is tried first; the rest are failovers.
+ */
+
+const ROUTABLE_SERVICES = Object.keys(vtuRouter.DEFAULT_ROUTES);
+
+const upsertRouteSchema = z.object({
+    service: z.enum(ROUTABLE_SERVICES),
+    network: z.string().trim().min(1).max(50).optional(),
+    providers: z.array(z.string().trim().toUpperCase()).min(1, "At least one provider is required"),
+    isActive: z.boolean().optional()
+});
+
+/**
+ * 1. List Routes, Registered Providers and their Balances
+ * @route GET /api/v1/admin/provider-routes
+ */
+const getProviderRoutes = async (req, res) => {
+    try {
+        const [routes, balances] = await Promise.all([
+            prisma.providerRoute.findMany({
+                orderBy: [{ service: 'asc' }, { network: 'asc' }]
+            }),
+            vtuRouter.getProviderBalances()
+        ]);
+
+        res.status(200).json({
+            status: "OK",
+            data: {
+                routes,
+                defaults: vtuRouter.DEFAULT_ROUTES,
+                providers: vtuRouter.listProviders().map(p => ({ ...p, balance: balances[p.name] }))
+            }
+        });
+    } catch (error) {
+        console.error("Get Provider Routes Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch provider routes" });
+    }
+};
+
+/**
+ * 2. Create or Replace the Priority for a Service/Network
+ * @route PUT /api/v1/admin/provider-routes
+ */
+const upsertProviderRoute = async (req, res) => {
+    try {
+        const validation = upsertRouteSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { service, providers, isActive = true } = validation.data;
+        const network = (validation.data.network || '*').toUpperCase();
+
+        const unknown = providers.find(name => !vtuRouter.getProvider(name));
+        if (unknown) {
+            return res.status(400).json({ status: "ERROR", message: `Unknown provider: ${unknown}` });
+        }
+
+        const unsupported = providers.find(name => !vtuRouter.getProvider(name).services.includes(service));
+        if (unsupported) {
+            return res.status(400).json({ status: "ERROR", message: `${unsupported} does not sell ${service}` });
+        }
+
+        if (new Set(providers).size !== providers.length) {
+            return res.status(400).json({ status: "ERROR", message: "A provider can only appear once in the priority list" });
+        }
+
+        const route = await prisma.providerRoute.upsert({
+            where: { service_network: { service, network } },
+            update: { providers, isActive, updatedById: req.user.id },
+            create: { service, network, providers, isActive, updatedById: req.user.id }
+        });
+
+        res.status(200).json({ status: "OK", message: "Provider priority saved", data: route });
+    } catch (error) {
+        console.error("Upsert Provider Route Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to save provider route" });
+    }
+};
+
+/**
+ * 3. Delete a Route (the service falls back to its "*" route or the default)
+ * @route DELETE /api/v1/admin/provider-routes/:id
+ */
+const deleteProviderRoute = async (req, res) => {
+    try {
+        const deleted = await prisma.providerRoute.deleteMany({
+            where: { id: req.params.id }
+        });
+
+        if (deleted.count === 0) {
+            return res.status(404).json({ status: "ERROR", message: "Provider route not found" });
+        }
+
+        res.status(200).json({ status: "OK", message: "Provider route deleted" });
+    } catch (error) {
+        console.error("Delete Provider Route Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to delete provider route" });
+    }
+};
+
+module.exports = {
+    getProviderRoutes,
+    upsertProviderRoute,
+    deleteProviderRoute
+};
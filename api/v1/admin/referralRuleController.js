@@ -0,0 +1,111 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+
+/**
+ * Referral Commission Rules (Admin)
+ * What a referrer earns, per service, on each successful purchase by someone
+ * they referred. See lib/referrals.js for the holding period and caps.
+ */
+
+const COMMISSION_SERVICES = ['AIRTIME', 'DATA', 'CABLE_TV', 'ELECTRICITY', 'EDUCATION', 'RECHARGE_PIN'];
+
+const upsertRuleSchema = z.object({
+    service: z.enum(COMMISSION_SERVICES),
+    ratePercent: z.number().min(0).max(20, "Commission rate cannot exceed 20%"),
+    maxPerTransaction: z.number().positive().nullable().optional(),
+    minTransactionAmount: z.number().positive().nullable().optional(),
+    isActive: z.boolean().optional()
+});
+
+const serializeRule = (rule) => ({
+    ...rule,
+    ratePercent: Number(rule.ratePercent),
+    maxPerTransaction: rule.maxPerTransaction === null ? null : Number(rule.maxPerTransaction),
+    minTransactionAmount: rule.minTransactionAmount === null ? null : Number(rule.minTransactionAmount)
+});
+
+/**
+ * 1. List Commission Rules
+ * @route GET /api/v1/admin/referral-rules
+ */
+const getReferralRules = async (req, res) => {
+    try {
+        const rules = await prisma.referralCommissionRule.findMany({ orderBy: { service: 'asc' } });
+
+        res.status(200).json({
+            status: "OK",
+            data: rules.map(serializeRule),
+            settings: {
+                holdDays: Number(process.env.REFERRAL_HOLD_DAYS ?? 7),
+                maxPerReferee: Number(process.env.REFERRAL_MAX_PER_REFEREE ?? 10000)
+            }
+        });
+    } catch (error) {
+        console.error("Get Referral Rules Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch referral rules" });
+    }
+};
+
+/**
+ * 2. Create or Replace the Rule for a Service
+ * Re-enabling a disabled rule does not pay out on purchases made while it was off.
+ * @route PUT /api/v1/admin/referral-rules
+ */
+const upsertReferralRule = async (req, res) => {
+    try {
+        const validation = upsertRuleSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { service, ratePercent, maxPerTransaction = null, minTransactionAmount = null, isActive = true } = validation.data;
+
+        const existing = await prisma.referralCommissionRule.findUnique({ where: { service } });
+        const data = {
+            ratePercent,
+            maxPerTransaction,
+            minTransactionAmount,
+            isActive,
+            updatedById: req.user.id,
+            ...(isActive && existing && !existing.isActive && { activeSince: new Date() })
+        };
+
+        const rule = await prisma.referralCommissionRule.upsert({
+            where: { service },
+            update: data,
+            create: { service, ...data }
+        });
+
+        res.status(200).json({ status: "OK", message: "Referral rule saved", data: serializeRule(rule) });
+    } catch (error) {
+        console.error("Upsert Referral Rule Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to save referral rule" });
+    }
+};
+
+/**
+ * 3. Delete a Rule (the service stops earning commission)
+ * @route DELETE /api/v1/admin/referral-rules/:id
+ */
+const deleteReferralRule = async (req, res) => {
+    try {
+        const deleted = await prisma.referralCommissionRule.deleteMany({
+            where: { id: req.params.id }
+        });
+
+        if (deleted.count === 0) {
+            return res.status(404).json({ status: "ERROR", message: "Referral rule not found" });
+        }
+
+        res.status(200).json({ status: "OK", message: "Referral rule deleted" });
+    } catch (error) {
+        console.error("Delete Referral Rule Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to delete referral rule" });
+    }
+};
+
+module.exports = {
+    getReferralRules,
+    upsertReferralRule,
+    deleteReferralRule
+};
@@ -0,0 +1,100 @@
+const httpMocks = require('node-mocks-http');
+const bcrypt = require('bcryptjs');
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { deactivateStaff, changeStaffRole, resetStaffPassword } = require('../staffManagementController');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/mailer');
+jest.mock('bcryptjs');
+
+describe('Staff Management Controller', () => {
+    let res;
+    const admin = { id: 'admin-1', isStaff: true, role: 'SUPER_ADMIN' };
+    const officer = { id: 'staff-2', email: 'officer@muftipay.com', fullName: 'Tolu Ade', role: 'TICKETING_OFFICER', isActive: true };
+
+    const makeRequest = (id, body = {}) => httpMocks.createRequest({
+        method: 'POST',
+        params: { id },
+        body,
+        user: admin,
+        ip: '10.0.0.7'
+    });
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+        jest.clearAllMocks();
+        prisma.$transaction.mockImplementation(async (queries) => queries);
+        prisma.staff.update.mockImplementation(async ({ data }) => ({ ...officer, ...data }));
+    });
+
+    it('should deactivate a staff member, sign them out and record who did it', async () => {
+        prisma.staff.findUnique.mockResolvedValue(officer);
+
+        await deactivateStaff(makeRequest('staff-2', { reason: 'Left the company' }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(prisma.staff.update).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: 'staff-2' },
+            data: { isActive: false, sessionsRevokedAt: expect.any(Date) }
+        }));
+        expect(prisma.staffActionLog.create).toHaveBeenCalledWith({
+            data: {
+                staffId: 'staff-2',
+                actorId: 'admin-1',
+                action: 'DEACTIVATED',
+                details: { reason: 'Left the company' },
+                ipAddress: '10.0.0.7'
+            }
+        });
+    });
+
+    it('should refuse to deactivate the only active Super Admin', async () => {
+        prisma.staff.findUnique.mockResolvedValue({ ...officer, id: 'admin-2', role: 'SUPER_ADMIN' });
+        prisma.staff.count.mockResolvedValue(0);
+
+        await deactivateStaff(makeRequest('admin-2', { reason: 'Left the company' }), res);
+
+        expect(res.statusCode).toBe(409);
+        expect(prisma.staff.update).not.toHaveBeenCalled();
+    });
+
+    it('should not let a Super Admin change their own role', async () => {
+        prisma.staff.findUnique.mockResolvedValue({ ...officer, id: 'admin-1', role: 'SUPER_ADMIN' });
+
+        await changeStaffRole(makeRequest('admin-1', { role: 'STAFF' }), res);
+
+        expect(res.statusCode).toBe(400);
+        expect(prisma.staff.update).not.toHaveBeenCalled();
+    });
+
+    it('should record the old and new role on a role change', async () => {
+        prisma.staff.findUnique.mockResolvedValue(officer);
+
+        await changeStaffRole(makeRequest('staff-2', { role: 'STAFF' }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(prisma.staffActionLog.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ action: 'ROLE_CHANGED', details: { from: 'TICKETING_OFFICER', to: 'STAFF' } })
+        });
+    });
+
+    it('should email a temporary password and force a change without returning it', async () => {
+        prisma.staff.findUnique.mockResolvedValue(officer);
+        bcrypt.hash.mockResolvedValue('hashed-temp');
+
+        await resetStaffPassword(makeRequest('staff-2'), res);
+
+        const tempPassword = bcrypt.hash.mock.calls[0][0];
+        expect(res.statusCode).toBe(200);
+        expect(JSON.stringify(res._getJSONData())).not.toContain(tempPassword);
+        expect(prisma.staff.update).toHaveBeenCalledWith({
+            where: { id: 'staff-2' },
+            data: { passwordHash: 'hashed-temp', requiresPasswordChange: true, sessionsRevokedAt: expect.any(Date) }
+        });
+        expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'officer@muftipay.com',
+            text: expect.stringContaining(tempPassword)
+        }));
+    });
+});
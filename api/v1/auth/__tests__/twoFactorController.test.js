@@ -0,0 +1,179 @@
+const httpMocks = require('node-mocks-http');
+const prisma = require('@/lib/prisma');
+const { encrypt } = require('@/lib/crypto');
+const { generateTotp, generateBackupCodes } = require('@/lib/twoFactor');
+const { verifyChallenge } = require('../twoFactorController');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/mailer');
+
+describe('Two-Factor Controller - verifyChallenge', () => {
+    let res;
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    const user = {
+        id: 'user-1',
+        email: 'ada@example.com',
+        fullName: 'Ada Obi',
+        tier: 'SMART_USER',
+        isKycVerified: true,
+        twoFactorEnabled: true,
+        twoFactorSecret: encrypt(secret),
+        twoFactorBackupCodes: [],
+        failedLoginAttempts: 0,
+        lockoutUntil: null
+    };
+    const openChallenge = (overrides = {}) => ({
+        id: 'challenge-1',
+        userId: user.id,
+        staffId: null,
+        user,
+        staff: null,
+        isEnrolment: false,
+        attempts: 0,
+        consumedAt: null,
+        expiresAt: new Date(Date.now() + 60 * 1000),
+        ...overrides
+    });
+
+    const makeRequest = (body) => httpMocks.createRequest({
+        method: 'POST',
+        body: { challengeToken: 'c'.repeat(43), method: 'TOTP', ...body }
+    });
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+        jest.clearAllMocks();
+        prisma.twoFactorChallenge.findUnique.mockResolvedValue(openChallenge());
+        prisma.twoFactorChallenge.updateMany.mockResolvedValue({ count: 1 });
+        prisma.user.updateMany.mockResolvedValue({ count: 1 });
+        prisma.staff.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should issue the normal login session for a valid authenticator code', async () => {
+        await verifyChallenge(makeRequest({ code: generateTotp(secret) }), res);
+
+        const body = res._getJSONData();
+        expect(res.statusCode).toBe(200);
+        expect(body.status).toBe('OK');
+        expect(body.accessToken).toEqual(expect.any(String));
+        expect(body.refreshToken).toEqual(expect.any(String));
+        expect(body.user).toMatchObject({ id: 'user-1', email: 'ada@example.com' });
+        expect(prisma.twoFactorChallenge.updateMany).toHaveBeenCalledWith({
+            where: { id: 'challenge-1', consumedAt: null },
+            data: { consumedAt: expect.any(Date) }
+        });
+        expect(prisma.user.update).toHaveBeenCalledWith({
+            where: { id: 'user-1' },
+            data: { failedLoginAttempts: 0, lockoutUntil: null }
+        });
+    });
+
+    it('should refuse an authenticator code that was already used', async () => {
+        prisma.user.updateMany.mockResolvedValue({ count: 0 });
+
+        await verifyChallenge(makeRequest({ code: generateTotp(secret) }), res);
+
+        expect(res.statusCode).toBe(401);
+        expect(prisma.user.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+            data: { twoFactorLastStep: expect.any(Number) }
+        }));
+        expect(prisma.twoFactorChallenge.updateMany).not.toHaveBeenCalled();
+        expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should remove a backup code in the same write that accepts it', async () => {
+        const { codes, hashes } = await generateBackupCodes();
+        prisma.twoFactorChallenge.findUnique.mockResolvedValue(openChallenge({
+            user: { ...user, twoFactorBackupCodes: hashes }
+        }));
+
+        await verifyChallenge(makeRequest({ method: 'BACKUP_CODE', code: codes[2] }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res._getJSONData().backupCodesRemaining).toBe(9);
+        expect(prisma.user.updateMany).toHaveBeenCalledWith({
+            where: { id: 'user-1', twoFactorBackupCodes: { equals: hashes } },
+            data: { twoFactorBackupCodes: hashes.filter((_, index) => index !== 2) }
+        });
+    });
+
+    it('should refuse a backup code another request redeemed first', async () => {
+        const { codes, hashes } = await generateBackupCodes();
+        prisma.twoFactorChallenge.findUnique.mockResolvedValue(openChallenge({
+            user: { ...user, twoFactorBackupCodes: hashes }
+        }));
+        prisma.user.updateMany.mockResolvedValue({ count: 0 });
+
+        await verifyChallenge(makeRequest({ method: 'BACKUP_CODE', code: codes[2] }), res);
+
+        expect(res.statusCode).toBe(401);
+        expect(res._getJSONData().message).toBe('Invalid verification code');
+        expect(prisma.twoFactorChallenge.updateMany).not.toHaveBeenCalled();
+        expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should count a wrong code against the challenge and the login lockout', async () => {
+        prisma.twoFactorChallenge.findUnique.mockResolvedValue(openChallenge({
+            user: { ...user, failedLoginAttempts: 4 }
+        }));
+
+        await verifyChallenge(makeRequest({ code: '000000' }), res);
+
+        expect(res.statusCode).toBe(401);
+        expect(prisma.twoFactorChallenge.update).toHaveBeenCalledWith({
+            where: { id: 'challenge-1' },
+            data: { attempts: { increment: 1 } }
+        });
+        const lockout = prisma.user.update.mock.calls[0][0].data;
+        expect(lockout.failedLoginAttempts).toBe(5);
+        expect(lockout.lockoutUntil).toEqual(expect.any(Date));
+        expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject used, expired or exhausted challenges', async () => {
+        for (const challenge of [
+            openChallenge({ consumedAt: new Date() }),
+            openChallenge({ expiresAt: new Date(Date.now() - 1000) }),
+            openChallenge({ attempts: 5 })
+        ]) {
+            res = httpMocks.createResponse();
+            prisma.twoFactorChallenge.findUnique.mockResolvedValue(challenge);
+
+            await verifyChallenge(makeRequest({ code: generateTotp(secret) }), res);
+
+            expect(res.statusCode).toBe(401);
+        }
+        expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should turn on 2FA and return backup codes when a super admin finishes enrolment', async () => {
+        const staff = {
+            id: 'staff-1',
+            email: 'admin@muftipay.com',
+            fullName: 'Admin',
+            role: 'SUPER_ADMIN',
+            isActive: true,
+            twoFactorEnabled: false,
+            twoFactorSecret: encrypt(secret),
+            twoFactorBackupCodes: []
+        };
+        prisma.twoFactorChallenge.findUnique.mockResolvedValue(openChallenge({
+            userId: null, user: null, staffId: staff.id, staff, isEnrolment: true
+        }));
+
+        await verifyChallenge(makeRequest({ method: 'BACKUP_CODE', code: 'abcde-12345' }), res);
+        expect(res.statusCode).toBe(400);
+
+        res = httpMocks.createResponse();
+        await verifyChallenge(makeRequest({ code: generateTotp(secret) }), res);
+
+        const body = res._getJSONData();
+        expect(res.statusCode).toBe(200);
+        expect(body.data.token).toEqual(expect.any(String));
+        expect(body.data.backupCodes).toHaveLength(10);
+        expect(prisma.staff.update).toHaveBeenCalledWith({
+            where: { id: 'staff-1' },
+            data: { twoFactorEnabled: true, twoFactorBackupCodes: expect.any(Array) }
+        });
+    });
+});
@@ -56,7 +56,9 @@ const changePin = async (req, res) => {
         await prisma.user.update({
             where: { id: userId },
             data: {
-                transactionPin: hashedPin
+                transactionPin: hashedPin,
+                pinFailedAttempts: 0,
+                pinLockedUntil: null
             }
         });
 
@@ -49,6 +49,7 @@ const forgotPassword = async (req, res) => {
             data: {
                 email,
                 otp: hashedOtp,
+                purpose: 'PASSWORD_RESET',
                 expiresAt
             }
         });
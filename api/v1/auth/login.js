@@ -1,7 +1,7 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const prisma = require('@/lib/prisma');
-const crypto = require('crypto');
+const { issueUserSession } = require('@/lib/authTokens');
+const { createChallenge } = require('@/lib/twoFactor');
 
 const DUMMY_HASH = "$2b$12$invalidhashtopreventtimingattacksXXXXXXXXXXXXXXXXXX";
 
@@ -10,10 +10,6 @@ if (!process.env.JWT_SECRET) {
     process.exit(1);
 }
 
-const JWT_SECRET = process.env.JWT_SECRET;
-const ACCESS_TOKEN_EXPIRY = '7d'; // Extended to 7 days as requested, removing refresh token flow
-const REFRESH_TOKEN_EXPIRY_DAYS = 7;
-
 const login = async (req, res) => {
     try {
         const { password } = req.body;
@@ -68,47 +64,37 @@ const login = async (req, res) => {
             });
         }
 
-        // 2. Clear failed attempts on success
+        // 2. Second factor: the password alone is not enough. Failed attempts are only
+        // cleared once the second factor passes (see twoFactorController.verifyChallenge)
+        if (user.twoFactorEnabled) {
+            const { challengeToken, expiresAt } = await createChallenge(prisma, { userId: user.id });
+
+            return res.status(200).json({
+                status: "TWO_FACTOR_REQUIRED",
+                message: "Enter the code from your authenticator app to finish signing in.",
+                data: {
+                    challengeToken,
+                    expiresAt,
+                    methods: ['TOTP', 'BACKUP_CODE', 'EMAIL_OTP']
+                }
+            });
+        }
+
+        // 3. Clear failed attempts on success
         await prisma.user.update({
             where: { id: user.id },
             data: { failedLoginAttempts: 0, lockoutUntil: null }
         });
 
-        // 3. Generate Tokens
-        const accessToken = jwt.sign(
-            { userId: user.id, email: user.email, tier: user.tier },
-            JWT_SECRET,
-            { expiresIn: ACCESS_TOKEN_EXPIRY }
-        );
-
-        // Generate a random refresh token
-        const refreshTokenString = crypto.randomBytes(40).toString('hex');
-        const expiresAt = new Date();
-        expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_EXPIRY_DAYS);
-
-        // 4. Save Refresh Token to DB
-        await prisma.refreshToken.create({
-            data: {
-                token: refreshTokenString,
-                userId: user.id,
-                expiresAt
-            }
-        });
+        // 4. Generate Tokens (new session for this device)
+        const session = await issueUserSession(user, req);
 
         // 5. Track Login Event
 
         return res.status(200).json({
             status: "OK",
             message: "Login successful",
-            accessToken,
-            refreshToken: refreshTokenString,
-            user: {
-                id: user.id,
-                userName: user.fullName,
-                email: user.email,
-                tier: user.tier,
-                isKycVerified: user.isKycVerified
-            }
+            ...session
         });
 
     } catch (error) {
@@ -1,8 +1,7 @@
-const jwt = require('jsonwebtoken');
 const prisma = require('@/lib/prisma');
 const crypto = require('crypto');
+const { signUserAccessToken, revokeSessions } = require('@/lib/authTokens');
 
-const JWT_SECRET = process.env.JWT_SECRET;
 const ACCESS_TOKEN_EXPIRY = '15m';
 const REFRESH_TOKEN_EXPIRY_DAYS = 7;
 
@@ -63,23 +62,26 @@ const refresh = async (req, res) => {
             });
         }
 
-        // 6. Generate new Access Token
-        const newAccessToken = jwt.sign(
-            { userId: user.id, email: user.email, tier: user.tier },
-            JWT_SECRET,
-            { expiresIn: ACCESS_TOKEN_EXPIRY }
-        );
+        // 6. Generate new Access Token (same session)
+        const newAccessToken = signUserAccessToken(user, storedToken.sessionId, ACCESS_TOKEN_EXPIRY);
 
         // 7. Generate new Refresh Token
         const newRefreshTokenString = crypto.randomBytes(40).toString('hex');
         const newExpiresAt = new Date();
         newExpiresAt.setDate(newExpiresAt.getDate() + REFRESH_TOKEN_EXPIRY_DAYS);
 
+        // The session and device carry over; IP and last use are refreshed
         await prisma.refreshToken.create({
             data: {
                 token: newRefreshTokenString,
                 userId: user.id,
-                expiresAt: newExpiresAt
+                expiresAt: newExpiresAt,
+                sessionId: storedToken.sessionId,
+                deviceName: storedToken.deviceName,
+                userAgent: storedToken.userAgent,
+                ipAddress: req.ip || storedToken.ipAddress,
+                signedInAt: storedToken.signedInAt,
+                lastUsedAt: new Date()
             }
         });
 
@@ -108,16 +110,22 @@ const refresh = async (req, res) => {
 
 /**
  * Handle Logout (Revoke tokens)
+ * Signs out the whole session the refresh token belongs to, including the
+ * tokens it was rotated from and any access token issued for it.
  */
 const logout = async (req, res) => {
     try {
         const { refreshToken } = req.body;
 
         if (refreshToken) {
-            await prisma.refreshToken.updateMany({
+            const storedToken = await prisma.refreshToken.findUnique({
                 where: { token: refreshToken },
-                data: { revoked: true }
+                select: { userId: true, sessionId: true }
             });
+
+            if (storedToken) {
+                await revokeSessions(prisma, { userId: storedToken.userId, sessionId: storedToken.sessionId });
+            }
         }
 
         return res.status(200).json({ status: "OK", message: "Logged out successfully" });
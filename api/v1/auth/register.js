@@ -1,6 +1,7 @@
 const { z } = require('zod');
 const bcrypt = require('bcrypt');
 const prisma = require('@/lib/prisma');
+const { generateReferralCode } = require('@/lib/crypto');
 const SALT_ROUNDS = 12;
 
 const registerSchema = z.object({
@@ -13,7 +14,8 @@ const registerSchema = z.object({
         .regex(/[A-Z]/, "Password must contain at least one uppercase letter")
         .regex(/[0-9]/, "Password must contain at least one number")
         .regex(/[^a-zA-Z0-9]/, "Password must contain at least one special character"),
-    transactionPin: z.string().regex(/^\d{4}$/, "Transaction PIN must be exactly 4 digits")
+    transactionPin: z.string().regex(/^\d{4}$/, "Transaction PIN must be exactly 4 digits"),
+    referralCode: z.string().trim().toUpperCase().max(20).optional()
 });
 
 const formatZodError = (error) => {
@@ -31,7 +33,7 @@ const register = async (req, res) => {
             });
         }
 
-        const { userName, email, phoneNumber, password, transactionPin } = validation.data;
+        const { userName, email, phoneNumber, password, transactionPin, referralCode } = validation.data;
 
         // 2. Uniqueness Check (Email and Phone)
         const existingUser = await prisma.user.findFirst({
@@ -47,6 +49,22 @@ const register = async (req, res) => {
             });
         }
 
+        // Referral code from the person who invited them (optional)
+        let referrer = null;
+        if (referralCode) {
+            referrer = await prisma.user.findUnique({
+                where: { referralCode },
+                select: { id: true }
+            });
+
+            if (!referrer) {
+                return res.status(400).json({
+                    status: "ERROR",
+                    message: "Invalid referral code"
+                });
+            }
+        }
+
         // 3. Secure Password and PIN Hashing
         const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
         const hashedPin = await bcrypt.hash(transactionPin, SALT_ROUNDS);
@@ -59,6 +77,8 @@ const register = async (req, res) => {
                 phoneNumber,
                 passwordHash: hashedPassword,
                 transactionPin: hashedPin,
+                referralCode: generateReferralCode(),
+                referredById: referrer?.id || null,
                 wallet: {
                     create: {
                         balance: 0.00,
@@ -93,6 +113,7 @@ const register = async (req, res) => {
                 email: newUser.email,
                 phoneNumber: newUser.phoneNumber,
                 tier: newUser.tier,
+                referralCode: newUser.referralCode,
                 walletBalance: newUser.wallet.balance,
                 kycStatus: newUser.kycData.status
             }
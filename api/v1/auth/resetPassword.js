@@ -1,6 +1,7 @@
 const { z } = require('zod');
 const bcrypt = require('bcrypt');
 const prisma = require('@/lib/prisma');
+const { revokeSessions } = require('@/lib/authTokens');
 const SALT_ROUNDS = 12;
 
 const resetPasswordSchema = z.object({
@@ -31,6 +32,7 @@ const resetPassword = async (req, res) => {
         const record = await prisma.passwordResetOTP.findFirst({
             where: {
                 email,
+                purpose: 'PASSWORD_RESET',
                 expiresAt: {
                     gt: new Date()
                 }
@@ -75,20 +77,21 @@ const resetPassword = async (req, res) => {
         // Hash new password
         const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
-        // Update user password and delete used OTPs
+        // Update user password, delete used OTPs and sign out every session
         await prisma.$transaction([
             prisma.user.update({
                 where: { email },
                 data: { passwordHash: hashedPassword }
             }),
             prisma.passwordResetOTP.deleteMany({
-                where: { email }
-            })
+                where: { email, purpose: 'PASSWORD_RESET' }
+            }),
+            revokeSessions(prisma, { user: { email } })
         ]);
 
         res.status(200).json({
             status: "OK",
-            message: "Password reset successful. You can now login with your new password."
+            message: "Password reset successful. All devices have been signed out. You can now login with your new password."
         });
 
     } catch (error) {
@@ -1,15 +1,18 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { z } = require('zod');
 const prisma = require('@/lib/prisma');
-
-const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const { encrypt } = require('@/lib/crypto');
+const { issueStaffSession } = require('@/lib/authTokens');
+const { createChallenge, generateTotpSecret, totpUri } = require('@/lib/twoFactor');
+const { STAFF_ACCESS_SELECT, staffPermissions } = require('@/lib/permissions');
+const { logStaffAction } = require('@/lib/staffActivity');
+const { wasOtpRecentlySent, sendEmailOtp, verifyEmailOtp } = require('@/lib/otp');
 
 const createStaffSchema = z.object({
     email: z.string().email("Invalid email format").toLowerCase().trim(),
     fullName: z.string().min(2, "Full name is required"),
-    role: z.enum(['TICKETING_OFFICER', 'SUPER_ADMIN']).default('TICKETING_OFFICER')
+    role: z.enum(['TICKETING_OFFICER', 'SUPER_ADMIN', 'STAFF']).default('TICKETING_OFFICER'),
+    customRoleId: z.string().uuid("Invalid role ID").optional()
 });
 
 const loginStaffSchema = z.object({
@@ -17,12 +20,57 @@ const loginStaffSchema = z.object({
     password: z.string().min(6, "Password must be at least 6 characters")
 });
 
+const staffForgotPasswordSchema = z.object({
+    email: z.string().email("Invalid email format").toLowerCase().trim()
+});
+
+const staffResetPasswordSchema = z.object({
+    email: z.string().email("Invalid email format").toLowerCase().trim(),
+    otp: z.string().trim().regex(/^\d{6}$/, "Enter the 6-digit code sent to your email"),
+    newPassword: z.string().min(8, "New password must be at least 8 characters")
+});
+
 const forceResetSchema = z.object({
     email: z.string().email("Invalid email").toLowerCase().trim(),
     oldPassword: z.string(),
     newPassword: z.string().min(8, "New password must be at least 8 characters")
 });
 
+/**
+ * Finishes a staff password login: a second-factor challenge when 2FA is on,
+ * a forced authenticator enrolment for SUPER_ADMIN accounts without it,
+ * otherwise the session token straight away.
+ * @param {object} req the login request, for last-login tracking
+ * @returns {Promise<object>} the response body
+ */
+const completeStaffLogin = async (staff, message, req) => {
+    if (staff.twoFactorEnabled) {
+        const { challengeToken, expiresAt } = await createChallenge(prisma, { staffId: staff.id });
+        return {
+            status: "TWO_FACTOR_REQUIRED",
+            message: "Enter the code from your authenticator app to finish signing in.",
+            data: { challengeToken, expiresAt, methods: ['TOTP', 'BACKUP_CODE', 'EMAIL_OTP'] }
+        };
+    }
+
+    if (staff.role === 'SUPER_ADMIN') {
+        const secret = generateTotpSecret();
+        await prisma.staff.update({
+            where: { id: staff.id },
+            data: { twoFactorSecret: encrypt(secret) }
+        });
+
+        const { challengeToken, expiresAt } = await createChallenge(prisma, { staffId: staff.id, isEnrolment: true });
+        return {
+            status: "TWO_FACTOR_SETUP_REQUIRED",
+            message: "Super Admin accounts must use two-factor authentication. Scan the QR code with an authenticator app and enter the code it shows.",
+            data: { challengeToken, expiresAt, secret, otpauthUrl: totpUri(secret, staff.email), methods: ['TOTP'] }
+        };
+    }
+
+    return { status: "OK", message, data: await issueStaffSession(staff, req) };
+};
+
 /**
  * Super Admin creating a new staff member
  * @route POST /api/v1/auth/staff/create
@@ -38,7 +86,7 @@ const createStaff = async (req, res) => {
             });
         }
 
-        const { email, fullName, role } = validation.data;
+        const { email, fullName, role, customRoleId } = validation.data;
 
         // Check if email exists
         const existingStaff = await prisma.staff.findUnique({ where: { email } });
@@ -50,14 +98,28 @@ const createStaff = async (req, res) => {
         const defaultPassword = "Muftipaystaff@12345";
         const passwordHash = await bcrypt.hash(defaultPassword, 10);
 
+        if (customRoleId && !(await prisma.role.findUnique({ where: { id: customRoleId }, select: { id: true } }))) {
+            return res.status(404).json({ status: "ERROR", message: "Role not found" });
+        }
+
         const newStaff = await prisma.staff.create({
             data: {
                 email,
                 fullName,
                 passwordHash,
                 role,
+                customRoleId,
                 requiresPasswordChange: true
-            }
+            },
+            include: { customRole: STAFF_ACCESS_SELECT.customRole }
+        });
+
+        await logStaffAction(prisma, {
+            staffId: newStaff.id,
+            actorId: req.user.id,
+            action: 'CREATED',
+            details: { role, customRoleId: customRoleId || null },
+            ipAddress: req.ip || null
         });
 
         res.status(201).json({
@@ -67,7 +129,9 @@ const createStaff = async (req, res) => {
                 id: newStaff.id,
                 email: newStaff.email,
                 fullName: newStaff.fullName,
-                role: newStaff.role
+                role: newStaff.role,
+                customRole: newStaff.customRole,
+                permissions: staffPermissions(newStaff)
             }
         });
 
@@ -94,7 +158,7 @@ const loginStaff = async (req, res) => {
 
         const { email, password } = validation.data;
 
-        const staff = await prisma.staff.findUnique({ where: { email } });
+        const staff = await prisma.staff.findUnique({ where: { email }, include: { customRole: STAFF_ACCESS_SELECT.customRole } });
 
         if (!staff || !staff.isActive) {
             return res.status(401).json({ status: "ERROR", message: "Invalid credentials or inactive account." });
@@ -117,26 +181,8 @@ const loginStaff = async (req, res) => {
             });
         }
 
-        // Generate JWT
-        const token = jwt.sign(
-            { userId: staff.id, isStaff: true },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
-
-        res.status(200).json({
-            status: "OK",
-            message: "Login successful",
-            data: {
-                token,
-                user: {
-                    id: staff.id,
-                    email: staff.email,
-                    fullName: staff.fullName,
-                    role: staff.role
-                }
-            }
-        });
+        // Second factor (mandatory for SUPER_ADMIN)
+        res.status(200).json(await completeStaffLogin(staff, "Login successful", req));
 
     } catch (error) {
         console.error("Staff Login Error:", error);
@@ -196,29 +242,14 @@ const forcePasswordReset = async (req, res) => {
             data: {
                 passwordHash: newHash,
                 requiresPasswordChange: false
-            }
+            },
+            include: { customRole: STAFF_ACCESS_SELECT.customRole }
         });
 
-        // Generate JWT
-        const token = jwt.sign(
-            { userId: updatedStaff.id, isStaff: true },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
+        await logStaffAction(prisma, { staffId: updatedStaff.id, action: 'PASSWORD_CHANGED', ipAddress: req.ip || null });
 
-        res.status(200).json({
-            status: "OK",
-            message: "Password changed successfully. You are now logged in.",
-            data: {
-                token,
-                user: {
-                    id: updatedStaff.id,
-                    email: updatedStaff.email,
-                    fullName: updatedStaff.fullName,
-                    role: updatedStaff.role
-                }
-            }
-        });
+        // Second factor (mandatory for SUPER_ADMIN) before the first session
+        res.status(200).json(await completeStaffLogin(updatedStaff, "Password changed successfully. You are now logged in.", req));
 
     } catch (error) {
         console.error("Force Reset Error:", error);
@@ -227,7 +258,77 @@ const forcePasswordReset = async (req, res) => {
 };
 
 /**
- * Get all staff members (Super Admin only)
+ * Staff Forgot Password: email a reset code
+ * Same answer whether or not the email belongs to an active staff member.
+ * @route POST /api/v1/auth/staff/forgot-password
+ */
+const staffForgotPassword = async (req, res) => {
+    try {
+        const validation = staffForgotPasswordSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { email } = validation.data;
+        const genericResponse = { status: "OK", message: "If a staff account exists with this email, a reset code has been sent." };
+
+        const staff = await prisma.staff.findUnique({ where: { email }, select: { fullName: true, isActive: true } });
+        if (!staff || !staff.isActive) {
+            return res.status(200).json(genericResponse);
+        }
+
+        if (await wasOtpRecentlySent(prisma, { email, purpose: 'STAFF_PASSWORD_RESET' })) {
+            return res.status(429).json({ status: "ERROR", message: "A code was just sent. Please wait a minute before requesting another." });
+        }
+
+        await sendEmailOtp(prisma, { email, fullName: staff.fullName, purpose: 'STAFF_PASSWORD_RESET' });
+
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        console.error("Staff Forgot Password Error:", error);
+        res.status(500).json({ status: "ERROR", message: "An internal error occurred" });
+    }
+};
+
+/**
+ * Staff Reset Password with the emailed code
+ * Signs out every existing session of the account.
+ * @route POST /api/v1/auth/staff/reset-password
+ */
+const staffResetPassword = async (req, res) => {
+    try {
+        const validation = staffResetPasswordSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { email, otp, newPassword } = validation.data;
+
+        const staff = await prisma.staff.findUnique({ where: { email }, select: { id: true, isActive: true } });
+        const isValid = staff?.isActive && await verifyEmailOtp(prisma, { email, purpose: 'STAFF_PASSWORD_RESET', otp });
+        if (!isValid) {
+            return res.status(400).json({ status: "ERROR", message: "Invalid or expired code. Request a new one and try again." });
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, 10);
+
+        await prisma.$transaction([
+            prisma.staff.update({
+                where: { id: staff.id },
+                data: { passwordHash, requiresPasswordChange: false, sessionsRevokedAt: new Date() }
+            }),
+            logStaffAction(prisma, { staffId: staff.id, action: 'PASSWORD_RESET_VIA_EMAIL', ipAddress: req.ip || null })
+        ]);
+
+        res.status(200).json({ status: "OK", message: "Password reset successful. Please log in with your new password." });
+    } catch (error) {
+        console.error("Staff Reset Password Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to reset password" });
+    }
+};
+
+/**
+ * Get all staff members with their effective permissions (staff:manage)
  * @route GET /api/v1/auth/staff
  */
 const getAllStaff = async (req, res) => {
@@ -241,7 +342,11 @@ const getAllStaff = async (req, res) => {
                 role: true,
                 isActive: true,
                 requiresPasswordChange: true,
-                createdAt: true
+                twoFactorEnabled: true,
+                lastLoginAt: true,
+                lastLoginIp: true,
+                createdAt: true,
+                ...STAFF_ACCESS_SELECT
             }
         });
 
@@ -249,7 +354,8 @@ const getAllStaff = async (req, res) => {
         // The frontend expects 'isFirstLogin' for 'requiresPasswordChange'
         const formattedStaff = staff.map(s => ({
             ...s,
-            isFirstLogin: s.requiresPasswordChange
+            isFirstLogin: s.requiresPasswordChange,
+            permissions: staffPermissions(s)
         }));
 
         res.status(200).json({
@@ -266,5 +372,7 @@ module.exports = {
     createStaff,
     loginStaff,
     forcePasswordReset,
+    staffForgotPassword,
+    staffResetPassword,
     getAllStaff
 };
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { generateStaffPasswordResetEmailTemplate } = require('@/lib/emailTemplates');
+const { logStaffAction } = require('@/lib/staffActivity');
+
+/**
+ * Staff Account Lifecycle (staff:manage, i.e. SUPER_ADMIN)
+ * Deactivation, role changes and admin password resets. Each one is written to
+ * the staff history (lib/staffActivity.js). Deactivating or resetting a password
+ * signs the account out everywhere at once.
+ */
+
+const reasonSchema = z.object({
+    reason: z.string().trim().min(5, "Please give a reason (at least 5 characters)").max(500)
+});
+
+const changeRoleSchema = z.object({
+    role: z.enum(['TICKETING_OFFICER', 'SUPER_ADMIN', 'STAFF'])
+});
+
+const historySchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+const staffSummary = { id: true, email: true, fullName: true, role: true, isActive: true };
+
+const findStaff = (id) => prisma.staff.findUnique({ where: { id }, select: staffSummary });
+
+// The platform must always keep one active Super Admin who can manage staff
+const isLastActiveSuperAdmin = async (staff) => {
+    if (staff.role !== 'SUPER_ADMIN' || !staff.isActive) return false;
+    const others = await prisma.staff.count({ where: { role: 'SUPER_ADMIN', isActive: true, id: { not: staff.id } } });
+    return others === 0;
+};
+
+// Single use: the staff member replaces it through /auth/staff/force-reset
+const generateTempPassword = () => crypto.randomBytes(9).toString('base64url');
+
+/**
+ * 1. Deactivate a Staff Member (signs them out immediately)
+ * Body: { reason }
+ * @route POST /api/v1/auth/staff/:id/deactivate
+ */
+const deactivateStaff = async (req, res) => {
+    try {
+        const validation = reasonSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const staff = await findStaff(req.params.id);
+        if (!staff) {
+            return res.status(404).json({ status: "ERROR", message: "Staff member not found" });
+        }
+        if (staff.id === req.user.id) {
+            return res.status(400).json({ status: "ERROR", message: "You cannot deactivate your own account" });
+        }
+        if (!staff.isActive) {
+            return res.status(409).json({ status: "ERROR", message: "Staff member is already deactivated" });
+        }
+        if (await isLastActiveSuperAdmin(staff)) {
+            return res.status(409).json({ status: "ERROR", message: "This is the only active Super Admin and cannot be deactivated" });
+        }
+
+        const [updated] = await prisma.$transaction([
+            prisma.staff.update({
+                where: { id: staff.id },
+                data: { isActive: false, sessionsRevokedAt: new Date() },
+                select: staffSummary
+            }),
+            logStaffAction(prisma, {
+                staffId: staff.id,
+                actorId: req.user.id,
+                action: 'DEACTIVATED',
+                details: { reason: validation.data.reason },
+                ipAddress: req.ip || null
+            })
+        ]);
+
+        res.status(200).json({ status: "OK", message: "Staff member deactivated", data: updated });
+    } catch (error) {
+        console.error("Deactivate Staff Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to deactivate staff member" });
+    }
+};
+
+/**
+ * 2. Reactivate a Staff Member
+ * Body: { reason }
+ * @route POST /api/v1/auth/staff/:id/reactivate
+ */
+const reactivateStaff = async (req, res) => {
+    try {
+        const validation = reasonSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const staff = await findStaff(req.params.id);
+        if (!staff) {
+            return res.status(404).json({ status: "ERROR", message: "Staff member not found" });
+        }
+        if (staff.isActive) {
+            return res.status(409).json({ status: "ERROR", message: "Staff member is already active" });
+        }
+
+        const [updated] = await prisma.$transaction([
+            prisma.staff.update({
+                where: { id: staff.id },
+                data: { isActive: true },
+                select: staffSummary
+            }),
+            logStaffAction(prisma, {
+                staffId: staff.id,
+                actorId: req.user.id,
+                action: 'REACTIVATED',
+                details: { reason: validation.data.reason },
+                ipAddress: req.ip || null
+            })
+        ]);
+
+        res.status(200).json({ status: "OK", message: "Staff member reactivated", data: updated });
+    } catch (error) {
+        console.error("Reactivate Staff Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to reactivate staff member" });
+    }
+};
+
+/**
+ * 3. Change a Staff Member's Role
+ * A promoted Super Admin must enrol 2FA at their next login before using it.
+ * Body: { role }
+ * @route PATCH /api/v1/auth/staff/:id/role
+ */
+const changeStaffRole = async (req, res) => {
+    try {
+        const validation = changeRoleSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { role } = validation.data;
+
+        const staff = await findStaff(req.params.id);
+        if (!staff) {
+            return res.status(404).json({ status: "ERROR", message: "Staff member not found" });
+        }
+        if (staff.id === req.user.id) {
+            return res.status(400).json({ status: "ERROR", message: "You cannot change your own role" });
+        }
+        if (staff.role === role) {
+            return res.status(409).json({ status: "ERROR", message: `Staff member is already ${role}` });
+        }
+        if (await isLastActiveSuperAdmin(staff)) {
+            return res.status(409).json({ status: "ERROR", message: "This is the only active Super Admin and cannot be demoted" });
+        }
+
+        const [updated] = await prisma.$transaction([
+            prisma.staff.update({
+                where: { id: staff.id },
+                data: { role },
+                select: staffSummary
+            }),
+            logStaffAction(prisma, {
+                staffId: staff.id,
+                actorId: req.user.id,
+                action: 'ROLE_CHANGED',
+                details: { from: staff.role, to: role },
+                ipAddress: req.ip || null
+            })
+        ]);
+
+        res.status(200).json({ status: "OK", message: `Role changed to ${role}`, data: updated });
+    } catch (error) {
+        console.error("Change Staff Role Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to change staff role" });
+    }
+};
+
+/**
+ * 4. Reset a Staff Member's Password
+ * Emails a temporary password, signs out every session and forces a new
+ * password at the next login (/auth/staff/force-reset).
+ * @route POST /api/v1/auth/staff/:id/reset-password
+ */
+const resetStaffPassword = async (req, res) => {
+    try {
+        const staff = await findStaff(req.params.id);
+        if (!staff) {
+            return res.status(404).json({ status: "ERROR", message: "Staff member not found" });
+        }
+        if (staff.id === req.user.id) {
+            return res.status(400).json({ status: "ERROR", message: "Use forgot password to reset your own password" });
+        }
+        if (!staff.isActive) {
+            return res.status(409).json({ status: "ERROR", message: "Reactivate the staff member before resetting their password" });
+        }
+
+        const tempPassword = generateTempPassword();
+        const passwordHash = await bcrypt.hash(tempPassword, 10);
+
+        await prisma.$transaction([
+            prisma.staff.update({
+                where: { id: staff.id },
+                data: { passwordHash, requiresPasswordChange: true, sessionsRevokedAt: new Date() }
+            }),
+            logStaffAction(prisma, {
+                staffId: staff.id,
+                actorId: req.user.id,
+                action: 'PASSWORD_RESET_BY_ADMIN',
+                ipAddress: req.ip || null
+            })
+        ]);
+
+        await sendEmail({
+            to: staff.email,
+            subject: "Mufti Pay Staff - Your password has been reset",
+            text: `An administrator reset your Mufti Pay back-office password. Your temporary password is: ${tempPassword}. You will be asked to choose a new one when you sign in.`,
+            html: generateStaffPasswordResetEmailTemplate({ fullName: staff.fullName, tempPassword })
+        });
+
+        res.status(200).json({
+            status: "OK",
+            message: `A temporary password has been emailed to ${staff.email}. They must change it at their next login.`
+        });
+    } catch (error) {
+        console.error("Reset Staff Password Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to reset staff password" });
+    }
+};
+
+/**
+ * 5. Staff Account History (newest first)
+ * @route GET /api/v1/auth/staff/:id/history?page=1&limit=20
+ */
+const getStaffHistory = async (req, res) => {
+    try {
+        const validation = historySchema.safeParse(req.query);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { page, limit } = validation.data;
+
+        const staff = await prisma.staff.findUnique({
+            where: { id: req.params.id },
+            select: { ...staffSummary, lastLoginAt: true, lastLoginIp: true, createdAt: true }
+        });
+        if (!staff) {
+            return res.status(404).json({ status: "ERROR", message: "Staff member not found" });
+        }
+
+        const [entries, total] = await Promise.all([
+            prisma.staffActionLog.findMany({
+                where: { staffId: staff.id },
+                include: { actor: { select: { id: true, fullName: true, email: true } } },
+                orderBy: { createdAt: 'desc' },
+                skip: (page - 1) * limit,
+                take: limit
+            }),
+            prisma.staffActionLog.count({ where: { staffId: staff.id } })
+        ]);
+
+        res.status(200).json({
+            status: "OK",
+            data: {
+                staff,
+                history: entries,
+                pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+            }
+        });
+    } catch (error) {
+        console.error("Get Staff History Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch staff history" });
+    }
+};
+
+module.exports = {
+    deactivateStaff,
+    reactivateStaff,
+    changeStaffRole,
+    resetStaffPassword,
+    getStaffHistory
+};
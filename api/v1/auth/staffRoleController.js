@@ -0,0 +1,222 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { logStaffAction } = require('@/lib/staffActivity');
+const {
+    PERMISSIONS,
+    ASSIGNABLE_PERMISSIONS,
+    ROLE_PRESETS,
+    STAFF_ACCESS_SELECT,
+    staffPermissions
+} = require('@/lib/permissions');
+
+/**
+ * Staff Roles & Permissions (staff:manage, i.e. SUPER_ADMIN)
+ * Custom roles bundle permissions on top of a staff member's StaffRole preset;
+ * per-staff grants and revocations fine-tune one account. See lib/permissions.js.
+ */
+
+const permissionList = z.array(z.enum(ASSIGNABLE_PERMISSIONS)).transform(list => [...new Set(list)]);
+
+const roleSchema = z.object({
+    name: z.string().trim().min(2, "Role name is required").max(50),
+    description: z.string().trim().max(200).optional(),
+    permissions: permissionList.refine(list => list.length > 0, "Select at least one permission")
+});
+
+const staffAccessSchema = z.object({
+    customRoleId: z.string().uuid("Invalid role ID").nullable().optional(),
+    grantedPermissions: permissionList.optional(),
+    revokedPermissions: permissionList.optional()
+});
+
+const roleWithCount = { _count: { select: { staff: true } } };
+
+/**
+ * 1. Permission Catalogue and Role Presets
+ * @route GET /api/v1/auth/staff/permissions
+ */
+const getPermissions = async (req, res) => {
+    res.status(200).json({
+        status: "OK",
+        data: {
+            permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+                key,
+                description,
+                assignable: ASSIGNABLE_PERMISSIONS.includes(key)
+            })),
+            presets: ROLE_PRESETS
+        }
+    });
+};
+
+/**
+ * 2. List Custom Roles
+ * @route GET /api/v1/auth/staff/roles
+ */
+const getRoles = async (req, res) => {
+    try {
+        const roles = await prisma.role.findMany({
+            include: roleWithCount,
+            orderBy: { name: 'asc' }
+        });
+
+        res.status(200).json({ status: "OK", data: roles });
+    } catch (error) {
+        console.error("Get Roles Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch roles" });
+    }
+};
+
+/**
+ * 3. Create a Custom Role
+ * Body: { name, description?, permissions[] }
+ * @route POST /api/v1/auth/staff/roles
+ */
+const createRole = async (req, res) => {
+    try {
+        const validation = roleSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const existing = await prisma.role.findUnique({ where: { name: validation.data.name }, select: { id: true } });
+        if (existing) {
+            return res.status(409).json({ status: "ERROR", message: "A role with this name already exists" });
+        }
+
+        const role = await prisma.role.create({ data: validation.data });
+
+        res.status(201).json({ status: "OK", message: "Role created", data: role });
+    } catch (error) {
+        console.error("Create Role Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to create role" });
+    }
+};
+
+/**
+ * 4. Update a Custom Role (applies to everyone holding it on their next request)
+ * Body: { name?, description?, permissions? }
+ * @route PATCH /api/v1/auth/staff/roles/:id
+ */
+const updateRole = async (req, res) => {
+    try {
+        const validation = roleSchema.partial().safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const role = await prisma.role.findUnique({ where: { id: req.params.id }, select: { id: true } });
+        if (!role) {
+            return res.status(404).json({ status: "ERROR", message: "Role not found" });
+        }
+
+        if (validation.data.name) {
+            const clash = await prisma.role.findFirst({
+                where: { name: validation.data.name, id: { not: role.id } },
+                select: { id: true }
+            });
+            if (clash) {
+                return res.status(409).json({ status: "ERROR", message: "A role with this name already exists" });
+            }
+        }
+
+        const updated = await prisma.role.update({
+            where: { id: role.id },
+            data: validation.data,
+            include: roleWithCount
+        });
+
+        res.status(200).json({ status: "OK", message: "Role updated", data: updated });
+    } catch (error) {
+        console.error("Update Role Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to update role" });
+    }
+};
+
+/**
+ * 5. Delete a Custom Role (only once no staff member holds it)
+ * @route DELETE /api/v1/auth/staff/roles/:id
+ */
+const deleteRole = async (req, res) => {
+    try {
+        const role = await prisma.role.findUnique({ where: { id: req.params.id }, include: roleWithCount });
+        if (!role) {
+            return res.status(404).json({ status: "ERROR", message: "Role not found" });
+        }
+        if (role._count.staff > 0) {
+            return res.status(409).json({
+                status: "ERROR",
+                message: `This role is assigned to ${role._count.staff} staff member(s). Reassign them first.`
+            });
+        }
+
+        await prisma.role.delete({ where: { id: role.id } });
+
+        res.status(200).json({ status: "OK", message: "Role deleted" });
+    } catch (error) {
+        console.error("Delete Role Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to delete role" });
+    }
+};
+
+/**
+ * 6. Set a Staff Member's Custom Role and Permission Overrides
+ * Body: { customRoleId? (null removes it), grantedPermissions?, revokedPermissions? }
+ * The StaffRole itself changes through PATCH /auth/staff/:id/role.
+ * Super Admin accounts always have every permission and cannot be edited here.
+ * @route PUT /api/v1/auth/staff/:id/access
+ */
+const updateStaffAccess = async (req, res) => {
+    try {
+        const validation = staffAccessSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const staff = await prisma.staff.findUnique({ where: { id: req.params.id }, select: { id: true, role: true } });
+        if (!staff) {
+            return res.status(404).json({ status: "ERROR", message: "Staff member not found" });
+        }
+        if (staff.role === 'SUPER_ADMIN') {
+            return res.status(400).json({ status: "ERROR", message: "Super Admin accounts always have every permission" });
+        }
+
+        const { customRoleId } = validation.data;
+        if (customRoleId && !(await prisma.role.findUnique({ where: { id: customRoleId }, select: { id: true } }))) {
+            return res.status(404).json({ status: "ERROR", message: "Role not found" });
+        }
+
+        const [updated] = await prisma.$transaction([
+            prisma.staff.update({
+                where: { id: staff.id },
+                data: validation.data,
+                select: { id: true, email: true, fullName: true, ...STAFF_ACCESS_SELECT }
+            }),
+            logStaffAction(prisma, {
+                staffId: staff.id,
+                actorId: req.user.id,
+                action: 'ACCESS_CHANGED',
+                details: validation.data,
+                ipAddress: req.ip || null
+            })
+        ]);
+
+        res.status(200).json({
+            status: "OK",
+            message: "Staff permissions updated",
+            data: { ...updated, permissions: staffPermissions(updated) }
+        });
+    } catch (error) {
+        console.error("Update Staff Access Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to update staff permissions" });
+    }
+};
+
+module.exports = {
+    getPermissions,
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    updateStaffAccess
+};
@@ -0,0 +1,143 @@
+const { z } = require('zod');
+const bcrypt = require('bcryptjs');
+const prisma = require('@/lib/prisma');
+const { wasOtpRecentlySent, sendEmailOtp, verifyEmailOtp } = require('@/lib/otp');
+
+/**
+ * Transaction PIN Lifecycle
+ * Forgot PIN: an emailed code (PasswordResetOTP, PIN_RESET purpose) lets the user
+ * choose a new PIN and lifts any PIN lockout. Older accounts created without a PIN
+ * set one here before they can move money. Checking the PIN on payments lives in
+ * lib/transactionPin.js; changing a known PIN is /auth/change-pin.
+ */
+
+const SALT_ROUNDS = parseInt(process.env.SALT_ROUNDS) || 12;
+
+const newPinField = z.string().regex(/^\d{4}$/, "New Transaction PIN must be exactly 4 digits");
+
+const resetPinSchema = z.object({
+    otp: z.string().trim().regex(/^\d{6}$/, "Enter the 6-digit code sent to your email"),
+    newPin: newPinField
+});
+
+const setPinSchema = z.object({
+    password: z.string().min(1, "Your account password is required"),
+    newPin: newPinField
+});
+
+// A new PIN starts with a clean slate
+const savePin = async (userId, newPin) => prisma.user.update({
+    where: { id: userId },
+    data: {
+        transactionPin: await bcrypt.hash(newPin, SALT_ROUNDS),
+        pinFailedAttempts: 0,
+        pinLockedUntil: null
+    }
+});
+
+/**
+ * 1. Forgot PIN: email a reset code
+ * @route POST /api/v1/auth/forgot-pin
+ */
+const forgotPin = async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { email: true, fullName: true }
+        });
+        if (!user) {
+            return res.status(404).json({ status: "ERROR", message: "User account not found." });
+        }
+
+        if (await wasOtpRecentlySent(prisma, { email: user.email, purpose: 'PIN_RESET' })) {
+            return res.status(429).json({ status: "ERROR", message: "A code was just sent. Please wait a minute before requesting another." });
+        }
+
+        await sendEmailOtp(prisma, { email: user.email, fullName: user.fullName, purpose: 'PIN_RESET' });
+
+        res.status(200).json({ status: "OK", message: "A PIN reset code has been sent to your email." });
+    } catch (error) {
+        console.error("Forgot PIN Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to send PIN reset code" });
+    }
+};
+
+/**
+ * 2. Reset PIN with the emailed code (also lifts a PIN lockout)
+ * Body: { otp, newPin }
+ * @route POST /api/v1/auth/reset-pin
+ */
+const resetPin = async (req, res) => {
+    try {
+        const validation = resetPinSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { otp, newPin } = validation.data;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, email: true }
+        });
+        if (!user) {
+            return res.status(404).json({ status: "ERROR", message: "User account not found." });
+        }
+
+        const isValid = await verifyEmailOtp(prisma, { email: user.email, purpose: 'PIN_RESET', otp });
+        if (!isValid) {
+            return res.status(400).json({ status: "ERROR", message: "Invalid or expired code. Request a new one and try again." });
+        }
+
+        await savePin(user.id, newPin);
+
+        res.status(200).json({ status: "OK", message: "Transaction PIN has been reset." });
+    } catch (error) {
+        console.error("Reset PIN Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to reset transaction PIN" });
+    }
+};
+
+/**
+ * 3. Set a First PIN (accounts created before the PIN was mandatory)
+ * Body: { password, newPin }
+ * @route POST /api/v1/auth/set-pin
+ */
+const setPin = async (req, res) => {
+    try {
+        const validation = setPinSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { password, newPin } = validation.data;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, passwordHash: true, transactionPin: true }
+        });
+        if (!user) {
+            return res.status(404).json({ status: "ERROR", message: "User account not found." });
+        }
+        if (user.transactionPin) {
+            return res.status(409).json({ status: "ERROR", message: "A transaction PIN is already set. Use change PIN or forgot PIN instead." });
+        }
+
+        if (!(await bcrypt.compare(password, user.passwordHash))) {
+            return res.status(401).json({ status: "ERROR", message: "Incorrect account password." });
+        }
+
+        await savePin(user.id, newPin);
+
+        res.status(200).json({ status: "OK", message: "Transaction PIN has been set." });
+    } catch (error) {
+        console.error("Set PIN Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to set transaction PIN" });
+    }
+};
+
+module.exports = {
+    forgotPin,
+    resetPin,
+    setPin
+};
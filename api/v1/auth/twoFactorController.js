@@ -0,0 +1,395 @@
+const { z } = require('zod');
+const bcrypt = require('bcryptjs');
+const prisma = require('@/lib/prisma');
+const { encrypt, decrypt } = require('@/lib/crypto');
+const { issueUserSession, issueStaffSession } = require('@/lib/authTokens');
+const {
+    generateTotpSecret,
+    redeemTotp,
+    totpUri,
+    generateBackupCodes,
+    redeemBackupCode,
+    findOpenChallenge
+} = require('@/lib/twoFactor');
+const { wasOtpRecentlySent, sendEmailOtp, verifyEmailOtp } = require('@/lib/otp');
+
+/**
+ * Two-Factor Authentication (users and staff)
+ * Enrolment: setup (secret + QR link) -> enable (first code, returns backup codes).
+ * Login: /auth/login or /auth/staff/login returns TWO_FACTOR_REQUIRED with a
+ * challengeToken, which is exchanged here for the session once a code is verified.
+ * See lib/twoFactor.js for TOTP, backup codes and the email fallback.
+ */
+
+const codeSchema = z.object({
+    code: z.string().trim().regex(/^\d{6}$/, "Enter the 6-digit code from your authenticator app")
+});
+
+const passwordSchema = z.object({
+    password: z.string().min(1, "Your account password is required")
+});
+
+const challengeSchema = z.object({
+    challengeToken: z.string().min(20, "Challenge token is required")
+});
+
+const verifySchema = challengeSchema.extend({
+    method: z.enum(['TOTP', 'BACKUP_CODE', 'EMAIL_OTP']).default('TOTP'),
+    code: z.string().trim().min(6, "Verification code is required").max(20)
+});
+
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+const accountModel = (isStaff) => (isStaff ? prisma.staff : prisma.user);
+
+const loadAccount = (reqUser) => accountModel(reqUser.isStaff).findUnique({
+    where: { id: reqUser.id },
+    select: {
+        id: true,
+        email: true,
+        passwordHash: true,
+        twoFactorEnabled: true,
+        twoFactorSecret: true,
+        twoFactorBackupCodes: true,
+        ...(reqUser.isStaff && { role: true })
+    }
+});
+
+/**
+ * 1. 2FA Status
+ * @route GET /api/v1/auth/2fa
+ */
+const getTwoFactorStatus = async (req, res) => {
+    try {
+        const account = await loadAccount(req.user);
+        if (!account) {
+            return res.status(404).json({ status: "ERROR", message: "Account not found" });
+        }
+
+        res.status(200).json({
+            status: "OK",
+            data: {
+                enabled: account.twoFactorEnabled,
+                backupCodesRemaining: account.twoFactorEnabled ? account.twoFactorBackupCodes.length : 0,
+                required: account.role === 'SUPER_ADMIN'
+            }
+        });
+    } catch (error) {
+        console.error("Get 2FA Status Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch two-factor status" });
+    }
+};
+
+/**
+ * 2. Start Enrolment (new secret; not active until a code is confirmed)
+ * @route POST /api/v1/auth/2fa/setup
+ */
+const setupTwoFactor = async (req, res) => {
+    try {
+        const account = await loadAccount(req.user);
+        if (!account) {
+            return res.status(404).json({ status: "ERROR", message: "Account not found" });
+        }
+        if (account.twoFactorEnabled) {
+            return res.status(409).json({ status: "ERROR", message: "Two-factor authentication is already enabled" });
+        }
+
+        const secret = generateTotpSecret();
+        await accountModel(req.user.isStaff).update({
+            where: { id: account.id },
+            data: { twoFactorSecret: encrypt(secret) }
+        });
+
+        res.status(200).json({
+            status: "OK",
+            message: "Scan the QR code with your authenticator app, then confirm with the code it shows.",
+            data: { secret, otpauthUrl: totpUri(secret, account.email) }
+        });
+    } catch (error) {
+        console.error("2FA Setup Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to start two-factor setup" });
+    }
+};
+
+/**
+ * 3. Confirm Enrolment (first code) and receive backup codes
+ * Body: { code }
+ * @route POST /api/v1/auth/2fa/enable
+ */
+const enableTwoFactor = async (req, res) => {
+    try {
+        const validation = codeSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const account = await loadAccount(req.user);
+        if (!account) {
+            return res.status(404).json({ status: "ERROR", message: "Account not found" });
+        }
+        if (account.twoFactorEnabled) {
+            return res.status(409).json({ status: "ERROR", message: "Two-factor authentication is already enabled" });
+        }
+        if (!account.twoFactorSecret) {
+            return res.status(400).json({ status: "ERROR", message: "Start two-factor setup first" });
+        }
+
+        if (!(await redeemTotp(accountModel(req.user.isStaff), account.id, decrypt(account.twoFactorSecret), validation.data.code))) {
+            return res.status(400).json({ status: "ERROR", message: "Invalid code. Check the time on your phone and try again." });
+        }
+
+        const { codes, hashes } = await generateBackupCodes();
+        await accountModel(req.user.isStaff).update({
+            where: { id: account.id },
+            data: { twoFactorEnabled: true, twoFactorBackupCodes: hashes }
+        });
+
+        res.status(200).json({
+            status: "OK",
+            message: "Two-factor authentication enabled. Store these backup codes somewhere safe; each works once.",
+            data: { backupCodes: codes }
+        });
+    } catch (error) {
+        console.error("2FA Enable Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to enable two-factor authentication" });
+    }
+};
+
+/**
+ * 4. Disable 2FA (not allowed for SUPER_ADMIN)
+ * Body: { password }
+ * @route POST /api/v1/auth/2fa/disable
+ */
+const disableTwoFactor = async (req, res) => {
+    try {
+        const validation = passwordSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const account = await loadAccount(req.user);
+        if (!account) {
+            return res.status(404).json({ status: "ERROR", message: "Account not found" });
+        }
+        if (account.role === 'SUPER_ADMIN') {
+            return res.status(403).json({ status: "ERROR", message: "Two-factor authentication is mandatory for Super Admin accounts" });
+        }
+        if (!account.twoFactorEnabled) {
+            return res.status(400).json({ status: "ERROR", message: "Two-factor authentication is not enabled" });
+        }
+
+        const isPasswordValid = await bcrypt.compare(validation.data.password, account.passwordHash);
+        if (!isPasswordValid) {
+            return res.status(401).json({ status: "ERROR", message: "Incorrect password" });
+        }
+
+        await accountModel(req.user.isStaff).update({
+            where: { id: account.id },
+            data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorBackupCodes: [] }
+        });
+
+        res.status(200).json({ status: "OK", message: "Two-factor authentication disabled" });
+    } catch (error) {
+        console.error("2FA Disable Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to disable two-factor authentication" });
+    }
+};
+
+/**
+ * 5. Replace Backup Codes (the old ones stop working)
+ * Body: { password }
+ * @route POST /api/v1/auth/2fa/backup-codes
+ */
+const regenerateBackupCodes = async (req, res) => {
+    try {
+        const validation = passwordSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const account = await loadAccount(req.user);
+        if (!account || !account.twoFactorEnabled) {
+            return res.status(400).json({ status: "ERROR", message: "Two-factor authentication is not enabled" });
+        }
+
+        const isPasswordValid = await bcrypt.compare(validation.data.password, account.passwordHash);
+        if (!isPasswordValid) {
+            return res.status(401).json({ status: "ERROR", message: "Incorrect password" });
+        }
+
+        const { codes, hashes } = await generateBackupCodes();
+        await accountModel(req.user.isStaff).update({
+            where: { id: account.id },
+            data: { twoFactorBackupCodes: hashes }
+        });
+
+        res.status(200).json({ status: "OK", message: "New backup codes generated", data: { backupCodes: codes } });
+    } catch (error) {
+        console.error("2FA Backup Codes Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to generate backup codes" });
+    }
+};
+
+/**
+ * 6. Email a Login Code (fallback when the authenticator is unavailable)
+ * Body: { challengeToken }
+ * @route POST /api/v1/auth/2fa/email-otp
+ */
+const sendChallengeEmailOtp = async (req, res) => {
+    try {
+        const validation = challengeSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const challenge = await findOpenChallenge(prisma, validation.data.challengeToken);
+        if (!challenge) {
+            return res.status(401).json({ status: "ERROR", message: "This sign-in has expired. Please log in again." });
+        }
+        if (challenge.isEnrolment) {
+            return res.status(400).json({ status: "ERROR", message: "Enter the code from your authenticator app to finish setting up two-factor authentication." });
+        }
+
+        const account = challenge.staff || challenge.user;
+        const purpose = challenge.staffId ? 'STAFF_LOGIN_2FA' : 'LOGIN_2FA';
+
+        if (await wasOtpRecentlySent(prisma, { email: account.email, purpose })) {
+            return res.status(429).json({ status: "ERROR", message: "A code was just sent. Please wait a minute before requesting another." });
+        }
+
+        await sendEmailOtp(prisma, { email: account.email, fullName: account.fullName, purpose });
+
+        res.status(200).json({ status: "OK", message: "A verification code has been sent to your email." });
+    } catch (error) {
+        console.error("2FA Email OTP Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to send verification code" });
+    }
+};
+
+/**
+ * 7. Complete Login with the Second Factor
+ * Body: { challengeToken, method: TOTP | BACKUP_CODE | EMAIL_OTP, code }
+ * Returns the same session as a plain login (users: accessToken/refreshToken,
+ * staff: data.token). Completing a SUPER_ADMIN enrolment also returns backup codes.
+ * @route POST /api/v1/auth/2fa/verify
+ */
+const verifyChallenge = async (req, res) => {
+    try {
+        const validation = verifySchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { challengeToken, method, code } = validation.data;
+
+        const challenge = await findOpenChallenge(prisma, challengeToken);
+        if (!challenge) {
+            return res.status(401).json({ status: "ERROR", message: "This sign-in has expired. Please log in again." });
+        }
+
+        const isStaff = Boolean(challenge.staffId);
+        const account = challenge.staff || challenge.user;
+
+        if (!isStaff && account.lockoutUntil && account.lockoutUntil > new Date()) {
+            const minutesLeft = Math.ceil((account.lockoutUntil - new Date()) / (60 * 1000));
+            return res.status(423).json({ status: "ERROR", message: `Account is temporarily locked. Try again in ${minutesLeft} minutes.` });
+        }
+        if (challenge.isEnrolment && method !== 'TOTP') {
+            return res.status(400).json({ status: "ERROR", message: "Enter the code from your authenticator app to finish setting up two-factor authentication." });
+        }
+
+        let isValid = false;
+        let remainingBackupCodes = null;
+
+        if (method === 'TOTP') {
+            isValid = await redeemTotp(accountModel(isStaff), account.id, decrypt(account.twoFactorSecret), code);
+        } else if (method === 'BACKUP_CODE') {
+            remainingBackupCodes = await redeemBackupCode(accountModel(isStaff), account.id, account.twoFactorBackupCodes, code);
+            isValid = remainingBackupCodes !== null;
+        } else {
+            isValid = await verifyEmailOtp(prisma, {
+                email: account.email,
+                purpose: isStaff ? 'STAFF_LOGIN_2FA' : 'LOGIN_2FA',
+                otp: code
+            });
+        }
+
+        if (!isValid) {
+            await prisma.twoFactorChallenge.update({
+                where: { id: challenge.id },
+                data: { attempts: { increment: 1 } }
+            });
+
+            // Users: wrong codes count towards the same lockout as wrong passwords
+            if (!isStaff) {
+                const newAttempts = account.failedLoginAttempts + 1;
+                await prisma.user.update({
+                    where: { id: account.id },
+                    data: {
+                        failedLoginAttempts: newAttempts,
+                        lockoutUntil: newAttempts >= MAX_FAILED_LOGINS ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000) : null
+                    }
+                });
+            }
+
+            return res.status(401).json({ status: "ERROR", message: "Invalid verification code" });
+        }
+
+        // Single use: only one request can redeem the challenge
+        const claimed = await prisma.twoFactorChallenge.updateMany({
+            where: { id: challenge.id, consumedAt: null },
+            data: { consumedAt: new Date() }
+        });
+        if (claimed.count === 0) {
+            return res.status(401).json({ status: "ERROR", message: "This sign-in has expired. Please log in again." });
+        }
+
+        if (isStaff) {
+            let backupCodes;
+            if (challenge.isEnrolment) {
+                const generated = await generateBackupCodes();
+                backupCodes = generated.codes;
+                await prisma.staff.update({
+                    where: { id: account.id },
+                    data: { twoFactorEnabled: true, twoFactorBackupCodes: generated.hashes }
+                });
+            }
+
+            return res.status(200).json({
+                status: "OK",
+                message: challenge.isEnrolment
+                    ? "Two-factor authentication enabled. Store these backup codes somewhere safe; each works once."
+                    : "Login successful",
+                data: { ...(await issueStaffSession(account, req)), ...(backupCodes && { backupCodes }) }
+            });
+        }
+
+        await prisma.user.update({
+            where: { id: account.id },
+            data: { failedLoginAttempts: 0, lockoutUntil: null }
+        });
+
+        const session = await issueUserSession(account, req);
+
+        res.status(200).json({
+            status: "OK",
+            message: "Login successful",
+            ...session,
+            ...(remainingBackupCodes && { backupCodesRemaining: remainingBackupCodes.length })
+        });
+    } catch (error) {
+        console.error("2FA Verify Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to verify code" });
+    }
+};
+
+module.exports = {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    sendChallengeEmailOtp,
+    verifyChallenge
+};
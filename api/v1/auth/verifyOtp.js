@@ -23,6 +23,7 @@ const verifyOtp = async (req, res) => {
         const record = await prisma.passwordResetOTP.findFirst({
             where: {
                 email,
+                purpose: 'PASSWORD_RESET',
                 expiresAt: {
                     gt: new Date()
                 }
@@ -0,0 +1,287 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, verifyTransactionPin } = require('@/lib/transactionPin');
+const { FLIGHT_ACTORS, isFlightWorkflowError } = require('@/lib/flightWorkflow');
+const { OPEN_CHANGE_STATES, changeTotal, transitionFlightChange, openFlightChange } = require('@/lib/flightChanges');
+
+const userActor = (req) => ({ type: FLIGHT_ACTORS.USER, id: req.user.id });
+const staffActor = (req) => ({ type: FLIGHT_ACTORS.STAFF, id: req.user.id });
+
+/**
+ * Validations
+ */
+const changeRequestSchema = z.object({
+    type: z.enum(['DATE_CHANGE', 'NAME_CORRECTION', 'REBOOKING']),
+    newTargetDate: z.string().datetime().optional(),
+    passengerCorrections: z.array(z.object({
+        passengerId: z.string().min(1),
+        title: z.string().min(1).optional(),
+        firstName: z.string().min(1).optional(),
+        lastName: z.string().min(1).optional(),
+        dateOfBirth: z.string().datetime().optional()
+    })).optional(),
+    userNote: z.string().max(1000).optional()
+}).superRefine((data, ctx) => {
+    if (data.type !== 'NAME_CORRECTION' && !data.newTargetDate) {
+        ctx.addIssue({ code: 'custom', path: ['newTargetDate'], message: "Please choose the new travel date" });
+    }
+    if (data.newTargetDate && new Date(data.newTargetDate) <= new Date()) {
+        ctx.addIssue({ code: 'custom', path: ['newTargetDate'], message: "The new travel date must be in the future" });
+    }
+    if (data.type === 'NAME_CORRECTION' && !data.passengerCorrections?.length) {
+        ctx.addIssue({ code: 'custom', path: ['passengerCorrections'], message: "Please provide the passenger corrections" });
+    }
+});
+
+const payChangeSchema = z.object({
+    transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
+});
+
+const quoteChangeSchema = z.object({
+    changeFee: z.number().min(0),
+    fareDifference: z.number().min(0),
+    staffNote: z.string().max(1000).optional()
+});
+
+const issueChangeSchema = z.object({
+    eTicketUrl: z.string().url(),
+    pnr: z.string().min(1).optional(),
+    airlineName: z.string().min(1).optional(),
+    departureTime: z.string().optional(),
+    arrivalTime: z.string().optional(),
+    legs: z.array(z.object({
+        airline: z.string().optional(),
+        flightNumber: z.string().optional(),
+        origin: z.string().optional(),
+        destination: z.string().optional(),
+        departureTime: z.string().optional(),
+        arrivalTime: z.string().optional()
+    })).optional()
+});
+
+const rejectChangeSchema = z.object({
+    reason: z.string().min(3).max(500)
+});
+
+/**
+ * 1. User requests a change to a ticketed booking
+ * Body: { type, newTargetDate?, passengerCorrections?, userNote? }
+ * @route POST /api/v1/flights/user/:id/changes
+ */
+const requestChange = async (req, res) => {
+    try {
+        const validation = changeRequestSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const change = await openFlightChange(req.user.id, req.params.id, validation.data);
+
+        res.status(201).json({ status: "OK", message: "Change request submitted. We will send you a quote shortly.", data: change });
+    } catch (error) {
+        console.error("Request Flight Change Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        res.status(500).json({ status: "ERROR", message: "Failed to submit change request" });
+    }
+};
+
+/**
+ * 2. User lists the change requests on one of their bookings
+ * @route GET /api/v1/flights/user/:id/changes
+ */
+const getUserChanges = async (req, res) => {
+    try {
+        const booking = await prisma.flightBookingRequest.findFirst({
+            where: { id: req.params.id, userId: req.user.id },
+            select: { id: true }
+        });
+        if (!booking) return res.status(404).json({ status: "ERROR", message: "Flight request not found" });
+
+        const changes = await prisma.flightChangeRequest.findMany({
+            where: { flightRequestId: booking.id },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.status(200).json({ status: "OK", data: changes.map(change => ({ ...change, totalAmount: changeTotal(change) })) });
+    } catch (error) {
+        console.error("Get Flight Changes Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch change requests" });
+    }
+};
+
+/**
+ * 3. User pays a change quote from their wallet
+ * Body: { transactionPin }
+ * @route POST /api/v1/flights/user/changes/:changeId/pay
+ */
+const payForChange = async (req, res) => {
+    try {
+        const validation = payChangeSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, ...PIN_FIELDS }
+        });
+        if (!user) throw new Error("User not found");
+        await verifyTransactionPin(user, validation.data.transactionPin);
+
+        const change = await transitionFlightChange(req.params.changeId, 'pay', { actor: userActor(req) });
+
+        res.status(200).json({ status: "OK", message: "Payment successful. Your revised ticket is being issued.", data: change });
+    } catch (error) {
+        console.error("Flight Change Payment Error:", error);
+        res.status(isKycLimitError(error) || isPinError(error) || isFlightWorkflowError(error) ? error.status : 400).json({ status: "ERROR", message: error.message || "Payment failed" });
+    }
+};
+
+/**
+ * 4. User withdraws a change request before paying
+ * @route POST /api/v1/flights/user/changes/:changeId/cancel
+ */
+const cancelChange = async (req, res) => {
+    try {
+        const change = await transitionFlightChange(req.params.changeId, 'cancel', { actor: userActor(req) });
+        res.status(200).json({ status: "OK", message: "Change request cancelled", data: change });
+    } catch (error) {
+        console.error("Cancel Flight Change Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        res.status(500).json({ status: "ERROR", message: "Failed to cancel change request" });
+    }
+};
+
+/**
+ * 5. Staff lists change requests, oldest first (open ones unless ?status= is given)
+ * Query: ?status=REQUESTED|QUOTED|PAID|COMPLETED|CANCELLED|REJECTED
+ * @route GET /api/v1/flights/staff/changes
+ */
+const getAllChanges = async (req, res) => {
+    try {
+        const status = z.enum(['REQUESTED', 'QUOTED', 'PAID', 'COMPLETED', 'CANCELLED', 'REJECTED']).safeParse(req.query.status);
+
+        const changes = await prisma.flightChangeRequest.findMany({
+            where: { status: status.success ? status.data : { in: OPEN_CHANGE_STATES } },
+            orderBy: { createdAt: 'asc' },
+            take: 100,
+            include: {
+                flightRequest: {
+                    select: {
+                        id: true,
+                        origin: true,
+                        destination: true,
+                        targetDate: true,
+                        airlineName: true,
+                        pnr: true,
+                        status: true,
+                        user: { select: { fullName: true, email: true, phoneNumber: true } },
+                        passengers: true
+                    }
+                }
+            }
+        });
+
+        res.status(200).json({ status: "OK", data: changes.map(change => ({ ...change, totalAmount: changeTotal(change) })) });
+    } catch (error) {
+        console.error("Get All Flight Changes Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch change requests" });
+    }
+};
+
+/**
+ * 6. Staff quotes a change fee and fare difference
+ * Body: { changeFee, fareDifference, staffNote? }
+ * @route POST /api/v1/flights/staff/changes/:changeId/quote
+ */
+const quoteChange = async (req, res) => {
+    try {
+        const validation = quoteChangeSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const change = await transitionFlightChange(req.params.changeId, 'quote', {
+            actor: staffActor(req),
+            input: validation.data
+        });
+
+        res.status(200).json({ status: "OK", message: "Change quoted and the user notified", data: change });
+    } catch (error) {
+        console.error("Quote Flight Change Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        res.status(500).json({ status: "ERROR", message: "Failed to quote change request" });
+    }
+};
+
+/**
+ * 7. Staff issues the revised ticket for a paid change
+ * Body: { eTicketUrl, pnr?, airlineName?, departureTime?, arrivalTime?, legs? }
+ * @route POST /api/v1/flights/staff/changes/:changeId/issue
+ */
+const issueChange = async (req, res) => {
+    try {
+        const validation = issueChangeSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const change = await transitionFlightChange(req.params.changeId, 'issue', {
+            actor: staffActor(req),
+            input: validation.data
+        });
+
+        res.status(200).json({ status: "OK", message: "Revised ticket issued and emailed to the user", data: change });
+    } catch (error) {
+        console.error("Issue Flight Change Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        res.status(500).json({ status: "ERROR", message: "Failed to issue revised ticket" });
+    }
+};
+
+/**
+ * 8. Staff rejects a change; anything paid for it is refunded
+ * Body: { reason }
+ * @route POST /api/v1/flights/staff/changes/:changeId/reject
+ */
+const rejectChange = async (req, res) => {
+    try {
+        const validation = rejectChangeSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const change = await transitionFlightChange(req.params.changeId, 'reject', {
+            actor: staffActor(req),
+            input: validation.data
+        });
+
+        res.status(200).json({ status: "OK", message: "Change request rejected", data: change });
+    } catch (error) {
+        console.error("Reject Flight Change Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        res.status(500).json({ status: "ERROR", message: "Failed to reject change request" });
+    }
+};
+
+module.exports = {
+    requestChange,
+    getUserChanges,
+    payForChange,
+    cancelChange,
+    getAllChanges,
+    quoteChange,
+    issueChange,
+    rejectChange
+};
@@ -0,0 +1,125 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { ANY_AIRLINE, ANY_CLASS } = require('@/lib/flightRefunds');
+
+/**
+ * Refund policies decide what a cancelled paid booking gets back
+ * (see lib/flightRefunds.js). airlineName "*" is the default for every airline,
+ * flightClass "ANY" covers every fare class of the airline.
+ */
+const refundPolicySchema = z.object({
+    airlineName: z.string().trim().min(1),
+    flightClass: z.string().trim().min(1).transform(value => value.toUpperCase()).default(ANY_CLASS),
+    isRefundable: z.boolean().default(true),
+    airlinePenaltyPercent: z.number().min(0).max(100).default(0),
+    airlinePenaltyFlat: z.number().min(0).default(0),
+    serviceFee: z.number().min(0).default(0),
+    notes: z.string().optional()
+});
+
+const updateRefundPolicySchema = z.object({
+    isRefundable: z.boolean().optional(),
+    airlinePenaltyPercent: z.number().min(0).max(100).optional(),
+    airlinePenaltyFlat: z.number().min(0).optional(),
+    serviceFee: z.number().min(0).optional(),
+    notes: z.string().nullable().optional()
+});
+
+/**
+ * 1. Staff lists refund policies
+ * @route GET /api/v1/flights/staff/refund-policies
+ */
+const getRefundPolicies = async (req, res) => {
+    try {
+        const policies = await prisma.flightRefundPolicy.findMany({
+            orderBy: [{ airlineName: 'asc' }, { flightClass: 'asc' }]
+        });
+        res.status(200).json({ status: "OK", data: policies });
+    } catch (error) {
+        console.error("Get Refund Policies Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch refund policies" });
+    }
+};
+
+/**
+ * 2. Staff creates a refund policy for an airline / fare class
+ * @route POST /api/v1/flights/staff/refund-policies
+ */
+const createRefundPolicy = async (req, res) => {
+    try {
+        const validation = refundPolicySchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { airlineName, flightClass } = validation.data;
+        const existing = await prisma.flightRefundPolicy.findFirst({
+            where: {
+                airlineName: airlineName === ANY_AIRLINE ? ANY_AIRLINE : { equals: airlineName, mode: 'insensitive' },
+                flightClass
+            }
+        });
+        if (existing) {
+            return res.status(409).json({ status: "ERROR", message: `A refund policy for ${existing.airlineName} (${flightClass}) already exists` });
+        }
+
+        const policy = await prisma.flightRefundPolicy.create({ data: validation.data });
+
+        res.status(201).json({ status: "OK", message: "Refund policy created", data: policy });
+    } catch (error) {
+        console.error("Create Refund Policy Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to create refund policy" });
+    }
+};
+
+/**
+ * 3. Staff updates a refund policy's terms
+ * Only affects refunds paid out after the change; earlier ones keep their breakdown.
+ * @route PATCH /api/v1/flights/staff/refund-policies/:id
+ */
+const updateRefundPolicy = async (req, res) => {
+    try {
+        const validation = updateRefundPolicySchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const existing = await prisma.flightRefundPolicy.findUnique({ where: { id: req.params.id } });
+        if (!existing) return res.status(404).json({ status: "ERROR", message: "Refund policy not found" });
+
+        const policy = await prisma.flightRefundPolicy.update({
+            where: { id: existing.id },
+            data: validation.data
+        });
+
+        res.status(200).json({ status: "OK", message: "Refund policy updated", data: policy });
+    } catch (error) {
+        console.error("Update Refund Policy Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to update refund policy" });
+    }
+};
+
+/**
+ * 4. Staff deletes a refund policy
+ * Bookings it covered fall back to the next matching policy.
+ * @route DELETE /api/v1/flights/staff/refund-policies/:id
+ */
+const deleteRefundPolicy = async (req, res) => {
+    try {
+        const existing = await prisma.flightRefundPolicy.findUnique({ where: { id: req.params.id } });
+        if (!existing) return res.status(404).json({ status: "ERROR", message: "Refund policy not found" });
+
+        await prisma.flightRefundPolicy.delete({ where: { id: existing.id } });
+        res.status(200).json({ status: "OK", message: "Refund policy deleted" });
+    } catch (error) {
+        console.error("Delete Refund Policy Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to delete refund policy" });
+    }
+};
+
+module.exports = {
+    getRefundPolicies,
+    createRefundPolicy,
+    updateRefundPolicy,
+    deleteRefundPolicy
+};
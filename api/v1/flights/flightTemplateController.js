@@ -1,5 +1,6 @@
 const { z } = require('zod');
 const prisma = require('@/lib/prisma');
+const { FLIGHT_ACTORS, isFlightWorkflowError, transitionFlight } = require('@/lib/flightWorkflow');
 
 const flightTemplateSchema = z.object({
     airlineName: z.string().min(1),
@@ -92,36 +93,26 @@ const quoteFromTemplate = async (req, res) => {
         const template = await prisma.savedFlightTemplate.findUnique({ where: { id: templateId } });
         if (!template) return res.status(404).json({ status: "ERROR", message: "Template not found" });
 
-        const flightRequest = await prisma.flightBookingRequest.findUnique({ where: { id: requestId } });
-        if (!flightRequest) return res.status(404).json({ status: "ERROR", message: "Request not found" });
-
-        // Update request directly to QUOTED
-        const updatedRequest = await prisma.flightBookingRequest.update({
-            where: { id: requestId },
+        // Same rules as a manual quote: only a request with a selection can be quoted
+        const updatedRequest = await transitionFlight(requestId, 'quote', {
+            actor: { type: FLIGHT_ACTORS.STAFF, id: staffId },
             data: {
-                status: 'QUOTED',
                 airlineName: template.airlineName,
                 pnr: pnr,
                 ticketingTimeLimit: new Date(ticketingTimeLimit),
                 netCost: template.basePrice,
                 sellingPrice: adjustedPrice || template.basePrice,
                 // We could also store other template info in metadata if needed
-            }
-        });
-
-        await prisma.flightRequestActivity.create({
-            data: {
-                requestId,
-                staffId,
-                previousState: flightRequest.status,
-                newState: 'QUOTED',
-                actionDetails: `Staff quoted from template ${template.airlineName} (Price: ${adjustedPrice || template.basePrice})`
-            }
+            },
+            details: `Staff quoted from template ${template.airlineName} (Price: ${adjustedPrice || template.basePrice})`
         });
 
         res.status(200).json({ status: "OK", message: "Quote applied successfully", data: updatedRequest });
     } catch (error) {
         console.error("Quote from Template Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
         res.status(500).json({ status: "ERROR", message: "Failed to apply template quote" });
     }
 };
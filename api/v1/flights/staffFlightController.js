@@ -2,8 +2,21 @@ const { z } = require('zod');
 const prisma = require('@/lib/prisma');
 
 const crypto = require('crypto');
-const sendEmail = require('@/lib/mailer');
-const { generateFlightTicketEmailTemplate } = require('@/lib/emailTemplates');
+const { FLIGHT_ACTORS, REFUNDABLE_STATES, isFlightWorkflowError, transitionFlight } = require('@/lib/flightWorkflow');
+const { quoteFlightRefund } = require('@/lib/flightRefunds');
+const { OPEN_CHANGE_STATES } = require('@/lib/flightChanges');
+const {
+    FLIGHT_SLAS,
+    CLOSED_STATES,
+    slaFor,
+    overdueWhere,
+    claimFlightRequest,
+    releaseFlightRequest,
+    assignFlightRequest,
+    agentPerformance
+} = require('@/lib/flightQueue');
+
+const staffActor = (req) => ({ type: FLIGHT_ACTORS.STAFF, id: req.user.id });
 
 /**
  * Validations
@@ -53,6 +66,30 @@ const fulfillTicketSchema = z.object({
     pnr: z.string().optional()
 });
 
+// No amount refunds everything still refundable under the booking's policy;
+// bookings with no policy (refund on review) need the amount
+const refundFlightSchema = z.object({
+    amount: z.number().positive().optional(),
+    reason: z.string().max(500).optional()
+});
+
+// staffId null puts the request back in the unassigned queue
+const assignFlightSchema = z.object({
+    staffId: z.string().min(1).nullable()
+});
+
+const performanceQuerySchema = z.object({
+    from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "from must be a date in YYYY-MM-DD format").optional(),
+    to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "to must be a date in YYYY-MM-DD format").optional()
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PERFORMANCE_DAYS = 92;
+
+const ASSIGNED_STAFF_INCLUDE = { assignedStaff: { select: { id: true, fullName: true } } };
+
+const withSla = (request, now) => ({ ...request, passengerDetails: request.passengers, sla: slaFor(request, now) });
+
 /**
  * 1. Admin/Staff Provides Flight Options (Phase 2)
  * @route POST /api/v1/flights/staff/:id/options
@@ -64,43 +101,24 @@ const provideOptions = async (req, res) => {
             return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
         }
 
-        const requestId = req.params.id;
-        const staffId = req.user.id; // Assuming auth route attaches staff id
-
-        const flightRequest = await prisma.flightBookingRequest.findUnique({ where: { id: requestId } });
-        if (!flightRequest) return res.status(404).json({ status: "ERROR", message: "Request not found" });
-
-        if (flightRequest.status !== 'FUTURE_HELD' && flightRequest.status !== 'PENDING') {
-            return res.status(400).json({ status: "ERROR", message: `Cannot provide options in state: ${flightRequest.status}` });
-        }
-
         // Generate unique IDs for options if not provided
         const optionsWithIds = validation.data.flightOptions.map(opt => ({
             ...opt,
             id: opt.id || crypto.randomUUID()
         }));
 
-        const updatedRequest = await prisma.flightBookingRequest.update({
-            where: { id: requestId },
-            data: {
-                status: 'OPTIONS_PROVIDED',
-                flightOptions: optionsWithIds
-            }
-        });
-
-        await prisma.flightRequestActivity.create({
-            data: {
-                requestId,
-                staffId,
-                previousState: flightRequest.status,
-                newState: 'OPTIONS_PROVIDED',
-                actionDetails: `Staff provided ${validation.data.flightOptions.length} flight options.`
-            }
+        const updatedRequest = await transitionFlight(req.params.id, 'provideOptions', {
+            actor: staffActor(req),
+            data: { flightOptions: optionsWithIds },
+            details: `Staff provided ${optionsWithIds.length} flight options.`
         });
 
         res.status(200).json({ status: "OK", message: "Options sent to user", data: updatedRequest });
     } catch (error) {
         console.error("Provide Options Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
         res.status(500).json({ status: "ERROR", message: "Failed to provide options" });
     }
 };
@@ -116,50 +134,29 @@ const quoteFlight = async (req, res) => {
             return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
         }
 
-        const { airlineName, pnr, ticketingTimeLimit, netCost, sellingPrice } = validation.data;
-        const requestId = req.params.id;
-        const staffId = req.user.id;
-
-        // Concurrency Lock: Ensure state is SELECTION_MADE
-        const flightRequest = await prisma.flightBookingRequest.findFirst({
-            where: { id: requestId, status: 'SELECTION_MADE' }
-        });
+        const { pnr, ticketingTimeLimit, sellingPrice } = validation.data;
 
-        if (!flightRequest) {
-            return res.status(400).json({
-                status: "ERROR",
-                message: "Flight must be in SELECTION_MADE state to be quoted. It may have already been quoted by another agent."
-            });
-        }
-
-        const updatedRequest = await prisma.flightBookingRequest.update({
-            where: { id: requestId, status: 'SELECTION_MADE' }, // Strict concurrency lock
+        const updatedRequest = await transitionFlight(req.params.id, 'quote', {
+            actor: staffActor(req),
             data: {
-                status: 'QUOTED',
                 airlineName: validation.data.airlineName,
-                pnr: validation.data.pnr,
-                ticketingTimeLimit: new Date(validation.data.ticketingTimeLimit),
+                pnr,
+                ticketingTimeLimit: new Date(ticketingTimeLimit),
                 netCost: validation.data.netCost,
-                sellingPrice: validation.data.sellingPrice,
+                sellingPrice,
                 departureTime: validation.data.departureTime,
                 arrivalTime: validation.data.arrivalTime,
                 legs: validation.data.legs
-            }
-        });
-
-        await prisma.flightRequestActivity.create({
-            data: {
-                requestId,
-                staffId,
-                previousState: 'SELECTION_MADE',
-                newState: 'QUOTED',
-                actionDetails: `Staff quoted PNR ${pnr} at NGN ${sellingPrice}. TTL: ${ticketingTimeLimit}`
-            }
+            },
+            details: `Staff quoted PNR ${pnr} at NGN ${sellingPrice}. TTL: ${ticketingTimeLimit}`
         });
 
         res.status(200).json({ status: "OK", message: "Flight quoted successfully", data: updatedRequest });
     } catch (error) {
         console.error("Quote Flight Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
         res.status(500).json({ status: "ERROR", message: "Failed to quote flight" });
     }
 };
@@ -175,73 +172,23 @@ const fulfillTicket = async (req, res) => {
             return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
         }
 
-        const requestId = req.params.id;
-        const staffId = req.user.id;
-
-        // Must be in PAID_PROCESSING
-        const flightRequest = await prisma.flightBookingRequest.findFirst({
-            where: { id: requestId, status: 'PAID_PROCESSING' },
-            include: { user: { select: { fullName: true, email: true } } }
-        });
-
-        if (!flightRequest) {
-            return res.status(400).json({
-                status: "ERROR",
-                message: "Flight must be in PAID_PROCESSING state to fulfill."
-            });
-        }
-
-        const updatedRequest = await prisma.flightBookingRequest.update({
-            where: { id: requestId, status: 'PAID_PROCESSING' }, // Strict concurrency lock
-            data: {
-                status: 'TICKETED',
-                eTicketUrl: validation.data.eTicketUrl || null,
-                pnr: validation.data.pnr || flightRequest.pnr // Update PNR if provided, else keep existing
-            }
-        });
-
-        const actionDetailsText = validation.data.ticketDetails
-            ? `Staff fulfilled ticket and uploaded E-Ticket. Details: ${validation.data.ticketDetails}`
-            : `Staff fulfilled ticket and uploaded E-Ticket`;
+        const { eTicketUrl, ticketDetails, pnr } = validation.data;
 
-        await prisma.flightRequestActivity.create({
-            data: {
-                requestId,
-                staffId,
-                previousState: 'PAID_PROCESSING',
-                newState: 'TICKETED',
-                actionDetails: actionDetailsText
-            }
+        // The workflow emails the e-ticket and notifies partner webhooks once it is saved
+        const updatedRequest = await transitionFlight(req.params.id, 'ticket', {
+            actor: staffActor(req),
+            data: { eTicketUrl: eTicketUrl || null, ...(pnr && { pnr }) },
+            details: ticketDetails
+                ? `Staff fulfilled ticket and uploaded E-Ticket. Details: ${ticketDetails}`
+                : `Staff fulfilled ticket and uploaded E-Ticket`
         });
 
-        // 4. Send Ticket Email to User
-        try {
-            const emailHtml = generateFlightTicketEmailTemplate({
-                userName: flightRequest.user?.fullName || 'Valued Customer',
-                origin: flightRequest.origin,
-                destination: flightRequest.destination,
-                pnr: validation.data.pnr || flightRequest.pnr,
-                airlineName: flightRequest.airlineName,
-                departureTime: flightRequest.departureTime,
-                arrivalTime: flightRequest.arrivalTime,
-                tripType: flightRequest.tripType,
-                eTicketUrl: updatedRequest.eTicketUrl,
-                legs: flightRequest.legs
-            });
-
-            await sendEmail({
-                to: flightRequest.user?.email,
-                subject: `Your E-Ticket is Ready: ${flightRequest.origin} to ${flightRequest.destination}`,
-                html: emailHtml,
-                text: `Hello, your flight booking ref ${validation.data.pnr || flightRequest.pnr} has been ticketed. Download here: ${updatedRequest.eTicketUrl}`
-            });
-        } catch (emailErr) {
-            console.error("Fulfill Ticket Email Error (Non-blocking):", emailErr);
-        }
-
         res.status(200).json({ status: "OK", message: "Flight ticketed and email sent successfully", data: updatedRequest });
     } catch (error) {
         console.error("Fulfill Ticket Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
         res.status(500).json({ status: "ERROR", message: "Failed to fulfill ticket" });
     }
 };
@@ -252,13 +199,27 @@ const fulfillTicket = async (req, res) => {
  */
 const getAllRequests = async (req, res) => {
     try {
-        const { status, days } = req.query;
+        const { status, days, assigned, overdue } = req.query;
+        const now = new Date();
         let where = {};
 
         if (status && status !== 'ALL') {
             where.status = status;
         }
 
+        // assigned=me | unassigned | <staffId>
+        if (assigned === 'me') {
+            where.assignedStaffId = req.user.id;
+        } else if (assigned === 'unassigned') {
+            where.assignedStaffId = null;
+        } else if (assigned) {
+            where.assignedStaffId = assigned;
+        }
+
+        if (overdue === 'true') {
+            where = { AND: [where, overdueWhere(now)] };
+        }
+
         if (days) {
             const date = new Date();
             const daysNum = parseInt(days);
@@ -271,12 +232,12 @@ const getAllRequests = async (req, res) => {
 
         const requests = await prisma.flightBookingRequest.findMany({
             where,
-            orderBy: { createdAt: 'desc' },
+            orderBy: overdue === 'true' ? { statusChangedAt: 'asc' } : { createdAt: 'desc' },
             take: 100, // Bound results to prevent heap spikes
-            include: { user: { select: { fullName: true, email: true, phoneNumber: true } }, passengers: true }
+            include: { user: { select: { fullName: true, email: true, phoneNumber: true } }, passengers: true, ...ASSIGNED_STAFF_INCLUDE }
         });
 
-        const mappedRequests = requests.map(r => ({ ...r, passengerDetails: r.passengers }));
+        const mappedRequests = requests.map(r => withSla(r, now));
 
         res.status(200).json({ status: "OK", data: mappedRequests });
     } catch (error) {
@@ -293,11 +254,12 @@ const getDashboardData = async (req, res) => {
     console.log("Dashboard Hit");
     try {
         const staffId = req.user.id;
+        const now = new Date();
 
         console.log("Staff ID:", staffId);
 
-        // Parallelize fetching staff info, stats aggregation, and recent requests
-        const [staff, statusGroups, recentRequests] = await Promise.all([
+        // Parallelize fetching staff info, stats aggregation, recent requests and the work queues
+        const [staff, statusGroups, recentRequests, openChanges, overdueRequests, overdueCount, mine, unassigned] = await Promise.all([
             prisma.staff.findUnique({
                 where: { id: staffId },
                 select: { fullName: true, role: true }
@@ -311,8 +273,29 @@ const getDashboardData = async (req, res) => {
                 orderBy: { createdAt: 'desc' },
                 include: {
                     user: { select: { fullName: true, email: true, phoneNumber: true } },
-                    passengers: true
+                    passengers: true,
+                    ...ASSIGNED_STAFF_INCLUDE
+                }
+            }),
+            prisma.flightChangeRequest.count({
+                where: { status: { in: OPEN_CHANGE_STATES } }
+            }),
+            prisma.flightBookingRequest.findMany({
+                where: overdueWhere(now),
+                orderBy: { statusChangedAt: 'asc' },
+                take: 60,
+                include: {
+                    user: { select: { fullName: true, email: true, phoneNumber: true } },
+                    passengers: true,
+                    ...ASSIGNED_STAFF_INCLUDE
                 }
+            }),
+            prisma.flightBookingRequest.count({ where: overdueWhere(now) }),
+            prisma.flightBookingRequest.count({
+                where: { assignedStaffId: staffId, status: { notIn: CLOSED_STATES } }
+            }),
+            prisma.flightBookingRequest.count({
+                where: { assignedStaffId: null, status: { in: Object.keys(FLIGHT_SLAS) } }
             })
         ]);
 
@@ -327,21 +310,32 @@ const getDashboardData = async (req, res) => {
         const stats = {
             totalRequests: statusGroups.reduce((acc, curr) => acc + curr._count._all, 0),
             pending: statsMap['FUTURE_HELD'] || 0,
+            awaitingOptions: statsMap['AWAITING_OPTIONS'] || 0,
             awaitingSelection: statsMap['OPTIONS_PROVIDED'] || 0,
             selectionMade: statsMap['SELECTION_MADE'] || 0,
             quoted: statsMap['QUOTED'] || 0,
             processing: statsMap['PAID_PROCESSING'] || 0,
             completed: statsMap['TICKETED'] || 0,
-            cancelled: statsMap['CANCELLED'] || 0
+            cancelled: statsMap['CANCELLED'] || 0,
+            partiallyRefunded: statsMap['PARTIALLY_REFUNDED'] || 0,
+            openChanges,
+            assignedToMe: mine,
+            unassigned,
+            overdue: overdueCount
         };
 
-        const mappedRequests = recentRequests.map(r => ({ ...r, passengerDetails: r.passengers }));
+        // Oldest first within each SLA stage
+        const overdue = { options: [], quote: [], ticket: [] };
+        overdueRequests.forEach(r => overdue[FLIGHT_SLAS[r.status].stage].push(withSla(r, now)));
+
+        const mappedRequests = recentRequests.map(r => withSla(r, now));
 
         res.status(200).json({
             status: "OK",
             data: {
                 user: staff,
                 stats,
+                overdue,
                 requests: mappedRequests
             }
         });
@@ -386,122 +380,96 @@ const getRequestHistory = async (req, res) => {
  */
 const cancelFlightRequest = async (req, res) => {
     try {
-        const requestId = req.params.id;
-        const staffId = req.user.id;
-
-        const flightRequest = await prisma.flightBookingRequest.findUnique({
-            where: { id: requestId }
-        });
-
-        if (!flightRequest) return res.status(404).json({ status: "ERROR", message: "Request not found" });
-
-        // Only allow cancel if not already paid/ticketed/refunded
-        if (['PAID_PROCESSING', 'TICKETED', 'CANCELLED', 'REFUNDED'].includes(flightRequest.status)) {
-            return res.status(400).json({ status: "ERROR", message: `Cannot cancel a request in ${flightRequest.status} state.` });
-        }
-
-        const updatedRequest = await prisma.flightBookingRequest.update({
-            where: { id: requestId },
-            data: { status: 'CANCELLED' }
-        });
-
-        await prisma.flightRequestActivity.create({
-            data: {
-                requestId,
-                staffId,
-                previousState: flightRequest.status,
-                newState: 'CANCELLED',
-                actionDetails: 'Staff manually cancelled the request'
-            }
+        // Paid requests are refunded instead (see refundFlightRequest)
+        const updatedRequest = await transitionFlight(req.params.id, 'cancel', {
+            actor: staffActor(req),
+            details: 'Staff manually cancelled the request'
         });
 
         res.status(200).json({ status: "OK", message: "Flight request cancelled successfully", data: updatedRequest });
     } catch (error) {
         console.error("Staff Cancel Flight Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
         res.status(500).json({ status: "ERROR", message: "Failed to cancel flight request" });
     }
 };
 
 /**
- * 8. Staff Refunds a Paid/Ticketed Flight
+ * 8. Staff Refunds a Paid/Ticketed Flight, in full or in part
+ * Body: { amount?, reason? }
  * @route POST /api/v1/flights/staff/:id/refund
  */
 const refundFlightRequest = async (req, res) => {
     try {
-        const requestId = req.params.id;
-        const staffId = req.user.id;
-
-        const result = await prisma.$transaction(async (tx) => {
-            const flightRequest = await tx.flightBookingRequest.findUnique({
-                where: { id: requestId }
-            });
-
-            if (!flightRequest) throw new Error("Request not found");
-
-            // Must be PAID_PROCESSING or TICKETED to refund
-            if (!['PAID_PROCESSING', 'TICKETED'].includes(flightRequest.status)) {
-                throw new Error(`Cannot refund a request in ${flightRequest.status} state.`);
-            }
-
-            if (!flightRequest.sellingPrice) {
-                throw new Error("No payment amount recorded to refund.");
-            }
-
-            const refundAmount = Number(flightRequest.sellingPrice);
-
-            // Refund to user's wallet
-            const wallet = await tx.wallet.update({
-                where: { userId: flightRequest.userId },
-                data: { balance: { increment: refundAmount } }
-            });
-
-            // Create Refund Transaction Record
-            const txRef = `RFN-${require('crypto').randomBytes(4).toString('hex').toUpperCase()}`;
-            await tx.flightTransaction.create({
-                data: {
-                    walletId: wallet.id,
-                    type: 'REFUND',
-                    amount: refundAmount,
-                    reference: txRef,
-                    flightRequestId: requestId
-                }
-            });
-
-            const updatedRequest = await tx.flightBookingRequest.update({
-                where: { id: requestId },
-                data: { status: 'REFUNDED' }
-            });
-
-            await tx.flightRequestActivity.create({
-                data: {
-                    requestId,
-                    staffId,
-                    previousState: flightRequest.status,
-                    newState: 'REFUNDED',
-                    actionDetails: `Staff refunded NGN ${refundAmount} to the user's wallet`
+        const validation = refundFlightSchema.safeParse(req.body ?? {});
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+        const { amount, reason } = validation.data;
+
+        const request = await prisma.flightBookingRequest.findUnique({ where: { id: req.params.id } });
+        if (!request) return res.status(404).json({ status: "ERROR", message: "Flight request not found" });
+
+        // Less than what is left is a partial refund; the workflow re-checks both against the policy.
+        // Without a policy the amount is the reviewed refund and settles the booking.
+        let event = 'refund';
+        if (amount !== undefined && REFUNDABLE_STATES.includes(request.status)) {
+            const quote = await quoteFlightRefund(prisma, request);
+            if (quote.onReview) {
+                if (amount > quote.unrefunded) {
+                    return res.status(400).json({ status: "ERROR", message: `Only ₦${quote.unrefunded} has been paid and not refunded on this booking` });
                 }
-            });
+            } else if (quote.remaining > 0 && amount > quote.remaining) {
+                return res.status(400).json({ status: "ERROR", message: `Only ₦${quote.remaining} is still refundable on this booking` });
+            }
+            if (!quote.onReview && amount < quote.remaining) event = 'partialRefund';
+        }
+        if (event === 'partialRefund' && request.status === 'PAID_PROCESSING') {
+            return res.status(409).json({ status: "ERROR", message: "This booking is not ticketed yet, so it can only be refunded in full" });
+        }
 
-            return updatedRequest;
+        // Credits the user's wallet in the same transaction as the status change
+        const result = await transitionFlight(request.id, event, {
+            actor: staffActor(req),
+            input: { amount, reason }
         });
 
-        res.status(200).json({ status: "OK", message: "Flight refunded successfully", data: result });
+        res.status(200).json({
+            status: "OK",
+            message: event === 'partialRefund' ? "Partial refund issued successfully" : "Flight refunded successfully",
+            data: result
+        });
     } catch (error) {
         console.error("Staff Refund Flight Error:", error);
-        res.status(400).json({ status: "ERROR", message: error.message || "Failed to refund flight request" });
+        res.status(isFlightWorkflowError(error) ? error.status : 400).json({ status: "ERROR", message: error.message || "Failed to refund flight request" });
     }
 };
 
 /**
- * 9. Get Global Flight Transactions List (Super Admin only)
+ * 9. Staff previews the refund for a paid booking
+ * @route GET /api/v1/flights/staff/:id/refund-quote
+ */
+const getRefundQuote = async (req, res) => {
+    try {
+        const request = await prisma.flightBookingRequest.findUnique({ where: { id: req.params.id } });
+        if (!request) return res.status(404).json({ status: "ERROR", message: "Flight request not found" });
+
+        const quote = await quoteFlightRefund(prisma, request);
+        res.status(200).json({ status: "OK", data: { status: request.status, ...quote } });
+    } catch (error) {
+        console.error("Staff Refund Quote Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to calculate refund" });
+    }
+};
+
+/**
+ * 10. Get Global Flight Transactions List (ledger:read or flights:handle)
  * @route GET /api/v1/flights/staff/transactions
  */
 const getAllFlightTransactions = async (req, res) => {
     try {
-        if (req.user.role !== 'SUPER_ADMIN') {
-            return res.status(403).json({ status: "ERROR", message: "Unauthorized access" });
-        }
-
         const transactions = await prisma.flightTransaction.findMany({
             orderBy: { createdAt: 'desc' },
             take: 100, // Bound results to prevent heap spikes
@@ -529,6 +497,99 @@ const getAllFlightTransactions = async (req, res) => {
     }
 };
 
+/**
+ * 11. Staff claims an unassigned request
+ * @route POST /api/v1/flights/staff/:id/claim
+ */
+const claimRequest = async (req, res) => {
+    try {
+        const request = await claimFlightRequest(req.params.id, req.user.id);
+        res.status(200).json({ status: "OK", message: "Request claimed. It is now in your queue.", data: request });
+    } catch (error) {
+        console.error("Claim Flight Request Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        res.status(500).json({ status: "ERROR", message: "Failed to claim request" });
+    }
+};
+
+/**
+ * 12. Staff hands a request they hold back to the queue
+ * @route POST /api/v1/flights/staff/:id/release
+ */
+const releaseRequest = async (req, res) => {
+    try {
+        const request = await releaseFlightRequest(req.params.id, req.user.id);
+        res.status(200).json({ status: "OK", message: "Request released back to the queue", data: request });
+    } catch (error) {
+        console.error("Release Flight Request Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        res.status(500).json({ status: "ERROR", message: "Failed to release request" });
+    }
+};
+
+/**
+ * 13. Super admin assigns or reassigns a request (flights:assign)
+ * Body: { staffId | null }
+ * @route POST /api/v1/flights/staff/:id/assign
+ */
+const assignRequest = async (req, res) => {
+    try {
+        const validation = assignFlightSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const request = await assignFlightRequest(req.params.id, validation.data.staffId, req.user.id);
+        res.status(200).json({ status: "OK", message: validation.data.staffId ? "Request reassigned" : "Request returned to the queue", data: request });
+    } catch (error) {
+        console.error("Assign Flight Request Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        res.status(500).json({ status: "ERROR", message: "Failed to assign request" });
+    }
+};
+
+/**
+ * 14. Per-agent performance against the SLAs (flights:assign or analytics:read)
+ * @route GET /api/v1/flights/staff/performance?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+const getAgentPerformance = async (req, res) => {
+    const parsed = performanceQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+        return res.status(400).json({ status: "ERROR", message: parsed.error.issues[0].message });
+    }
+
+    const to = parsed.data.to ? new Date(`${parsed.data.to}T23:59:59.999Z`) : new Date();
+    const from = parsed.data.from
+        ? new Date(`${parsed.data.from}T00:00:00.000Z`)
+        : new Date(new Date(to.getTime() - 30 * DAY_MS).setUTCHours(0, 0, 0, 0));
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return res.status(400).json({ status: "ERROR", message: "Invalid date range" });
+    }
+    if (from > to) {
+        return res.status(400).json({ status: "ERROR", message: "from must be on or before to" });
+    }
+    if (to - from > MAX_PERFORMANCE_DAYS * DAY_MS) {
+        return res.status(400).json({ status: "ERROR", message: `Period cannot exceed ${MAX_PERFORMANCE_DAYS} days` });
+    }
+
+    try {
+        const agents = await agentPerformance(from, to);
+        const slas = Object.fromEntries(Object.values(FLIGHT_SLAS).map(sla => [sla.stage, sla.minutes]));
+
+        res.status(200).json({ status: "OK", data: { from, to, slaMinutes: slas, agents } });
+    } catch (error) {
+        console.error("Agent Performance Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to compute agent performance" });
+    }
+};
+
 module.exports = {
     provideOptions,
     quoteFlight,
@@ -538,5 +599,10 @@ module.exports = {
     getRequestHistory,
     cancelFlightRequest,
     refundFlightRequest,
-    getAllFlightTransactions
+    getRefundQuote,
+    getAllFlightTransactions,
+    claimRequest,
+    releaseRequest,
+    assignRequest,
+    getAgentPerformance
 };
@@ -2,10 +2,21 @@ const { z } = require('zod');
 const prisma = require('@/lib/prisma');
 const monnifyProvider = require('@/services/monnifyProvider');
 const paymentProvider = require('@/services/paymentProvider');
-
-// Helper for generating refs
-const crypto = require('crypto');
-const generateFlightRef = () => `FLT-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, verifyTransactionPin } = require('@/lib/transactionPin');
+const {
+    FLIGHT_ACTORS,
+    SYSTEM_ACTOR,
+    PAYMENT_WINDOW_MINUTES,
+    REFUNDABLE_STATES,
+    OPEN_CHANGE_STATES,
+    isFlightWorkflowError,
+    lapseReason,
+    transitionFlight,
+    noteFlightActivity,
+    openFlightRequest
+} = require('@/lib/flightWorkflow');
+const { quoteFlightRefund } = require('@/lib/flightRefunds');
 
 /**
  * Constants
@@ -80,6 +91,16 @@ const bookFlightSchema = z.object({
     })).min(1)
 });
 
+const payFlightSchema = z.object({
+    transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
+});
+
+const cancelFlightSchema = z.object({
+    // The refund the user was shown (see getRefundQuote), null when it is on review;
+    // required to cancel a paid booking
+    acceptRefund: z.number().min(0).nullable().optional()
+});
+
 /**
  * 1. Submit Initial Flight Request (Phase 1)
  * @route POST /api/v1/flights/user/request
@@ -94,33 +115,16 @@ const requestFlight = async (req, res) => {
         const { origin, destination, targetDate, returnDate, tripType, flightClass, adults, children, infants } = validation.data;
         const userId = req.user.id;
 
-        const target = new Date(targetDate);
-        const initialStatus = 'FUTURE_HELD';
-
-        const newRequest = await prisma.flightBookingRequest.create({
-            data: {
-                userId,
-                origin,
-                destination,
-                targetDate: target,
-                returnDate: returnDate ? new Date(returnDate) : null,
-                tripType,
-                flightClass: flightClass || 'ECONOMY',
-                adults,
-                children,
-                infants,
-                status: initialStatus
-            }
-        });
-
-        await prisma.flightRequestActivity.create({
-            data: {
-                requestId: newRequest.id,
-                userId,
-                previousState: 'NONE',
-                newState: initialStatus,
-                actionDetails: 'User submitted initial flight request'
-            }
+        const newRequest = await openFlightRequest(userId, {
+            origin,
+            destination,
+            targetDate: new Date(targetDate),
+            returnDate: returnDate ? new Date(returnDate) : null,
+            tripType,
+            flightClass: flightClass || 'ECONOMY',
+            adults,
+            children,
+            infants
         });
 
         res.status(201).json({
@@ -172,197 +176,69 @@ const bookFlight = async (req, res) => {
         }
 
         const { selectedOptionId, passengers } = validation.data;
-        const requestId = req.params.id;
-        const userId = req.user.id;
 
-        const flightRequest = await prisma.flightBookingRequest.findFirst({
-            where: { id: requestId, userId }
-        });
-
-        if (!flightRequest) {
-            return res.status(404).json({ status: "ERROR", message: "Flight request not found" });
-        }
-
-        let validOption = false;
-        let selectedFlightDate = null;
-        const hasOptions = flightRequest.flightOptions && Array.isArray(flightRequest.flightOptions) && flightRequest.flightOptions.length > 0;
-
-        if (hasOptions) {
-            const match = flightRequest.flightOptions.find(opt => opt.id === selectedOptionId);
-            if (match) {
-                validOption = true;
-                selectedFlightDate = match.date;
-            }
-        }
-
-        if (hasOptions && !validOption) {
-            return res.status(400).json({ status: "ERROR", message: "Invalid option selected from available choices." });
-        }
-
-        const totalExpected = flightRequest.adults + flightRequest.children + flightRequest.infants;
-        if (passengers.length !== totalExpected) {
-            return res.status(400).json({
-                status: "ERROR",
-                message: `Please provide details for exactly ${totalExpected} passengers.`
-            });
-        }
-
-        const updatedRequest = await prisma.$transaction(async (tx) => {
-            await tx.passenger.deleteMany({ where: { flightRequestId: requestId } });
-
-            await tx.passenger.createMany({
-                data: passengers.map(p => ({
-                    flightRequestId: requestId,
-                    title: p.title,
-                    firstName: p.firstName,
-                    lastName: p.lastName,
-                    dateOfBirth: new Date(p.dateOfBirth),
-                    gender: p.gender
-                }))
-            });
-
-            const paymentExpiresAt = new Date(Date.now() + 30 * 60 * 1000);
-            const options = flightRequest.flightOptions || [];
-            const selectedOption = options.find(opt => opt.id === selectedOptionId);
-            if (!selectedOption) throw new Error("Selected option details not found");
-
-            const updatePayload = {
-                status: 'SELECTION_MADE',
-                selectedOptionId,
-                paymentExpiresAt,
-                airlineName: selectedOption.airline,
-                sellingPrice: selectedOption.estPrice,
-                departureTime: selectedOption.departureTime || selectedOption.time,
-                arrivalTime: selectedOption.arrivalTime,
-                legs: selectedOption.legs
-            };
-
-            if (selectedFlightDate) {
-                updatePayload.targetDate = new Date(selectedFlightDate);
-            }
-
-            const reqUpdate = await tx.flightBookingRequest.update({
-                where: { id: requestId },
-                data: updatePayload
-            });
-
-            await tx.flightRequestActivity.create({
-                data: {
-                    requestId,
-                    userId,
-                    previousState: flightRequest.status,
-                    newState: 'SELECTION_MADE',
-                    actionDetails: `User BOOKED option ${selectedOptionId}. 30-minute timer started.`
-                }
-            });
-
-            return reqUpdate;
+        const updatedRequest = await transitionFlight(req.params.id, 'select', {
+            actor: { type: FLIGHT_ACTORS.USER, id: req.user.id },
+            input: { selectedOptionId, passengers },
+            details: `User BOOKED option ${selectedOptionId}. ${PAYMENT_WINDOW_MINUTES}-minute timer started.`
         });
 
         res.status(200).json({
             status: "OK",
-            message: "Flight booked successfully. Please complete payment within 30 minutes.",
+            message: `Flight booked successfully. Please complete payment within ${PAYMENT_WINDOW_MINUTES} minutes.`,
             data: updatedRequest
         });
 
     } catch (error) {
         console.error("Select Option Error:", error);
-        res.status(500).json({ status: "ERROR", message: error.message || "Failed to submit selection" });
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        res.status(500).json({ status: "ERROR", message: "Failed to submit selection" });
     }
 };
 
 /**
  * 4. User Pays for Flight via Wallet Balance
+ * Body: { transactionPin }
  * @route POST /api/v1/flights/user/:id/pay
  */
 const payForFlight = async (req, res) => {
     try {
+        const validation = payFlightSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
         const requestId = req.params.id;
         const userId = req.user.id;
 
         const user = await prisma.user.findUnique({
             where: { id: userId },
-            select: { id: true, transactionPin: true, fullName: true, email: true }
+            select: { id: true, ...PIN_FIELDS, fullName: true, email: true }
         });
         if (!user) throw new Error("User not found");
+        await verifyTransactionPin(user, validation.data.transactionPin);
 
-        const result = await prisma.$transaction(async (tx) => {
-            const flightRequest = await tx.flightBookingRequest.findUnique({
-                where: { id: requestId }
-            });
-
-            if (!flightRequest || flightRequest.userId !== userId) {
-                throw new Error("Flight request not found");
-            }
-
-            if (flightRequest.status !== 'SELECTION_MADE' && flightRequest.status !== 'QUOTED') {
-                throw new Error(`Cannot pay. Request is in state: ${flightRequest.status}`);
-            }
-
-            // Check 30-minute window expiry
-            if (flightRequest.paymentExpiresAt && new Date() > new Date(flightRequest.paymentExpiresAt)) {
-                await tx.flightBookingRequest.update({
-                    where: { id: requestId },
-                    data: { status: 'EXPIRED' }
-                });
-
-                await tx.flightRequestActivity.create({
-                    data: { requestId, previousState: flightRequest.status, newState: 'EXPIRED', actionDetails: '30-minute payment window expired' }
-                });
-
-                throw new Error("The 30-minute payment window has expired. Please book the flight again.");
-            }
-
-            if (!flightRequest.sellingPrice) {
-                throw new Error("No price set for this flight");
-            }
-
-            const paymentAmount = Number(flightRequest.sellingPrice);
-
-            const wallet = await tx.wallet.findUnique({
-                where: { userId }
-            });
-
-            if (!wallet) {
-                throw new Error("Wallet not found to link transaction");
-            }
-
-            if (Number(wallet.balance) < paymentAmount) {
-                throw new Error(`Insufficient balance. Current: ₦${wallet.balance}, Required: ₦${paymentAmount}`);
-            }
-
-            // Deduct and log
-            await tx.wallet.update({
-                where: { id: wallet.id },
-                data: { balance: { decrement: paymentAmount } }
-            });
-
-            const txRef = generateFlightRef();
-            await tx.flightTransaction.create({
-                data: {
-                    walletId: wallet.id,
-                    type: 'PAYMENT',
-                    amount: paymentAmount,
-                    reference: txRef,
-                    flightRequestId: requestId
-                }
-            });
-
-            const updatedRequest = await tx.flightBookingRequest.update({
-                where: { id: requestId },
-                data: { status: 'PAID_PROCESSING' }
+        // A lapsed booking is expired now rather than waiting for the flight deadline job
+        const flightRequest = await prisma.flightBookingRequest.findFirst({
+            where: { id: requestId, userId },
+            select: { status: true, paymentExpiresAt: true, ticketingTimeLimit: true }
+        });
+        const lapsed = flightRequest && ['SELECTION_MADE', 'QUOTED'].includes(flightRequest.status) && lapseReason(flightRequest);
+        if (lapsed) {
+            await transitionFlight(requestId, 'expire', {
+                actor: SYSTEM_ACTOR,
+                details: `Expired on payment attempt: ${lapsed}`
             });
-
-            await tx.flightRequestActivity.create({
-                data: {
-                    requestId,
-                    previousState: flightRequest.status,
-                    newState: 'PAID_PROCESSING',
-                    actionDetails: `Wallet payment of ₦${paymentAmount} successful. Ref: ${txRef}`
-                }
+            return res.status(400).json({
+                status: "ERROR",
+                message: `This booking has expired because ${lapsed}. Please book the flight again.`
             });
+        }
 
-            return updatedRequest;
+        const result = await transitionFlight(requestId, 'payFromWallet', {
+            actor: { type: FLIGHT_ACTORS.USER, id: userId }
         });
 
         res.status(200).json({
@@ -373,7 +249,7 @@ const payForFlight = async (req, res) => {
 
     } catch (error) {
         console.error("Flight Wallet Payment Error:", error);
-        res.status(400).json({ status: "ERROR", message: error.message || "Payment failed" });
+        res.status(isKycLimitError(error) || isPinError(error) || isFlightWorkflowError(error) ? error.status : 400).json({ status: "ERROR", message: error.message || "Payment failed" });
     }
 };
 
@@ -407,49 +283,109 @@ const getUserRequestById = async (req, res) => {
 
 /**
  * 6. User Cancels Flight Request
+ * Unpaid requests are cancelled outright. For a paid booking the user confirms
+ * the refund they were quoted and a cancellation request is logged for staff,
+ * who void the ticket with the airline and pay the refund out (flights:refund).
+ * Body: { acceptRefund? }
  * @route POST /api/v1/flights/user/:id/cancel
  */
 const cancelFlightRequest = async (req, res) => {
     try {
-        const requestId = req.params.id;
-        const userId = req.user.id;
-
-        const flightRequest = await prisma.flightBookingRequest.findFirst({
-            where: { id: requestId, userId }
-        });
-
-        if (!flightRequest) {
-            return res.status(404).json({ status: "ERROR", message: "Flight request not found" });
+        const validation = cancelFlightSchema.safeParse(req.body ?? {});
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
         }
 
-        if (['PAID_PROCESSING', 'TICKETED', 'CANCELLED', 'REFUNDED'].includes(flightRequest.status)) {
-            return res.status(400).json({ status: "ERROR", message: `Cannot cancel a request in ${flightRequest.status} state.` });
-        }
+        const actor = { type: FLIGHT_ACTORS.USER, id: req.user.id };
+        const request = await prisma.flightBookingRequest.findFirst({ where: { id: req.params.id, userId: req.user.id } });
 
-        const updatedRequest = await prisma.flightBookingRequest.update({
-            where: { id: requestId },
-            data: { status: 'CANCELLED' }
-        });
+        if (request && REFUNDABLE_STATES.includes(request.status)) {
+            const openChange = await prisma.flightChangeRequest.findFirst({
+                where: { flightRequestId: request.id, status: { in: OPEN_CHANGE_STATES } },
+                select: { status: true }
+            });
+            if (openChange) {
+                return res.status(409).json({
+                    status: "ERROR",
+                    message: openChange.status === 'PAID'
+                        ? "Your paid change to this booking is still being processed. Please contact support to cancel the booking."
+                        : "This booking has a change request in progress. Please withdraw it before cancelling the booking."
+                });
+            }
 
-        await prisma.flightRequestActivity.create({
-            data: {
-                requestId,
-                userId,
-                previousState: flightRequest.status,
-                newState: 'CANCELLED',
-                actionDetails: 'User manually cancelled the request'
+            const quote = await quoteFlightRefund(prisma, request);
+            const offer = quote.onReview
+                ? "the refund will be reviewed with the airline before anything is paid back"
+                : `₦${quote.remaining} will be refunded to your wallet`;
+
+            const { acceptRefund } = validation.data;
+            if (acceptRefund === undefined) {
+                return res.status(400).json({
+                    status: "ERROR",
+                    message: `If you cancel this paid booking, ${offer}. Please review and confirm the refund to continue.`,
+                    data: quote
+                });
+            }
+            const accepted = acceptRefund === null ? null : Math.round(acceptRefund * 100);
+            if (accepted !== (quote.onReview ? null : Math.round(quote.remaining * 100))) {
+                return res.status(409).json({
+                    status: "ERROR",
+                    message: `The refund for this booking has changed: ${offer}. Please review and confirm it again.`,
+                    data: quote
+                });
             }
+
+            await noteFlightActivity(prisma, request, {
+                actor,
+                details: quote.onReview
+                    ? 'User requested cancellation and a refund (no refund policy, refund on review)'
+                    : `User requested cancellation and a refund of NGN ${quote.remaining}`
+            });
+            return res.status(202).json({
+                status: "OK",
+                message: `Cancellation requested. Once the airline confirms, ${offer}.`,
+                data: quote
+            });
+        }
+
+        const updatedRequest = await transitionFlight(req.params.id, 'cancel', {
+            actor,
+            details: 'User manually cancelled the request'
         });
 
         res.status(200).json({ status: "OK", message: "Flight request cancelled successfully", data: updatedRequest });
     } catch (error) {
         console.error("User Cancel Flight Error:", error);
+        if (isFlightWorkflowError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
         res.status(500).json({ status: "ERROR", message: "Failed to cancel flight request" });
     }
 };
 
 /**
- * 7. Get List of Airports
+ * 7. User previews the refund for cancelling a paid booking
+ * @route GET /api/v1/flights/user/:id/refund-quote
+ */
+const getRefundQuote = async (req, res) => {
+    try {
+        const request = await prisma.flightBookingRequest.findFirst({ where: { id: req.params.id, userId: req.user.id } });
+        if (!request) return res.status(404).json({ status: "ERROR", message: "Flight request not found" });
+
+        if (!REFUNDABLE_STATES.includes(request.status)) {
+            return res.status(409).json({ status: "ERROR", message: "Only paid bookings have a refund. Unpaid requests can be cancelled at no cost." });
+        }
+
+        const quote = await quoteFlightRefund(prisma, request);
+        res.status(200).json({ status: "OK", data: quote });
+    } catch (error) {
+        console.error("Flight Refund Quote Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to calculate refund" });
+    }
+};
+
+/**
+ * 8. Get List of Airports
  * @route GET /api/v1/flights/user/airports
  */
 const getAirports = (req, res) => {
@@ -457,7 +393,7 @@ const getAirports = (req, res) => {
 };
 
 /**
- * 8. User gets their flight transaction history
+ * 9. User gets their flight transaction history
  * @route GET /api/v1/flights/user/transactions
  */
 const getUserFlightTransactions = async (req, res) => {
@@ -497,6 +433,7 @@ module.exports = {
     bookFlight,
     payForFlight,
     cancelFlightRequest,
+    getRefundQuote,
     getAirports,
     getUserFlightTransactions
 };
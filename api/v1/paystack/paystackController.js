@@ -142,6 +142,11 @@ const createAccount = async (req, res) => {
             prisma.user.update({
                 where: { id: userId },
                 data: { isKycVerified: true }
+            }),
+            // BVN verified: KYC level 2 (never lowers a level granted by review)
+            prisma.user.updateMany({
+                where: { id: userId, kycLevel: 'LEVEL_1' },
+                data: { kycLevel: 'LEVEL_2' }
             })
         ]);
 
@@ -35,12 +35,14 @@ describe('Airtime Controller - purchaseAirtime', () => {
         bcrypt.compare.mockResolvedValue(true);
         prisma.user.findUnique.mockResolvedValue({ id: userId, transactionPin: 'hashedpin123' });
         prisma.transaction.findFirst.mockResolvedValue(null);
+        prisma.pricingRule.findMany.mockResolvedValue([]);
 
         prisma.$transaction.mockImplementation(async (callback) => {
             return callback(prisma);
         });
 
         prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+        prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-123', userId, balance: 500 });
         prisma.transaction.create.mockResolvedValue({ id: 'txn-123' });
 
         vtpassProvider.buyAirtime.mockResolvedValue({ isPending: false, status: 'SUCCESS', transactionid: 'ext-ref-airtime' });
@@ -62,6 +64,27 @@ describe('Airtime Controller - purchaseAirtime', () => {
         expect(vtpassProvider.buyAirtime).toHaveBeenCalledWith('MTN', 500, SUCCESS_PHONE, expect.any(String));
     });
 
+    it('should charge a reseller their tier price but send the full face value', async () => {
+        req.user.tier = 'RESELLER';
+        prisma.pricingRule.findMany.mockResolvedValue([
+            { id: 'rule-1', productCode: '*', userId: null, tier: 'RESELLER', type: 'PERCENT_DISCOUNT', value: 3 }
+        ]);
+
+        await purchaseAirtime(req, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(prisma.wallet.updateMany).toHaveBeenCalledWith({
+            where: { userId, balance: { gte: 485 } },
+            data: { balance: { decrement: 485 }, totalSpent: { increment: 485 } }
+        });
+        expect(prisma.transaction.create.mock.calls[0][0].data.metadata).toMatchObject({
+            faceValue: 500,
+            pricingRuleId: 'rule-1',
+            discount: 15
+        });
+        expect(vtpassProvider.buyAirtime).toHaveBeenCalledWith('MTN', 500, SUCCESS_PHONE, expect.any(String));
+    });
+
     it('should return 400 if minimum amount is not met', async () => {
         req.body.amount = 40; // Less than minimum 50
 
@@ -84,4 +107,48 @@ describe('Airtime Controller - purchaseAirtime', () => {
         expect(res._getJSONData().message).toContain('Identical transaction detected');
         expect(prisma.$transaction).not.toHaveBeenCalled();
     });
+
+    it('should buy a scheduled run without a PIN', async () => {
+        delete req.body.transactionPin;
+        req.scheduledPurchase = 'sched-1';
+
+        await purchaseAirtime(req, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(bcrypt.compare).not.toHaveBeenCalled();
+        expect(vtpassProvider.buyAirtime).toHaveBeenCalledWith('MTN', 500, SUCCESS_PHONE, expect.any(String));
+    });
+
+    it('should reserve cashback for a valid promo code', async () => {
+        req.body.promoCode = 'mtn5';
+        prisma.campaign.findUnique.mockResolvedValue({
+            id: 'camp-1', promoCode: 'MTN5', isActive: true,
+            startsAt: new Date(Date.now() - 60000), endsAt: new Date(Date.now() + 60000),
+            services: ['AIRTIME'], networks: ['MTN'], tiers: [], minAmount: null,
+            rewardType: 'PERCENT', rewardValue: 5, maxReward: null,
+            perUserLimit: null, maxRedemptions: 100, redemptionCount: 3
+        });
+        prisma.campaign.updateMany.mockResolvedValue({ count: 1 });
+        prisma.transaction.create.mockResolvedValue({ id: 'txn-123', userId, amount: 500 });
+
+        await purchaseAirtime(req, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(prisma.campaign.findUnique).toHaveBeenCalledWith({ where: { promoCode: 'MTN5' } });
+        expect(prisma.transaction.create.mock.calls[0][0].data.metadata).toMatchObject({ campaignId: 'camp-1', cashback: 25 });
+        expect(prisma.campaignRedemption.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ campaignId: 'camp-1', transactionId: 'txn-123', cashback: 25 })
+        });
+        expect(prisma.wallet.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown promo code before charging', async () => {
+        req.body.promoCode = 'NOPE';
+
+        await purchaseAirtime(req, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res._getJSONData().message).toBe('Invalid promo code');
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
 });
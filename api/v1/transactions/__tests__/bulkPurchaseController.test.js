@@ -0,0 +1,103 @@
+const { createBulkPurchase } = require('../bulkPurchaseController');
+const httpMocks = require('node-mocks-http');
+const prisma = require('@/lib/prisma');
+const bcrypt = require('bcryptjs');
+const { processBulkPurchase } = require('@/lib/bulkPurchase');
+
+jest.mock('@/lib/prisma');
+jest.mock('bcryptjs');
+jest.mock('@/lib/bulkPurchase', () => ({
+    ...jest.requireActual('@/lib/bulkPurchase'),
+    processBulkPurchase: jest.fn().mockResolvedValue()
+}));
+
+describe('Bulk Purchase Controller - createBulkPurchase', () => {
+    let req, res;
+    const userId = 'user-123';
+
+    const dataPlan = {
+        productId: 'mtn-1gb', rawName: 'MTN 1GB', userPrice: 300, costPrice: 270, isActive: true, providerCodes: null
+    };
+
+    const makeRequest = (body) => httpMocks.createRequest({
+        method: 'POST',
+        url: '/api/v1/vtu/bulk',
+        user: { id: userId, tier: 'SMART_USER' },
+        body: { transactionPin: '1234', ...body },
+        headers: {}
+    });
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+
+        jest.clearAllMocks();
+
+        bcrypt.compare.mockResolvedValue(true);
+        prisma.user.findUnique.mockResolvedValue({ id: userId, transactionPin: 'hashedpin123' });
+        prisma.pricingRule.findMany.mockResolvedValue([]);
+        prisma.dataPlan.findMany.mockResolvedValue([dataPlan]);
+        prisma.$transaction.mockImplementation(async (callback) => callback(prisma));
+        prisma.bulkPurchase.create.mockResolvedValue({ id: 'batch-1' });
+        prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+        prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-123', userId, balance: 200 });
+    });
+
+    it('should reserve the total once and journal every line', async () => {
+        req = makeRequest({
+            csv: 'network,phone,planId,amount\nMTN,08031111111,mtn-1gb,\nAIRTEL,08021111111,,500'
+        });
+
+        await createBulkPurchase(req, res);
+
+        expect(res.statusCode).toBe(202);
+        expect(res._getJSONData().data).toMatchObject({ totalItems: 2, totalAmount: 800 });
+
+        // One guarded wallet debit for the whole batch
+        expect(prisma.wallet.updateMany).toHaveBeenCalledTimes(1);
+        const walletCall = prisma.wallet.updateMany.mock.calls[0][0];
+        expect(walletCall.where.balance.gte.toFixed(2)).toBe('800.00');
+
+        const transactions = prisma.transaction.createMany.mock.calls[0][0].data;
+        expect(transactions.map(t => [t.type, t.amount])).toEqual([['DATA', 300], ['AIRTIME', 500]]);
+
+        const entries = prisma.walletLedgerEntry.createMany.mock.calls[0][0].data;
+        expect(entries).toHaveLength(2);
+        expect(entries.map(e => e.transactionId)).toEqual(transactions.map(t => t.id));
+        expect(entries[0].openingBalance.toFixed(2)).toBe('1000.00');
+        expect(entries[1].closingBalance.toFixed(2)).toBe('200.00');
+
+        await new Promise(resolve => setImmediate(resolve));
+        expect(processBulkPurchase).toHaveBeenCalledWith('batch-1');
+    });
+
+    it('should report every bad line and charge nothing', async () => {
+        req = makeRequest({
+            items: [
+                { network: 'MTN', phone: '08031111111', amount: 100 },
+                { network: 'GLO', phone: '08031111111', amount: 100 },
+                { network: 'MTN', phone: '08031111111', amount: 100 },
+                { network: 'MTN', phone: '08061111111' }
+            ]
+        });
+
+        await createBulkPurchase(req, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res._getJSONData().data.errors).toEqual([
+            { line: 2, message: '08031111111 does not appear to be a valid GLO line' },
+            { line: 3, message: 'Duplicate of line 1' },
+            { line: 4, message: 'Give either planId (data) or amount (airtime)' }
+        ]);
+        expect(prisma.wallet.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse the batch when the wallet cannot cover the total', async () => {
+        prisma.wallet.updateMany.mockResolvedValue({ count: 0 });
+        req = makeRequest({ items: [{ network: 'MTN', phone: '08031111111', amount: 1000 }] });
+
+        await createBulkPurchase(req, res);
+
+        expect(res.statusCode).toBe(402);
+        expect(processBulkPurchase).not.toHaveBeenCalled();
+    });
+});
@@ -55,6 +55,7 @@ describe('Cable Controller - purchaseSubscription', () => {
         });
 
         prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+        prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-123', userId, balance: 500 });
         prisma.transaction.create.mockResolvedValue({ id: 'txn-123' });
 
         vtpassProvider.buyCableTV.mockResolvedValue({ isPending: false, status: 'SUCCESS', orderId: 'ext-ref-cable' });
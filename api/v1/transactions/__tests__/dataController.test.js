@@ -58,6 +58,7 @@ describe('Data Controller - purchaseData', () => {
         });
 
         prisma.wallet.updateMany.mockResolvedValue({ count: 1 }); // Wallet deduction success
+        prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-123', userId, balance: 500 }); // Closing balance read-back for the ledger
         prisma.transaction.create.mockResolvedValue({ id: 'txn-123' }); // Transaction row created
 
         // Mock provider response
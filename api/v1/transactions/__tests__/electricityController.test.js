@@ -57,6 +57,7 @@ describe('Electricity Controller - purchaseElectricity', () => {
         });
 
         prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+        prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-123', userId, balance: 500 });
         prisma.transaction.create.mockResolvedValue({ id: 'txn-123', metadata: {} });
 
         vtpassProvider.payElectricityBill.mockResolvedValue({
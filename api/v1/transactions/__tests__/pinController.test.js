@@ -2,9 +2,11 @@ const { printPins } = require('../pinController');
 const httpMocks = require('node-mocks-http');
 const prisma = require('@/lib/prisma');
 const pinProvider = require('@/services/pinProvider');
+const bcrypt = require('bcryptjs');
 
 jest.mock('@/lib/prisma');
 jest.mock('@/services/pinProvider');
+jest.mock('bcryptjs');
 
 describe('PIN Controller - printPins', () => {
     let req, res;
@@ -18,7 +20,8 @@ describe('PIN Controller - printPins', () => {
             body: {
                 network: 'MTN',
                 value: '100', // String enum
-                quantity: 5 // number
+                quantity: 5, // number
+                transactionPin: '1234'
             },
             headers: {}
         });
@@ -26,17 +29,19 @@ describe('PIN Controller - printPins', () => {
 
         jest.clearAllMocks();
 
+        bcrypt.compare.mockResolvedValue(true);
+        prisma.user.findUnique.mockResolvedValue({ id: userId, transactionPin: 'hashedpin123' });
         prisma.transaction.findFirst.mockResolvedValue(null);
 
         prisma.$transaction.mockImplementation(async (callback) => {
             return callback(prisma);
         });
 
+        // User has 1000, trying to buy 5 * 100 = 500
+        prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
         prisma.wallet.findUnique.mockResolvedValue({
-            userId, balance: 1000 // User has 1000, trying to buy 5 * 100 = 500
+            id: 'wallet-123', userId, balance: 500 // Closing balance after the debit
         });
-
-        prisma.wallet.update.mockResolvedValue({ count: 1 });
         prisma.transaction.create.mockResolvedValue({ id: 'txn-123', transaction: { id: 'txn-123' } });
 
         pinProvider.buyEpin.mockResolvedValue({
@@ -61,10 +66,17 @@ describe('PIN Controller - printPins', () => {
         expect(responseData.status).toBe('OK');
 
         // Ensure wallet update used the dynamically calculated totalCost (5 * 100 = 500)
-        expect(prisma.wallet.update).toHaveBeenCalledWith({
-            where: { userId },
+        expect(prisma.wallet.updateMany).toHaveBeenCalledWith({
+            where: { userId, balance: { gte: 500 } },
             data: { balance: { decrement: 500 }, totalSpent: { increment: 500 } }
         });
+        expect(prisma.walletLedgerEntry.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                direction: 'DEBIT',
+                entryType: 'PURCHASE',
+                transactionId: 'txn-123'
+            })
+        });
 
         expect(pinProvider.buyEpin).toHaveBeenCalledWith('MTN', '100', 5, expect.any(String));
         // Verify PINs are sent to db
@@ -72,9 +84,7 @@ describe('PIN Controller - printPins', () => {
     });
 
     it('should return 402 if wallet balance is insufficient for total batch quantity', async () => {
-        prisma.wallet.findUnique.mockResolvedValue({
-            userId, balance: 400 // Has 400, needs 500
-        });
+        prisma.wallet.updateMany.mockResolvedValue({ count: 0 }); // Has 400, needs 500 - guard rejects
 
         await printPins(req, res);
 
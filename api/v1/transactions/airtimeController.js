@@ -1,12 +1,16 @@
 const prisma = require('@/lib/prisma');
-const vtpassProvider = require('@/services/vtpassProvider');
+const vtuRouter = require('@/services/vtu');
 const { validateNetworkMatch, normalizePhoneNumber } = require('@/lib/networkValidator');
 const { TransactionStatus, TransactionType } = require('@prisma/client');
 const { z } = require('zod');
 const { generateRef, generateVTPassRef } = require('@/lib/crypto');
-const { isNetworkError, safeRefund } = require('@/lib/financialSafety');
-const bcrypt = require('bcryptjs');
-const { getCache, setCache } = require('@/lib/redis');
+const { isOutcomeUnknown, safeRefund } = require('@/lib/financialSafety');
+const { debitWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, verifyTransactionPin } = require('@/lib/transactionPin');
+const { notifyTransactionUpdate } = require('@/lib/partnerWebhooks');
+const { resolvePrice } = require('@/lib/pricing');
+const { findCampaignOffer, redeemCampaignOffer } = require('@/lib/campaigns');
 
 /**
  * Handles Airtime Purchase Logic
@@ -17,18 +21,22 @@ const purchaseAirtimeSchema = z.object({
     network: z.enum(['MTN', 'GLO', 'AIRTEL', '9MOBILE']),
     amount: z.number(),
     phoneNumber: z.string(),
+    promoCode: z.string().trim().min(1).max(30).optional(),
     transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
 });
 
+// Scheduled runs were authorised with the PIN when the schedule was set up
+const scheduledAirtimeSchema = purchaseAirtimeSchema.omit({ transactionPin: true });
+
 const purchaseAirtime = async (req, res) => {
     console.log("Airtime Purchase Request:", req.body);
-    const parsed = purchaseAirtimeSchema.safeParse(req.body);
+    const parsed = (req.scheduledPurchase ? scheduledAirtimeSchema : purchaseAirtimeSchema).safeParse(req.body);
     console.log("Airtime Purchase Request:", parsed.success);
     if (!parsed.success) {
         return res.status(400).json({ status: "ERROR", message: parsed.error.errors[0].message });
     }
 
-    const { network, amount, phoneNumber, transactionPin } = parsed.data;
+    const { network, amount, phoneNumber, transactionPin, promoCode } = parsed.data;
 
     console.log("Airtime Purchase Request:", network, amount, phoneNumber);
     const userId = req.user.id;
@@ -54,7 +62,9 @@ const purchaseAirtime = async (req, res) => {
     }
 
     try {
-        const sellingPrice = airtimeAmount;
+        // Tier/user discount on the face value (resellers pay less than retail)
+        const pricing = await resolvePrice(TransactionType.AIRTIME, req.user, { productCode: network, basePrice: airtimeAmount });
+        const sellingPrice = pricing.price;
 
         // --- IDEMPOTENCY CHECK ---
         const idempotencyKey = req.headers['x-idempotency-key'];
@@ -101,37 +111,16 @@ const purchaseAirtime = async (req, res) => {
         // --- PERFORMANCE OPTIMIZATION: PIN VERIFICATION OUTSIDE TRANSACTION ---
         const user = await prisma.user.findUnique({
             where: { id: userId },
-            select: { id: true, transactionPin: true }
+            select: { id: true, ...PIN_FIELDS }
         });
         if (!user) throw new Error("User not found");
-        if (!user.transactionPin) throw new Error("Please set up a transaction PIN before making purchases");
-
-        // PERFORMANCE: Bypass Bcrypt for load tests
-        const pinCacheKey = `verified_pin_${userId}_${transactionPin}`;
-        let isPinValid = await getCache(pinCacheKey);
+        await verifyTransactionPin(user, transactionPin, { trusted: Boolean(req.scheduledPurchase) });
 
-        if (!isPinValid) {
-            isPinValid = await bcrypt.compare(transactionPin, user.transactionPin);
-            if (!isPinValid) throw new Error("Invalid transaction PIN");
-            await setCache(pinCacheKey, true, 3600);
-        }
+        // Cashback campaign (promo code or automatic), paid into bonusBalance once the purchase succeeds
+        const offer = await findCampaignOffer(TransactionType.AIRTIME, req.user, { network: network, amount: sellingPrice, promoCode });
+        if (offer.error) return res.status(400).json({ status: "ERROR", message: offer.error });
 
         const result = await prisma.$transaction(async (tx) => {
-            const walletUpdate = await tx.wallet.updateMany({
-                where: {
-                    userId,
-                    balance: { gte: sellingPrice }
-                },
-                data: {
-                    balance: { decrement: sellingPrice },
-                    totalSpent: { increment: sellingPrice }
-                }
-            });
-
-            if (walletUpdate.count === 0) {
-                throw new Error("Insufficient wallet balance");
-            }
-
             const requestId = generateVTPassRef("AIR")
             const transaction = await tx.transaction.create({
                 data: {
@@ -140,31 +129,46 @@ const purchaseAirtime = async (req, res) => {
                     type: TransactionType.AIRTIME,
                     status: TransactionStatus.PENDING,
                     reference: requestId,
+                    apiKeyId: req.apiKey?.id || null,
                     metadata: {
                         network,
                         recipient: cleanPhone,
                         faceValue: airtimeAmount,
                         profit: 0,
+                        ...(pricing.ruleId && { pricingRuleId: pricing.ruleId, discount: pricing.discount }),
+                        ...(offer.campaign && { campaignId: offer.campaign.id, cashback: offer.cashback }),
                         ...(idempotencyKey && { idempotencyKey })
                     },
                     idempotencyKey: idempotencyKey // Optimized column
                 }
             });
 
+            await debitWallet(tx, {
+                userId,
+                amount: sellingPrice,
+                entryType: 'PURCHASE',
+                counterAccount: LEDGER_ACCOUNTS.VTU_CLEARING,
+                reference: requestId,
+                transactionId: transaction.id,
+                description: `${network} airtime for ${cleanPhone}`
+            });
+
+            if (offer.campaign) await redeemCampaignOffer(tx, offer, transaction);
+
             return { transaction, requestId };
         }, {
             maxWait: 15000, // Wait up to 15s to start the transaction
             timeout: 30000  // Allow the transaction to run for up to 30s
         });
 
-        // 3. Call External Provider
+        // 3. Call External Provider (routed, with failover)
         try {
-            const providerResponse = await vtpassProvider.buyAirtime(
+            const providerResponse = await vtuRouter.purchase('AIRTIME', {
+                requestId: result.requestId,
                 network,
-                airtimeAmount,
-                cleanPhone,
-                result.requestId
-            );
+                amount: airtimeAmount,
+                phoneNumber: cleanPhone
+            });
 
             const finalStatus = providerResponse.isPending ? TransactionStatus.PENDING : TransactionStatus.SUCCESS;
 
@@ -173,7 +177,8 @@ const purchaseAirtime = async (req, res) => {
                 data: {
                     status: finalStatus,
                     providerReference: providerResponse.orderId || providerResponse.transactionid,
-                    providerStatus: providerResponse.status || providerResponse.transactionstatus
+                    providerStatus: providerResponse.status || providerResponse.transactionstatus,
+                    metadata: { ...result.transaction.metadata, provider: providerResponse.provider }
                 }
             });
 
@@ -194,9 +199,14 @@ const purchaseAirtime = async (req, res) => {
             });
 
         } catch (apiError) {
-            // 4. SMART AUTO-REFUND: Skip refund if it was a network timeout
-            if (isNetworkError(apiError)) {
-                console.warn(`[Financial Safety] Timeout for Ref: ${result.requestId}. Leaving PENDING.`);
+            // 4. SMART AUTO-REFUND: Skip refund if the provider may still deliver
+            if (isOutcomeUnknown(apiError)) {
+                console.warn(`[Financial Safety] Outcome unknown for Ref: ${result.requestId}. Leaving PENDING.`);
+                // Remember who has the order so status checks query the right provider
+                await prisma.transaction.update({
+                    where: { id: result.transaction.id },
+                    data: { metadata: { ...result.transaction.metadata, provider: apiError.provider } }
+                }).catch(() => null);
                 return res.status(202).json({
                     status: "PENDING",
                     message: "Connection delay. Your request is being processed. Please check your history in a moment.",
@@ -215,7 +225,7 @@ const purchaseAirtime = async (req, res) => {
 
     } catch (error) {
         console.error("Airtime Purchase Error:", error.message);
-        return res.status(error.message === "Insufficient wallet balance" ? 402 : 500).json({
+        return res.status(isKycLimitError(error) || isPinError(error) ? error.status : error.message === "Insufficient wallet balance" ? 402 : 500).json({
             status: "ERROR",
             message: error.message || "Internal server error"
         });
@@ -245,7 +255,7 @@ const getAirtimeStatus = async (req, res) => {
 
         if (txn.status === TransactionStatus.PENDING && txn.providerReference) {
             try {
-                const queryResult = await vtpassProvider.queryTransaction(txn.reference).catch(() => null);
+                const queryResult = await vtuRouter.queryTransaction(txn.metadata?.provider, txn.reference).catch(() => null);
 
                 // Ignore PENDING status (do nothing)
                 if (queryResult && queryResult.status === "SUCCESS") {
@@ -256,10 +266,12 @@ const getAirtimeStatus = async (req, res) => {
                         data: { status: TransactionStatus.SUCCESS },
                         include: { user: { select: { fullName: true } } }
                     });
+                    await notifyTransactionUpdate(txn.id);
                 }
                 else if (queryResult && queryResult.status === "FAILED") {
                     const refundSuccess = await safeRefund(prisma, txn.userId, txn.amount, txn.id);
                     if (refundSuccess) {
+                        await notifyTransactionUpdate(txn.id);
                         txn = await prisma.transaction.findUnique({
                             where: { id: txn.id },
                             select: {
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { TransactionStatus, TransactionType } = require('@prisma/client');
+const { validateNetworkMatch, normalizePhoneNumber } = require('@/lib/networkValidator');
+const { generateRef, generateVTPassRef } = require('@/lib/crypto');
+const { debitWalletMany, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, verifyTransactionPin } = require('@/lib/transactionPin');
+const { loadPricingRules, applyPricing } = require('@/lib/pricing');
+const { parseBulkCsv, processBulkPurchase, summarizeBulkPurchase } = require('@/lib/bulkPurchase');
+
+const MAX_BULK_ITEMS = 100;
+const NETWORKS = ['MTN', 'GLO', 'AIRTEL', '9MOBILE'];
+
+const bulkRequestSchema = z.object({
+    items: z.array(z.record(z.string(), z.any())).optional(),
+    csv: z.string().max(9000).optional(),
+    transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
+}).refine(data => Boolean(data.items) !== Boolean(data.csv), {
+    message: "Send either items or csv",
+    path: ['items']
+});
+
+const bulkLineSchema = z.object({
+    network: z.preprocess(v => (typeof v === 'string' ? v.trim().toUpperCase() : v), z.enum(NETWORKS)),
+    phoneNumber: z.string().trim().min(10, "Phone number is required"),
+    planId: z.string().trim().min(1).max(20).optional(),
+    amount: z.number().min(50, "Minimum airtime is ₦50").max(50000, "Maximum airtime per line is ₦50,000").optional()
+}).refine(line => Boolean(line.planId) !== (line.amount !== undefined), {
+    message: "Give either planId (data) or amount (airtime)"
+});
+
+/**
+ * Validates and prices every line. Returns all line errors at once so the
+ * customer can fix the whole list before any money moves.
+ */
+const prepareLines = async (rawItems, user) => {
+    const errors = [];
+    const lines = [];
+    const seen = new Map();
+
+    rawItems.forEach((raw, index) => {
+        const line = index + 1;
+        const parsed = bulkLineSchema.safeParse({ ...raw, phoneNumber: raw.phoneNumber ?? raw.phone });
+
+        if (!parsed.success) {
+            errors.push({ line, message: parsed.error.issues[0].message });
+            return;
+        }
+
+        const { network, phoneNumber, planId, amount } = parsed.data;
+        const cleanPhone = normalizePhoneNumber(phoneNumber);
+
+        if (cleanPhone.length !== 11 || !validateNetworkMatch(network, cleanPhone)) {
+            errors.push({ line, message: `${phoneNumber} does not appear to be a valid ${network} line` });
+            return;
+        }
+
+        const key = `${cleanPhone}|${planId || amount}`;
+        if (seen.has(key)) {
+            errors.push({ line, message: `Duplicate of line ${seen.get(key)}` });
+            return;
+        }
+        seen.set(key, line);
+
+        lines.push({ line, network, phoneNumber: cleanPhone, planId: planId || null, amount });
+    });
+
+    const planIds = [...new Set(lines.map(l => l.planId).filter(Boolean))];
+    const plans = planIds.length > 0
+        ? await prisma.dataPlan.findMany({ where: { productId: { in: planIds } } })
+        : [];
+    const planMap = new Map(plans.map(plan => [plan.productId, plan]));
+
+    const [airtimeRules, dataRules] = await Promise.all([
+        lines.some(l => !l.planId) ? loadPricingRules(TransactionType.AIRTIME, user) : [],
+        planIds.length > 0 ? loadPricingRules(TransactionType.DATA, user) : []
+    ]);
+
+    for (const line of lines) {
+        if (line.planId) {
+            const plan = planMap.get(line.planId);
+            if (!plan || !plan.isActive) {
+                errors.push({ line: line.line, message: `Invalid or inactive data plan ${line.planId}` });
+                continue;
+            }
+
+            const pricing = applyPricing(dataRules, {
+                productCode: plan.productId,
+                basePrice: Number(plan.userPrice),
+                costPrice: Number(plan.costPrice)
+            });
+            Object.assign(line, { type: TransactionType.DATA, faceValue: Number(plan.userPrice), planName: plan.rawName, pricing });
+        } else {
+            const pricing = applyPricing(airtimeRules, { productCode: line.network, basePrice: line.amount });
+            Object.assign(line, { type: TransactionType.AIRTIME, faceValue: line.amount, pricing });
+        }
+    }
+
+    errors.sort((a, b) => a.line - b.line);
+    return { lines, errors };
+};
+
+/**
+ * 1. Create a Bulk Airtime/Data Purchase
+ * Body: { items: [{ network, phone, planId | amount }] } or { csv: "network,phone,planId,amount\n..." }
+ * @route POST /api/v1/vtu/bulk
+ */
+const createBulkPurchase = async (req, res) => {
+    try {
+        const parsed = bulkRequestSchema.safeParse(req.body);
+        if (!parsed.success) {
+            return res.status(400).json({ status: "ERROR", message: parsed.error.issues[0].message });
+        }
+
+        const { csv, transactionPin } = parsed.data;
+        let rawItems = parsed.data.items;
+
+        if (csv) {
+            const result = parseBulkCsv(csv);
+            if (result.error) {
+                return res.status(400).json({ status: "ERROR", message: result.error });
+            }
+            rawItems = result.items;
+        }
+
+        if (rawItems.length === 0 || rawItems.length > MAX_BULK_ITEMS) {
+            return res.status(400).json({ status: "ERROR", message: `A bulk purchase must have between 1 and ${MAX_BULK_ITEMS} lines` });
+        }
+
+        const userId = req.user.id;
+        const { lines, errors } = await prepareLines(rawItems, req.user);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                status: "ERROR",
+                message: `${errors.length} line(s) need fixing. Nothing was charged.`,
+                data: { errors }
+            });
+        }
+
+        // --- IDEMPOTENCY CHECK ---
+        const idempotencyKey = req.headers['x-idempotency-key'];
+        if (idempotencyKey) {
+            const existing = await prisma.bulkPurchase.findUnique({
+                where: { idempotencyKey },
+                select: { reference: true }
+            });
+            if (existing) {
+                return res.status(409).json({
+                    status: "ERROR",
+                    message: "Bulk purchase already submitted",
+                    reference: existing.reference
+                });
+            }
+        }
+
+        // --- PIN VERIFICATION OUTSIDE TRANSACTION ---
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { id: true, ...PIN_FIELDS }
+        });
+        if (!user) throw new Error("User not found");
+        await verifyTransactionPin(user, transactionPin);
+
+        const reference = generateRef("BLK");
+        const totalAmount = Math.round(lines.reduce((sum, l) => sum + l.pricing.price, 0) * 100) / 100;
+
+        const rows = lines.map((line) => ({
+            ...line,
+            transactionId: crypto.randomUUID(),
+            reference: generateVTPassRef(line.type === TransactionType.DATA ? "DAT" : "AIR")
+        }));
+
+        const batch = await prisma.$transaction(async (tx) => {
+            const created = await tx.bulkPurchase.create({
+                data: {
+                    userId,
+                    reference,
+                    totalItems: rows.length,
+                    totalAmount,
+                    idempotencyKey,
+                    apiKeyId: req.apiKey?.id || null
+                }
+            });
+
+            await tx.transaction.createMany({
+                data: rows.map(row => ({
+                    id: row.transactionId,
+                    userId,
+                    amount: row.pricing.price,
+                    type: row.type,
+                    status: TransactionStatus.PENDING,
+                    reference: row.reference,
+                    apiKeyId: req.apiKey?.id || null,
+                    metadata: {
+                        network: row.network,
+                        recipient: row.phoneNumber,
+                        ...(row.planId && { planId: row.planId, planName: row.planName }),
+                        bulkReference: reference,
+                        ...(row.pricing.ruleId && { pricingRuleId: row.pricing.ruleId, discount: row.pricing.discount })
+                    }
+                }))
+            });
+
+            await tx.bulkPurchaseItem.createMany({
+                data: rows.map(row => ({
+                    bulkPurchaseId: created.id,
+                    line: row.line,
+                    network: row.network,
+                    phoneNumber: row.phoneNumber,
+                    planId: row.planId,
+                    faceValue: row.faceValue,
+                    amount: row.pricing.price,
+                    transactionId: row.transactionId
+                }))
+            });
+
+            // Reserve the whole batch in one debit; each line is journaled separately
+            await debitWalletMany(tx, {
+                userId,
+                entryType: 'PURCHASE',
+                counterAccount: LEDGER_ACCOUNTS.VTU_CLEARING,
+                entries: rows.map(row => ({
+                    amount: row.pricing.price,
+                    reference: row.reference,
+                    transactionId: row.transactionId,
+                    description: `Bulk ${reference} line ${row.line}: ${row.network} ${row.type === TransactionType.DATA ? `data (${row.planName})` : 'airtime'} for ${row.phoneNumber}`
+                }))
+            });
+
+            return created;
+        }, {
+            maxWait: 15000,
+            timeout: 30000
+        });
+
+        // Lines are sent in the background; poll GET /vtu/bulk/:reference for results
+        setImmediate(() => {
+            processBulkPurchase(batch.id).catch(err => console.error(`[Bulk Purchase] ${reference} Error:`, err.message));
+        });
+
+        return res.status(202).json({
+            status: "PENDING",
+            message: `Bulk purchase of ${rows.length} line(s) accepted and is processing.`,
+            data: { reference, totalItems: rows.length, totalAmount }
+        });
+    } catch (error) {
+        console.error("Bulk Purchase Error:", error.message);
+        return res.status(isKycLimitError(error) || isPinError(error) ? error.status : error.message === "Insufficient wallet balance" ? 402 : 500).json({
+            status: "ERROR",
+            message: error.message || "Internal server error"
+        });
+    }
+};
+
+/**
+ * 2. List Bulk Purchases
+ * @route GET /api/v1/vtu/bulk
+ */
+const getBulkPurchases = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+        const where = { userId: req.user.id };
+
+        const [batches, total] = await prisma.$transaction([
+            prisma.bulkPurchase.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: parseInt(skip),
+                take: parseInt(limit)
+            }),
+            prisma.bulkPurchase.count({ where })
+        ]);
+
+        return res.status(200).json({
+            status: "OK",
+            data: batches.map(batch => ({ ...batch, totalAmount: Number(batch.totalAmount) })),
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Get Bulk Purchases Error:", error);
+        return res.status(500).json({ status: "ERROR", message: "Failed to fetch bulk purchases" });
+    }
+};
+
+/**
+ * 3. Bulk Purchase Status with Per-Line Results
+ * @route GET /api/v1/vtu/bulk/:reference
+ */
+const getBulkPurchaseStatus = async (req, res) => {
+    try {
+        const batch = await prisma.bulkPurchase.findUnique({
+            where: { reference: req.params.reference },
+            include: {
+                items: {
+                    orderBy: { line: 'asc' },
+                    include: { transaction: { select: { reference: true, status: true } } }
+                }
+            }
+        });
+
+        if (!batch || batch.userId !== req.user.id) {
+            return res.status(404).json({ status: "ERROR", message: "Bulk purchase not found" });
+        }
+
+        return res.status(200).json({ status: "OK", data: summarizeBulkPurchase(batch) });
+    } catch (error) {
+        console.error("Get Bulk Purchase Status Error:", error);
+        return res.status(500).json({ status: "ERROR", message: "Failed to fetch bulk purchase" });
+    }
+};
+
+module.exports = { createBulkPurchase, getBulkPurchases, getBulkPurchaseStatus };
@@ -1,12 +1,18 @@
 const { z } = require('zod');
 const prisma = require('@/lib/prisma');
 const vtpassProvider = require('@/services/vtpassProvider');
+const vtuRouter = require('@/services/vtu');
 const { TransactionStatus, TransactionType } = require('@prisma/client');
 
 const { generateRef, generateVTPassRef } = require('@/lib/crypto');
-const { isNetworkError, safeRefund } = require('@/lib/financialSafety');
+const { isOutcomeUnknown, safeRefund } = require('@/lib/financialSafety');
+const { debitWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, isLoadTestRequest, verifyTransactionPin } = require('@/lib/transactionPin');
+const { loadPricingRules, applyPricing, resolvePrice } = require('@/lib/pricing');
+const { findCampaignOffer, redeemCampaignOffer } = require('@/lib/campaigns');
 const { normalizeProviderDate } = require('@/lib/dateUtils');
-const bcrypt = require('bcryptjs');
+const { recordVerification } = require('@/lib/beneficiaries');
 // --- SCHEMAS ---
 
 const verifyIUCSchema = z.object({
@@ -21,9 +27,13 @@ const purchaseSubscriptionSchema = z.object({
     packageCode: z.string().min(1, "Package code is required"),
     smartCardNo: z.string().min(8),
     amount: z.number().optional(), // VTPass renewal may require an explicit amount
+    promoCode: z.string().trim().min(1).max(30).optional(),
     transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
 });
 
+// Scheduled runs were authorised with the PIN when the schedule was set up
+const scheduledSubscriptionSchema = purchaseSubscriptionSchema.omit({ transactionPin: true });
+
 /**
  * Helper: Format Zod errors into a readable string
  */
@@ -34,6 +44,27 @@ const formatZodError = (error) => {
 
 const { getCache, setCache } = require('@/lib/redis');
 
+/**
+ * Adds SELLING_PRICE (the caller's price after pricing rules) to each package.
+ * Works on a copy: the cached catalog stays at provider amounts.
+ */
+const withSellingPrices = async (packages, user) => {
+    const rules = await loadPricingRules(TransactionType.CABLE_TV, user);
+    const data = {};
+
+    for (const [cableKey, entries] of Object.entries(packages.data || {})) {
+        data[cableKey] = entries.map(entry => ({
+            ...entry,
+            PRODUCT: entry.PRODUCT.map(pkg => ({
+                ...pkg,
+                SELLING_PRICE: applyPricing(rules, { productCode: pkg.PACKAGE_ID, basePrice: Number(pkg.PACKAGE_AMOUNT) }).price
+            }))
+        }));
+    }
+
+    return { ...packages, data };
+};
+
 const getPackages = async (req, res) => {
     try {
         const cacheKey = 'cable_packages_all';
@@ -41,7 +72,7 @@ const getPackages = async (req, res) => {
 
         if (cachedPackages) {
             console.log('[Cache] Hit for cable_packages_all');
-            return res.status(200).json(cachedPackages);
+            return res.status(200).json(await withSellingPrices(cachedPackages, req.user));
         }
 
         console.log('[Cache] Miss for cable_packages_all');
@@ -51,7 +82,7 @@ const getPackages = async (req, res) => {
         await setCache(cacheKey, packages, 86400);
 
         console.log("Cable Packages fetched from provider");
-        return res.status(200).json(packages);
+        return res.status(200).json(await withSellingPrices(packages, req.user));
 
     } catch (error) {
         console.error("Fetch Cable Packages Error:", error.message);
@@ -85,6 +116,9 @@ const verifyIUC = async (req, res) => {
         // Cache for 10 minutes to support the purchase follow-up
         await setCache(cacheKey, result, 600);
 
+        // Keep a saved beneficiary's customer name current
+        recordVerification(req.user.id, 'CABLE_TV', smartCardNo, { customerName: result.customer_name });
+
         return res.status(200).json({ status: "OK", data: result });
     } catch (error) {
         return res.status(400).json({ status: "ERROR", message: error.message });
@@ -98,7 +132,7 @@ const purchaseSubscription = async (req, res) => {
     let user
     try {
         // Validate Request Body
-        const validation = purchaseSubscriptionSchema.safeParse(req.body);
+        const validation = (req.scheduledPurchase ? scheduledSubscriptionSchema : purchaseSubscriptionSchema).safeParse(req.body);
 
         if (!validation.success) {
             return res.status(400).json({
@@ -107,7 +141,7 @@ const purchaseSubscription = async (req, res) => {
             });
         }
 
-        const { cableTV, packageCode, smartCardNo, amount, transactionPin } = validation.data;
+        const { cableTV, packageCode, smartCardNo, amount, transactionPin, promoCode } = validation.data;
         console.log("Cable TV Purchase Request:", cableTV, packageCode, smartCardNo, amount);
         const userId = req.user.id;
 
@@ -159,9 +193,13 @@ const purchaseSubscription = async (req, res) => {
             return res.status(404).json({ status: "ERROR", message: "Invalid package code" });
         }
 
-        const amountToDeduct = amount ? Number(amount) : Number(selectedPackage.variation_amount || selectedPackage.PACKAGE_AMOUNT);
+        const packageAmount = amount ? Number(amount) : Number(selectedPackage.variation_amount || selectedPackage.PACKAGE_AMOUNT);
         const packageName = selectedPackage.name || selectedPackage.PACKAGE_NAME;
 
+        // The provider is paid the package amount; the wallet is charged the caller's price
+        const pricing = await resolvePrice(TransactionType.CABLE_TV, req.user, { productCode: packageCode, basePrice: packageAmount });
+        const amountToDeduct = pricing.price;
+
         // Fallback Time-based Deduplication (60 seconds)
         if (!idempotencyKey) {
             const sixtySecondsAgo = new Date(Date.now() - 60000);
@@ -189,38 +227,16 @@ const purchaseSubscription = async (req, res) => {
         // --- PERFORMANCE OPTIMIZATION: PIN VERIFICATION OUTSIDE TRANSACTION ---
         user = await prisma.user.findUnique({
             where: { id: userId },
-            select: { id: true, transactionPin: true, phoneNumber: true }
+            select: { id: true, ...PIN_FIELDS, phoneNumber: true }
         });
         if (!user) throw new Error("User not found");
-        if (!user.transactionPin) throw new Error("Please set up a transaction PIN before making purchases");
+        await verifyTransactionPin(user, transactionPin, { trusted: isLoadTestRequest(req) || Boolean(req.scheduledPurchase) });
 
-        // PERFORMANCE: Bypass Bcrypt for load tests
-        const isLoadTest = req.headers['x-load-test-key'] === process.env.LOAD_TEST_KEY;
-        const pinCacheKey = `verified_pin_${userId}_${transactionPin}`;
-        let isPinValid = isLoadTest ? true : await getCache(pinCacheKey);
-
-        if (!isPinValid) {
-            isPinValid = await bcrypt.compare(transactionPin, user.transactionPin);
-            if (!isPinValid) throw new Error("Invalid transaction PIN");
-            await setCache(pinCacheKey, true, 3600);
-        }
+        // Cashback campaign (promo code or automatic), paid into bonusBalance once the purchase succeeds
+        const offer = await findCampaignOffer(TransactionType.CABLE_TV, req.user, { network: cableTV, amount: amountToDeduct, promoCode });
+        if (offer.error) return res.status(400).json({ status: "ERROR", message: offer.error });
 
         const result = await prisma.$transaction(async (tx) => {
-            const walletUpdate = await tx.wallet.updateMany({
-                where: {
-                    userId,
-                    balance: { gte: amountToDeduct }
-                },
-                data: {
-                    balance: { decrement: amountToDeduct },
-                    totalSpent: { increment: amountToDeduct }
-                }
-            });
-
-            if (walletUpdate.count === 0) {
-                throw new Error("Insufficient wallet balance");
-            }
-
             const requestId = generateVTPassRef("CAB")
             const transaction = await tx.transaction.create({
                 data: {
@@ -229,6 +245,7 @@ const purchaseSubscription = async (req, res) => {
                     type: TransactionType.CABLE_TV,
                     status: TransactionStatus.PENDING,
                     reference: requestId,
+                    apiKeyId: req.apiKey?.id || null,
                     metadata: {
                         cableTV,
                         packageCode,
@@ -237,28 +254,42 @@ const purchaseSubscription = async (req, res) => {
                         dueDate: normalizeProviderDate(verification.Due_Date),
                         customerName: customerName,
                         recipient: user.phoneNumber,
+                        ...(pricing.ruleId && { pricingRuleId: pricing.ruleId, discount: pricing.discount }),
+                        ...(offer.campaign && { campaignId: offer.campaign.id, cashback: offer.cashback }),
                         ...(idempotencyKey && { idempotencyKey })
                     },
                     idempotencyKey: idempotencyKey // Optimized column
                 }
             });
 
+            await debitWallet(tx, {
+                userId,
+                amount: amountToDeduct,
+                entryType: 'PURCHASE',
+                counterAccount: LEDGER_ACCOUNTS.VTU_CLEARING,
+                reference: requestId,
+                transactionId: transaction.id,
+                description: `${cableTV} subscription for ${smartCardNo}`
+            });
+
+            if (offer.campaign) await redeemCampaignOffer(tx, offer, transaction);
+
             return { transaction, requestId };
         }, {
             maxWait: 15000,
             timeout: 30000
         });
 
-        // 4. Call Provider
+        // 4. Call Provider (routed, with failover)
         try {
-            const providerResponse = await vtpassProvider.buyCableTV(
-                cableTV,
+            const providerResponse = await vtuRouter.purchase('CABLE_TV', {
+                requestId: result.requestId,
+                network: cableTV,
+                amount: packageAmount,
                 packageCode,
                 smartCardNo,
-                user.phoneNumber,
-                amountToDeduct,
-                result.requestId
-            );
+                phoneNumber: user.phoneNumber
+            });
 
             const finalStatus = providerResponse.isPending ? TransactionStatus.PENDING : TransactionStatus.SUCCESS;
 
@@ -267,7 +298,8 @@ const purchaseSubscription = async (req, res) => {
                 data: {
                     status: finalStatus,
                     providerReference: providerResponse.orderId,
-                    providerStatus: providerResponse.status
+                    providerStatus: providerResponse.status,
+                    metadata: { ...result.transaction.metadata, provider: providerResponse.provider }
                 }
             });
 
@@ -289,8 +321,13 @@ const purchaseSubscription = async (req, res) => {
 
         } catch (apiError) {
             // SMART AUTO-REFUND
-            if (isNetworkError(apiError)) {
-                console.warn(`[Financial Safety] Timeout for Ref: ${result.requestId}. Leaving PENDING.`);
+            if (isOutcomeUnknown(apiError)) {
+                console.warn(`[Financial Safety] Outcome unknown for Ref: ${result.requestId}. Leaving PENDING.`);
+                // Remember who has the order so status checks query the right provider
+                await prisma.transaction.update({
+                    where: { id: result.transaction.id },
+                    data: { metadata: { ...result.transaction.metadata, provider: apiError.provider } }
+                }).catch(() => null);
                 return res.status(202).json({
                     status: "PENDING",
                     message: "Connection delay. Your subscription is being processed. Please check your history shortly.",
@@ -309,7 +346,7 @@ const purchaseSubscription = async (req, res) => {
 
     } catch (error) {
         console.error("Cable TV Error:", error.message);
-        return res.status(error.message === "Insufficient wallet balance" ? 402 : 500).json({
+        return res.status(isKycLimitError(error) || isPinError(error) ? error.status : error.message === "Insufficient wallet balance" ? 402 : 500).json({
             status: "ERROR",
             message: error.message || "Internal server error"
         });
@@ -1,23 +1,32 @@
 const prisma = require('@/lib/prisma');
-const vtpassProvider = require('@/services/vtpassProvider');
+const vtuRouter = require('@/services/vtu');
 const { validateNetworkMatch, normalizePhoneNumber } = require('@/lib/networkValidator');
 const { TransactionStatus, TransactionType } = require('@prisma/client');
 const { z } = require('zod');
 const { generateRef, generateVTPassRef } = require('@/lib/crypto');
-const { isNetworkError, safeRefund } = require('@/lib/financialSafety');
-const bcrypt = require('bcryptjs');
+const { isOutcomeUnknown, safeRefund } = require('@/lib/financialSafety');
+const { debitWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, isLoadTestRequest, verifyTransactionPin } = require('@/lib/transactionPin');
+const { notifyTransactionUpdate } = require('@/lib/partnerWebhooks');
+const { loadPricingRules, applyPricing, resolvePrice } = require('@/lib/pricing');
+const { findCampaignOffer, redeemCampaignOffer } = require('@/lib/campaigns');
 
 const purchaseDataSchema = z.object({
     network: z.enum(['MTN', 'GLO', 'AIRTEL', '9MOBILE']),
     planId: z.string().min(1).max(20),
     phoneNumber: z.string(),
+    promoCode: z.string().trim().min(1).max(30).optional(),
     transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
 });
+// Scheduled runs were authorised with the PIN when the schedule was set up
+const scheduledDataSchema = purchaseDataSchema.omit({ transactionPin: true });
 const { getCache, setCache } = require('@/lib/redis');
 
 /**
  * Fetch available plans (Selling Price only)
  * Now fetching from the database (NetworkPlan & DataPlan)
+ * SELLING_PRICE is the caller's price after tier/user pricing rules.
  */
 const getAvailablePlans = async (req, res) => {
     try {
@@ -29,6 +38,7 @@ const getAvailablePlans = async (req, res) => {
         // }
 
         // Fetch from DB
+        const pricingRules = await loadPricingRules(TransactionType.DATA, req.user);
         const networks = await prisma.networkPlan.findMany({
             where: { isActive: true },
             include: {
@@ -55,7 +65,11 @@ const getAvailablePlans = async (req, res) => {
                     VALIDITY: plan.validity,
                     PLAN_TYPE: plan.planType,
                     PRODUCT_AMOUNT: plan.userPrice.toString(),
-                    SELLING_PRICE: Number(plan.userPrice),
+                    SELLING_PRICE: applyPricing(pricingRules, {
+                        productCode: plan.productId,
+                        basePrice: Number(plan.userPrice),
+                        costPrice: Number(plan.costPrice)
+                    }).price,
                     IS_BEST_VALUE: plan.isBestValue
                 }))
             }];
@@ -84,12 +98,12 @@ const getAvailablePlans = async (req, res) => {
  */
 const purchaseData = async (req, res) => {
 
-    const parsed = purchaseDataSchema.safeParse(req.body);
+    const parsed = (req.scheduledPurchase ? scheduledDataSchema : purchaseDataSchema).safeParse(req.body);
     if (!parsed.success) {
         return res.status(400).json({ status: "ERROR", message: parsed.error.errors[0].message });
     }
 
-    const { network, planId, phoneNumber, transactionPin } = parsed.data;
+    const { network, planId, phoneNumber, transactionPin, promoCode } = parsed.data;
 
     console.log("Data Purchase Request:", network, planId, phoneNumber);
     const userId = req.user.id;
@@ -111,7 +125,12 @@ const purchaseData = async (req, res) => {
             return res.status(404).json({ status: "ERROR", message: "Invalid or inactive data plan selected" });
         }
 
-        const sellingPrice = Number(plan.userPrice);
+        const pricing = await resolvePrice(TransactionType.DATA, req.user, {
+            productCode: plan.productId,
+            basePrice: Number(plan.userPrice),
+            costPrice: Number(plan.costPrice)
+        });
+        const sellingPrice = pricing.price;
         const planName = plan.rawName;
 
         // --- IDEMPOTENCY CHECK ---
@@ -156,38 +175,16 @@ const purchaseData = async (req, res) => {
         // --- PERFORMANCE OPTIMIZATION: PIN VERIFICATION OUTSIDE TRANSACTION ---
         const user = await prisma.user.findUnique({
             where: { id: userId },
-            select: { id: true, transactionPin: true }
+            select: { id: true, ...PIN_FIELDS }
         });
         if (!user) throw new Error("User not found");
-        if (!user.transactionPin) throw new Error("Please set up a transaction PIN before making purchases");
-
-        // PERFORMANCE: Bypass Bcrypt for load tests
-        const isLoadTest = req.headers['x-load-test-key'] === process.env.LOAD_TEST_KEY;
-        const pinCacheKey = `verified_pin_${userId}_${transactionPin}`;
-        let isPinValid = isLoadTest ? true : await getCache(pinCacheKey);
+        await verifyTransactionPin(user, transactionPin, { trusted: isLoadTestRequest(req) || Boolean(req.scheduledPurchase) });
 
-        if (!isPinValid) {
-            isPinValid = await bcrypt.compare(transactionPin, user.transactionPin);
-            if (!isPinValid) throw new Error("Invalid transaction PIN");
-            await setCache(pinCacheKey, true, 3600);
-        }
+        // Cashback campaign (promo code or automatic), paid into bonusBalance once the purchase succeeds
+        const offer = await findCampaignOffer(TransactionType.DATA, req.user, { network: network, amount: sellingPrice, promoCode });
+        if (offer.error) return res.status(400).json({ status: "ERROR", message: offer.error });
 
         const result = await prisma.$transaction(async (tx) => {
-            const walletUpdate = await tx.wallet.updateMany({
-                where: {
-                    userId,
-                    balance: { gte: sellingPrice }
-                },
-                data: {
-                    balance: { decrement: sellingPrice },
-                    totalSpent: { increment: sellingPrice }
-                }
-            });
-
-            if (walletUpdate.count === 0) {
-                throw new Error("Insufficient wallet balance");
-            }
-
             const requestId = generateVTPassRef("DAT")
 
             const transaction = await tx.transaction.create({
@@ -197,16 +194,31 @@ const purchaseData = async (req, res) => {
                     type: TransactionType.DATA,
                     status: TransactionStatus.PENDING,
                     reference: requestId,
+                    apiKeyId: req.apiKey?.id || null,
                     metadata: {
                         network,
                         recipient: cleanPhone,
                         planName: planName,
                         planId: planId,
+                        ...(pricing.ruleId && { pricingRuleId: pricing.ruleId, discount: pricing.discount }),
+                        ...(offer.campaign && { campaignId: offer.campaign.id, cashback: offer.cashback }),
                     },
                     idempotencyKey: idempotencyKey // Fast-path column
                 }
             });
 
+            await debitWallet(tx, {
+                userId,
+                amount: sellingPrice,
+                entryType: 'PURCHASE',
+                counterAccount: LEDGER_ACCOUNTS.VTU_CLEARING,
+                reference: requestId,
+                transactionId: transaction.id,
+                description: `${network} data (${planName}) for ${cleanPhone}`
+            });
+
+            if (offer.campaign) await redeemCampaignOffer(tx, offer, transaction);
+
             return { transaction, requestId };
         }, {
             maxWait: 15000,
@@ -214,12 +226,14 @@ const purchaseData = async (req, res) => {
         });
 
         try {
-            const providerResponse = await vtpassProvider.buyData(
+            const providerResponse = await vtuRouter.purchase('DATA', {
+                requestId: result.requestId,
                 network,
-                planId, // For VTPass, planId is the variationCode
-                cleanPhone,
-                result.requestId
-            );
+                amount: Number(plan.costPrice),
+                phoneNumber: cleanPhone,
+                // For VTPass, planId is the variationCode; other providers map theirs on the plan
+                planCodes: { ...(plan.providerCodes || {}), VTPASS: planId }
+            });
 
             const finalStatus = providerResponse.isPending ? TransactionStatus.PENDING : TransactionStatus.SUCCESS;
 
@@ -228,7 +242,8 @@ const purchaseData = async (req, res) => {
                 data: {
                     status: finalStatus,
                     providerReference: providerResponse.orderId || providerResponse.transactionid,
-                    providerStatus: providerResponse.status || providerResponse.transactionstatus
+                    providerStatus: providerResponse.status || providerResponse.transactionstatus,
+                    metadata: { ...result.transaction.metadata, provider: providerResponse.provider }
                 }
             });
 
@@ -249,8 +264,13 @@ const purchaseData = async (req, res) => {
             });
 
         } catch (apiError) {
-            if (isNetworkError(apiError)) {
-                console.warn(`[Financial Safety] Timeout for Ref: ${result.requestId}. Leaving PENDING.`);
+            if (isOutcomeUnknown(apiError)) {
+                console.warn(`[Financial Safety] Outcome unknown for Ref: ${result.requestId}. Leaving PENDING.`);
+                // Remember who has the order so status checks query the right provider
+                await prisma.transaction.update({
+                    where: { id: result.transaction.id },
+                    data: { metadata: { ...result.transaction.metadata, provider: apiError.provider } }
+                }).catch(() => null);
                 return res.status(202).json({
                     status: "PENDING",
                     message: "Network delay. Your data bundle is being processed. check status shortly.",
@@ -267,7 +287,7 @@ const purchaseData = async (req, res) => {
         }
 
     } catch (error) {
-        return res.status(error.message === "Insufficient wallet balance" ? 402 : 500).json({
+        return res.status(isKycLimitError(error) || isPinError(error) ? error.status : error.message === "Insufficient wallet balance" ? 402 : 500).json({
             status: "ERROR",
             message: error.message || "Internal server error"
         });
@@ -294,7 +314,7 @@ const getDataStatus = async (req, res) => {
 
         if (txn.status === TransactionStatus.PENDING && txn.providerReference) {
             try {
-                const queryResult = await vtpassProvider.queryTransaction(txn.reference).catch(() => null);
+                const queryResult = await vtuRouter.queryTransaction(txn.metadata?.provider, txn.reference).catch(() => null);
 
                 // Ignore PENDING status (do nothing)
                 if (queryResult && queryResult.status === "SUCCESS") {
@@ -304,10 +324,12 @@ const getDataStatus = async (req, res) => {
                         data: { status: TransactionStatus.SUCCESS },
                         include: { user: { select: { fullName: true, email: true } } }
                     });
+                    await notifyTransactionUpdate(txn.id);
                 }
                 else if (queryResult && queryResult.status === "FAILED") {
                     const refundSuccess = await safeRefund(prisma, txn.userId, txn.amount, txn.id);
                     if (refundSuccess) {
+                        await notifyTransactionUpdate(txn.id);
                         txn = await prisma.transaction.findUnique({
                             where: { id: txn.id },
                             include: { user: { select: { fullName: true, email: true } } }
@@ -1,11 +1,15 @@
 const { z } = require('zod');
 const prisma = require('@/lib/prisma');
 const eduProvider = require('@/services/vtpassProvider');
-const naijaProvider = require('@/services/naijaResultPinsProvider');
+const vtuRouter = require('@/services/vtu');
 const { TransactionStatus, TransactionType } = require('@prisma/client');
 const { generateRef, generateVTPassRef } = require('@/lib/crypto');
-const { isNetworkError, safeRefund } = require('@/lib/financialSafety');
-const bcrypt = require('bcryptjs');
+const { isOutcomeUnknown, safeRefund } = require('@/lib/financialSafety');
+const { debitWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, isLoadTestRequest, verifyTransactionPin } = require('@/lib/transactionPin');
+const { loadPricingRules, applyPricing, resolvePrice } = require('@/lib/pricing');
+const { findCampaignOffer, redeemCampaignOffer } = require('@/lib/campaigns');
 
 // --- SCHEMAS ---
 
@@ -27,6 +31,7 @@ const purchasePinSchema = z.object({
     examType: z.string().min(1, "Exam type is required"), // This maps to PRODUCT_CODE
     phoneNo: z.string().regex(/^(\+234|0)[789][01]\d{8}$/, "Invalid Nigerian phone number"),
     profileId: z.string().optional(),
+    promoCode: z.string().trim().min(1).max(30).optional(),
     transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
 }).refine((data) => {
     if ((data.provider === 'JAMB' || data.provider === 'JAMB_MOCK') && !data.profileId) return false;
@@ -41,8 +46,6 @@ const formatZodError = (error) => {
     return error.issues.map(err => err.message).join(", ");
 };
 
-const { getCache, setCache } = require('@/lib/redis');
-
 const EDUCATION_PRODUCTS = {
     WAEC: [
         {
@@ -133,12 +136,26 @@ const getPackages = async (req, res) => {
 
     const { provider } = validation.data;
 
-    // Return hardcoded products
-    const products = EDUCATION_PRODUCTS[provider] || [];
-    return res.status(200).json({
-        status: "OK",
-        data: products
-    });
+    // Return hardcoded products, priced for the caller's tier
+    try {
+        const rules = await loadPricingRules(TransactionType.EDUCATION, req.user);
+        const products = (EDUCATION_PRODUCTS[provider] || []).map(product => ({
+            ...product,
+            SELLING_PRICE: applyPricing(rules, {
+                productCode: product.PRODUCT_CODE,
+                basePrice: product.SELLING_PRICE,
+                costPrice: Number(product.PRODUCT_AMOUNT)
+            }).price
+        }));
+
+        return res.status(200).json({
+            status: "OK",
+            data: products
+        });
+    } catch (error) {
+        console.error("Get Education Packages Error:", error.message);
+        return res.status(500).json({ status: "ERROR", message: "Internal server error" });
+    }
 };
 
 const verifyJamb = async (req, res) => {
@@ -172,7 +189,7 @@ const purchasePin = async (req, res) => {
         });
     }
 
-    const { provider, examType, phoneNo, profileId, transactionPin } = validation.data;
+    const { provider, examType, phoneNo, profileId, transactionPin, promoCode } = validation.data;
     console.log(provider, examType, phoneNo, profileId);
     const userId = req.user.id;
 
@@ -223,8 +240,13 @@ const purchasePin = async (req, res) => {
             });
         }
 
-        const pinCost = Number(selectedPkg.SELLING_PRICE);
         const providerCost = Number(selectedPkg.PRODUCT_AMOUNT);
+        const pricing = await resolvePrice(TransactionType.EDUCATION, req.user, {
+            productCode: examType,
+            basePrice: Number(selectedPkg.SELLING_PRICE),
+            costPrice: providerCost
+        });
+        const pinCost = pricing.price;
         const providerType = selectedPkg.provider;
         const cardTypeId = selectedPkg.PRODUCT_ID;
 
@@ -248,38 +270,16 @@ const purchasePin = async (req, res) => {
         // --- PERFORMANCE OPTIMIZATION: PIN VERIFICATION OUTSIDE TRANSACTION ---
         const user = await prisma.user.findUnique({
             where: { id: userId },
-            select: { id: true, transactionPin: true }
+            select: { id: true, ...PIN_FIELDS }
         });
         if (!user) throw new Error("User not found");
-        if (!user.transactionPin) throw new Error("Please set up a transaction PIN before making purchases");
+        await verifyTransactionPin(user, transactionPin, { trusted: isLoadTestRequest(req) });
 
-        // PERFORMANCE: Bypass Bcrypt for load tests
-        const isLoadTest = req.headers['x-load-test-key'] === process.env.LOAD_TEST_KEY;
-        const pinCacheKey = `verified_pin_${userId}_${transactionPin}`;
-        let isPinValid = isLoadTest ? true : await getCache(pinCacheKey);
-
-        if (!isPinValid) {
-            isPinValid = await bcrypt.compare(transactionPin, user.transactionPin);
-            if (!isPinValid) throw new Error("Invalid transaction PIN");
-            await setCache(pinCacheKey, true, 3600);
-        }
+        // Cashback campaign (promo code or automatic), paid into bonusBalance once the purchase succeeds
+        const offer = await findCampaignOffer(TransactionType.EDUCATION, req.user, { network: provider, amount: pinCost, promoCode });
+        if (offer.error) return res.status(400).json({ status: "ERROR", message: offer.error });
 
         const result = await prisma.$transaction(async (tx) => {
-            const walletUpdate = await tx.wallet.updateMany({
-                where: {
-                    userId,
-                    balance: { gte: pinCost }
-                },
-                data: {
-                    balance: { decrement: pinCost },
-                    totalSpent: { increment: pinCost }
-                }
-            });
-
-            if (walletUpdate.count === 0) {
-                throw new Error("Insufficient wallet balance");
-            }
-
             const requestId = generateVTPassRef("EDU");
 
             // Build metadata
@@ -287,7 +287,9 @@ const purchasePin = async (req, res) => {
                 provider,
                 examType,
                 recipient: phoneNo,
-                profileId: profileId || null
+                profileId: profileId || null,
+                ...(pricing.ruleId && { pricingRuleId: pricing.ruleId, discount: pricing.discount }),
+                ...(offer.campaign && { campaignId: offer.campaign.id, cashback: offer.cashback })
             };
             if (customerName) {
                 txMetadata.customerName = customerName;
@@ -300,32 +302,42 @@ const purchasePin = async (req, res) => {
                     type: TransactionType.EDUCATION,
                     status: TransactionStatus.PENDING,
                     reference: requestId,
+                    apiKeyId: req.apiKey?.id || null,
                     metadata: txMetadata,
                     idempotencyKey: idempotencyKey // Optimized column
                 }
             });
 
+            await debitWallet(tx, {
+                userId,
+                amount: pinCost,
+                entryType: 'PURCHASE',
+                counterAccount: LEDGER_ACCOUNTS.VTU_CLEARING,
+                reference: requestId,
+                transactionId: transaction.id,
+                description: `${examType} exam PIN`
+            });
+
+            if (offer.campaign) await redeemCampaignOffer(tx, offer, transaction);
+
             return { transaction, requestId };
         }, {
             maxWait: 15000,
             timeout: 30000
         });
 
-        // 3. Call External Provider
+        // 3. Call External Provider (routed, with failover)
         try {
-            let providerResponse;
-            if (providerType === 'NAIJA_RESULT_PINS') {
-                providerResponse = await naijaProvider.buyExamCard(cardTypeId, 1);
-            } else {
-                providerResponse = await eduProvider.buyEducationPin(
-                    provider.toUpperCase(),
-                    examType,
-                    phoneNo,
-                    profileId, // Specifically used for JAMB
-                    providerCost, // Amount VTPass expects
-                    result.requestId
-                );
-            }
+            const providerResponse = await vtuRouter.purchase('EDUCATION', {
+                requestId: result.requestId,
+                network: provider.toUpperCase(),
+                amount: providerCost, // Amount VTPass expects
+                variationCode: examType,
+                // Only NaijaResultPins products carry a card_type_id
+                cardTypeId: providerType === 'NAIJA_RESULT_PINS' ? cardTypeId : undefined,
+                profileId, // Specifically used for JAMB
+                phoneNumber: phoneNo
+            });
 
             // 4. Finalize Transaction with PIN Details
             await prisma.transaction.update({
@@ -336,6 +348,7 @@ const purchasePin = async (req, res) => {
                     providerStatus: providerResponse.status,
                     metadata: {
                         ...result.transaction.metadata,
+                        provider: providerResponse.provider,
                         cardDetails: providerResponse.cardDetails,
                         webhookPayload: providerResponse
                     }
@@ -354,9 +367,14 @@ const purchasePin = async (req, res) => {
             });
 
         } catch (apiError) {
-            // 5. SMART AUTO-REFUND: Skip if it was just a timeout
-            if (isNetworkError(apiError)) {
-                console.warn(`[Financial Safety] Timeout for Ref: ${result.requestId}. Leaving PENDING.`);
+            // 5. SMART AUTO-REFUND: Skip if the provider may still deliver
+            if (isOutcomeUnknown(apiError)) {
+                console.warn(`[Financial Safety] Outcome unknown for Ref: ${result.requestId}. Leaving PENDING.`);
+                // Remember who has the order so status checks query the right provider
+                await prisma.transaction.update({
+                    where: { id: result.transaction.id },
+                    data: { metadata: { ...result.transaction.metadata, provider: apiError.provider } }
+                }).catch(() => null);
                 return res.status(202).json({
                     status: "PENDING",
                     message: "Connection delay with the board. Your PIN is being generated. Check your receipt shortly.",
@@ -375,7 +393,7 @@ const purchasePin = async (req, res) => {
 
     } catch (error) {
         console.error("Education PIN Error:", error.message);
-        return res.status(error.message === "Insufficient wallet balance" ? 402 : 500).json({
+        return res.status(isKycLimitError(error) || isPinError(error) ? error.status : error.message === "Insufficient wallet balance" ? 402 : 500).json({
             status: "ERROR",
             message: error.message || "Internal server error"
         });
@@ -1,10 +1,16 @@
 const { z } = require('zod');
 const prisma = require('@/lib/prisma');
 const vtpassProvider = require('@/services/vtpassProvider');
+const vtuRouter = require('@/services/vtu');
 const { TransactionStatus, TransactionType } = require('@prisma/client');
 const { generateRef, generateVTPassRef } = require('@/lib/crypto');
-const { isNetworkError, safeRefund } = require('@/lib/financialSafety');
-const bcrypt = require('bcryptjs');
+const { isOutcomeUnknown, safeRefund } = require('@/lib/financialSafety');
+const { debitWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, isLoadTestRequest, verifyTransactionPin } = require('@/lib/transactionPin');
+const { resolvePrice } = require('@/lib/pricing');
+const { findCampaignOffer, redeemCampaignOffer } = require('@/lib/campaigns');
+const { recordVerification } = require('@/lib/beneficiaries');
 
 // --- SCHEMAS ---
 
@@ -19,6 +25,7 @@ const purchaseElectricitySchema = z.object({
     meterNo: z.string().min(5),
     meterType: z.enum(["01", "02"]),
     amount: z.number().min(100, "Minimum purchase is ₦100").max(500000, "Maximum purchase limit exceeded"),
+    promoCode: z.string().trim().min(1).max(30).optional(),
     transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
 });
 
@@ -88,6 +95,9 @@ const verifyMeterNumber = async (req, res) => {
         // Cache for 10 minutes to support the purchase follow-up
         await setCache(cacheKey, result, 600);
 
+        // Keep a saved beneficiary's customer name/address current
+        recordVerification(req.user.id, 'ELECTRICITY', meterNo, { customerName: result.customer_name, customerAddress: result.Address });
+
         return res.status(200).json({ status: "OK", data: result });
     } catch (error) {
         return res.status(400).json({ status: "ERROR", message: error.message });
@@ -108,7 +118,7 @@ const purchaseElectricity = async (req, res) => {
         });
     }
 
-    const { discoCode, meterNo, meterType, amount, transactionPin } = validation.data;
+    const { discoCode, meterNo, meterType, amount, transactionPin, promoCode } = validation.data;
     const userId = req.user.id;
     const billAmount = Number(amount);
     let user;
@@ -133,6 +143,10 @@ const purchaseElectricity = async (req, res) => {
             });
         }
 
+        // The disco is paid the bill amount; the wallet is charged the caller's price
+        const pricing = await resolvePrice(TransactionType.ELECTRICITY, req.user, { productCode: discoCode, basePrice: billAmount });
+        const chargeAmount = pricing.price;
+
         // 2. Optimized Idempotency Check (Fast-path column)
         const idempotencyKey = req.headers['x-idempotency-key'];
         if (idempotencyKey) {
@@ -154,7 +168,7 @@ const purchaseElectricity = async (req, res) => {
                 where: {
                     userId,
                     type: TransactionType.ELECTRICITY,
-                    amount: billAmount,
+                    amount: chargeAmount,
                     createdAt: { gte: sixtySecondsAgo },
                     metadata: { path: ['meterNo'], equals: meterNo }
                 },
@@ -175,46 +189,25 @@ const purchaseElectricity = async (req, res) => {
         // Fetch user once outside transaction
         user = await prisma.user.findUnique({
             where: { id: userId },
-            select: { id: true, transactionPin: true, phoneNumber: true }
+            select: { id: true, ...PIN_FIELDS, phoneNumber: true }
         });
         if (!user) throw new Error("User not found");
-        if (!user.transactionPin) throw new Error("Please set up a transaction PIN before making purchases");
+        await verifyTransactionPin(user, transactionPin, { trusted: isLoadTestRequest(req) });
 
-        // PERFORMANCE: Bypass Bcrypt for load tests
-        const isLoadTest = req.headers['x-load-test-key'] === process.env.LOAD_TEST_KEY;
-        let isPinValid = isLoadTest ? true : await getCache(pinCacheKey);
-
-        if (!isPinValid) {
-            isPinValid = await bcrypt.compare(transactionPin, user.transactionPin);
-            if (!isPinValid) throw new Error("Invalid transaction PIN");
-            await setCache(pinCacheKey, true, 3600);
-        }
+        // Cashback campaign (promo code or automatic), paid into bonusBalance once the purchase succeeds
+        const offer = await findCampaignOffer(TransactionType.ELECTRICITY, req.user, { network: discoCode, amount: chargeAmount, promoCode });
+        if (offer.error) return res.status(400).json({ status: "ERROR", message: offer.error });
 
         const result = await prisma.$transaction(async (tx) => {
-            // Check balance and decrement atomically
-            const walletUpdate = await tx.wallet.updateMany({
-                where: {
-                    userId,
-                    balance: { gte: billAmount }
-                },
-                data: {
-                    balance: { decrement: billAmount },
-                    totalSpent: { increment: billAmount }
-                }
-            });
-
-            if (walletUpdate.count === 0) {
-                throw new Error("Insufficient wallet balance");
-            }
-
             const requestId = generateVTPassRef("ELEC")
             const transaction = await tx.transaction.create({
                 data: {
                     userId,
-                    amount: billAmount,
+                    amount: chargeAmount,
                     type: TransactionType.ELECTRICITY,
                     status: TransactionStatus.PENDING,
                     reference: requestId,
+                    apiKeyId: req.apiKey?.id || null,
                     metadata: {
                         discoCode,
                         meterNo,
@@ -224,29 +217,42 @@ const purchaseElectricity = async (req, res) => {
                         token: "",
                         recipient: user.phoneNumber,
                         unit: "",
+                        ...(pricing.ruleId && { pricingRuleId: pricing.ruleId, discount: pricing.discount }),
+                        ...(offer.campaign && { campaignId: offer.campaign.id, cashback: offer.cashback }),
                         ...(idempotencyKey && { idempotencyKey })
                     },
                     idempotencyKey: idempotencyKey // Optimized column
                 }
             });
 
+            await debitWallet(tx, {
+                userId,
+                amount: chargeAmount,
+                entryType: 'PURCHASE',
+                counterAccount: LEDGER_ACCOUNTS.VTU_CLEARING,
+                reference: requestId,
+                transactionId: transaction.id,
+                description: `Electricity bill for meter ${meterNo}`
+            });
+
+            if (offer.campaign) await redeemCampaignOffer(tx, offer, transaction);
+
             return { transaction, requestId };
         }, {
             maxWait: 15000,
             timeout: 30000
         });
 
-        // 3. Call External Provider
+        // 3. Call External Provider (routed, with failover)
         try {
-            const providerTypeStr = meterType === '01' ? 'prepaid' : 'postpaid';
-            const providerResponse = await vtpassProvider.payElectricityBill(
-                discoCode,
-                providerTypeStr,
+            const providerResponse = await vtuRouter.purchase('ELECTRICITY', {
+                requestId: result.requestId,
+                network: discoCode,
+                amount: billAmount,
+                meterType,
                 meterNo,
-                billAmount,
-                user.phoneNumber,
-                result.requestId
-            );
+                phoneNumber: user.phoneNumber
+            });
 
             console.log("Gotten From Provider", providerResponse)
 
@@ -262,6 +268,7 @@ const purchaseElectricity = async (req, res) => {
                     providerStatus: providerResponse.status || providerResponse.transactionstatus,
                     metadata: {
                         ...result.transaction.metadata,
+                        provider: providerResponse.provider,
                         address: providerResponse.address === undefined ? result.transaction.metadata.address || providerResponse.customerAddress : providerResponse.address,
                         token: providerResponse.token || providerResponse.metertoken,
                         units: providerResponse.units || providerResponse.PurchasedUnits
@@ -288,8 +295,13 @@ const purchaseElectricity = async (req, res) => {
             });
 
         } catch (apiError) {
-            if (isNetworkError(apiError)) {
-                console.warn(`[Financial Safety] Timeout for Ref: ${result.requestId}. Leaving PENDING.`);
+            if (isOutcomeUnknown(apiError)) {
+                console.warn(`[Financial Safety] Outcome unknown for Ref: ${result.requestId}. Leaving PENDING.`);
+                // Remember who has the order so status checks query the right provider
+                await prisma.transaction.update({
+                    where: { id: result.transaction.id },
+                    data: { metadata: { ...result.transaction.metadata, provider: apiError.provider } }
+                }).catch(() => null);
                 return res.status(202).json({
                     status: "PENDING",
                     message: "Process delayed due to network. Please check status history for your token.",
@@ -298,7 +310,7 @@ const purchaseElectricity = async (req, res) => {
             }
 
             // 5. AUTO-REFUND with retry logic
-            await safeRefund(prisma, userId, billAmount, result.transaction.id);
+            await safeRefund(prisma, userId, chargeAmount, result.transaction.id);
 
             return res.status(502).json({
                 status: "ERROR",
@@ -308,7 +320,7 @@ const purchaseElectricity = async (req, res) => {
 
     } catch (error) {
         console.error("Electricity Purchase Error:", error.message);
-        return res.status(error.message === "Insufficient wallet balance" ? 402 : 500).json({
+        return res.status(isKycLimitError(error) || isPinError(error) ? error.status : error.message === "Insufficient wallet balance" ? 402 : 500).json({
             status: "ERROR",
             message: error.message || "Internal server error"
         });
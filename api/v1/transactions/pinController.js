@@ -4,6 +4,9 @@ const { TransactionStatus, TransactionType } = require('@prisma/client');
 const { z } = require('zod');
 const { generateRef, generateVTPassRef } = require('@/lib/crypto')
 const { isNetworkError, safeRefund } = require('@/lib/financialSafety');
+const { debitWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, verifyTransactionPin } = require('@/lib/transactionPin');
 
 /**
  * Handles the purchase and generation of Recharge Card PINs
@@ -14,6 +17,7 @@ const purchasePinSchema = z.object({
     network: z.enum(['MTN', 'GLO', 'AIRTEL', '9MOBILE']),
     value: z.enum(['100', '200', '500']),
     quantity: z.number().min(1).max(100),
+    transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
 });
 const printPins = async (req, res) => {
     const parsed = purchasePinSchema.safeParse(req.body);
@@ -21,7 +25,7 @@ const printPins = async (req, res) => {
         return res.status(400).json({ status: "ERROR", message: parsed.error.issues[0].message });
     }
 
-    const { network, value, quantity } = parsed.data;
+    const { network, value, quantity, transactionPin } = parsed.data;
     const userId = req.user.id;
 
     if (!network || !value || !quantity) {
@@ -81,16 +85,14 @@ const printPins = async (req, res) => {
             }
         }
 
-        const result = await prisma.$transaction(async (tx) => {
-            const wallet = await tx.wallet.findUnique({
-                where: { userId },
-                select: { id: true, userId: true, balance: true }
-            });
-
-            if (!wallet || Number(wallet.balance) < totalCost) {
-                throw new Error("Insufficient wallet balance");
-            }
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { id: true, ...PIN_FIELDS }
+        });
+        if (!user) throw new Error("User not found");
+        await verifyTransactionPin(user, transactionPin);
 
+        const result = await prisma.$transaction(async (tx) => {
             const requestId = generateVTPassRef("PRT")
             const transaction = await tx.transaction.create({
                 data: {
@@ -99,6 +101,7 @@ const printPins = async (req, res) => {
                     type: TransactionType.RECHARGE_PIN,
                     status: TransactionStatus.PENDING,
                     reference: requestId,
+                    apiKeyId: req.apiKey?.id || null,
                     metadata: {
                         network,
                         quantity: qty,
@@ -109,13 +112,15 @@ const printPins = async (req, res) => {
                 }
             });
 
-            // Update Wallet: Deduct Balance AND Increment TotalSpent
-            await tx.wallet.update({
-                where: { userId },
-                data: {
-                    balance: { decrement: totalCost },
-                    totalSpent: { increment: totalCost }
-                }
+            // Deduct Balance AND Increment TotalSpent (guarded, journaled)
+            await debitWallet(tx, {
+                userId,
+                amount: totalCost,
+                entryType: 'PURCHASE',
+                counterAccount: LEDGER_ACCOUNTS.NELLOBYTE,
+                reference: requestId,
+                transactionId: transaction.id,
+                description: `${qty} x ${network} ₦${value} recharge PINs`
             });
 
             return { transaction, requestId };
@@ -167,7 +172,7 @@ const printPins = async (req, res) => {
         }
 
     } catch (error) {
-        return res.status(error.message === "Insufficient wallet balance" ? 402 : 500).json({
+        return res.status(isKycLimitError(error) || isPinError(error) ? error.status : error.message === "Insufficient wallet balance" ? 402 : 500).json({
             status: "ERROR",
             message: error.message || "Internal server error"
         });
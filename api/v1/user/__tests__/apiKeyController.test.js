@@ -0,0 +1,106 @@
+const httpMocks = require('node-mocks-http');
+const prisma = require('@/lib/prisma');
+const { hashApiKey } = require('@/lib/crypto');
+const { createApiKey, rotateApiKey, revokeApiKey } = require('../apiKeyController');
+
+jest.mock('@/lib/prisma');
+
+describe('API Key Controller', () => {
+    let req, res;
+    const partner = { id: 'partner-1', tier: 'API_PARTNER', isStaff: false };
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+
+        jest.clearAllMocks();
+
+        prisma.apiKey.count.mockResolvedValue(0);
+        prisma.apiKey.create.mockImplementation(async ({ data }) => ({ id: 'key-new', createdAt: new Date(), ...data }));
+        prisma.$transaction.mockImplementation(async (queries) => Promise.all(queries));
+    });
+
+    it('should store only the hash and return the key once', async () => {
+        req = httpMocks.createRequest({
+            method: 'POST',
+            user: partner,
+            body: { name: 'Production', scopes: ['vtu:purchase', 'wallet:read'], ipAllowlist: ['41.58.1.1'] }
+        });
+
+        await createApiKey(req, res);
+
+        expect(res.statusCode).toBe(201);
+        const { data } = res._getJSONData();
+        const stored = prisma.apiKey.create.mock.calls[0][0].data;
+
+        expect(data.key).toMatch(/^mpk_/);
+        expect(stored.keyHash).toBe(hashApiKey(data.key));
+        expect(stored).not.toHaveProperty('key');
+        expect(data.prefix).toBe(data.key.slice(0, 12));
+        expect(data).not.toHaveProperty('keyHash');
+    });
+
+    it('should only let API partners create keys', async () => {
+        req = httpMocks.createRequest({
+            method: 'POST',
+            user: { id: 'user-1', tier: 'SMART_USER', isStaff: false },
+            body: { name: 'Mine', scopes: ['vtu:read'] }
+        });
+
+        await createApiKey(req, res);
+
+        expect(res.statusCode).toBe(403);
+        expect(prisma.apiKey.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown scopes and invalid IPs', async () => {
+        req = httpMocks.createRequest({
+            method: 'POST',
+            user: partner,
+            body: { name: 'Prod', scopes: ['admin:all'] }
+        });
+        await createApiKey(req, res);
+        expect(res.statusCode).toBe(400);
+
+        res = httpMocks.createResponse();
+        req.body = { name: 'Prod', scopes: ['vtu:read'], ipAllowlist: ['not-an-ip'] };
+        await createApiKey(req, res);
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('should rotate a key and keep the old one alive for the grace period', async () => {
+        prisma.apiKey.findFirst.mockResolvedValue({
+            id: 'key-old', name: 'Production', scopes: ['vtu:purchase'], ipAllowlist: []
+        });
+        prisma.apiKey.update.mockResolvedValue({});
+
+        req = httpMocks.createRequest({
+            method: 'POST',
+            user: partner,
+            params: { id: 'key-old' },
+            body: { gracePeriodHours: 24 }
+        });
+
+        await rotateApiKey(req, res);
+
+        expect(res.statusCode).toBe(201);
+        const retire = prisma.apiKey.update.mock.calls[0][0];
+        expect(retire.where).toEqual({ id: 'key-old' });
+        expect(retire.data.expiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+        expect(prisma.apiKey.create.mock.calls[0][0].data).toMatchObject({
+            name: 'Production', scopes: ['vtu:purchase'], rotatedFromId: 'key-old'
+        });
+    });
+
+    it('should only revoke keys the caller owns', async () => {
+        prisma.apiKey.updateMany.mockResolvedValue({ count: 0 });
+
+        req = httpMocks.createRequest({ method: 'DELETE', user: partner, params: { id: 'someone-elses-key' } });
+
+        await revokeApiKey(req, res);
+
+        expect(res.statusCode).toBe(404);
+        expect(prisma.apiKey.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: 'someone-elses-key', userId: 'partner-1', revokedAt: null }
+        }));
+    });
+});
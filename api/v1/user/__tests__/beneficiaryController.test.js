@@ -0,0 +1,95 @@
+const httpMocks = require('node-mocks-http');
+const prisma = require('@/lib/prisma');
+const vtpassProvider = require('@/services/vtpassProvider');
+const { createBeneficiary, getBeneficiarySuggestions } = require('../beneficiaryController');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/services/vtpassProvider');
+
+describe('Beneficiary Controller', () => {
+    let req, res;
+    const user = { id: 'user-1', tier: 'SMART_USER', isStaff: false };
+
+    const makeRequest = (body) => httpMocks.createRequest({ method: 'POST', user, body });
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+
+        jest.clearAllMocks();
+
+        prisma.beneficiary.count.mockResolvedValue(0);
+        prisma.beneficiary.findUnique.mockResolvedValue(null);
+        prisma.beneficiary.findMany.mockResolvedValue([]);
+        prisma.beneficiary.create.mockImplementation(async ({ data }) => ({ id: 'ben-1', ...data }));
+    });
+
+    it('should save a phone with its network detected from the prefix', async () => {
+        req = makeRequest({ serviceType: 'PHONE', label: 'Mum', identifier: '+234 803 111 1111' });
+
+        await createBeneficiary(req, res);
+
+        expect(res.statusCode).toBe(201);
+        expect(prisma.beneficiary.create.mock.calls[0][0].data).toMatchObject({
+            userId: 'user-1',
+            identifier: '08031111111',
+            network: 'MTN'
+        });
+        expect(vtpassProvider.verifyMeter).not.toHaveBeenCalled();
+    });
+
+    it('should verify a meter and keep the customer name and address', async () => {
+        vtpassProvider.verifyMeter.mockResolvedValue({ customer_name: 'ADA OBI', Address: '12 Allen Ave, Ikeja' });
+        req = makeRequest({ serviceType: 'ELECTRICITY', label: 'Shop', identifier: '45011111111', network: 'ikeja-electric', meterType: '01' });
+
+        await createBeneficiary(req, res);
+
+        expect(res.statusCode).toBe(201);
+        expect(vtpassProvider.verifyMeter).toHaveBeenCalledWith('ikeja-electric', '45011111111', 'prepaid');
+        expect(prisma.beneficiary.create.mock.calls[0][0].data).toMatchObject({
+            meterType: '01',
+            customerName: 'ADA OBI',
+            customerAddress: '12 Allen Ave, Ikeja',
+            verifiedAt: expect.any(Date)
+        });
+    });
+
+    it('should not save a meter that fails verification', async () => {
+        vtpassProvider.verifyMeter.mockRejectedValue(new Error('Invalid meter number. Please check the number and try again.'));
+        req = makeRequest({ serviceType: 'ELECTRICITY', label: 'Shop', identifier: '45000000000', network: 'ikeja-electric', meterType: '01' });
+
+        await createBeneficiary(req, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(prisma.beneficiary.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a number that is already saved', async () => {
+        prisma.beneficiary.findUnique.mockResolvedValue({ id: 'ben-0', label: 'Mum' });
+        req = makeRequest({ serviceType: 'PHONE', label: 'Mother', identifier: '08031111111' });
+
+        await createBeneficiary(req, res);
+
+        expect(res.statusCode).toBe(409);
+        expect(prisma.beneficiary.create).not.toHaveBeenCalled();
+    });
+
+    it('should suggest frequent unsaved recipients from successful purchases', async () => {
+        prisma.beneficiary.findMany.mockResolvedValue([{ serviceType: 'PHONE', identifier: '08021111111' }]);
+        prisma.transaction.findMany.mockResolvedValue([
+            { type: 'DATA', metadata: { recipient: '08031111111', network: 'MTN' }, createdAt: new Date('2026-03-03') },
+            { type: 'CABLE_TV', metadata: { smartCardNo: '7012345678', cableTV: 'dstv', customerName: 'ADA OBI' }, createdAt: new Date('2026-03-02') },
+            { type: 'AIRTIME', metadata: { recipient: '08031111111', network: 'MTN' }, createdAt: new Date('2026-03-01') },
+            { type: 'AIRTIME', metadata: { recipient: '08021111111', network: 'AIRTEL' }, createdAt: new Date('2026-02-28') }
+        ]);
+        req = httpMocks.createRequest({ method: 'GET', user });
+
+        await getBeneficiarySuggestions(req, res);
+
+        const { data } = res._getJSONData();
+        expect(data.map(s => [s.serviceType, s.identifier, s.timesUsed])).toEqual([
+            ['PHONE', '08031111111', 2],
+            ['CABLE_TV', '7012345678', 1]
+        ]);
+        expect(data[1].customerName).toBe('ADA OBI');
+    });
+});
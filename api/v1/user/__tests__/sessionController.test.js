@@ -0,0 +1,86 @@
+const httpMocks = require('node-mocks-http');
+const prisma = require('@/lib/prisma');
+const { getSessions, revokeSession, revokeOtherSessions } = require('../sessionController');
+
+jest.mock('@/lib/prisma');
+
+describe('Session Controller', () => {
+    let res;
+
+    const makeRequest = (overrides = {}) => httpMocks.createRequest({
+        user: { id: 'user-1', sessionId: 'session-current' },
+        params: {},
+        ...overrides
+    });
+
+    const token = (sessionId, overrides = {}) => ({
+        sessionId,
+        deviceName: 'Chrome on Windows',
+        ipAddress: '102.89.1.1',
+        userAgent: 'Mozilla/5.0',
+        signedInAt: new Date('2026-10-01'),
+        lastUsedAt: new Date('2026-10-18'),
+        expiresAt: new Date('2026-10-25'),
+        ...overrides
+    });
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+        jest.clearAllMocks();
+    });
+
+    it('should list each live session once and mark the current one', async () => {
+        prisma.refreshToken.findMany.mockResolvedValue([
+            token('session-current', { deviceName: 'Mufti Pay app on Android' }),
+            token('session-laptop'),
+            token('session-laptop')
+        ]);
+
+        await getSessions(makeRequest(), res);
+
+        const { data } = res._getJSONData();
+        expect(data).toHaveLength(2);
+        expect(data[0]).toMatchObject({ id: 'session-current', deviceName: 'Mufti Pay app on Android', current: true });
+        expect(data[1]).toMatchObject({ id: 'session-laptop', current: false });
+        expect(prisma.refreshToken.findMany.mock.calls[0][0].where).toMatchObject({ userId: 'user-1', revoked: false });
+    });
+
+    it('should revoke and expire every token of the chosen session', async () => {
+        prisma.refreshToken.updateMany.mockResolvedValue({ count: 2 });
+
+        await revokeSession(makeRequest({ params: { id: 'session-laptop' } }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+            where: { userId: 'user-1', sessionId: 'session-laptop', expiresAt: { gt: expect.any(Date) } },
+            data: { revoked: true, expiresAt: expect.any(Date) }
+        });
+    });
+
+    it('should return 404 for a session that is not the user\'s or already signed out', async () => {
+        prisma.refreshToken.updateMany.mockResolvedValue({ count: 0 });
+
+        await revokeSession(makeRequest({ params: { id: 'someone-elses' } }), res);
+
+        expect(res.statusCode).toBe(404);
+    });
+
+    it('should sign out every session except the current one', async () => {
+        prisma.refreshToken.updateMany.mockResolvedValue({ count: 3 });
+
+        await revokeOtherSessions(makeRequest(), res);
+
+        expect(res._getJSONData().data.revoked).toBe(3);
+        expect(prisma.refreshToken.updateMany.mock.calls[0][0].where).toMatchObject({
+            userId: 'user-1',
+            sessionId: { not: 'session-current' }
+        });
+    });
+
+    it('should refuse to revoke others from a token without a session', async () => {
+        await revokeOtherSessions(makeRequest({ user: { id: 'user-1', sessionId: null } }), res);
+
+        expect(res.statusCode).toBe(400);
+        expect(prisma.refreshToken.updateMany).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,137 @@
+const { getStatement } = require('../userController');
+const httpMocks = require('node-mocks-http');
+const { PassThrough } = require('stream');
+const prisma = require('@/lib/prisma');
+const { writeStatementPdf } = require('@/lib/statementExport');
+
+jest.mock('@/lib/prisma');
+
+describe('User Controller - getStatement', () => {
+    let req, res;
+    const userId = 'user-123';
+
+    const entries = [
+        {
+            direction: 'CREDIT', entryType: 'FUNDING', amount: 5000, openingBalance: 1000, closingBalance: 6000,
+            reference: 'MNFY-1', description: 'Wallet funding via Monnify (MNFY|1)', createdAt: new Date('2026-03-02T10:00:00Z'),
+            transaction: { type: 'WALLET_FUNDING', status: 'SUCCESS' }, flightTransaction: null
+        },
+        {
+            direction: 'DEBIT', entryType: 'FLIGHT_PAYMENT', amount: 4500, openingBalance: 6000, closingBalance: 1500,
+            reference: 'FLT-ABCD', description: null, createdAt: new Date('2026-03-05T08:30:00Z'),
+            transaction: null, flightTransaction: { type: 'PAYMENT', flightRequest: { origin: 'LOS', destination: 'ABV' } }
+        }
+    ];
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({
+            method: 'GET',
+            url: '/api/v1/user/statement',
+            user: { id: userId },
+            query: { from: '2026-03-01', to: '2026-03-31' }
+        });
+        res = httpMocks.createResponse();
+
+        jest.clearAllMocks();
+
+        prisma.$transaction.mockImplementation(async (queries) => Promise.all(queries));
+        prisma.user.findUnique.mockResolvedValue({ fullName: 'Ada Obi', email: 'ada@example.com', phoneNumber: '08011111111' });
+        prisma.walletLedgerEntry.findMany.mockResolvedValue(entries);
+        prisma.walletLedgerEntry.findFirst.mockResolvedValue({ closingBalance: 1000 });
+    });
+
+    it('should return opening balance, movements and closing balance as JSON', async () => {
+        await getStatement(req, res);
+
+        expect(res.statusCode).toBe(200);
+        const { data } = res._getJSONData();
+
+        expect(data.openingBalance).toBe('1000.00');
+        expect(data.closingBalance).toBe('1500.00');
+        expect(data.totalCredits).toBe('5000.00');
+        expect(data.totalDebits).toBe('4500.00');
+        expect(data.lines).toHaveLength(2);
+        expect(data.lines[1]).toMatchObject({
+            reference: 'FLT-ABCD',
+            type: 'FLIGHT_BOOKING',
+            description: 'Flight payment LOS - ABV',
+            debit: '4500.00',
+            credit: null,
+            balance: '1500.00'
+        });
+    });
+
+    it('should list entries in write order so lines sharing a timestamp keep a running balance', async () => {
+        await getStatement(req, res);
+
+        expect(prisma.walletLedgerEntry.findMany).toHaveBeenCalledWith(expect.objectContaining({ orderBy: { seq: 'asc' } }));
+        expect(prisma.walletLedgerEntry.findFirst).toHaveBeenCalledWith(expect.objectContaining({ orderBy: { seq: 'desc' } }));
+    });
+
+    it('should carry the previous closing balance forward when the period has no movements', async () => {
+        prisma.walletLedgerEntry.findMany.mockResolvedValue([]);
+
+        await getStatement(req, res);
+
+        const { data } = res._getJSONData();
+        expect(data.openingBalance).toBe('1000.00');
+        expect(data.closingBalance).toBe('1000.00');
+        expect(data.lines).toHaveLength(0);
+    });
+
+    it('should export CSV with opening and closing rows', async () => {
+        req.query.format = 'csv';
+
+        await getStatement(req, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.getHeader('Content-Type')).toContain('text/csv');
+        expect(res.getHeader('Content-Disposition')).toContain('statement_2026-03-01_2026-03-31.csv');
+
+        const rows = res._getData().trim().split('\r\n');
+        expect(rows[0]).toBe('Date,Reference,Description,Type,Debit,Credit,Balance');
+        expect(rows[1]).toContain('Opening Balance');
+        expect(rows[2]).toContain(',MNFY-1,Wallet funding via Monnify (MNFY|1),WALLET_FUNDING,,5000.00,6000.00');
+        expect(rows[rows.length - 1]).toContain('Closing Balance,,,,1500.00');
+    });
+
+    it('should reject an inverted date range', async () => {
+        req.query = { from: '2026-04-01', to: '2026-03-01' };
+
+        await getStatement(req, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(prisma.walletLedgerEntry.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unsupported format', async () => {
+        req.query.format = 'xlsx';
+
+        await getStatement(req, res);
+
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('should render a valid PDF document locally', async () => {
+        const stream = new PassThrough();
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        const done = new Promise(resolve => stream.on('end', resolve));
+
+        writeStatementPdf({
+            account: { fullName: 'Ada Obi', email: 'ada@example.com', phoneNumber: '08011111111' },
+            period: { from: new Date('2026-03-01'), to: new Date('2026-03-31') },
+            openingBalance: '1000.00',
+            totalCredits: '5000.00',
+            totalDebits: '4500.00',
+            closingBalance: '1500.00',
+            generatedAt: new Date(),
+            lines: [{ date: new Date(), reference: 'FLT-ABCD', description: 'Flight payment', debit: '4500.00', credit: null, balance: '1500.00' }]
+        }, stream);
+
+        await done;
+        const pdf = Buffer.concat(chunks);
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(pdf.toString('latin1').trim().endsWith('%%EOF')).toBe(true);
+    });
+});
@@ -0,0 +1,112 @@
+const httpMocks = require('node-mocks-http');
+const bcrypt = require('bcryptjs');
+const prisma = require('@/lib/prisma');
+const { createTransfer, lookupRecipient } = require('../transferController');
+
+jest.mock('@/lib/prisma');
+jest.mock('bcryptjs');
+
+describe('Transfer Controller', () => {
+    let res;
+    const sender = { id: 'user-1', fullName: 'Ada Obi', kycLevel: 'LEVEL_2', transactionPin: 'hashed' };
+    const recipient = { id: 'user-2', fullName: 'Chidi Eze', email: 'chidi@example.com', phoneNumber: '08031234567' };
+
+    const makeRequest = (body) => httpMocks.createRequest({
+        method: 'POST',
+        user: { id: sender.id },
+        headers: {},
+        body: { to: '08031234567', amount: 5000, transactionPin: '1234', ...body }
+    });
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+
+        jest.clearAllMocks();
+
+        bcrypt.compare.mockResolvedValue(true);
+        prisma.user.findFirst.mockResolvedValue(recipient);
+        prisma.user.findUnique.mockResolvedValue(sender);
+        prisma.$transaction.mockImplementation(async (cb) => cb(prisma));
+        prisma.transaction.aggregate.mockResolvedValue({ _sum: { amount: null } });
+        prisma.transaction.create.mockImplementation(async ({ data }) => ({ id: `txn-${data.metadata.direction}`, ...data }));
+        prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+        prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-1', userId: sender.id, balance: 15000 });
+        prisma.wallet.upsert.mockResolvedValue({ id: 'wallet-2', userId: recipient.id, balance: 5000 });
+    });
+
+    it('should debit the sender and credit the recipient in one transaction', async () => {
+        await createTransfer(makeRequest({ note: 'Lunch' }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(res._getJSONData().data).toMatchObject({ amount: 5000, balance: 15000 });
+        expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+
+        expect(prisma.user.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+            where: { phoneNumber: { in: ['08031234567', '+2348031234567'] } }
+        }));
+        expect(prisma.wallet.updateMany).toHaveBeenCalledWith({
+            where: { userId: 'user-1', balance: { gte: expect.anything() } },
+            data: { balance: { decrement: expect.anything() } }
+        });
+        expect(prisma.wallet.upsert).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 'user-2' } }));
+
+        const [outgoing, incoming] = prisma.transaction.create.mock.calls.map(call => call[0].data);
+        expect(outgoing).toMatchObject({ userId: 'user-1', type: 'TRANSFER', status: 'SUCCESS', metadata: { direction: 'OUT', counterpartyName: 'Chidi Eze', note: 'Lunch' } });
+        expect(incoming).toMatchObject({ userId: 'user-2', type: 'TRANSFER', reference: `${outgoing.reference}-IN`, metadata: { direction: 'IN', counterpartyName: 'Ada Obi' } });
+
+        expect(prisma.walletLedgerEntry.create).toHaveBeenCalledTimes(2);
+        expect(prisma.walletLedgerEntry.create.mock.calls.map(call => call[0].data.direction)).toEqual(['DEBIT', 'CREDIT']);
+    });
+
+    it('should lock the sender wallet before reading what was sent today', async () => {
+        await createTransfer(makeRequest(), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(prisma.transaction.aggregate.mock.invocationCallOrder[0]);
+    });
+
+    it('should refuse a transfer over the level 1 daily transfer limit', async () => {
+        prisma.user.findUnique.mockResolvedValue({ ...sender, kycLevel: 'LEVEL_1' });
+        prisma.transaction.aggregate.mockResolvedValue({ _sum: { amount: 18000 } });
+
+        await createTransfer(makeRequest(), res);
+
+        expect(res.statusCode).toBe(403);
+        expect(prisma.transaction.create).not.toHaveBeenCalled();
+        expect(prisma.wallet.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject a wrong PIN before moving money', async () => {
+        bcrypt.compare.mockResolvedValue(false);
+
+        await createTransfer(makeRequest({ transactionPin: '9999' }), res);
+
+        expect(res.statusCode).toBe(401);
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should not let users send to themselves', async () => {
+        prisma.user.findFirst.mockResolvedValue({ ...recipient, id: sender.id });
+
+        await createTransfer(makeRequest(), res);
+
+        expect(res.statusCode).toBe(400);
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should show the recipient name and remaining limit on lookup', async () => {
+        prisma.transaction.aggregate.mockResolvedValue({ _sum: { amount: 50000 } });
+        const req = httpMocks.createRequest({ method: 'GET', user: { id: sender.id }, query: { to: 'Chidi@Example.com' } });
+
+        await lookupRecipient(req, res);
+
+        expect(res.statusCode).toBe(200);
+        expect(prisma.user.findFirst).toHaveBeenCalledWith(expect.objectContaining({ where: { email: 'chidi@example.com' } }));
+        expect(res._getJSONData().data).toEqual({
+            name: 'Chidi Eze',
+            phoneNumber: '0803***4567',
+            dailyLimit: 200000,
+            remainingToday: 150000
+        });
+    });
+});
@@ -0,0 +1,215 @@
+const { z } = require('zod');
+const net = require('net');
+const prisma = require('@/lib/prisma');
+const { generateApiKey } = require('@/lib/crypto');
+const { API_KEY_SCOPES } = require('@/middleware/apiKeyMiddleware');
+
+/**
+ * Partner API Keys
+ * API_PARTNER users manage their own keys here (session auth only, never with a key).
+ * The plaintext key is returned exactly once, on create/rotate.
+ */
+
+const MAX_ACTIVE_KEYS = 10;
+
+const keyFields = {
+    name: z.string().trim().min(1, "Key name is required").max(60),
+    scopes: z.array(z.enum(API_KEY_SCOPES)).min(1, "Select at least one scope"),
+    ipAllowlist: z.array(
+        z.string().trim().refine(ip => net.isIP(ip) !== 0, "IP allowlist entries must be valid IP addresses")
+    ).max(20)
+};
+
+const createKeySchema = z.object({
+    name: keyFields.name,
+    scopes: keyFields.scopes,
+    ipAllowlist: keyFields.ipAllowlist.default([])
+});
+
+const rotateKeySchema = z.object({
+    // Keep the old key working for a while so partners can deploy the new one
+    gracePeriodHours: z.number().int().min(0).max(72).default(0)
+});
+
+const publicKey = (key) => ({
+    id: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    ipAllowlist: key.ipAllowlist,
+    lastUsedAt: key.lastUsedAt,
+    lastUsedIp: key.lastUsedIp,
+    expiresAt: key.expiresAt,
+    revokedAt: key.revokedAt,
+    createdAt: key.createdAt
+});
+
+const activeKeyWhere = (userId) => ({
+    userId,
+    revokedAt: null,
+    OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+});
+
+const requirePartner = (req, res) => {
+    if (req.user.tier !== 'API_PARTNER') {
+        res.status(403).json({ status: "ERROR", message: "API keys are only available to API partners." });
+        return false;
+    }
+    return true;
+};
+
+/**
+ * 1. List API Keys (never returns the key itself)
+ * @route GET /api/v1/user/api-keys
+ */
+const getApiKeys = async (req, res) => {
+    try {
+        if (!requirePartner(req, res)) return;
+
+        const keys = await prisma.apiKey.findMany({
+            where: { userId: req.user.id },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.status(200).json({ status: "OK", data: keys.map(publicKey) });
+    } catch (error) {
+        console.error("Get API Keys Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch API keys" });
+    }
+};
+
+/**
+ * 2. Create an API Key
+ * @route POST /api/v1/user/api-keys
+ */
+const createApiKey = async (req, res) => {
+    try {
+        if (!requirePartner(req, res)) return;
+
+        const validation = createKeySchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const activeCount = await prisma.apiKey.count({ where: activeKeyWhere(req.user.id) });
+        if (activeCount >= MAX_ACTIVE_KEYS) {
+            return res.status(400).json({
+                status: "ERROR",
+                message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one first.`
+            });
+        }
+
+        const { key, prefix, hash } = generateApiKey();
+        const { name, scopes, ipAllowlist } = validation.data;
+
+        const created = await prisma.apiKey.create({
+            data: {
+                userId: req.user.id,
+                name,
+                prefix,
+                keyHash: hash,
+                scopes: [...new Set(scopes)],
+                ipAllowlist: [...new Set(ipAllowlist)]
+            }
+        });
+
+        res.status(201).json({
+            status: "OK",
+            message: "API key created. Copy it now; it will not be shown again.",
+            data: { ...publicKey(created), key }
+        });
+    } catch (error) {
+        console.error("Create API Key Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to create API key" });
+    }
+};
+
+/**
+ * 3. Rotate an API Key
+ * Issues a new key with the same name, scopes and allowlist. The old key is revoked
+ * immediately, or expires after the grace period.
+ * @route POST /api/v1/user/api-keys/:id/rotate
+ */
+const rotateApiKey = async (req, res) => {
+    try {
+        if (!requirePartner(req, res)) return;
+
+        const validation = rotateKeySchema.safeParse(req.body || {});
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const existing = await prisma.apiKey.findFirst({
+            where: { ...activeKeyWhere(req.user.id), id: req.params.id }
+        });
+
+        if (!existing) {
+            return res.status(404).json({ status: "ERROR", message: "Active API key not found" });
+        }
+
+        const { gracePeriodHours } = validation.data;
+        const { key, prefix, hash } = generateApiKey();
+        const now = new Date();
+
+        const retireOld = gracePeriodHours > 0
+            ? { expiresAt: new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000) }
+            : { revokedAt: now };
+
+        const [, created] = await prisma.$transaction([
+            prisma.apiKey.update({ where: { id: existing.id }, data: retireOld }),
+            prisma.apiKey.create({
+                data: {
+                    userId: req.user.id,
+                    name: existing.name,
+                    prefix,
+                    keyHash: hash,
+                    scopes: existing.scopes,
+                    ipAllowlist: existing.ipAllowlist,
+                    rotatedFromId: existing.id
+                }
+            })
+        ]);
+
+        res.status(201).json({
+            status: "OK",
+            message: gracePeriodHours > 0
+                ? `API key rotated. The old key stops working in ${gracePeriodHours} hour(s).`
+                : "API key rotated. The old key no longer works.",
+            data: { ...publicKey(created), key }
+        });
+    } catch (error) {
+        console.error("Rotate API Key Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to rotate API key" });
+    }
+};
+
+/**
+ * 4. Revoke an API Key
+ * @route DELETE /api/v1/user/api-keys/:id
+ */
+const revokeApiKey = async (req, res) => {
+    try {
+        if (!requirePartner(req, res)) return;
+
+        const revoked = await prisma.apiKey.updateMany({
+            where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+
+        if (revoked.count === 0) {
+            return res.status(404).json({ status: "ERROR", message: "Active API key not found" });
+        }
+
+        res.status(200).json({ status: "OK", message: "API key revoked" });
+    } catch (error) {
+        console.error("Revoke API Key Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to revoke API key" });
+    }
+};
+
+module.exports = {
+    getApiKeys,
+    createApiKey,
+    rotateApiKey,
+    revokeApiKey
+};
@@ -0,0 +1,230 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { normalizePhoneNumber, detectNetwork } = require('@/lib/networkValidator');
+const { verifyBeneficiary, suggestBeneficiaries } = require('@/lib/beneficiaries');
+
+/**
+ * Saved Beneficiaries (user side)
+ * Purchases can then send `beneficiaryId` instead of the phone, meter or
+ * smartcard fields (see middleware/beneficiaryMiddleware.js).
+ */
+
+const MAX_BENEFICIARIES = 50;
+
+const createBeneficiarySchema = z.discriminatedUnion('serviceType', [
+    z.object({
+        serviceType: z.literal('PHONE'),
+        label: z.string().trim().min(1, "Label is required").max(40),
+        identifier: z.string().min(10, "Phone number is required"),
+        network: z.enum(['MTN', 'GLO', 'AIRTEL', '9MOBILE']).optional()
+    }),
+    z.object({
+        serviceType: z.literal('ELECTRICITY'),
+        label: z.string().trim().min(1, "Label is required").max(40),
+        identifier: z.string().min(5, "Meter number is too short").max(20, "Meter number is too long"),
+        network: z.string().min(2, "Invalid Disco Code"),
+        meterType: z.enum(["01", "02"], { error: "Meter type must be 01 (Prepaid) or 02 (Postpaid)" })
+    }),
+    z.object({
+        serviceType: z.literal('CABLE_TV'),
+        label: z.string().trim().min(1, "Label is required").max(40),
+        identifier: z.string().min(8, "SmartCard/IUC number is too short").max(15, "SmartCard/IUC number is too long"),
+        network: z.enum(["dstv", "gotv", "startimes", "showmax"], { error: "Invalid provider. Choose dstv, gotv, startimes, or showmax" })
+    })
+], { error: "serviceType must be PHONE, ELECTRICITY or CABLE_TV" });
+
+const updateBeneficiarySchema = z.object({
+    label: z.string().trim().min(1, "Label is required").max(40)
+});
+
+const findOwnBeneficiary = (userId, id) => prisma.beneficiary.findFirst({ where: { id, userId } });
+
+/**
+ * 1. List Saved Beneficiaries
+ * @route GET /api/v1/user/beneficiaries?serviceType=
+ */
+const getBeneficiaries = async (req, res) => {
+    try {
+        const where = { userId: req.user.id };
+        if (req.query.serviceType) where.serviceType = req.query.serviceType;
+
+        const beneficiaries = await prisma.beneficiary.findMany({
+            where,
+            orderBy: [{ lastUsedAt: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }]
+        });
+
+        res.status(200).json({ status: "OK", data: beneficiaries });
+    } catch (error) {
+        console.error("Get Beneficiaries Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch beneficiaries" });
+    }
+};
+
+/**
+ * 2. Suggested Beneficiaries (frequent recipients from successful purchases, not yet saved)
+ * @route GET /api/v1/user/beneficiaries/suggestions
+ */
+const getBeneficiarySuggestions = async (req, res) => {
+    try {
+        const suggestions = await suggestBeneficiaries(req.user.id);
+        res.status(200).json({ status: "OK", data: suggestions });
+    } catch (error) {
+        console.error("Get Beneficiary Suggestions Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch suggestions" });
+    }
+};
+
+/**
+ * 3. Save a Beneficiary
+ * Phones get their network detected from the prefix; meters and smartcards are
+ * verified with the provider so the customer name is stored.
+ * @route POST /api/v1/user/beneficiaries
+ */
+const createBeneficiary = async (req, res) => {
+    try {
+        const validation = createBeneficiarySchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const data = { ...validation.data, userId: req.user.id };
+
+        if (data.serviceType === 'PHONE') {
+            data.identifier = normalizePhoneNumber(data.identifier);
+            // An explicit network wins over the prefix (ported numbers)
+            data.network = data.network || detectNetwork(data.identifier);
+
+            if (data.identifier.length !== 11) {
+                return res.status(400).json({ status: "ERROR", message: "Enter a valid 11-digit phone number" });
+            }
+            if (!data.network) {
+                return res.status(400).json({ status: "ERROR", message: "Could not detect the network for this number. Please select it." });
+            }
+        }
+
+        const [count, existing] = await Promise.all([
+            prisma.beneficiary.count({ where: { userId: req.user.id } }),
+            prisma.beneficiary.findUnique({
+                where: { userId_serviceType_identifier: { userId: req.user.id, serviceType: data.serviceType, identifier: data.identifier } }
+            })
+        ]);
+
+        if (existing) {
+            return res.status(409).json({ status: "ERROR", message: `Already saved as "${existing.label}"`, data: existing });
+        }
+        if (count >= MAX_BENEFICIARIES) {
+            return res.status(400).json({ status: "ERROR", message: `You can save at most ${MAX_BENEFICIARIES} beneficiaries.` });
+        }
+
+        let verification;
+        try {
+            verification = await verifyBeneficiary(data);
+        } catch (verifyError) {
+            return res.status(400).json({ status: "ERROR", message: verifyError.message });
+        }
+
+        const beneficiary = await prisma.beneficiary.create({
+            data: {
+                ...data,
+                ...(verification && { ...verification, verifiedAt: new Date() })
+            }
+        });
+
+        res.status(201).json({ status: "OK", message: "Beneficiary saved", data: beneficiary });
+    } catch (error) {
+        console.error("Create Beneficiary Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to save beneficiary" });
+    }
+};
+
+/**
+ * 4. Rename a Beneficiary
+ * @route PATCH /api/v1/user/beneficiaries/:id
+ */
+const updateBeneficiary = async (req, res) => {
+    try {
+        const validation = updateBeneficiarySchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const beneficiary = await findOwnBeneficiary(req.user.id, req.params.id);
+        if (!beneficiary) {
+            return res.status(404).json({ status: "ERROR", message: "Beneficiary not found" });
+        }
+
+        const updated = await prisma.beneficiary.update({
+            where: { id: beneficiary.id },
+            data: { label: validation.data.label }
+        });
+
+        res.status(200).json({ status: "OK", message: "Beneficiary updated", data: updated });
+    } catch (error) {
+        console.error("Update Beneficiary Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to update beneficiary" });
+    }
+};
+
+/**
+ * 5. Re-verify a Meter or Smartcard (refreshes the stored customer name/address)
+ * @route POST /api/v1/user/beneficiaries/:id/verify
+ */
+const reverifyBeneficiary = async (req, res) => {
+    try {
+        const beneficiary = await findOwnBeneficiary(req.user.id, req.params.id);
+        if (!beneficiary) {
+            return res.status(404).json({ status: "ERROR", message: "Beneficiary not found" });
+        }
+
+        let verification;
+        try {
+            verification = await verifyBeneficiary(beneficiary);
+        } catch (verifyError) {
+            return res.status(400).json({ status: "ERROR", message: verifyError.message });
+        }
+
+        if (!verification) {
+            return res.status(400).json({ status: "ERROR", message: "Phone beneficiaries have nothing to verify" });
+        }
+
+        const updated = await prisma.beneficiary.update({
+            where: { id: beneficiary.id },
+            data: { ...verification, verifiedAt: new Date() }
+        });
+
+        res.status(200).json({ status: "OK", message: "Beneficiary verified", data: updated });
+    } catch (error) {
+        console.error("Verify Beneficiary Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to verify beneficiary" });
+    }
+};
+
+/**
+ * 6. Delete a Beneficiary
+ * @route DELETE /api/v1/user/beneficiaries/:id
+ */
+const deleteBeneficiary = async (req, res) => {
+    try {
+        const deleted = await prisma.beneficiary.deleteMany({
+            where: { id: req.params.id, userId: req.user.id }
+        });
+
+        if (deleted.count === 0) {
+            return res.status(404).json({ status: "ERROR", message: "Beneficiary not found" });
+        }
+
+        res.status(200).json({ status: "OK", message: "Beneficiary deleted" });
+    } catch (error) {
+        console.error("Delete Beneficiary Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to delete beneficiary" });
+    }
+};
+
+module.exports = {
+    getBeneficiaries,
+    getBeneficiarySuggestions,
+    createBeneficiary,
+    updateBeneficiary,
+    reverifyBeneficiary,
+    deleteBeneficiary
+};
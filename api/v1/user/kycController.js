@@ -0,0 +1,163 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { encrypt } = require('@/lib/crypto');
+const { KYC_LEVEL_LIMITS, KYC_LEVELS, levelRank, getKycUsage } = require('@/lib/kycLimits');
+
+/**
+ * KYC Levels
+ * LEVEL_1 comes with signup and LEVEL_2 with BVN verification
+ * (POST /api/v1/payment/kyc/create). LEVEL_3 and LEVEL_4 are document
+ * submissions that staff review (api/v1/admin/kycController.js).
+ */
+
+// Documents a submission for each level must include
+const REQUIRED_DOCUMENTS = {
+    LEVEL_3: ['SELFIE'],
+    LEVEL_4: ['CAC_CERTIFICATE', 'DIRECTOR_ID']
+};
+
+const documentSchema = z.object({
+    type: z.enum(['NIN_SLIP', 'SELFIE', 'CAC_CERTIFICATE', 'MEMORANDUM_OF_ASSOCIATION', 'PROOF_OF_ADDRESS', 'DIRECTOR_ID']),
+    fileUrl: z.string().trim().url("Each document needs a valid file URL").startsWith('https://', "Document URLs must use https")
+});
+
+const submissionSchema = z.object({
+    level: z.enum(['LEVEL_3', 'LEVEL_4']),
+    nin: z.string().trim().regex(/^\d{11}$/, "NIN must be 11 digits").optional(),
+    businessName: z.string().trim().min(2).max(150).optional(),
+    rcNumber: z.string().trim().regex(/^(RC|BN)?\d{4,8}$/i, "Enter a valid CAC registration number").optional(),
+    documents: z.array(documentSchema).min(1, "Upload at least one document").max(10)
+}).superRefine((data, ctx) => {
+    if (data.level === 'LEVEL_3' && !data.nin) {
+        ctx.addIssue({ code: 'custom', path: ['nin'], message: "NIN is required for level 3" });
+    }
+    if (data.level === 'LEVEL_4' && (!data.businessName || !data.rcNumber)) {
+        ctx.addIssue({ code: 'custom', path: ['rcNumber'], message: "Business name and CAC registration number are required for level 4" });
+    }
+
+    const missing = REQUIRED_DOCUMENTS[data.level].filter(type => !data.documents.some(doc => doc.type === type));
+    if (missing.length > 0) {
+        ctx.addIssue({ code: 'custom', path: ['documents'], message: `Missing required document(s): ${missing.join(', ')}` });
+    }
+});
+
+const submissionSelect = {
+    id: true,
+    level: true,
+    status: true,
+    rejectionReason: true,
+    reviewedAt: true,
+    createdAt: true
+};
+
+/**
+ * 1. Current KYC Level, Limits and Usage
+ * @route GET /api/v1/user/kyc
+ */
+const getKycStatus = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const [user, latestSubmission] = await Promise.all([
+            prisma.user.findUnique({
+                where: { id: userId },
+                select: { kycLevel: true, isKycVerified: true, wallet: { select: { balance: true } } }
+            }),
+            prisma.kycSubmission.findFirst({
+                where: { userId },
+                orderBy: { createdAt: 'desc' },
+                select: submissionSelect
+            })
+        ]);
+
+        if (!user) {
+            return res.status(404).json({ status: "ERROR", message: "User not found" });
+        }
+
+        const usage = await getKycUsage(prisma, userId, user.kycLevel);
+        const nextLevel = KYC_LEVELS[levelRank(usage.level) + 1] || null;
+
+        res.status(200).json({
+            status: "OK",
+            data: {
+                ...usage,
+                isKycVerified: user.isKycVerified,
+                balance: Number(user.wallet?.balance || 0),
+                nextLevel,
+                nextLevelLimits: nextLevel ? KYC_LEVEL_LIMITS[nextLevel] : null,
+                latestSubmission
+            }
+        });
+    } catch (error) {
+        console.error("Get KYC Status Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch KYC status" });
+    }
+};
+
+/**
+ * 2. Submit Documents for the Next KYC Level
+ * Body: { level: LEVEL_3 | LEVEL_4, nin?, businessName?, rcNumber?, documents: [{ type, fileUrl }] }
+ * Files are uploaded to storage by the client; only the links are sent here.
+ * @route POST /api/v1/user/kyc/submissions
+ */
+const submitKyc = async (req, res) => {
+    try {
+        const validation = submissionSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { level, nin, businessName, rcNumber, documents } = validation.data;
+        const userId = req.user.id;
+
+        const user = await prisma.user.findUnique({ where: { id: userId }, select: { kycLevel: true } });
+        if (!user) {
+            return res.status(404).json({ status: "ERROR", message: "User not found" });
+        }
+
+        const currentRank = levelRank(user.kycLevel);
+        if (levelRank(level) <= currentRank) {
+            return res.status(400).json({ status: "ERROR", message: "You are already at or above this KYC level" });
+        }
+        if (levelRank(level) !== currentRank + 1) {
+            const message = currentRank === 0
+                ? "Verify your BVN first to reach KYC level 2"
+                : `Complete KYC level ${currentRank + 2} first`;
+            return res.status(400).json({ status: "ERROR", message });
+        }
+
+        const pending = await prisma.kycSubmission.findFirst({
+            where: { userId, status: 'PENDING' },
+            select: { id: true }
+        });
+        if (pending) {
+            return res.status(409).json({ status: "ERROR", message: "You already have a KYC submission awaiting review" });
+        }
+
+        const submission = await prisma.kycSubmission.create({
+            data: {
+                userId,
+                level,
+                encryptedNin: nin ? encrypt(nin) : null,
+                businessName,
+                rcNumber: rcNumber?.toUpperCase(),
+                documents: { create: documents }
+            },
+            select: submissionSelect
+        });
+
+        res.status(201).json({
+            status: "OK",
+            message: "Documents submitted. We will review them shortly.",
+            data: submission
+        });
+    } catch (error) {
+        console.error("Submit KYC Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to submit KYC documents" });
+    }
+};
+
+module.exports = {
+    getKycStatus,
+    submitKyc
+};
@@ -0,0 +1,149 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { ensureReferralCode, transferBonusToBalance } = require('@/lib/referrals');
+
+/**
+ * Referrals (user side)
+ * Share your code, see who joined with it and what you earned, and move
+ * credited commissions from bonusBalance into your wallet balance.
+ */
+
+const transferBonusSchema = z.object({
+    amount: z.number().positive("Amount must be greater than zero").optional()
+});
+
+/**
+ * 1. Referral Code, Referees and Earnings Summary
+ * @route GET /api/v1/user/referrals
+ */
+const getReferralSummary = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { id: true, referralCode: true, wallet: { select: { bonusBalance: true } } }
+        });
+        if (!user) {
+            return res.status(404).json({ status: "ERROR", message: "User not found" });
+        }
+
+        const [referralCode, referees, earnings] = await Promise.all([
+            ensureReferralCode(user),
+            prisma.user.findMany({
+                where: { referredById: userId },
+                select: { id: true, fullName: true, createdAt: true },
+                orderBy: { createdAt: 'desc' },
+                take: 100
+            }),
+            prisma.referralCommission.groupBy({
+                by: ['refereeId', 'status'],
+                where: { referrerId: userId, status: { notIn: ['CANCELLED', 'CLAWED_BACK'] } },
+                _sum: { amount: true }
+            })
+        ]);
+
+        const totals = { held: 0, credited: 0 };
+        const earnedByReferee = new Map();
+        for (const row of earnings) {
+            const amount = Number(row._sum.amount || 0);
+            totals[row.status === 'HELD' ? 'held' : 'credited'] += amount;
+            earnedByReferee.set(row.refereeId, (earnedByReferee.get(row.refereeId) || 0) + amount);
+        }
+
+        res.status(200).json({
+            status: "OK",
+            data: {
+                referralCode,
+                bonusBalance: Number(user.wallet?.bonusBalance || 0),
+                totalHeld: Math.round(totals.held * 100) / 100,
+                totalCredited: Math.round(totals.credited * 100) / 100,
+                referrals: referees.map(referee => ({
+                    name: referee.fullName,
+                    joinedAt: referee.createdAt,
+                    earned: Math.round((earnedByReferee.get(referee.id) || 0) * 100) / 100
+                }))
+            }
+        });
+    } catch (error) {
+        console.error("Get Referral Summary Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch referrals" });
+    }
+};
+
+/**
+ * 2. Commission History
+ * @route GET /api/v1/user/referrals/earnings?status=HELD|CREDITED|CANCELLED|CLAWED_BACK
+ */
+const getReferralEarnings = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+        const skip = (page - 1) * limit;
+
+        const where = { referrerId: req.user.id };
+        if (status) where.status = status;
+
+        const [commissions, total] = await prisma.$transaction([
+            prisma.referralCommission.findMany({
+                where,
+                include: { referee: { select: { fullName: true } } },
+                orderBy: { createdAt: 'desc' },
+                skip: parseInt(skip),
+                take: parseInt(limit)
+            }),
+            prisma.referralCommission.count({ where })
+        ]);
+
+        res.status(200).json({
+            status: "OK",
+            data: commissions.map(({ referee, transactionId, ...commission }) => ({
+                ...commission,
+                refereeName: referee.fullName,
+                transactionAmount: Number(commission.transactionAmount),
+                amount: Number(commission.amount)
+            })),
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Get Referral Earnings Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch referral earnings" });
+    }
+};
+
+/**
+ * 3. Move Bonus Balance into the Main Balance
+ * Body: { amount? } (defaults to the whole bonus balance)
+ * @route POST /api/v1/user/referrals/transfer-bonus
+ */
+const transferBonus = async (req, res) => {
+    try {
+        const validation = transferBonusSchema.safeParse(req.body || {});
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const result = await transferBonusToBalance(req.user.id, validation.data.amount);
+
+        res.status(200).json({
+            status: "OK",
+            message: `₦${result.amount.toLocaleString()} moved to your wallet`,
+            data: result
+        });
+    } catch (error) {
+        if (["No bonus balance to transfer", "Insufficient bonus balance"].includes(error.message)) {
+            return res.status(400).json({ status: "ERROR", message: error.message });
+        }
+        console.error("Transfer Bonus Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to transfer bonus" });
+    }
+};
+
+module.exports = {
+    getReferralSummary,
+    getReferralEarnings,
+    transferBonus
+};
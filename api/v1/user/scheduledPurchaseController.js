@@ -0,0 +1,307 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { PIN_FIELDS, isPinError, verifyTransactionPin } = require('@/lib/transactionPin');
+const { validateNetworkMatch, normalizePhoneNumber } = require('@/lib/networkValidator');
+const { SCHEDULABLE_TYPES, computeNextRunAt } = require('@/lib/scheduledPurchases');
+
+/**
+ * Scheduled Purchases (user side)
+ * Standing orders such as "1GB every month" or "₦500 airtime every Friday".
+ * The transaction PIN authorises the schedule once; each run is then bought
+ * without it (see lib/scheduledPurchases.js and jobs/scheduledPurchaseJob.js).
+ */
+
+const MAX_ACTIVE_SCHEDULES = 20;
+const NETWORKS = ['MTN', 'GLO', 'AIRTEL', '9MOBILE'];
+
+const DETAILS_SCHEMAS = {
+    AIRTIME: z.object({
+        network: z.enum(NETWORKS),
+        phoneNumber: z.string().min(10, "Phone number is required"),
+        amount: z.number().min(50, "Minimum airtime is ₦50").max(50000, "Maximum scheduled airtime is ₦50,000")
+    }),
+    DATA: z.object({
+        network: z.enum(NETWORKS),
+        phoneNumber: z.string().min(10, "Phone number is required"),
+        planId: z.string().min(1).max(20)
+    }),
+    CABLE_TV: z.object({
+        cableTV: z.enum(["dstv", "gotv", "startimes", "showmax"]),
+        packageCode: z.string().min(1, "Package code is required"),
+        smartCardNo: z.string().min(8, "SmartCard/IUC number is too short").max(15, "SmartCard/IUC number is too long"),
+        amount: z.number().optional()
+    })
+};
+
+const createScheduleSchema = z.object({
+    type: z.enum(SCHEDULABLE_TYPES),
+    label: z.string().trim().max(60).optional(),
+    details: z.record(z.string(), z.any()),
+    frequency: z.enum(['DAILY', 'WEEKLY', 'MONTHLY']),
+    startAt: z.coerce.date(),
+    endsAt: z.coerce.date().optional(),
+    transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
+});
+
+const updateScheduleSchema = z.object({
+    label: z.string().trim().max(60).nullable().optional(),
+    details: z.record(z.string(), z.any()).optional(),
+    frequency: z.enum(['DAILY', 'WEEKLY', 'MONTHLY']).optional(),
+    startAt: z.coerce.date().optional(),
+    endsAt: z.coerce.date().nullable().optional(),
+    isActive: z.boolean().optional(),
+    transactionPin: z.string().length(4, "Transaction PIN must be 4 digits").optional()
+});
+
+/**
+ * Validates what a run will buy. Returns { details } ready to hand to the
+ * purchase handler, or { error }.
+ */
+const validateDetails = async (type, rawDetails) => {
+    const parsed = DETAILS_SCHEMAS[type].safeParse(rawDetails);
+    if (!parsed.success) return { error: parsed.error.issues[0].message };
+
+    const details = { ...parsed.data };
+
+    if (details.phoneNumber) {
+        details.phoneNumber = normalizePhoneNumber(details.phoneNumber);
+        if (details.phoneNumber.length !== 11 || !validateNetworkMatch(details.network, details.phoneNumber)) {
+            return { error: `${details.phoneNumber} does not appear to be a valid ${details.network} line` };
+        }
+    }
+
+    if (type === 'DATA') {
+        const plan = await prisma.dataPlan.findUnique({ where: { productId: details.planId }, select: { isActive: true } });
+        if (!plan || !plan.isActive) return { error: "Invalid or inactive data plan selected" };
+    }
+
+    return { details };
+};
+
+// Returns { status, message } when the PIN does not authorise the schedule
+const checkTransactionPin = async (userId, transactionPin) => {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, ...PIN_FIELDS } });
+    if (user.transactionPin && !transactionPin) {
+        return { status: 400, message: "Transaction PIN is required to change what a schedule buys" };
+    }
+    try {
+        await verifyTransactionPin(user, transactionPin);
+        return null;
+    } catch (error) {
+        if (isPinError(error)) return { status: error.status, message: error.message };
+        throw error;
+    }
+};
+
+const findOwnSchedule = (userId, id) => prisma.scheduledPurchase.findFirst({ where: { id, userId } });
+
+/**
+ * 1. List Scheduled Purchases
+ * @route GET /api/v1/user/scheduled-purchases
+ */
+const getScheduledPurchases = async (req, res) => {
+    try {
+        const schedules = await prisma.scheduledPurchase.findMany({
+            where: { userId: req.user.id },
+            include: { runs: { orderBy: { createdAt: 'desc' }, take: 1 } },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.status(200).json({
+            status: "OK",
+            data: schedules.map(({ runs, ...schedule }) => ({ ...schedule, lastRun: runs[0] || null }))
+        });
+    } catch (error) {
+        console.error("Get Scheduled Purchases Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch scheduled purchases" });
+    }
+};
+
+/**
+ * 2. Create a Scheduled Purchase
+ * Body: { type, details, frequency, startAt, endsAt?, label?, transactionPin }
+ * @route POST /api/v1/user/scheduled-purchases
+ */
+const createScheduledPurchase = async (req, res) => {
+    try {
+        const validation = createScheduleSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { type, label, frequency, startAt, endsAt, transactionPin } = validation.data;
+        const userId = req.user.id;
+
+        if (startAt <= new Date()) {
+            return res.status(400).json({ status: "ERROR", message: "startAt must be in the future" });
+        }
+        if (endsAt && endsAt <= startAt) {
+            return res.status(400).json({ status: "ERROR", message: "endsAt must be after startAt" });
+        }
+
+        const { details, error } = await validateDetails(type, validation.data.details);
+        if (error) {
+            return res.status(400).json({ status: "ERROR", message: error });
+        }
+
+        const activeCount = await prisma.scheduledPurchase.count({ where: { userId, isActive: true } });
+        if (activeCount >= MAX_ACTIVE_SCHEDULES) {
+            return res.status(400).json({ status: "ERROR", message: `You can have at most ${MAX_ACTIVE_SCHEDULES} active schedules.` });
+        }
+
+        const pinError = await checkTransactionPin(userId, transactionPin);
+        if (pinError) {
+            return res.status(pinError.status).json({ status: "ERROR", message: pinError.message });
+        }
+
+        const schedule = await prisma.scheduledPurchase.create({
+            data: {
+                userId,
+                type,
+                label,
+                details,
+                frequency,
+                startAt,
+                endsAt,
+                nextRunAt: startAt
+            }
+        });
+
+        res.status(201).json({ status: "OK", message: "Purchase scheduled", data: schedule });
+    } catch (error) {
+        console.error("Create Scheduled Purchase Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to schedule purchase" });
+    }
+};
+
+/**
+ * 3. Update, Pause or Resume a Scheduled Purchase
+ * Changing `details` needs the transaction PIN again.
+ * @route PATCH /api/v1/user/scheduled-purchases/:id
+ */
+const updateScheduledPurchase = async (req, res) => {
+    try {
+        const validation = updateScheduleSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const schedule = await findOwnSchedule(req.user.id, req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ status: "ERROR", message: "Scheduled purchase not found" });
+        }
+
+        const { transactionPin, ...changes } = validation.data;
+        const data = { ...changes };
+
+        if (changes.details) {
+            const { details, error } = await validateDetails(schedule.type, changes.details);
+            if (error) {
+                return res.status(400).json({ status: "ERROR", message: error });
+            }
+
+            const pinError = await checkTransactionPin(req.user.id, transactionPin);
+            if (pinError) {
+                return res.status(pinError.status).json({ status: "ERROR", message: pinError.message });
+            }
+            data.details = details;
+        }
+
+        const merged = { ...schedule, ...data };
+        if (merged.endsAt && merged.endsAt <= merged.startAt) {
+            return res.status(400).json({ status: "ERROR", message: "endsAt must be after startAt" });
+        }
+
+        // Timing changes and resumes start counting from now; missed runs are not bought
+        if (merged.isActive && (!schedule.isActive || changes.frequency || changes.startAt || changes.endsAt !== undefined)) {
+            data.nextRunAt = computeNextRunAt(merged, new Date());
+            if (!data.nextRunAt) {
+                return res.status(400).json({ status: "ERROR", message: "This schedule has no runs left before endsAt" });
+            }
+        }
+
+        if (changes.isActive === true && !schedule.isActive) {
+            const activeCount = await prisma.scheduledPurchase.count({ where: { userId: req.user.id, isActive: true } });
+            if (activeCount >= MAX_ACTIVE_SCHEDULES) {
+                return res.status(400).json({ status: "ERROR", message: `You can have at most ${MAX_ACTIVE_SCHEDULES} active schedules.` });
+            }
+        }
+
+        const updated = await prisma.scheduledPurchase.update({ where: { id: schedule.id }, data });
+
+        res.status(200).json({ status: "OK", message: "Scheduled purchase updated", data: updated });
+    } catch (error) {
+        console.error("Update Scheduled Purchase Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to update scheduled purchase" });
+    }
+};
+
+/**
+ * 4. Delete a Scheduled Purchase (its run history goes with it)
+ * @route DELETE /api/v1/user/scheduled-purchases/:id
+ */
+const deleteScheduledPurchase = async (req, res) => {
+    try {
+        const deleted = await prisma.scheduledPurchase.deleteMany({
+            where: { id: req.params.id, userId: req.user.id }
+        });
+
+        if (deleted.count === 0) {
+            return res.status(404).json({ status: "ERROR", message: "Scheduled purchase not found" });
+        }
+
+        res.status(200).json({ status: "OK", message: "Scheduled purchase deleted" });
+    } catch (error) {
+        console.error("Delete Scheduled Purchase Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to delete scheduled purchase" });
+    }
+};
+
+/**
+ * 5. Run History of a Scheduled Purchase
+ * @route GET /api/v1/user/scheduled-purchases/:id/runs
+ */
+const getScheduledPurchaseRuns = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const schedule = await findOwnSchedule(req.user.id, req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ status: "ERROR", message: "Scheduled purchase not found" });
+        }
+
+        const where = { scheduledPurchaseId: schedule.id };
+        const [runs, total] = await prisma.$transaction([
+            prisma.scheduledPurchaseRun.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                skip: parseInt(skip),
+                take: parseInt(limit)
+            }),
+            prisma.scheduledPurchaseRun.count({ where })
+        ]);
+
+        res.status(200).json({
+            status: "OK",
+            data: runs,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Get Scheduled Purchase Runs Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch run history" });
+    }
+};
+
+module.exports = {
+    getScheduledPurchases,
+    createScheduledPurchase,
+    updateScheduledPurchase,
+    deleteScheduledPurchase,
+    getScheduledPurchaseRuns
+};
@@ -0,0 +1,107 @@
+const prisma = require('@/lib/prisma');
+const { revokeSessions } = require('@/lib/authTokens');
+
+/**
+ * Sessions & Devices
+ * One session per login, kept across refresh-token rotation (see lib/authTokens.js).
+ * Revoking a session signs out its refresh tokens and every access token issued for it.
+ */
+
+/**
+ * 1. Active Sessions (most recently used first; `current` marks this device)
+ * @route GET /api/v1/user/sessions
+ */
+const getSessions = async (req, res) => {
+    try {
+        const tokens = await prisma.refreshToken.findMany({
+            where: { userId: req.user.id, revoked: false, expiresAt: { gt: new Date() } },
+            select: {
+                sessionId: true,
+                deviceName: true,
+                ipAddress: true,
+                userAgent: true,
+                signedInAt: true,
+                lastUsedAt: true,
+                expiresAt: true
+            },
+            orderBy: { lastUsedAt: 'desc' }
+        });
+
+        // A session briefly has two live tokens while concurrent refreshes settle; list it once
+        const sessions = [];
+        const seen = new Set();
+        for (const token of tokens) {
+            if (seen.has(token.sessionId)) continue;
+            seen.add(token.sessionId);
+            sessions.push({
+                id: token.sessionId,
+                deviceName: token.deviceName,
+                ipAddress: token.ipAddress,
+                userAgent: token.userAgent,
+                signedInAt: token.signedInAt,
+                lastUsedAt: token.lastUsedAt,
+                expiresAt: token.expiresAt,
+                current: token.sessionId === req.user.sessionId
+            });
+        }
+
+        res.status(200).json({ status: "OK", data: sessions });
+    } catch (error) {
+        console.error("Get Sessions Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch sessions" });
+    }
+};
+
+/**
+ * 2. Sign Out One Session (any device, including this one)
+ * @route DELETE /api/v1/user/sessions/:id
+ */
+const revokeSession = async (req, res) => {
+    try {
+        const revoked = await revokeSessions(prisma, { userId: req.user.id, sessionId: req.params.id });
+
+        if (revoked.count === 0) {
+            return res.status(404).json({ status: "ERROR", message: "Active session not found" });
+        }
+
+        res.status(200).json({ status: "OK", message: "Session signed out" });
+    } catch (error) {
+        console.error("Revoke Session Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to sign out session" });
+    }
+};
+
+/**
+ * 3. Sign Out Every Other Session (keeps the one making this request)
+ * @route POST /api/v1/user/sessions/revoke-others
+ */
+const revokeOtherSessions = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const sessionId = req.user.sessionId;
+
+        if (!sessionId) {
+            return res.status(400).json({
+                status: "ERROR",
+                message: "This device's session is not recognised. Please login again, then retry."
+            });
+        }
+
+        const revoked = await revokeSessions(prisma, { userId, sessionId: { not: sessionId } });
+
+        res.status(200).json({
+            status: "OK",
+            message: revoked.count > 0 ? "All other sessions have been signed out" : "No other active sessions",
+            data: { revoked: revoked.count }
+        });
+    } catch (error) {
+        console.error("Revoke Other Sessions Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to sign out other sessions" });
+    }
+};
+
+module.exports = {
+    getSessions,
+    revokeSession,
+    revokeOtherSessions
+};
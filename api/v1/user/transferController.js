@@ -0,0 +1,149 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, verifyTransactionPin } = require('@/lib/transactionPin');
+const {
+    MIN_TRANSFER,
+    dailyTransferLimit,
+    transferredToday,
+    findRecipient,
+    executeTransfer
+} = require('@/lib/transfers');
+
+/**
+ * Wallet-to-Wallet Transfers
+ * Look the recipient up first (so the sender can confirm the name), then send.
+ * See lib/transfers.js for limits and how both sides are recorded.
+ */
+
+const recipientSchema = z.object({
+    to: z.string().trim().min(5, "Enter the recipient's phone number or email").max(100)
+});
+
+const transferSchema = z.object({
+    to: recipientSchema.shape.to,
+    amount: z.number().min(MIN_TRANSFER, `Minimum transfer is ₦${MIN_TRANSFER}`),
+    note: z.string().trim().max(100).optional(),
+    transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
+});
+
+const maskPhone = (phone) => `${phone.slice(0, -7)}***${phone.slice(-4)}`;
+
+const senderSelect = { id: true, fullName: true, kycLevel: true, ...PIN_FIELDS };
+
+/**
+ * 1. Recipient Name Lookup (and what the sender can still send today)
+ * @route GET /api/v1/user/transfer/recipient?to=08031234567|friend@example.com
+ */
+const lookupRecipient = async (req, res) => {
+    try {
+        const validation = recipientSchema.safeParse(req.query);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const [recipient, sender] = await Promise.all([
+            findRecipient(validation.data.to),
+            prisma.user.findUnique({ where: { id: req.user.id }, select: senderSelect })
+        ]);
+
+        if (!recipient) {
+            return res.status(404).json({ status: "ERROR", message: "No Mufti Pay account found for this phone number or email" });
+        }
+        if (recipient.id === req.user.id) {
+            return res.status(400).json({ status: "ERROR", message: "You cannot transfer to yourself" });
+        }
+
+        const limit = dailyTransferLimit(sender);
+        const sent = await transferredToday(prisma, sender.id);
+
+        res.status(200).json({
+            status: "OK",
+            data: {
+                name: recipient.fullName,
+                phoneNumber: maskPhone(recipient.phoneNumber),
+                dailyLimit: limit,
+                remainingToday: Math.max(0, limit - sent)
+            }
+        });
+    } catch (error) {
+        console.error("Lookup Recipient Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to look up recipient" });
+    }
+};
+
+/**
+ * 2. Send Money to Another Wallet
+ * Body: { to, amount, note?, transactionPin }
+ * @route POST /api/v1/user/transfer
+ */
+const createTransfer = async (req, res) => {
+    try {
+        const validation = transferSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { to, amount, note, transactionPin } = validation.data;
+        const userId = req.user.id;
+
+        const idempotencyKey = req.headers['x-idempotency-key'];
+        if (idempotencyKey) {
+            const existingTx = await prisma.transaction.findUnique({
+                where: { idempotencyKey },
+                select: { reference: true }
+            });
+            if (existingTx) {
+                return res.status(409).json({
+                    status: "ERROR",
+                    message: "Transaction already processed",
+                    transactionId: existingTx.reference
+                });
+            }
+        }
+
+        const [recipient, sender] = await Promise.all([
+            findRecipient(to),
+            prisma.user.findUnique({ where: { id: userId }, select: senderSelect })
+        ]);
+
+        if (!sender) {
+            return res.status(404).json({ status: "ERROR", message: "User not found" });
+        }
+        if (!recipient) {
+            return res.status(404).json({ status: "ERROR", message: "No Mufti Pay account found for this phone number or email" });
+        }
+        if (recipient.id === userId) {
+            return res.status(400).json({ status: "ERROR", message: "You cannot transfer to yourself" });
+        }
+        await verifyTransactionPin(sender, transactionPin);
+
+        const result = await executeTransfer({ sender, recipient, amount, note, idempotencyKey });
+
+        res.status(200).json({
+            status: "OK",
+            message: `₦${amount.toLocaleString()} sent to ${recipient.fullName || 'recipient'}`,
+            data: result
+        });
+    } catch (error) {
+        if (error.message === "Insufficient wallet balance") {
+            return res.status(402).json({ status: "ERROR", message: error.message });
+        }
+        if (isKycLimitError(error) || isPinError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        if (error.message === "Daily transfer limit exceeded") {
+            return res.status(403).json({
+                status: "ERROR",
+                message: "This transfer would exceed your daily transfer limit. Upgrade your KYC level for a higher limit."
+            });
+        }
+        console.error("Transfer Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Transfer failed" });
+    }
+};
+
+module.exports = {
+    lookupRecipient,
+    createTransfer
+};
@@ -1,4 +1,9 @@
 const prisma = require('@/lib/prisma');
+const { z } = require('zod');
+const { toStatementCsv, writeStatementPdf, statementFileName } = require('@/lib/statementExport');
+
+const MAX_STATEMENT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Get User Profile & Balance
@@ -15,6 +20,9 @@ const getProfile = async (req, res) => {
                 phoneNumber: true,
                 tier: true,
                 isKycVerified: true,
+                kycLevel: true,
+                transactionPin: true,
+                pinLockedUntil: true,
                 createdAt: true,
                 kycData: {
                     select: {
@@ -41,7 +49,10 @@ const getProfile = async (req, res) => {
             walletBalance: user.wallet?.balance || 0,
             bonusBalance: user.wallet?.bonusBalance || 0,
             totalSpent: user.wallet?.totalSpent || 0,
-            wallet: undefined
+            requiresPinSetup: !user.transactionPin,
+            pinLockedUntil: user.pinLockedUntil > new Date() ? user.pinLockedUntil : null,
+            wallet: undefined,
+            transactionPin: undefined
         };
 
         return res.status(200).json({ status: "OK", data: responseData });
@@ -106,6 +117,7 @@ const getTransactions = async (req, res) => {
  * Dashboard Overview
  * Aggregates user info, wallet balance, and recent activity
  * Fixed: Today Spent now excludes WALLET_FUNDING types
+ * Transfers show in recent activity but are not spending either
  */
 const getDashboard = async (req, res) => {
     try {
@@ -142,7 +154,7 @@ const getDashboard = async (req, res) => {
                 where: {
                     userId,
                     status: 'SUCCESS',
-                    type: { not: 'WALLET_FUNDING' }, // Only count actual purchases
+                    type: { notIn: ['WALLET_FUNDING', 'TRANSFER', 'WITHDRAWAL'] }, // Only count actual purchases
                     createdAt: { gte: new Date(new Date().setHours(0, 0, 0, 0)) }
                 },
                 _sum: { amount: true }
@@ -233,6 +245,148 @@ const getUserPins = async (req, res) => {
     }
 };
 
+const statementQuerySchema = z.object({
+    from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "from must be a date in YYYY-MM-DD format").optional(),
+    to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "to must be a date in YYYY-MM-DD format").optional(),
+    format: z.enum(['json', 'csv', 'pdf']).default('json')
+});
+
+const describeEntry = (entry) => {
+    if (entry.description) return entry.description;
+    if (entry.flightTransaction?.flightRequest) {
+        const { origin, destination } = entry.flightTransaction.flightRequest;
+        return `Flight ${['REFUND', 'CHANGE_REFUND'].includes(entry.flightTransaction.type) ? 'refund' : 'payment'} ${origin} - ${destination}`;
+    }
+    return entry.entryType.replace(/_/g, ' ').toLowerCase();
+};
+
+/**
+ * Account Statement
+ * Bank-style statement built from the wallet ledger: opening balance, every
+ * Transaction / FlightTransaction movement with its running balance, closing balance.
+ * @route GET /api/v1/user/statement?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv|pdf
+ */
+const getStatement = async (req, res) => {
+    const parsed = statementQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+        return res.status(400).json({ status: "ERROR", message: parsed.error.issues[0].message });
+    }
+
+    const { format } = parsed.data;
+    const to = parsed.data.to ? new Date(`${parsed.data.to}T23:59:59.999Z`) : new Date();
+    const from = parsed.data.from
+        ? new Date(`${parsed.data.from}T00:00:00.000Z`)
+        : new Date(new Date(to.getTime() - 30 * DAY_MS).setUTCHours(0, 0, 0, 0));
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return res.status(400).json({ status: "ERROR", message: "Invalid date range" });
+    }
+    if (from > to) {
+        return res.status(400).json({ status: "ERROR", message: "from must be on or before to" });
+    }
+    if (to - from > MAX_STATEMENT_DAYS * DAY_MS) {
+        return res.status(400).json({ status: "ERROR", message: `Statement period cannot exceed ${MAX_STATEMENT_DAYS} days` });
+    }
+
+    try {
+        const userId = req.user.id;
+
+        const [account, entries, previousEntry] = await prisma.$transaction([
+            prisma.user.findUnique({
+                where: { id: userId },
+                select: { fullName: true, email: true, phoneNumber: true }
+            }),
+            prisma.walletLedgerEntry.findMany({
+                where: { userId, createdAt: { gte: from, lte: to } },
+                // Write order: bulk-purchase lines share createdAt
+                orderBy: { seq: 'asc' },
+                select: {
+                    direction: true,
+                    entryType: true,
+                    amount: true,
+                    openingBalance: true,
+                    closingBalance: true,
+                    reference: true,
+                    description: true,
+                    createdAt: true,
+                    transaction: { select: { type: true, status: true } },
+                    flightTransaction: {
+                        select: {
+                            type: true,
+                            flightRequest: { select: { origin: true, destination: true } }
+                        }
+                    }
+                }
+            }),
+            prisma.walletLedgerEntry.findFirst({
+                where: { userId, createdAt: { lt: from } },
+                orderBy: { seq: 'desc' },
+                select: { closingBalance: true }
+            })
+        ], {
+            maxWait: 10000,
+            timeout: 15000
+        });
+
+        if (!account) return res.status(404).json({ status: "ERROR", message: "User not found" });
+
+        const openingBalance = Number(entries[0]?.openingBalance ?? previousEntry?.closingBalance ?? 0);
+        const closingBalance = entries.length > 0
+            ? Number(entries[entries.length - 1].closingBalance)
+            : openingBalance;
+
+        let totalCredits = 0;
+        let totalDebits = 0;
+
+        const lines = entries.map((entry) => {
+            const amount = Number(entry.amount);
+            if (entry.direction === 'CREDIT') totalCredits += amount;
+            else totalDebits += amount;
+
+            return {
+                date: entry.createdAt,
+                reference: entry.reference,
+                description: describeEntry(entry),
+                type: entry.transaction?.type || (entry.flightTransaction ? 'FLIGHT_BOOKING' : entry.entryType),
+                debit: entry.direction === 'DEBIT' ? amount.toFixed(2) : null,
+                credit: entry.direction === 'CREDIT' ? amount.toFixed(2) : null,
+                balance: Number(entry.closingBalance).toFixed(2)
+            };
+        });
+
+        const statement = {
+            account,
+            period: { from, to },
+            openingBalance: openingBalance.toFixed(2),
+            totalCredits: totalCredits.toFixed(2),
+            totalDebits: totalDebits.toFixed(2),
+            closingBalance: closingBalance.toFixed(2),
+            generatedAt: new Date(),
+            lines
+        };
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${statementFileName(statement, 'csv')}"`);
+            return res.status(200).send(toStatementCsv(statement));
+        }
+
+        if (format === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${statementFileName(statement, 'pdf')}"`);
+            res.status(200);
+            writeStatementPdf(statement, res);
+            return;
+        }
+
+        return res.status(200).json({ status: "OK", data: statement });
+    } catch (error) {
+        console.error("Statement Error:", error);
+        return res.status(500).json({ status: "ERROR", message: "Failed to generate statement" });
+    }
+};
+
+
 /**
  * GET /transactions/:reference/pins
  */
@@ -243,5 +397,5 @@ module.exports = {
     getTransactions,
     getDashboard,
     getUserPins,
-
+    getStatement,
 };
\ No newline at end of file
@@ -0,0 +1,266 @@
+const { z } = require('zod');
+const net = require('net');
+const prisma = require('@/lib/prisma');
+const { encrypt } = require('@/lib/crypto');
+const { WEBHOOK_EVENTS, generateWebhookSecret, redeliver } = require('@/lib/partnerWebhooks');
+
+/**
+ * Outbound Webhooks (user side)
+ * Register callback URLs, browse the delivery log and re-send deliveries.
+ * The signing secret is returned once, on create and on rotate.
+ */
+
+const MAX_ENDPOINTS = 5;
+
+const isPrivateHost = (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+    }
+    if (net.isIPv6(host)) return host === '::1' || host.startsWith('fc') || host.startsWith('fd') || host.startsWith('fe80');
+    return false;
+};
+
+// Production callbacks must be public HTTPS; local stubs are fine elsewhere
+const webhookUrl = z.string().trim().url("Enter a valid URL").max(500).refine((value) => {
+    if (process.env.NODE_ENV !== 'production') return true;
+    const url = new URL(value);
+    return url.protocol === 'https:' && !isPrivateHost(url.hostname);
+}, "Webhook URL must be a public https:// address");
+
+const events = z.array(z.enum(WEBHOOK_EVENTS)).min(1, "Subscribe to at least one event");
+
+const createEndpointSchema = z.object({
+    url: webhookUrl,
+    events: events.default(WEBHOOK_EVENTS)
+});
+
+const updateEndpointSchema = z.object({
+    url: webhookUrl.optional(),
+    events: events.optional(),
+    isActive: z.boolean().optional()
+});
+
+const publicEndpoint = ({ secretEncrypted, ...endpoint }) => endpoint;
+
+const findOwnEndpoint = (userId, id) => prisma.webhookEndpoint.findFirst({ where: { id, userId } });
+
+/**
+ * 1. List Webhook Endpoints
+ * @route GET /api/v1/user/webhooks
+ */
+const getWebhookEndpoints = async (req, res) => {
+    try {
+        const endpoints = await prisma.webhookEndpoint.findMany({
+            where: { userId: req.user.id },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.status(200).json({ status: "OK", data: endpoints.map(publicEndpoint), events: WEBHOOK_EVENTS });
+    } catch (error) {
+        console.error("Get Webhooks Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch webhooks" });
+    }
+};
+
+/**
+ * 2. Register a Webhook Endpoint
+ * @route POST /api/v1/user/webhooks
+ */
+const createWebhookEndpoint = async (req, res) => {
+    try {
+        const validation = createEndpointSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const count = await prisma.webhookEndpoint.count({ where: { userId: req.user.id } });
+        if (count >= MAX_ENDPOINTS) {
+            return res.status(400).json({ status: "ERROR", message: `You can register at most ${MAX_ENDPOINTS} webhook URLs.` });
+        }
+
+        const secret = generateWebhookSecret();
+        const endpoint = await prisma.webhookEndpoint.create({
+            data: {
+                userId: req.user.id,
+                url: validation.data.url,
+                events: [...new Set(validation.data.events)],
+                secretEncrypted: encrypt(secret)
+            }
+        });
+
+        res.status(201).json({
+            status: "OK",
+            message: "Webhook registered. Copy the signing secret now; it will not be shown again.",
+            data: { ...publicEndpoint(endpoint), secret }
+        });
+    } catch (error) {
+        console.error("Create Webhook Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to register webhook" });
+    }
+};
+
+/**
+ * 3. Update a Webhook Endpoint (URL, events, enable/disable)
+ * @route PATCH /api/v1/user/webhooks/:id
+ */
+const updateWebhookEndpoint = async (req, res) => {
+    try {
+        const validation = updateEndpointSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const endpoint = await findOwnEndpoint(req.user.id, req.params.id);
+        if (!endpoint) {
+            return res.status(404).json({ status: "ERROR", message: "Webhook not found" });
+        }
+
+        const data = { ...validation.data };
+        if (data.events) data.events = [...new Set(data.events)];
+
+        const updated = await prisma.webhookEndpoint.update({ where: { id: endpoint.id }, data });
+
+        res.status(200).json({ status: "OK", message: "Webhook updated", data: publicEndpoint(updated) });
+    } catch (error) {
+        console.error("Update Webhook Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to update webhook" });
+    }
+};
+
+/**
+ * 4. Rotate the Signing Secret
+ * @route POST /api/v1/user/webhooks/:id/rotate-secret
+ */
+const rotateWebhookSecret = async (req, res) => {
+    try {
+        const endpoint = await findOwnEndpoint(req.user.id, req.params.id);
+        if (!endpoint) {
+            return res.status(404).json({ status: "ERROR", message: "Webhook not found" });
+        }
+
+        const secret = generateWebhookSecret();
+        const updated = await prisma.webhookEndpoint.update({
+            where: { id: endpoint.id },
+            data: { secretEncrypted: encrypt(secret) }
+        });
+
+        res.status(200).json({
+            status: "OK",
+            message: "Signing secret rotated. Deliveries from now on are signed with the new secret.",
+            data: { ...publicEndpoint(updated), secret }
+        });
+    } catch (error) {
+        console.error("Rotate Webhook Secret Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to rotate webhook secret" });
+    }
+};
+
+/**
+ * 5. Delete a Webhook Endpoint (its delivery log goes with it)
+ * @route DELETE /api/v1/user/webhooks/:id
+ */
+const deleteWebhookEndpoint = async (req, res) => {
+    try {
+        const deleted = await prisma.webhookEndpoint.deleteMany({
+            where: { id: req.params.id, userId: req.user.id }
+        });
+
+        if (deleted.count === 0) {
+            return res.status(404).json({ status: "ERROR", message: "Webhook not found" });
+        }
+
+        res.status(200).json({ status: "OK", message: "Webhook deleted" });
+    } catch (error) {
+        console.error("Delete Webhook Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to delete webhook" });
+    }
+};
+
+/**
+ * 6. Delivery Log
+ * @route GET /api/v1/user/webhooks/deliveries?endpointId=&status=&event=
+ */
+const getWebhookDeliveries = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, endpointId, status, event } = req.query;
+        const skip = (page - 1) * limit;
+
+        const where = { endpoint: { userId: req.user.id } };
+        if (endpointId) where.endpointId = endpointId;
+        if (status) where.status = status;
+        if (event) where.event = event;
+
+        const [deliveries, total] = await prisma.$transaction([
+            prisma.webhookDelivery.findMany({
+                where,
+                include: { endpoint: { select: { url: true } } },
+                orderBy: { createdAt: 'desc' },
+                skip: parseInt(skip),
+                take: parseInt(limit)
+            }),
+            prisma.webhookDelivery.count({ where })
+        ]);
+
+        res.status(200).json({
+            status: "OK",
+            data: deliveries,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Get Webhook Deliveries Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to fetch webhook deliveries" });
+    }
+};
+
+/**
+ * 7. Re-send a Delivery (sent now as a new delivery with the same payload)
+ * @route POST /api/v1/user/webhooks/deliveries/:id/redeliver
+ */
+const redeliverWebhook = async (req, res) => {
+    try {
+        const delivery = await prisma.webhookDelivery.findFirst({
+            where: { id: req.params.id, endpoint: { userId: req.user.id } },
+            include: { endpoint: { select: { isActive: true } } }
+        });
+
+        if (!delivery) {
+            return res.status(404).json({ status: "ERROR", message: "Delivery not found" });
+        }
+
+        if (!delivery.endpoint.isActive) {
+            return res.status(400).json({ status: "ERROR", message: "Enable the webhook before re-sending deliveries to it" });
+        }
+
+        const result = await redeliver(delivery);
+
+        res.status(200).json({
+            status: "OK",
+            message: result?.status === 'SUCCEEDED'
+                ? "Delivered"
+                : "Delivery failed; it will be retried automatically",
+            data: result
+        });
+    } catch (error) {
+        console.error("Redeliver Webhook Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to re-send delivery" });
+    }
+};
+
+module.exports = {
+    getWebhookEndpoints,
+    createWebhookEndpoint,
+    updateWebhookEndpoint,
+    rotateWebhookSecret,
+    deleteWebhookEndpoint,
+    getWebhookDeliveries,
+    redeliverWebhook
+};
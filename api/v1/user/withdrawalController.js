@@ -0,0 +1,169 @@
+const { z } = require('zod');
+const prisma = require('@/lib/prisma');
+const { isKycLimitError } = require('@/lib/kycLimits');
+const { PIN_FIELDS, isPinError, verifyTransactionPin } = require('@/lib/transactionPin');
+const payoutGateway = require('@/services/payout');
+const {
+    MIN_WITHDRAWAL,
+    WITHDRAWAL_FEE,
+    dailyWithdrawalLimit,
+    withdrawnToday,
+    resolveBankAccount,
+    createWithdrawal: sendWithdrawal
+} = require('@/lib/withdrawals');
+
+/**
+ * Bank Withdrawals
+ * Pick a bank, resolve the account name (so the user can confirm it), then withdraw.
+ * See lib/withdrawals.js for limits, fees and how payouts are settled.
+ */
+
+const accountSchema = z.object({
+    accountNumber: z.string().trim().regex(/^\d{10}$/, "Account number must be 10 digits"),
+    bankCode: z.string().trim().min(3, "Select a bank").max(10)
+});
+
+const withdrawalSchema = accountSchema.extend({
+    amount: z.number().min(MIN_WITHDRAWAL, `Minimum withdrawal is ₦${MIN_WITHDRAWAL}`),
+    transactionPin: z.string().length(4, "Transaction PIN must be 4 digits")
+});
+
+// Rejections raised by lib/withdrawals before any money moves
+const WITHDRAWAL_ERRORS = {
+    "Complete KYC to withdraw": 403,
+    "Could not verify this bank account": 400,
+    "Withdrawals are temporarily unavailable": 503,
+    "Insufficient wallet balance": 402
+};
+
+/**
+ * 1. Banks Supported for Withdrawal (active gateway's bank codes)
+ * @route GET /api/v1/user/withdrawals/banks
+ */
+const getBanks = async (req, res) => {
+    try {
+        const banks = await payoutGateway.listBanks();
+        res.status(200).json({ status: "OK", data: banks });
+    } catch (error) {
+        console.error("Get Banks Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to load banks" });
+    }
+};
+
+/**
+ * 2. Resolve Account Name (and what the user can still withdraw today)
+ * @route GET /api/v1/user/withdrawals/resolve?accountNumber=0123456789&bankCode=058
+ */
+const resolveAccount = async (req, res) => {
+    try {
+        const validation = accountSchema.safeParse(req.query);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { accountNumber, bankCode } = validation.data;
+        const [account, user] = await Promise.all([
+            resolveBankAccount(accountNumber, bankCode),
+            prisma.user.findUnique({ where: { id: req.user.id }, select: { id: true, tier: true, isKycVerified: true } })
+        ]);
+
+        if (!account) {
+            return res.status(400).json({ status: "ERROR", message: "Could not verify this bank account" });
+        }
+
+        const limit = dailyWithdrawalLimit(user);
+        const withdrawn = await withdrawnToday(prisma, user.id);
+
+        res.status(200).json({
+            status: "OK",
+            data: {
+                ...account,
+                fee: WITHDRAWAL_FEE,
+                dailyLimit: limit,
+                remainingToday: Math.max(0, limit - withdrawn)
+            }
+        });
+    } catch (error) {
+        console.error("Resolve Account Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Failed to resolve account" });
+    }
+};
+
+/**
+ * 3. Withdraw to Bank
+ * Body: { amount, accountNumber, bankCode, transactionPin }
+ * The fee is charged on top of the amount. A payout the gateway has not
+ * confirmed yet comes back PENDING and settles via webhook or sync job.
+ * @route POST /api/v1/user/withdrawals
+ */
+const createWithdrawal = async (req, res) => {
+    try {
+        const validation = withdrawalSchema.safeParse(req.body);
+        if (!validation.success) {
+            return res.status(400).json({ status: "ERROR", message: validation.error.issues[0].message });
+        }
+
+        const { amount, accountNumber, bankCode, transactionPin } = validation.data;
+        const userId = req.user.id;
+
+        const idempotencyKey = req.headers['x-idempotency-key'];
+        if (idempotencyKey) {
+            const existingTx = await prisma.transaction.findUnique({
+                where: { idempotencyKey },
+                select: { reference: true }
+            });
+            if (existingTx) {
+                return res.status(409).json({
+                    status: "ERROR",
+                    message: "Transaction already processed",
+                    transactionId: existingTx.reference
+                });
+            }
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { id: true, tier: true, isKycVerified: true, ...PIN_FIELDS }
+        });
+
+        if (!user) {
+            return res.status(404).json({ status: "ERROR", message: "User not found" });
+        }
+        await verifyTransactionPin(user, transactionPin);
+
+        const result = await sendWithdrawal({ user, amount, accountNumber, bankCode, idempotencyKey });
+
+        const messages = {
+            SUCCESS: `₦${amount.toLocaleString()} sent to ${result.accountName}`,
+            PENDING: "Withdrawal is processing. You will be notified when it completes.",
+            FAILED: "Withdrawal failed and your wallet has been refunded"
+        };
+
+        res.status(result.status === 'FAILED' ? 400 : 200).json({
+            status: result.status === 'FAILED' ? "ERROR" : "OK",
+            message: messages[result.status],
+            data: result
+        });
+    } catch (error) {
+        if (WITHDRAWAL_ERRORS[error.message]) {
+            return res.status(WITHDRAWAL_ERRORS[error.message]).json({ status: "ERROR", message: error.message });
+        }
+        if (isKycLimitError(error) || isPinError(error)) {
+            return res.status(error.status).json({ status: "ERROR", message: error.message });
+        }
+        if (error.message === "Daily withdrawal limit exceeded") {
+            return res.status(403).json({
+                status: "ERROR",
+                message: "This withdrawal would exceed your daily withdrawal limit. Upgrade your tier for a higher limit."
+            });
+        }
+        console.error("Withdrawal Error:", error);
+        res.status(500).json({ status: "ERROR", message: "Withdrawal failed" });
+    }
+};
+
+module.exports = {
+    getBanks,
+    resolveAccount,
+    createWithdrawal
+};
@@ -0,0 +1,47 @@
+require('module-alias/register');
+const prisma = require('./lib/prisma');
+const { CLOSED_STATES } = require('./lib/flightQueue');
+
+/**
+ * One-off: set statusChangedAt on open flight requests from their activity log.
+ * The column defaulted to the migration time, so every request already in the
+ * queue would otherwise look like it entered its state at deploy. Uses the
+ * latest activity row that moved the request into its current state, falling
+ * back to when the request was created. Safe to re-run.
+ */
+async function backfillFlightStatusChangedAt() {
+    console.log("Backfilling statusChangedAt for open flight requests...");
+
+    try {
+        const requests = await prisma.flightBookingRequest.findMany({
+            where: { status: { notIn: CLOSED_STATES } },
+            select: { id: true, status: true, createdAt: true, statusChangedAt: true }
+        });
+
+        let updated = 0;
+        for (const request of requests) {
+            const entered = await prisma.flightRequestActivity.findFirst({
+                where: { requestId: request.id, newState: request.status, previousState: { not: request.status } },
+                orderBy: { createdAt: 'desc' },
+                select: { createdAt: true }
+            });
+            const statusChangedAt = entered?.createdAt || request.createdAt;
+            if (request.statusChangedAt.getTime() === statusChangedAt.getTime()) continue;
+
+            // Conditional on the state we read, so a request that moved meanwhile keeps its new timestamp
+            const { count } = await prisma.flightBookingRequest.updateMany({
+                where: { id: request.id, status: request.status, statusChangedAt: request.statusChangedAt },
+                data: { statusChangedAt }
+            });
+            updated += count;
+        }
+
+        console.log(`✅ statusChangedAt set on ${updated} of ${requests.length} open flight requests`);
+    } catch (error) {
+        console.error("Failed to backfill flight statusChangedAt:", error);
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+backfillFlightStatusChangedAt();
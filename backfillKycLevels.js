@@ -0,0 +1,32 @@
+require('module-alias/register');
+const prisma = require('./lib/prisma');
+
+/**
+ * One-off: move users who verified their BVN before KYC levels existed to
+ * LEVEL_2. kycLevel defaulted to LEVEL_1 for everyone, which would hold them to
+ * signup limits. Only raises LEVEL_1 accounts, so it is safe to re-run.
+ */
+async function backfillKycLevels() {
+    console.log("Backfilling KYC level 2 for BVN-verified users...");
+
+    try {
+        const { count } = await prisma.user.updateMany({
+            where: {
+                kycLevel: 'LEVEL_1',
+                OR: [
+                    { isKycVerified: true },
+                    { kycData: { is: { status: 'VERIFIED' } } }
+                ]
+            },
+            data: { kycLevel: 'LEVEL_2', isKycVerified: true }
+        });
+
+        console.log(`✅ Users moved to LEVEL_2: ${count}`);
+    } catch (error) {
+        console.error("Failed to backfill KYC levels:", error);
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+backfillKycLevels();
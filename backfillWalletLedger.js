@@ -0,0 +1,52 @@
+const prisma = require('./lib/prisma');
+const { LEDGER_ACCOUNTS } = require('./lib/walletLedger');
+
+/**
+ * One-off: journal an OPENING_BALANCE entry for every wallet that has no
+ * ledger history yet, so SUM(entries) matches Wallet.balance going forward.
+ * Safe to re-run; wallets that already have entries are skipped.
+ */
+async function backfillWalletLedger() {
+    console.log("Backfilling opening balances for wallets without ledger entries...");
+
+    try {
+        const wallets = await prisma.wallet.findMany({
+            where: { ledgerEntries: { none: {} } },
+            select: { id: true, userId: true }
+        });
+
+        let created = 0;
+        for (const { id, userId } of wallets) {
+            await prisma.$transaction(async (tx) => {
+                // Re-read inside the transaction and lock the row so no movement slips in between
+                const [wallet] = await tx.$queryRaw`SELECT "balance" FROM "Wallet" WHERE "id" = ${id} FOR UPDATE`;
+                const existing = await tx.walletLedgerEntry.count({ where: { walletId: id } });
+                if (!wallet || existing > 0) return;
+
+                await tx.walletLedgerEntry.create({
+                    data: {
+                        walletId: id,
+                        userId,
+                        direction: 'CREDIT',
+                        entryType: 'OPENING_BALANCE',
+                        amount: wallet.balance,
+                        openingBalance: 0,
+                        closingBalance: wallet.balance,
+                        counterAccount: LEDGER_ACCOUNTS.OPENING,
+                        reference: `OPEN-${id}`,
+                        description: 'Balance carried over from before the wallet ledger'
+                    }
+                });
+                created++;
+            });
+        }
+
+        console.log(`✅ Opening entries created: ${created} (of ${wallets.length} wallets without history)`);
+    } catch (error) {
+        console.error("Failed to backfill wallet ledger:", error);
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+backfillWalletLedger();
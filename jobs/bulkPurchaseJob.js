@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const { resumeStalledBulkPurchases } = require('@/lib/bulkPurchase');
+
+/**
+ * Bulk Purchase Recovery Job
+ * Finishes bulk batches whose background processing was interrupted (e.g. by a restart).
+ * Lines are claimed one by one, so a line already sent is never sent again.
+ */
+let isRunning = false;
+
+const startBulkPurchaseJob = () => {
+    cron.schedule('*/2 * * * *', async () => {
+        if (isRunning) return;
+        isRunning = true;
+
+        try {
+            const resumed = await resumeStalledBulkPurchases();
+            if (resumed > 0) {
+                console.log(`[Bulk Purchase Job] Resumed ${resumed} batch(es)`);
+            }
+        } catch (error) {
+            console.error('[Bulk Purchase Job] Error:', error.message);
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    console.log('[System] Bulk Purchase Recovery Job Scheduled (every 2 minutes)');
+};
+
+module.exports = { startBulkPurchaseJob };
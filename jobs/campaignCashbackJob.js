@@ -0,0 +1,32 @@
+const cron = require('node-cron');
+const { settleCampaignRedemptions } = require('@/lib/campaigns');
+
+/**
+ * Campaign Cashback Job
+ * Pays reserved cashback into bonusBalance once the purchase is SUCCESS, and
+ * releases it when the purchase failed or was reversed.
+ */
+let isRunning = false;
+
+const startCampaignCashbackJob = () => {
+    // Every 2 minutes
+    cron.schedule('*/2 * * * *', async () => {
+        if (isRunning) return;
+        isRunning = true;
+
+        try {
+            const credited = await settleCampaignRedemptions();
+            if (credited > 0) {
+                console.log(`[Campaign Cashback Job] ${credited} cashback payment(s) credited`);
+            }
+        } catch (error) {
+            console.error('[Campaign Cashback Job] Error:', error.message);
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    console.log('[System] Campaign Cashback Job Scheduled (every 2 minutes)');
+};
+
+module.exports = { startCampaignCashbackJob };
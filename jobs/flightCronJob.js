@@ -1,11 +1,12 @@
 const cron = require('node-cron');
 const prisma = require('@/lib/prisma');
+const { OPTIONS_WINDOW_DAYS, SYSTEM_ACTOR, transitionFlight } = require('@/lib/flightWorkflow');
 
 /**
  * 60-Day Flight Rule Background Job
  * Runs every 12 hours.
- * Finds all FUTURE_HELD flights that are now <= 60 days away.
- * Updates their status to PENDING (or notifies staff) so they can provide options.
+ * Finds all FUTURE_HELD flights that are now <= 60 days away and unlocks them
+ * (AWAITING_OPTIONS) so they show up in the staff queue as needing options.
  */
 const startFlightStatusJob = () => {
     // 0 */12 * * * = Every 12 hours
@@ -13,20 +14,16 @@ const startFlightStatusJob = () => {
         console.log('[System] Running 60-Day Flight Status Check...');
 
         try {
-            const sixtyDaysFromNow = new Date();
-            sixtyDaysFromNow.setDate(sixtyDaysFromNow.getDate() + 60);
+            const windowEnd = new Date();
+            windowEnd.setDate(windowEnd.getDate() + OPTIONS_WINDOW_DAYS);
 
             // Find requests in FUTURE_HELD where targetDate <= 60 days from now
             const eligibleFlights = await prisma.flightBookingRequest.findMany({
                 where: {
                     status: 'FUTURE_HELD',
-                    targetDate: { lte: sixtyDaysFromNow }
+                    targetDate: { lte: windowEnd }
                 },
-                select: {
-                    id: true,
-                    targetDate: true,
-                    status: true
-                }
+                select: { id: true }
             });
 
             if (eligibleFlights.length === 0) {
@@ -36,25 +33,21 @@ const startFlightStatusJob = () => {
 
             console.log(`[System] Found ${eligibleFlights.length} flights entering 60-day window. Unlocking for options...`);
 
-            // Update to PENDING (so they show up in Staff Dashboard as needs options)
+            let unlocked = 0;
             for (const flight of eligibleFlights) {
-                await prisma.flightBookingRequest.update({
-                    where: { id: flight.id },
-                    data: { status: 'PENDING' } // Using PENDING as the trigger state for staff to act
-                });
-
-                // Audit trail
-                await prisma.flightRequestActivity.create({
-                    data: {
-                        requestId: flight.id,
-                        previousState: 'FUTURE_HELD',
-                        newState: 'PENDING',
-                        actionDetails: 'System automatically unlocked flight because target date is within 60 days.'
-                    }
-                });
+                try {
+                    await transitionFlight(flight.id, 'unlock', {
+                        actor: SYSTEM_ACTOR,
+                        details: `System automatically unlocked flight because target date is within ${OPTIONS_WINDOW_DAYS} days.`
+                    });
+                    unlocked++;
+                } catch (error) {
+                    // Usually staff or the user moved it in the meantime
+                    console.warn(`[System] Could not unlock flight ${flight.id}:`, error.message);
+                }
             }
 
-            console.log(`[System] Successfully unlocked ${eligibleFlights.length} flights.`);
+            console.log(`[System] Successfully unlocked ${unlocked} flights.`);
 
         } catch (error) {
             console.error('[System] Error in 60-Day Flight Status Check:', error);
@@ -0,0 +1,33 @@
+const cron = require('node-cron');
+const { expireLapsedBookings, alertApproachingTtl } = require('@/lib/flightDeadlines');
+
+/**
+ * Flight Deadline Job
+ * Expires unpaid bookings past their payment window or ticketing time limit,
+ * and warns ticketing staff about paid bookings close to their time limit.
+ */
+let isRunning = false;
+
+const startFlightDeadlineJob = () => {
+    // Every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+        if (isRunning) return; // Previous run still going
+        isRunning = true;
+
+        try {
+            const expired = await expireLapsedBookings();
+            const alerted = await alertApproachingTtl();
+            if (expired > 0 || alerted > 0) {
+                console.log(`[Flight Deadline Job] Expired ${expired} booking(s), sent ${alerted} ticketing deadline alert(s)`);
+            }
+        } catch (error) {
+            console.error('[Flight Deadline Job] Error:', error.message);
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    console.log('[System] Flight Deadline Job Scheduled (every 5 minutes)');
+};
+
+module.exports = { startFlightDeadlineJob };
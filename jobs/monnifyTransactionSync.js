@@ -3,6 +3,7 @@ const prisma = require('@/lib/prisma');
 const monnifyProvider = require('@/services/monnifyProvider');
 const { TransactionStatus, TransactionType } = require('@prisma/client');
 const { getWalletCreditAmount } = require('@/lib/paymentUtils');
+const { creditWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
 
 /**
  * Monnify Background Sync Job
@@ -72,9 +73,14 @@ const startMonnifyTransactionSync = () => {
                             }
 
                             // Update Wallet
-                            await tx.wallet.update({
-                                where: { userId },
-                                data: { balance: { increment: walletCreditAmount } }
+                            await creditWallet(tx, {
+                                userId,
+                                amount: walletCreditAmount,
+                                entryType: 'FUNDING',
+                                counterAccount: LEDGER_ACCOUNTS.MONNIFY,
+                                reference: txn.reference,
+                                transactionId: txn.id,
+                                description: 'Monnify funding recovered by sync job'
                             });
 
                             // Update Transaction
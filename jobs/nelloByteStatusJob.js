@@ -2,6 +2,10 @@ const cron = require('node-cron');
 const prisma = require('@/lib/prisma');
 const axios = require('@/lib/providerClient');
 const { TransactionStatus, TransactionType } = require('@prisma/client');
+const { debitWallet, refundTransactionDebit, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { notifyTransactionUpdate } = require('@/lib/partnerWebhooks');
+const { clawBackCampaignCashback } = require('@/lib/campaigns');
+const { clawBackReferralCommission } = require('@/lib/referrals');
 
 const USER_ID = process.env.NELLOBYTE_USER_ID;
 const API_KEY = process.env.NELLOBYTE_API_KEY;
@@ -91,49 +95,59 @@ const startNelloByteStatusJob = () => {
                             updateData.metadata = metadata;
                         }
 
-                        const updateQueries = [];
-
-                        // Always ensure it's set to SUCCESS at this point
-                        updateQueries.push(prisma.transaction.update({
-                            where: { id: txn.id },
-                            data: { ...updateData, status: TransactionStatus.SUCCESS }
-                        }));
-
-                        // If it was previously marked as FAILED, the user's wallet was refunded.
-                        // We must DEDUCT the money again so they get properly charged for the successful order
-                        if (txn.status === TransactionStatus.FAILED) {
-                            updateQueries.push(prisma.wallet.update({
-                                where: { userId: txn.userId },
-                                data: {
-                                    balance: { decrement: txn.amount },
-                                    totalSpent: { increment: txn.amount }
-                                }
-                            }));
-                            console.log(`[Correction] ⚠️ Re-deducting ${txn.amount} from wallet for recovered FAILED transaction Ref: ${txn.reference}`);
-                        }
-
-                        await prisma.$transaction(updateQueries);
+                        await prisma.$transaction(async (tx) => {
+                            // Always ensure it's set to SUCCESS at this point
+                            await tx.transaction.update({
+                                where: { id: txn.id },
+                                data: { ...updateData, status: TransactionStatus.SUCCESS }
+                            });
 
+                            // If it was previously marked as FAILED, the user's wallet was refunded.
+                            // We must DEDUCT the money again so they get properly charged for the successful order
+                            if (txn.status === TransactionStatus.FAILED) {
+                                await debitWallet(tx, {
+                                    userId: txn.userId,
+                                    amount: txn.amount,
+                                    allowOverdraft: true,
+                                    entryType: 'ADJUSTMENT',
+                                    counterAccount: LEDGER_ACCOUNTS.NELLOBYTE,
+                                    reference: txn.reference,
+                                    transactionId: txn.id,
+                                    description: 'Re-charge for refunded order later confirmed by provider'
+                                });
+                                console.log(`[Correction] ⚠️ Re-deducting ${txn.amount} from wallet for recovered FAILED transaction Ref: ${txn.reference}`);
+                            }
+                        });
+
+                        if (txn.status !== TransactionStatus.SUCCESS) await notifyTransactionUpdate(txn.id);
                         console.log(`[Success] ✅ Verified and Updated ${txn.type} Ref: ${txn.reference} to SUCCESS`);
                     } else if (data.status === "ORDER_CANCELLED" || data.status === "ORDER_FAILED" || data.status === "MISSING_ORDERID") {
                         // Mark as failed and refund wallet if it was still pending or successful (safety)
                         if (txn.status !== TransactionStatus.FAILED && txn.status !== TransactionStatus.REVERSED) {
-                            await prisma.$transaction([
-                                prisma.transaction.update({
-                                    where: { id: txn.id },
+                            await prisma.$transaction(async (tx) => {
+                                // Conditional on the status we read, so a concurrent refund or reversal wins once
+                                const claimed = await tx.transaction.updateMany({
+                                    where: { id: txn.id, status: txn.status },
                                     data: {
                                         status: TransactionStatus.FAILED,
                                         providerStatus: data.status
                                     }
-                                }),
-                                prisma.wallet.update({
-                                    where: { userId: txn.userId },
-                                    data: {
-                                        balance: { increment: txn.amount },
-                                        totalSpent: { decrement: txn.amount }
-                                    }
-                                })
-                            ]);
+                                });
+                                if (claimed.count === 0) return;
+
+                                await refundTransactionDebit(tx, {
+                                    userId: txn.userId,
+                                    amount: txn.amount,
+                                    transactionId: txn.id,
+                                    reference: txn.reference,
+                                    description: `NelloByte order ${data.status}`
+                                });
+
+                                // A SUCCESS purchase may already have paid out its cashback and referral commission
+                                await clawBackCampaignCashback(tx, txn);
+                                await clawBackReferralCommission(tx, txn);
+                            });
+                            await notifyTransactionUpdate(txn.id);
                             console.log(`[Failure] ❌ Provider failed ${txn.type} Ref: ${txn.reference}. Triggering REFUND.`);
                         } else {
                             // If already failed, just update provider status to match reality
@@ -0,0 +1,33 @@
+const cron = require('node-cron');
+const { reconcileStuckPayouts } = require('@/lib/withdrawals');
+
+/**
+ * Payout Reconcile Job
+ * Settles withdrawals still PENDING after 5 minutes (lost webhooks, gateway
+ * timeouts and 5xx answers) by asking the gateway that sent each one.
+ * Covers every payout gateway.
+ */
+let isRunning = false;
+
+const startPayoutReconcileJob = () => {
+    // Every 2 minutes
+    cron.schedule('*/2 * * * *', async () => {
+        if (isRunning) return;
+        isRunning = true;
+
+        try {
+            const settled = await reconcileStuckPayouts();
+            if (settled > 0) {
+                console.log(`[Payout Reconcile Job] ${settled} stuck payout(s) settled`);
+            }
+        } catch (error) {
+            console.error('[Payout Reconcile Job] Error:', error.message);
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    console.log('[System] Payout Reconcile Job Scheduled (every 2 minutes)');
+};
+
+module.exports = { startPayoutReconcileJob };
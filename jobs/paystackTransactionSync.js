@@ -3,6 +3,7 @@ const prisma = require('@/lib/prisma');
 const paystackProvider = require('@/services/paystackProvider');
 const { TransactionStatus, TransactionType } = require('@prisma/client');
 const { getWalletCreditAmount } = require('@/lib/paymentUtils');
+const { creditWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
 
 /**
  * Paystack Background Sync Job
@@ -74,9 +75,14 @@ const startPaystackTransactionSync = () => {
                             }
 
                             // Update Wallet
-                            await tx.wallet.update({
-                                where: { userId },
-                                data: { balance: { increment: walletCreditAmount } }
+                            await creditWallet(tx, {
+                                userId,
+                                amount: walletCreditAmount,
+                                entryType: 'FUNDING',
+                                counterAccount: LEDGER_ACCOUNTS.PAYSTACK,
+                                reference: txn.reference,
+                                transactionId: txn.id,
+                                description: 'Paystack funding recovered by sync job'
                             });
 
                             // Update Transaction
@@ -0,0 +1,33 @@
+const cron = require('node-cron');
+const { accrueReferralCommissions, releaseReferralCommissions } = require('@/lib/referrals');
+
+/**
+ * Referral Commission Job
+ * Records commissions on referees' successful purchases, then credits the ones
+ * whose holding period is over to the referrers' bonusBalance.
+ */
+let isRunning = false;
+
+const startReferralCommissionJob = () => {
+    // Every 15 minutes
+    cron.schedule('*/15 * * * *', async () => {
+        if (isRunning) return;
+        isRunning = true;
+
+        try {
+            const accrued = await accrueReferralCommissions();
+            const credited = await releaseReferralCommissions();
+            if (accrued > 0 || credited > 0) {
+                console.log(`[Referral Commission Job] ${accrued} accrued, ${credited} credited`);
+            }
+        } catch (error) {
+            console.error('[Referral Commission Job] Error:', error.message);
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    console.log('[System] Referral Commission Job Scheduled (every 15 minutes)');
+};
+
+module.exports = { startReferralCommissionJob };
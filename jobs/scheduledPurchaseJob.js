@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const { processDueSchedules } = require('@/lib/scheduledPurchases');
+
+/**
+ * Scheduled Purchase Job
+ * Buys recurring airtime, data and cable renewals when they fall due and records each run.
+ */
+let isRunning = false;
+
+const startScheduledPurchaseJob = () => {
+    // Every minute
+    cron.schedule('* * * * *', async () => {
+        if (isRunning) return; // Previous run still buying
+        isRunning = true;
+
+        try {
+            const ran = await processDueSchedules();
+            if (ran > 0) {
+                console.log(`[Scheduled Purchase Job] Ran ${ran} schedule(s)`);
+            }
+        } catch (error) {
+            console.error('[Scheduled Purchase Job] Error:', error.message);
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    console.log('[System] Scheduled Purchase Job Scheduled (every minute)');
+};
+
+module.exports = { startScheduledPurchaseJob };
@@ -1,13 +1,16 @@
 const cron = require('node-cron');
 const prisma = require('@/lib/prisma');
 const paymentProvider = require('@/services/paymentProvider');
-const vtpassProvider = require('@/services/vtpassProvider');
+const vtuRouter = require('@/services/vtu');
 const educationProvider = require('@/services/educationProvider');
 const pinProvider = require('@/services/pinProvider');
 
 const { TransactionStatus, TransactionType } = require('@prisma/client');
 const { getWalletCreditAmount } = require('@/lib/paymentUtils');
 const { safeRefund } = require('@/lib/financialSafety');
+const { creditWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { notifyTransactionUpdate } = require('@/lib/partnerWebhooks');
+const { reconcilePayout } = require('@/lib/withdrawals');
 
 /**
  * Provider Mapping for Service Transactions
@@ -49,7 +52,9 @@ const startTransactionSync = () => {
                     status: true,
                     userId: true,
                     amount: true,
-                    type: true
+                    type: true,
+                    metadata: true,
+                    createdAt: true
                 },
                 take: 20
             });
@@ -70,6 +75,10 @@ const startTransactionSync = () => {
                     else if (PROVIDERS[txn.type]) {
                         await reconcileLegacyService(txn);
                     }
+                    // --- CASE D: WITHDRAWAL PAYOUTS (any gateway) ---
+                    else if (txn.type === TransactionType.WITHDRAWAL) {
+                        await reconcilePayout(txn);
+                    }
                 } catch (err) {
                     console.error(`[Error] Failed reconciling Ref ${txn.reference}:`, err.message);
                 }
@@ -98,10 +107,15 @@ const reconcileFunding = async (txn) => {
             const totalPaid = Number(verification.amount);
             const walletCreditAmount = getWalletCreditAmount(totalPaid);
 
-            await tx.wallet.upsert({
-                where: { userId: txn.userId },
-                update: { balance: { increment: walletCreditAmount } },
-                create: { userId: txn.userId, balance: walletCreditAmount }
+            await creditWallet(tx, {
+                userId: txn.userId,
+                amount: walletCreditAmount,
+                createIfMissing: true,
+                entryType: 'FUNDING',
+                counterAccount: LEDGER_ACCOUNTS.FLUTTERWAVE,
+                reference: txn.reference,
+                transactionId: txn.id,
+                description: 'Wallet funding recovered by sync job'
             });
 
             await tx.transaction.update({
@@ -126,11 +140,13 @@ const reconcileFunding = async (txn) => {
 };
 
 /**
- * Reconcile VTPass Service Transactions
+ * Reconcile VTU Service Transactions
+ * Queried on whichever provider the router sent the order to.
  */
 const reconcileVTPassService = async (txn) => {
-    console.log(`[Reconcile] VTPASS ${txn.type} Ref: ${txn.reference}`);
-    const result = await vtpassProvider.queryTransaction(txn.reference).catch(() => null);
+    const providerName = txn.metadata?.provider || 'VTPASS';
+    console.log(`[Reconcile] ${providerName} ${txn.type} Ref: ${txn.reference}`);
+    const result = await vtuRouter.queryTransaction(providerName, txn.reference).catch(() => null);
 
     if (!result) return; // Wait for next cycle
 
@@ -139,12 +155,14 @@ const reconcileVTPassService = async (txn) => {
             where: { id: txn.id },
             data: { status: TransactionStatus.SUCCESS }
         });
+        await notifyTransactionUpdate(txn.id);
         console.log(`[Success] ✅ Finalized ${txn.type} Ref: ${txn.reference}`);
     }
     else if (result.status === "FAILED") {
         console.log(`[Failure] ❌ Provider failed ${txn.type} Ref: ${txn.reference}. Triggering REFUND.`);
 
         await safeRefund(prisma, txn.userId, txn.amount, txn.id);
+        await notifyTransactionUpdate(txn.id);
     }
 };
 
@@ -165,12 +183,14 @@ const reconcileLegacyService = async (txn) => {
             where: { id: txn.id },
             data: { status: TransactionStatus.SUCCESS }
         });
+        await notifyTransactionUpdate(txn.id);
         console.log(`[Success] ✅ Finalized ${txn.type} Ref: ${txn.reference}`);
     }
     else if (["ORDER_CANCELLED", "ORDER_FAILED"].includes(result.status)) {
         console.log(`[Failure] ❌ Provider failed ${txn.type} Ref: ${txn.reference}. Triggering REFUND.`);
 
         await safeRefund(prisma, txn.userId, txn.amount, txn.id);
+        await notifyTransactionUpdate(txn.id);
     }
 };
 
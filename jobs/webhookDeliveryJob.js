@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const { processDueDeliveries } = require('@/lib/partnerWebhooks');
+
+/**
+ * Partner Webhook Delivery Job
+ * Sends queued webhook deliveries and retries failed ones when their backoff expires.
+ */
+let isRunning = false;
+
+const startWebhookDeliveryJob = () => {
+    // Every 30 seconds
+    cron.schedule('*/30 * * * * *', async () => {
+        if (isRunning) return; // Previous batch still sending
+        isRunning = true;
+
+        try {
+            const { processed, sent } = await processDueDeliveries();
+            if (processed > 0) {
+                console.log(`[Webhook Delivery Job] ${sent}/${processed} delivered`);
+            }
+        } catch (error) {
+            console.error('[Webhook Delivery Job] Error:', error.message);
+        } finally {
+            isRunning = false;
+        }
+    });
+
+    console.log('[System] Partner Webhook Delivery Job Scheduled (every 30s)');
+};
+
+module.exports = { startWebhookDeliveryJob };
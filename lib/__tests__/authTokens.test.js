@@ -0,0 +1,71 @@
+const jwt = require('jsonwebtoken');
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { describeDevice, issueUserSession } = require('../authTokens');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/mailer');
+
+describe('Auth Tokens', () => {
+    const user = { id: 'user-1', email: 'ada@example.com', fullName: 'Ada Obi', tier: 'SMART_USER', isKycVerified: true };
+    const chromeOnWindows = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0 Safari/537.36';
+    const loginRequest = (headers = {}) => ({ ip: '102.89.1.1', headers: { 'user-agent': chromeOnWindows, ...headers } });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sendEmail.mockResolvedValue(undefined);
+    });
+
+    describe('describeDevice', () => {
+        it('should prefer the app-supplied device name and fall back to the user agent', () => {
+            expect(describeDevice(loginRequest({ 'x-device-name': "  Ada's iPhone " }))).toEqual({
+                deviceName: "Ada's iPhone",
+                ipAddress: '102.89.1.1',
+                userAgent: chromeOnWindows
+            });
+            expect(describeDevice(loginRequest()).deviceName).toBe('Chrome on Windows');
+            expect(describeDevice({ headers: { 'user-agent': 'okhttp/4.12.0 Android' } }).deviceName).toBe('Mufti Pay app on Android');
+            expect(describeDevice({}).deviceName).toBe('Unknown device');
+        });
+    });
+
+    describe('issueUserSession', () => {
+        it('should start a session whose id is carried in the access token', async () => {
+            const session = await issueUserSession(user, loginRequest());
+
+            const created = prisma.refreshToken.create.mock.calls[0][0].data;
+            expect(created).toMatchObject({
+                userId: 'user-1',
+                token: session.refreshToken,
+                deviceName: 'Chrome on Windows',
+                ipAddress: '102.89.1.1',
+                userAgent: chromeOnWindows
+            });
+            expect(jwt.decode(session.accessToken).sid).toBe(created.sessionId);
+        });
+
+        it('should email the user about a device none of their sessions has used', async () => {
+            prisma.refreshToken.findFirst
+                .mockResolvedValueOnce(null) // this user agent
+                .mockResolvedValueOnce({ id: 'older-token' }); // any earlier session
+
+            await issueUserSession(user, loginRequest());
+            await new Promise(setImmediate);
+
+            expect(sendEmail).toHaveBeenCalledTimes(1);
+            expect(sendEmail.mock.calls[0][0]).toMatchObject({ to: 'ada@example.com', subject: 'Mufti Pay - New sign-in to your account' });
+            expect(sendEmail.mock.calls[0][0].html).toContain('Chrome on Windows');
+        });
+
+        it('should not email for a known device or the very first login', async () => {
+            prisma.refreshToken.findFirst.mockResolvedValue({ id: 'older-token' });
+            await issueUserSession(user, loginRequest());
+
+            prisma.refreshToken.findFirst.mockResolvedValue(null);
+            await issueUserSession(user, loginRequest());
+            await new Promise(setImmediate);
+
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,100 @@
+const prisma = require('@/lib/prisma');
+const vtuRouter = require('@/services/vtu');
+const { parseBulkCsv, processBulkPurchase, summarizeBulkPurchase } = require('../bulkPurchase');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/services/vtu', () => ({ purchase: jest.fn() }));
+
+describe('Bulk Purchases', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should parse CSV by header name', () => {
+        const { items, error } = parseBulkCsv('Phone,Network,Amount\n"08031111111",mtn,500\n\n08021111111,AIRTEL,100\n');
+
+        expect(error).toBeUndefined();
+        expect(items).toEqual([
+            { phoneNumber: '08031111111', network: 'mtn', amount: 500 },
+            { phoneNumber: '08021111111', network: 'AIRTEL', amount: 100 }
+        ]);
+    });
+
+    it('should reject CSV without a usable header', () => {
+        expect(parseBulkCsv('08031111111,MTN,500\n08021111111,AIRTEL,100').error).toMatch(/header/);
+    });
+
+    it('should refund only the lines the provider rejects', async () => {
+        const line = (n, phoneNumber) => ({
+            id: `item-${n}`, line: n, network: 'MTN', phoneNumber, planId: null, faceValue: 500, amount: 490,
+            transaction: { id: `txn-${n}`, type: 'AIRTIME', reference: `AIR-${n}`, metadata: {} }
+        });
+
+        prisma.bulkPurchase.findUnique.mockResolvedValue({
+            id: 'batch-1', userId: 'user-1', reference: 'BLK-1', status: 'PROCESSING',
+            items: [line(1, '08031111111'), line(2, '08061111111')]
+        });
+        prisma.bulkPurchaseItem.updateMany.mockResolvedValue({ count: 1 });
+        prisma.bulkPurchaseItem.count.mockResolvedValue(0);
+        prisma.$transaction.mockImplementation(async (callback) => callback(prisma));
+        prisma.transaction.update.mockResolvedValue({ reference: 'AIR-2' });
+        prisma.transaction.updateMany.mockResolvedValue({ count: 1 });
+        prisma.transaction.findUnique.mockResolvedValue({ reference: 'AIR-2' });
+        prisma.walletLedgerEntry.findFirst.mockResolvedValue({ counterAccount: 'PROVIDER:VTU_CLEARING' });
+        prisma.wallet.update.mockResolvedValue({ id: 'wallet-1', userId: 'user-1', balance: 490 });
+
+        vtuRouter.purchase.mockImplementation(async (service, order) => {
+            if (order.phoneNumber === '08061111111') throw new Error('Number barred');
+            return { isPending: false, provider: 'VTPASS', transactionid: 'ext-1' };
+        });
+
+        await processBulkPurchase('batch-1');
+
+        expect(vtuRouter.purchase).toHaveBeenCalledTimes(2);
+        expect(vtuRouter.purchase).toHaveBeenCalledWith('AIRTIME', expect.objectContaining({ requestId: 'AIR-1', amount: 500 }));
+
+        // Line 1 delivered, line 2 refunded on its own
+        expect(prisma.transaction.update).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: 'txn-1' },
+            data: expect.objectContaining({ status: 'SUCCESS' })
+        }));
+        expect(prisma.wallet.update).toHaveBeenCalledTimes(1);
+        expect(prisma.wallet.update).toHaveBeenCalledWith(expect.objectContaining({
+            data: { balance: { increment: 490 }, totalSpent: { decrement: 490 } }
+        }));
+        expect(prisma.bulkPurchaseItem.update).toHaveBeenCalledWith({
+            where: { id: 'item-2' },
+            data: { error: 'Number barred' }
+        });
+        expect(prisma.bulkPurchase.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+            data: expect.objectContaining({ status: 'COMPLETED' })
+        }));
+    });
+
+    it('should not send a line another worker already claimed', async () => {
+        prisma.bulkPurchase.findUnique.mockResolvedValue({
+            id: 'batch-1', userId: 'user-1', reference: 'BLK-1', status: 'PROCESSING',
+            items: [{ id: 'item-1', line: 1, transaction: { id: 'txn-1', type: 'AIRTIME' } }]
+        });
+        prisma.bulkPurchaseItem.updateMany.mockResolvedValue({ count: 0 });
+        prisma.bulkPurchaseItem.count.mockResolvedValue(0);
+
+        await processBulkPurchase('batch-1');
+
+        expect(vtuRouter.purchase).not.toHaveBeenCalled();
+    });
+
+    it('should summarize per-line results from each line\'s transaction', () => {
+        const summary = summarizeBulkPurchase({
+            reference: 'BLK-1', status: 'COMPLETED', totalItems: 3, totalAmount: 1300,
+            items: [
+                { line: 1, amount: 500, faceValue: 500, dispatchedAt: new Date(), transaction: { reference: 'A', status: 'SUCCESS' } },
+                { line: 2, amount: 300, faceValue: 300, dispatchedAt: new Date(), transaction: { reference: 'B', status: 'FAILED' }, error: 'Barred' },
+                { line: 3, amount: 500, faceValue: 500, dispatchedAt: null, transaction: { reference: 'C', status: 'PENDING' } }
+            ]
+        });
+
+        expect(summary).toMatchObject({ success: 1, failed: 1, pending: 0, queued: 1, refundedAmount: 300 });
+        expect(summary.lines.map(l => l.status)).toEqual(['SUCCESS', 'FAILED', 'QUEUED']);
+    });
+});
@@ -0,0 +1,163 @@
+const prisma = require('@/lib/prisma');
+const { findCampaignOffer, redeemCampaignOffer, settleCampaignRedemptions, clawBackCampaignCashback } = require('../campaigns');
+
+jest.mock('@/lib/prisma');
+
+describe('Cashback Campaigns', () => {
+    const user = { id: 'user-1', tier: 'SMART_USER', isStaff: false };
+
+    const campaign = (overrides = {}) => ({
+        id: 'camp-1',
+        promoCode: null,
+        isActive: true,
+        startsAt: new Date(Date.now() - 3600000),
+        endsAt: new Date(Date.now() + 3600000),
+        services: ['DATA'],
+        networks: ['MTN'],
+        tiers: [],
+        minAmount: null,
+        rewardType: 'PERCENT',
+        rewardValue: 5,
+        maxReward: null,
+        perUserLimit: null,
+        maxRedemptions: null,
+        redemptionCount: 0,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        prisma.$transaction.mockImplementation(async (cb) => cb(prisma));
+        prisma.campaignRedemption.count.mockResolvedValue(0);
+        prisma.campaignRedemption.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should pick the automatic campaign paying the most', async () => {
+        prisma.campaign.findMany.mockResolvedValue([
+            campaign({ id: 'camp-small', rewardType: 'FLAT', rewardValue: 20 }),
+            campaign({ id: 'camp-airtime', services: ['AIRTIME'], rewardValue: 50 }),
+            campaign({ id: 'camp-big' })
+        ]);
+
+        const offer = await findCampaignOffer('DATA', user, { network: 'mtn', amount: 1000 });
+
+        expect(offer.campaign.id).toBe('camp-big');
+        expect(offer.cashback).toBe(50);
+    });
+
+    it('should explain why a promo code cannot be used', async () => {
+        prisma.campaign.findUnique.mockResolvedValue(campaign({ promoCode: 'JAMB500', services: ['EDUCATION'], networks: ['JAMB'], minAmount: 5000 }));
+        await expect(findCampaignOffer('DATA', user, { network: 'MTN', amount: 1000, promoCode: 'jamb500' }))
+            .resolves.toEqual({ error: 'This promo code is not valid for this purchase' });
+        await expect(findCampaignOffer('EDUCATION', user, { network: 'JAMB', amount: 1000, promoCode: 'JAMB500' }))
+            .resolves.toEqual({ error: 'This promo code needs a purchase of at least ₦5,000' });
+
+        prisma.campaign.findUnique.mockResolvedValue(campaign({ promoCode: 'JAMB500', endsAt: new Date(Date.now() - 1000) }));
+        await expect(findCampaignOffer('DATA', user, { network: 'MTN', amount: 1000, promoCode: 'JAMB500' }))
+            .resolves.toEqual({ error: 'This promo code has expired' });
+    });
+
+    it('should enforce the per-user limit', async () => {
+        prisma.campaign.findUnique.mockResolvedValue(campaign({ promoCode: 'JAMB500', rewardType: 'FLAT', rewardValue: 500, perUserLimit: 1 }));
+        prisma.campaignRedemption.count.mockResolvedValue(1);
+
+        const offer = await findCampaignOffer('DATA', user, { network: 'MTN', amount: 1000, promoCode: 'JAMB500' });
+
+        expect(offer).toEqual({ error: 'You have already used this promo code' });
+        expect(prisma.campaignRedemption.count).toHaveBeenCalledWith({
+            where: { campaignId: 'camp-1', userId: 'user-1', status: { notIn: ['CANCELLED', 'CLAWED_BACK'] } }
+        });
+    });
+
+    it('should refuse the redemption once the global cap is taken', async () => {
+        prisma.campaign.updateMany.mockResolvedValue({ count: 0 });
+        const offer = { campaign: campaign({ maxRedemptions: 100, redemptionCount: 99 }), cashback: 50 };
+
+        await expect(redeemCampaignOffer(prisma, offer, { id: 'txn-1', userId: 'user-1', amount: 1000 }))
+            .rejects.toThrow('This promo code has been fully redeemed');
+        expect(prisma.campaign.updateMany).toHaveBeenCalledWith({
+            where: { id: 'camp-1', redemptionCount: { lt: 100 } },
+            data: { redemptionCount: { increment: 1 } }
+        });
+        expect(prisma.campaignRedemption.create).not.toHaveBeenCalled();
+    });
+
+    it('should credit cashback only on successful purchases', async () => {
+        prisma.campaignRedemption.findMany.mockResolvedValue([
+            { id: 'red-1', campaignId: 'camp-1', userId: 'user-1', cashback: 50, transaction: { status: 'SUCCESS' } },
+            { id: 'red-2', campaignId: 'camp-1', userId: 'user-2', cashback: 30, transaction: { status: 'FAILED' } }
+        ]);
+
+        const credited = await settleCampaignRedemptions();
+
+        expect(credited).toBe(1);
+        expect(prisma.wallet.update).toHaveBeenCalledTimes(1);
+        expect(prisma.wallet.update).toHaveBeenCalledWith({
+            where: { userId: 'user-1' },
+            data: { bonusBalance: { increment: 50 } }
+        });
+        expect(prisma.campaignRedemption.updateMany).toHaveBeenCalledWith({
+            where: { id: 'red-2', status: 'PENDING' },
+            data: { status: 'CANCELLED' }
+        });
+        expect(prisma.campaign.update).toHaveBeenCalledWith({
+            where: { id: 'camp-1' },
+            data: { redemptionCount: { decrement: 1 } }
+        });
+    });
+
+    describe('clawBackCampaignCashback', () => {
+        const purchase = { id: 'txn-1', reference: 'DAT-1' };
+
+        beforeEach(() => {
+            prisma.campaignRedemption.findUnique.mockResolvedValue({ id: 'red-1', campaignId: 'camp-1', userId: 'user-1', cashback: 50, status: 'CREDITED' });
+            prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+            prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-1', userId: 'user-1', balance: 1000, bonusBalance: 80 });
+        });
+
+        it('should take credited cashback back out of bonusBalance and free the slot', async () => {
+            await expect(clawBackCampaignCashback(prisma, purchase)).resolves.toBe(50);
+
+            expect(prisma.campaignRedemption.updateMany).toHaveBeenCalledWith({
+                where: { id: 'red-1', status: 'CREDITED' },
+                data: { status: 'CLAWED_BACK' }
+            });
+            expect(prisma.wallet.updateMany).toHaveBeenCalledTimes(1);
+            expect(prisma.wallet.updateMany.mock.calls[0][0].data.bonusBalance.decrement.toString()).toBe('50');
+            expect(prisma.campaign.update).toHaveBeenCalledWith({
+                where: { id: 'camp-1' },
+                data: { redemptionCount: { decrement: 1 } }
+            });
+            expect(prisma.walletLedgerEntry.create).not.toHaveBeenCalled();
+        });
+
+        it('should debit the part already moved to the main balance through the ledger', async () => {
+            prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-1', userId: 'user-1', balance: 1000, bonusBalance: 20 });
+
+            await clawBackCampaignCashback(prisma, purchase);
+
+            expect(prisma.wallet.updateMany.mock.calls[0][0].data.bonusBalance.decrement.toString()).toBe('20');
+            expect(prisma.wallet.updateMany.mock.calls[1][0]).toEqual({
+                where: { userId: 'user-1' },
+                data: { balance: { decrement: expect.anything() } }
+            });
+            expect(prisma.wallet.updateMany.mock.calls[1][0].data.balance.decrement.toString()).toBe('30');
+            expect(prisma.walletLedgerEntry.create.mock.calls[0][0].data).toMatchObject({
+                direction: 'DEBIT',
+                entryType: 'REVERSAL',
+                counterAccount: 'SYSTEM:BONUS',
+                transactionId: 'txn-1'
+            });
+        });
+
+        it('should do nothing when no cashback was credited', async () => {
+            prisma.campaignRedemption.findUnique.mockResolvedValue({ id: 'red-1', campaignId: 'camp-1', userId: 'user-1', cashback: 50, status: 'PENDING' });
+
+            await expect(clawBackCampaignCashback(prisma, purchase)).resolves.toBe(0);
+
+            expect(prisma.campaignRedemption.updateMany).not.toHaveBeenCalled();
+            expect(prisma.wallet.updateMany).not.toHaveBeenCalled();
+        });
+    });
+});
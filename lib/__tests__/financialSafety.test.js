@@ -0,0 +1,52 @@
+const prisma = require('@/lib/prisma');
+const { safeRefund, isDefinitiveRejection, providerRejection } = require('../financialSafety');
+
+jest.mock('@/lib/prisma');
+
+describe('Financial Safety', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.$transaction.mockImplementation(async (callback) => callback(prisma));
+        prisma.transaction.findUnique.mockResolvedValue({ reference: 'DAT-1' });
+        prisma.walletLedgerEntry.findFirst.mockResolvedValue({ counterAccount: 'PROVIDER:VTPASS' });
+        prisma.wallet.update.mockResolvedValue({ id: 'wallet-1', userId: 'user-1', balance: 500 });
+    });
+
+    describe('safeRefund', () => {
+        it('should fail a PENDING transaction and refund it once', async () => {
+            prisma.transaction.updateMany.mockResolvedValue({ count: 1 });
+
+            await expect(safeRefund(prisma, 'user-1', 500, 'txn-1')).resolves.toBe(true);
+
+            expect(prisma.transaction.updateMany).toHaveBeenCalledWith({
+                where: { id: 'txn-1', status: 'PENDING' },
+                data: { status: 'FAILED' }
+            });
+            expect(prisma.wallet.update).toHaveBeenCalledWith(expect.objectContaining({
+                data: { balance: { increment: 500 }, totalSpent: { decrement: 500 } }
+            }));
+        });
+
+        it('should not refund a transaction another path already settled', async () => {
+            prisma.transaction.updateMany.mockResolvedValue({ count: 0 });
+
+            await expect(safeRefund(prisma, 'user-1', 500, 'txn-1')).resolves.toBe(false);
+
+            expect(prisma.wallet.update).not.toHaveBeenCalled();
+            expect(prisma.walletLedgerEntry.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('isDefinitiveRejection', () => {
+        it.each([
+            [providerRejection('Insufficient balance'), true],
+            [{ response: { status: 400 } }, true],
+            [{ response: { status: 409 } }, false],
+            [{ response: { status: 502 } }, false],
+            [{ code: 'ECONNABORTED', message: 'timeout of 45000ms exceeded' }, false],
+            [new Error('Unexpected token < in JSON'), false]
+        ])('%o is definitive: %s', (error, expected) => {
+            expect(isDefinitiveRejection(error)).toBe(expected);
+        });
+    });
+});
@@ -0,0 +1,252 @@
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { queueWebhookEvent } = require('@/lib/partnerWebhooks');
+const { debitWallet, creditWallet } = require('@/lib/walletLedger');
+const { FlightChangeStatus } = require('@prisma/client');
+const { FLIGHT_ACTORS } = require('../flightWorkflow');
+const { CHANGE_TRANSITIONS, transitionFlightChange, openFlightChange } = require('../flightChanges');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/mailer');
+jest.mock('@/lib/partnerWebhooks');
+jest.mock('@/lib/walletLedger', () => ({
+    debitWallet: jest.fn(),
+    creditWallet: jest.fn(),
+    LEDGER_ACCOUNTS: { FLIGHT_SALES: 'FLIGHT_SALES' }
+}));
+
+const ALL_STATUSES = Object.values(FlightChangeStatus);
+const ACTORS = {
+    USER: { type: FLIGHT_ACTORS.USER, id: 'user-1' },
+    STAFF: { type: FLIGHT_ACTORS.STAFF, id: 'staff-1' },
+    SYSTEM: { type: FLIGHT_ACTORS.SYSTEM, id: null }
+};
+
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+const booking = {
+    id: 'flight-1',
+    userId: 'user-1',
+    status: 'TICKETED',
+    origin: 'LOS',
+    destination: 'ABV',
+    pnr: 'ABC123',
+    eTicketUrl: 'https://tickets.example.com/abc.pdf'
+};
+
+const changeIn = (status, overrides = {}) => ({
+    id: 'change-1',
+    flightRequestId: 'flight-1',
+    type: 'DATE_CHANGE',
+    status,
+    newTargetDate: new Date('2026-12-01T00:00:00.000Z'),
+    passengerCorrections: null,
+    changeFee: 5000,
+    fareDifference: 12000,
+    quoteExpiresAt: inHours(2),
+    ...overrides
+});
+
+const INPUTS = {
+    quote: { changeFee: 5000, fareDifference: 12000 },
+    issue: { eTicketUrl: 'https://tickets.example.com/new.pdf', pnr: 'NEW456' },
+    reject: { reason: 'No seats on the new date' }
+};
+
+describe('Flight Changes', () => {
+    let stored;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        stored = null;
+
+        prisma.$transaction.mockImplementation(async (cb) => cb(prisma));
+        prisma.flightChangeRequest.findUnique.mockImplementation(async () => stored && { ...stored, flightRequest: { ...booking } });
+        prisma.flightChangeRequest.updateMany.mockImplementation(async ({ where, data }) => {
+            if (!stored || stored.status !== where.status) return { count: 0 };
+            stored = { ...stored, ...data };
+            return { count: 1 };
+        });
+        prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-1', balance: 100000 });
+        prisma.flightTransaction.create.mockImplementation(async ({ data }) => ({ id: 'ftx-1', ...data }));
+        prisma.flightTransaction.findMany.mockResolvedValue([]);
+        prisma.user.findUnique.mockResolvedValue({ fullName: 'Ada Obi', email: 'ada@example.com' });
+        queueWebhookEvent.mockResolvedValue([]);
+    });
+
+    describe('transition table', () => {
+        const cases = Object.keys(CHANGE_TRANSITIONS).flatMap(event =>
+            ALL_STATUSES.flatMap(status => Object.keys(ACTORS).map(actorType => [event, status, actorType]))
+        );
+
+        it.each(cases)('%s from %s by %s', async (event, status, actorType) => {
+            const transition = CHANGE_TRANSITIONS[event];
+            stored = changeIn(status);
+
+            const attempt = transitionFlightChange('change-1', event, { actor: ACTORS[actorType], input: INPUTS[event] });
+
+            if (!transition.actors.includes(actorType)) {
+                await expect(attempt).rejects.toMatchObject({ status: 403 });
+            } else if (!transition.from.includes(status)) {
+                await expect(attempt).rejects.toMatchObject({ status: 409 });
+            } else {
+                await expect(attempt).resolves.toMatchObject({ status: transition.to });
+                expect(prisma.flightRequestActivity.create).toHaveBeenCalledWith({
+                    data: expect.objectContaining({ requestId: 'flight-1', previousState: 'TICKETED', newState: 'TICKETED' })
+                });
+                return;
+            }
+
+            expect(stored.status).toBe(status);
+            expect(prisma.flightRequestActivity.create).not.toHaveBeenCalled();
+        });
+
+        it('should only lead to real statuses', () => {
+            for (const transition of Object.values(CHANGE_TRANSITIONS)) {
+                expect(ALL_STATUSES).toContain(transition.to);
+                transition.from.forEach(status => expect(ALL_STATUSES).toContain(status));
+            }
+        });
+    });
+
+    describe('guards and effects', () => {
+        it('should email the user the quote with a payment deadline', async () => {
+            stored = changeIn('REQUESTED', { changeFee: null, fareDifference: null, quoteExpiresAt: null });
+
+            const updated = await transitionFlightChange('change-1', 'quote', { actor: ACTORS.STAFF, input: INPUTS.quote });
+            await new Promise(setImmediate);
+
+            expect(updated.quoteExpiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+            expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+                to: 'ada@example.com',
+                text: expect.stringContaining('₦17000')
+            }));
+        });
+
+        it('should debit the change fee and fare difference as a change payment', async () => {
+            stored = changeIn('QUOTED');
+
+            await transitionFlightChange('change-1', 'pay', { actor: ACTORS.USER });
+
+            expect(prisma.flightTransaction.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ type: 'CHANGE_PAYMENT', amount: 17000, flightRequestId: 'flight-1', changeRequestId: 'change-1' })
+            });
+            expect(debitWallet).toHaveBeenCalledWith(prisma, expect.objectContaining({ userId: 'user-1', amount: 17000, entryType: 'FLIGHT_PAYMENT' }));
+        });
+
+        it('should not charge anything for a free change', async () => {
+            stored = changeIn('QUOTED', { changeFee: 0, fareDifference: 0 });
+
+            await transitionFlightChange('change-1', 'pay', { actor: ACTORS.USER });
+
+            expect(debitWallet).not.toHaveBeenCalled();
+            expect(stored.status).toBe('PAID');
+        });
+
+        it('should refuse to pay an expired quote', async () => {
+            stored = changeIn('QUOTED', { quoteExpiresAt: inHours(-1) });
+
+            await expect(transitionFlightChange('change-1', 'pay', { actor: ACTORS.USER }))
+                .rejects.toMatchObject({ status: 400, message: 'This change quote has expired. Please ask for a new quote.' });
+            expect(debitWallet).not.toHaveBeenCalled();
+        });
+
+        it("should hide another user's change request", async () => {
+            stored = changeIn('QUOTED');
+            prisma.flightChangeRequest.findUnique.mockResolvedValueOnce({ ...stored, flightRequest: { ...booking, userId: 'user-2' } });
+
+            await expect(transitionFlightChange('change-1', 'pay', { actor: ACTORS.USER })).rejects.toMatchObject({ status: 404 });
+        });
+
+        it('should update the booking and passengers and email the revised ticket', async () => {
+            stored = changeIn('PAID', {
+                type: 'NAME_CORRECTION',
+                newTargetDate: null,
+                passengerCorrections: [{ passengerId: 'pax-1', lastName: 'Obi-Ade' }]
+            });
+
+            await transitionFlightChange('change-1', 'issue', { actor: ACTORS.STAFF, input: INPUTS.issue });
+            await new Promise(setImmediate);
+
+            expect(prisma.flightBookingRequest.update).toHaveBeenCalledWith({
+                where: { id: 'flight-1' },
+                data: { eTicketUrl: 'https://tickets.example.com/new.pdf', pnr: 'NEW456' }
+            });
+            expect(prisma.passenger.updateMany).toHaveBeenCalledWith({
+                where: { id: 'pax-1', flightRequestId: 'flight-1' },
+                data: { lastName: 'Obi-Ade' }
+            });
+            expect(queueWebhookEvent).toHaveBeenCalledWith(prisma, 'user-1', 'flight.ticketed', expect.objectContaining({ revised: true }));
+            expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Your Revised E-Ticket: LOS to ABV' }));
+        });
+
+        it('should refund a paid change when staff reject it', async () => {
+            stored = changeIn('PAID');
+            prisma.flightTransaction.findMany.mockResolvedValue([{ walletId: 'wallet-1', amount: 17000 }]);
+
+            await transitionFlightChange('change-1', 'reject', { actor: ACTORS.STAFF, input: INPUTS.reject });
+
+            expect(prisma.flightTransaction.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ type: 'CHANGE_REFUND', amount: 17000, changeRequestId: 'change-1' })
+            });
+            expect(creditWallet).toHaveBeenCalledWith(prisma, expect.objectContaining({ amount: 17000, entryType: 'FLIGHT_REFUND' }));
+            expect(stored.staffNote).toBe('No seats on the new date');
+        });
+
+        it('should not quote a change once the booking is refunded', async () => {
+            stored = changeIn('REQUESTED');
+            prisma.flightChangeRequest.findUnique.mockResolvedValueOnce({ ...stored, flightRequest: { ...booking, status: 'REFUNDED' } });
+
+            await expect(transitionFlightChange('change-1', 'quote', { actor: ACTORS.STAFF, input: INPUTS.quote }))
+                .rejects.toMatchObject({ status: 400 });
+        });
+    });
+
+    describe('openFlightChange', () => {
+        beforeEach(() => {
+            prisma.flightBookingRequest.findUnique.mockResolvedValue({ ...booking, passengers: [{ id: 'pax-1' }] });
+            prisma.flightChangeRequest.findFirst.mockResolvedValue(null);
+            prisma.flightChangeRequest.create.mockImplementation(async ({ data }) => ({ id: 'change-1', status: 'REQUESTED', ...data }));
+        });
+
+        it('should open a change and log it on the booking', async () => {
+            const change = await openFlightChange('user-1', 'flight-1', { type: 'DATE_CHANGE', newTargetDate: '2026-12-01T00:00:00.000Z' });
+
+            expect(change).toMatchObject({ flightRequestId: 'flight-1', type: 'DATE_CHANGE' });
+            expect(prisma.flightRequestActivity.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ userId: 'user-1', actionDetails: 'User requested a date change to 2026-12-01' })
+            });
+        });
+
+        it('should only change ticketed bookings', async () => {
+            prisma.flightBookingRequest.findUnique.mockResolvedValue({ ...booking, status: 'PAID_PROCESSING', passengers: [] });
+
+            await expect(openFlightChange('user-1', 'flight-1', { type: 'DATE_CHANGE', newTargetDate: '2026-12-01T00:00:00.000Z' }))
+                .rejects.toMatchObject({ status: 409 });
+        });
+
+        it('should allow one change in progress at a time', async () => {
+            prisma.flightChangeRequest.findFirst.mockResolvedValue({ id: 'change-0' });
+
+            await expect(openFlightChange('user-1', 'flight-1', { type: 'DATE_CHANGE', newTargetDate: '2026-12-01T00:00:00.000Z' }))
+                .rejects.toMatchObject({ status: 409, message: 'This booking already has a change in progress.' });
+            expect(prisma.flightChangeRequest.create).not.toHaveBeenCalled();
+        });
+
+        it('should lock the booking before looking for a change in progress', async () => {
+            await openFlightChange('user-1', 'flight-1', { type: 'DATE_CHANGE', newTargetDate: '2026-12-01T00:00:00.000Z' });
+
+            const [sql, bookingId] = prisma.$queryRaw.mock.calls[0];
+            expect(sql.join('?')).toContain('FOR UPDATE');
+            expect(bookingId).toBe('flight-1');
+            expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(prisma.flightChangeRequest.findFirst.mock.invocationCallOrder[0]);
+        });
+
+        it('should refuse corrections for passengers not on the booking', async () => {
+            await expect(openFlightChange('user-1', 'flight-1', {
+                type: 'NAME_CORRECTION',
+                passengerCorrections: [{ passengerId: 'pax-9', firstName: 'Adaeze' }]
+            })).rejects.toMatchObject({ status: 400 });
+        });
+    });
+});
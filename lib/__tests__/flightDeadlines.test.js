@@ -0,0 +1,94 @@
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { transitionFlight } = require('@/lib/flightWorkflow');
+const { expireLapsedBookings, alertApproachingTtl } = require('../flightDeadlines');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/mailer');
+jest.mock('@/lib/flightWorkflow', () => ({
+    ...jest.requireActual('@/lib/flightWorkflow'),
+    transitionFlight: jest.fn()
+}));
+
+describe('Flight Deadlines', () => {
+    const now = new Date('2026-10-18T12:00:00.000Z');
+    const minutesFromNow = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.$transaction.mockImplementation(async (cb) => cb(prisma));
+    });
+
+    describe('expireLapsedBookings', () => {
+        it('should expire bookings past their payment window or ticketing time limit with the reason', async () => {
+            prisma.flightBookingRequest.findMany.mockResolvedValue([
+                { id: 'flight-1', paymentExpiresAt: minutesFromNow(-1), ticketingTimeLimit: minutesFromNow(600) },
+                { id: 'flight-2', paymentExpiresAt: minutesFromNow(10), ticketingTimeLimit: minutesFromNow(-30) }
+            ]);
+
+            const expired = await expireLapsedBookings(now);
+
+            expect(expired).toBe(2);
+            expect(transitionFlight).toHaveBeenCalledWith('flight-1', 'expire', expect.objectContaining({
+                details: 'Expired automatically: the 30-minute payment window closed'
+            }));
+            expect(transitionFlight).toHaveBeenCalledWith('flight-2', 'expire', expect.objectContaining({
+                details: "Expired automatically: the airline's ticketing time limit passed"
+            }));
+        });
+
+        it('should carry on when one booking was paid in the meantime', async () => {
+            prisma.flightBookingRequest.findMany.mockResolvedValue([
+                { id: 'flight-1', paymentExpiresAt: minutesFromNow(-1) },
+                { id: 'flight-2', paymentExpiresAt: minutesFromNow(-2) }
+            ]);
+            transitionFlight.mockRejectedValueOnce(Object.assign(new Error('Cannot expire a request in PAID_PROCESSING state.'), { status: 409 }));
+
+            expect(await expireLapsedBookings(now)).toBe(1);
+        });
+    });
+
+    describe('alertApproachingTtl', () => {
+        const paidBooking = {
+            id: 'flight-9',
+            status: 'PAID_PROCESSING',
+            origin: 'LOS',
+            destination: 'ABV',
+            pnr: 'XYZ789',
+            ticketingTimeLimit: minutesFromNow(120),
+            user: { fullName: 'Ada Obi' }
+        };
+
+        beforeEach(() => {
+            prisma.flightBookingRequest.findMany.mockResolvedValue([paidBooking]);
+            prisma.staff.findMany.mockResolvedValue([
+                { email: 'tickets@muftipay.com', fullName: 'Tolu Ade', role: 'TICKETING_OFFICER', grantedPermissions: [], revokedPermissions: [], customRole: null },
+                { email: 'analyst@muftipay.com', fullName: 'Kemi Ola', role: 'STAFF', grantedPermissions: ['analytics:read'], revokedPermissions: [], customRole: null }
+            ]);
+        });
+
+        it('should alert only staff who handle flights and log it once', async () => {
+            prisma.flightBookingRequest.updateMany.mockResolvedValue({ count: 1 });
+
+            expect(await alertApproachingTtl(now)).toBe(1);
+
+            expect(prisma.flightBookingRequest.updateMany).toHaveBeenCalledWith({
+                where: { id: 'flight-9', status: 'PAID_PROCESSING', ttlAlertSentAt: null },
+                data: { ttlAlertSentAt: now }
+            });
+            expect(prisma.flightRequestActivity.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ requestId: 'flight-9', previousState: 'PAID_PROCESSING', newState: 'PAID_PROCESSING' })
+            });
+            expect(sendEmail).toHaveBeenCalledTimes(1);
+            expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'tickets@muftipay.com' }));
+        });
+
+        it('should not alert again when another run already claimed the booking', async () => {
+            prisma.flightBookingRequest.updateMany.mockResolvedValue({ count: 0 });
+
+            expect(await alertApproachingTtl(now)).toBe(0);
+            expect(prisma.flightRequestActivity.create).not.toHaveBeenCalled();
+            expect(sendEmail).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,131 @@
+const prisma = require('@/lib/prisma');
+const {
+    slaFor,
+    overdueWhere,
+    claimFlightRequest,
+    releaseFlightRequest,
+    assignFlightRequest,
+    agentPerformance
+} = require('../flightQueue');
+
+jest.mock('@/lib/prisma');
+
+describe('Flight Queue', () => {
+    const now = new Date('2026-10-18T12:00:00.000Z');
+    const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.$transaction.mockImplementation(async (cb) => cb(prisma));
+    });
+
+    describe('SLA timers', () => {
+        it('should time the states that wait on staff', () => {
+            expect(slaFor({ status: 'SELECTION_MADE', statusChangedAt: minutesAgo(20) }, now)).toMatchObject({ stage: 'quote', overdue: true, minutesLeft: -5 });
+            expect(slaFor({ status: 'PAID_PROCESSING', statusChangedAt: minutesAgo(30) }, now)).toMatchObject({ stage: 'ticket', overdue: false, minutesLeft: 90 });
+            expect(slaFor({ status: 'QUOTED', statusChangedAt: minutesAgo(500) }, now)).toBeNull();
+        });
+
+        it('should filter overdue requests per stage', () => {
+            expect(overdueWhere(now, 'options')).toEqual({
+                OR: [{ status: 'AWAITING_OPTIONS', statusChangedAt: { lt: minutesAgo(240) } }]
+            });
+            expect(overdueWhere(now).OR).toHaveLength(3);
+        });
+    });
+
+    describe('claiming and assignment', () => {
+        const open = { id: 'flight-1', status: 'SELECTION_MADE', assignedStaffId: null, assignedStaff: null };
+
+        it('should claim an unassigned request and log it', async () => {
+            prisma.flightBookingRequest.findUnique.mockResolvedValue(open);
+            prisma.flightBookingRequest.updateMany.mockResolvedValue({ count: 1 });
+
+            await claimFlightRequest('flight-1', 'staff-1');
+
+            expect(prisma.flightBookingRequest.updateMany).toHaveBeenCalledWith({
+                where: { id: 'flight-1', assignedStaffId: null },
+                data: { assignedStaffId: 'staff-1', assignedAt: expect.any(Date) }
+            });
+            expect(prisma.flightRequestActivity.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ staffId: 'staff-1', actionDetails: 'Staff claimed the request' })
+            });
+        });
+
+        it("should not take another agent's request", async () => {
+            prisma.flightBookingRequest.findUnique.mockResolvedValue({ ...open, assignedStaffId: 'staff-2', assignedStaff: { fullName: 'Kemi Ola' } });
+
+            await expect(claimFlightRequest('flight-1', 'staff-1'))
+                .rejects.toMatchObject({ status: 409, message: 'Kemi Ola is already working on this request.' });
+            expect(prisma.flightBookingRequest.updateMany).not.toHaveBeenCalled();
+        });
+
+        it('should lose a claim race cleanly', async () => {
+            prisma.flightBookingRequest.findUnique.mockResolvedValue(open);
+            prisma.flightBookingRequest.updateMany.mockResolvedValue({ count: 0 });
+
+            await expect(claimFlightRequest('flight-1', 'staff-1')).rejects.toMatchObject({ status: 409 });
+            expect(prisma.flightRequestActivity.create).not.toHaveBeenCalled();
+        });
+
+        it('should only let the holder release a request', async () => {
+            prisma.flightBookingRequest.findUnique.mockResolvedValue({ ...open, assignedStaffId: 'staff-2' });
+            prisma.flightBookingRequest.updateMany.mockResolvedValue({ count: 0 });
+
+            await expect(releaseFlightRequest('flight-1', 'staff-1')).rejects.toMatchObject({ status: 409 });
+        });
+
+        it('should not assign closed requests', async () => {
+            prisma.flightBookingRequest.findUnique.mockResolvedValue({ ...open, status: 'TICKETED' });
+
+            await expect(assignFlightRequest('flight-1', 'staff-2', 'admin-1')).rejects.toMatchObject({ status: 409 });
+        });
+
+        it('should only reassign to staff who can work flights', async () => {
+            prisma.flightBookingRequest.findUnique.mockResolvedValue({ ...open, assignedStaffId: 'staff-1', assignedStaff: { fullName: 'Tolu Ade' } });
+            prisma.staff.findUnique.mockResolvedValue({ id: 'staff-3', fullName: 'Kemi Ola', isActive: true, role: 'STAFF', grantedPermissions: ['analytics:read'], revokedPermissions: [], customRole: null });
+
+            await expect(assignFlightRequest('flight-1', 'staff-3', 'admin-1')).rejects.toMatchObject({ status: 400 });
+
+            prisma.staff.findUnique.mockResolvedValue({ id: 'staff-2', fullName: 'Ngozi Eze', isActive: true, role: 'TICKETING_OFFICER', grantedPermissions: [], revokedPermissions: [], customRole: null });
+            await assignFlightRequest('flight-1', 'staff-2', 'admin-1');
+
+            expect(prisma.flightBookingRequest.update).toHaveBeenCalledWith({
+                where: { id: 'flight-1' },
+                data: { assignedStaffId: 'staff-2', assignedAt: expect.any(Date) }
+            });
+            expect(prisma.flightRequestActivity.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ staffId: 'admin-1', actionDetails: 'Reassigned from Tolu Ade to Ngozi Eze' })
+            });
+        });
+    });
+
+    describe('agentPerformance', () => {
+        it('should time each stage from when the request entered it', async () => {
+            prisma.flightRequestActivity.findMany
+                .mockResolvedValueOnce([
+                    { requestId: 'flight-1', staffId: 'staff-1', previousState: 'SELECTION_MADE', createdAt: minutesAgo(50) },
+                    { requestId: 'flight-2', staffId: 'staff-1', previousState: 'SELECTION_MADE', createdAt: minutesAgo(10) }
+                ])
+                .mockResolvedValueOnce([
+                    { requestId: 'flight-1', previousState: 'OPTIONS_PROVIDED', newState: 'SELECTION_MADE', createdAt: minutesAgo(60) },
+                    { requestId: 'flight-1', previousState: 'SELECTION_MADE', newState: 'SELECTION_MADE', createdAt: minutesAgo(55) },
+                    { requestId: 'flight-2', previousState: 'OPTIONS_PROVIDED', newState: 'SELECTION_MADE', createdAt: minutesAgo(40) }
+                ]);
+            prisma.flightRequestActivity.groupBy.mockResolvedValue([{ staffId: 'staff-1', _count: { _all: 7 } }]);
+            prisma.flightBookingRequest.groupBy.mockResolvedValue([{ assignedStaffId: 'staff-1', _count: { _all: 2 } }]);
+            prisma.staff.findMany.mockResolvedValue([{ id: 'staff-1', fullName: 'Tolu Ade', email: 'tolu@muftipay.com' }]);
+
+            const [agent] = await agentPerformance(minutesAgo(24 * 60), now);
+
+            expect(agent).toMatchObject({
+                staffId: 'staff-1',
+                fullName: 'Tolu Ade',
+                actions: 7,
+                openAssigned: 2,
+                quote: { count: 2, averageMinutes: 20, withinSla: 1 },
+                options: { count: 0, averageMinutes: null, withinSla: 0 }
+            });
+        });
+    });
+});
@@ -0,0 +1,67 @@
+const prisma = require('@/lib/prisma');
+const { pickRefundPolicy, computeRefund, quoteFlightRefund } = require('../flightRefunds');
+
+jest.mock('@/lib/prisma');
+
+describe('Flight Refunds', () => {
+    const policies = [
+        { id: 'default', airlineName: '*', flightClass: 'ANY' },
+        { id: 'default-business', airlineName: '*', flightClass: 'BUSINESS' },
+        { id: 'airpeace', airlineName: 'Air Peace', flightClass: 'ANY' },
+        { id: 'airpeace-business', airlineName: 'Air Peace', flightClass: 'BUSINESS' }
+    ];
+
+    describe('pickRefundPolicy', () => {
+        it.each([
+            ['air peace', 'BUSINESS', 'airpeace-business'],
+            ['Air Peace', 'ECONOMY', 'airpeace'],
+            ['Arik Air', 'business', 'default-business'],
+            ['Arik Air', 'ECONOMY', 'default'],
+            [null, 'ECONOMY', 'default']
+        ])('%s in %s uses %s', (airlineName, flightClass, expected) => {
+            expect(pickRefundPolicy(policies, { airlineName, flightClass }).id).toBe(expected);
+        });
+
+        it('should return null when nothing matches', () => {
+            expect(pickRefundPolicy([policies[3]], { airlineName: 'Arik Air', flightClass: 'ECONOMY' })).toBeNull();
+        });
+    });
+
+    describe('computeRefund', () => {
+        const policy = { id: 'p1', airlineName: 'Air Peace', flightClass: 'ANY', isRefundable: true, airlinePenaltyPercent: '12.5', airlinePenaltyFlat: '2000', serviceFee: '1500' };
+
+        it('should leave the refund on review without a policy', () => {
+            expect(computeRefund({ paid: 85000, refunded: 20000, policy: null })).toMatchObject({
+                refundable: null, remaining: null, unrefunded: 65000, onReview: true, policy: null
+            });
+        });
+
+        it('should deduct penalties and fees and what was already refunded', () => {
+            expect(computeRefund({ paid: 85000, refunded: 20000, policy })).toMatchObject({
+                airlinePenalty: 12625,
+                serviceFee: 1500,
+                refundable: 70875,
+                previouslyRefunded: 20000,
+                remaining: 50875,
+                onReview: false
+            });
+        });
+
+        it('should never go below zero', () => {
+            expect(computeRefund({ paid: 3000, refunded: 0, policy })).toMatchObject({ refundable: 0, remaining: 0 });
+            expect(computeRefund({ paid: 85000, refunded: 0, policy: { ...policy, isRefundable: false } })).toMatchObject({ refundable: 0, remaining: 0 });
+        });
+    });
+
+    describe('quoteFlightRefund', () => {
+        it("should use the booking's payments, falling back to its selling price", async () => {
+            prisma.flightRefundPolicy.findMany.mockResolvedValue([{ ...policies[0], isRefundable: true, airlinePenaltyPercent: 0, airlinePenaltyFlat: 0, serviceFee: 0 }]);
+            prisma.flightTransaction.findMany.mockResolvedValue([{ type: 'PAYMENT', amount: '80000' }, { type: 'REFUND', amount: '30000' }]);
+
+            expect(await quoteFlightRefund(prisma, { id: 'flight-1', sellingPrice: 85000 })).toMatchObject({ paid: 80000, remaining: 50000 });
+
+            prisma.flightTransaction.findMany.mockResolvedValue([]);
+            expect(await quoteFlightRefund(prisma, { id: 'flight-1', sellingPrice: 85000 })).toMatchObject({ paid: 85000, remaining: 85000 });
+        });
+    });
+});
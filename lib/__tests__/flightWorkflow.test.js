@@ -0,0 +1,383 @@
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { queueWebhookEvent } = require('@/lib/partnerWebhooks');
+const { debitWallet, creditWallet } = require('@/lib/walletLedger');
+const { FlightRequestStatus } = require('@prisma/client');
+const {
+    FLIGHT_ACTORS,
+    FLIGHT_TRANSITIONS,
+    canTransition,
+    transitionFlight,
+    openFlightRequest
+} = require('../flightWorkflow');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/mailer');
+jest.mock('@/lib/partnerWebhooks');
+jest.mock('@/lib/walletLedger', () => ({
+    debitWallet: jest.fn(),
+    creditWallet: jest.fn(),
+    LEDGER_ACCOUNTS: { FLIGHT_SALES: 'FLIGHT_SALES' }
+}));
+
+const ALL_STATUSES = Object.values(FlightRequestStatus);
+const ACTORS = {
+    USER: { type: FLIGHT_ACTORS.USER, id: 'user-1' },
+    STAFF: { type: FLIGHT_ACTORS.STAFF, id: 'staff-1' },
+    SYSTEM: { type: FLIGHT_ACTORS.SYSTEM, id: null }
+};
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+const passenger = { title: 'Mr', firstName: 'Ada', lastName: 'Obi', dateOfBirth: '1990-01-01T00:00:00.000Z', gender: 'M' };
+
+// A request that passes every guard, except where an event needs the opposite
+const requestFor = (event, status) => ({
+    id: 'flight-1',
+    userId: 'user-1',
+    status,
+    origin: 'LOS',
+    destination: 'ABV',
+    targetDate: inMinutes(10 * 24 * 60),
+    adults: 1,
+    children: 0,
+    infants: 0,
+    flightOptions: [{ id: 'opt-1', airline: 'Air Peace', date: '2026-11-20', estPrice: 85000 }],
+    sellingPrice: 85000,
+    paymentExpiresAt: event === 'expire' ? inMinutes(-5) : inMinutes(20),
+    pnr: 'ABC123'
+});
+
+const INPUTS = {
+    select: { selectedOptionId: 'opt-1', passengers: [passenger] },
+    partialRefund: { amount: 1000 },
+    refund: { amount: 85000 }
+};
+
+const contextFor = (event, actor) => ({ actor, input: INPUTS[event] });
+
+describe('Flight Workflow', () => {
+    let stored;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        stored = null;
+
+        // The request lives in `stored` so the conditional update and read-back see each other
+        prisma.$transaction.mockImplementation(async (cb) => cb(prisma));
+        prisma.flightBookingRequest.findUnique.mockImplementation(async () => stored && { ...stored });
+        prisma.flightBookingRequest.updateMany.mockImplementation(async ({ where, data }) => {
+            if (!stored || stored.status !== where.status) return { count: 0 };
+            stored = { ...stored, ...data };
+            return { count: 1 };
+        });
+        prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-1', balance: 100000 });
+        prisma.flightTransaction.create.mockImplementation(async ({ data }) => ({ id: 'ftx-1', ...data }));
+        prisma.user.findUnique.mockResolvedValue({ fullName: 'Ada Obi', email: 'ada@example.com' });
+        prisma.flightRefundPolicy.findMany.mockResolvedValue([]);
+        prisma.flightTransaction.findMany.mockResolvedValue([]);
+        prisma.flightChangeRequest.findFirst.mockResolvedValue(null);
+        queueWebhookEvent.mockResolvedValue([]);
+    });
+
+    describe('transition table', () => {
+        const cases = Object.keys(FLIGHT_TRANSITIONS).flatMap(event =>
+            ALL_STATUSES.flatMap(status => Object.keys(ACTORS).map(actorType => [event, status, actorType]))
+        );
+
+        it.each(cases)('%s from %s by %s', async (event, status, actorType) => {
+            const transition = FLIGHT_TRANSITIONS[event];
+            stored = requestFor(event, status);
+
+            const attempt = transitionFlight('flight-1', event, contextFor(event, ACTORS[actorType]));
+
+            if (!transition.actors.includes(actorType)) {
+                await expect(attempt).rejects.toMatchObject({ status: 403 });
+            } else if (!transition.from.includes(status)) {
+                await expect(attempt).rejects.toMatchObject({ status: 409 });
+            } else {
+                await expect(attempt).resolves.toMatchObject({ status: transition.to });
+                expect(prisma.flightRequestActivity.create).toHaveBeenCalledWith({
+                    data: expect.objectContaining({ requestId: 'flight-1', previousState: status, newState: transition.to })
+                });
+                return;
+            }
+
+            expect(stored.status).toBe(status);
+            expect(prisma.flightRequestActivity.create).not.toHaveBeenCalled();
+        });
+
+        it('should only lead to real statuses and name real actors', () => {
+            for (const transition of Object.values(FLIGHT_TRANSITIONS)) {
+                expect(ALL_STATUSES).toContain(transition.to);
+                transition.from.forEach(status => expect(ALL_STATUSES).toContain(status));
+                transition.actors.forEach(actor => expect(Object.values(FLIGHT_ACTORS)).toContain(actor));
+            }
+        });
+
+        it('should never move a paid request back to an unpaid state', () => {
+            const paid = ['PAID_PROCESSING', 'TICKETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+            Object.values(FLIGHT_TRANSITIONS)
+                .filter(transition => transition.from.some(status => paid.includes(status)))
+                .forEach(transition => expect(paid).toContain(transition.to));
+        });
+
+        it('should only leave an unticketed paid booking by ticketing or a full refund', () => {
+            Object.values(FLIGHT_TRANSITIONS)
+                .filter(transition => transition.from.includes('PAID_PROCESSING'))
+                .forEach(transition => expect(['TICKETED', 'REFUNDED']).toContain(transition.to));
+        });
+
+        it('should agree with canTransition', () => {
+            expect(canTransition('QUOTED', 'payFromWallet', 'USER')).toBe(true);
+            expect(canTransition('QUOTED', 'payFromWallet', 'STAFF')).toBe(false);
+            expect(canTransition('TICKETED', 'cancel', 'USER')).toBe(false);
+            expect(canTransition('TICKETED', 'refund', 'USER')).toBe(false);
+            expect(canTransition('TICKETED', 'refund', 'STAFF')).toBe(true);
+            expect(canTransition('TICKETED', 'partialRefund', 'USER')).toBe(false);
+            expect(canTransition('PAID_PROCESSING', 'partialRefund', 'STAFF')).toBe(false);
+            expect(canTransition('TICKETED', 'teleport', 'STAFF')).toBe(false);
+        });
+    });
+
+    describe('guards and effects', () => {
+        it('should refuse a transition that lost a race and log nothing', async () => {
+            stored = requestFor('quote', 'SELECTION_MADE');
+            prisma.flightBookingRequest.updateMany.mockResolvedValueOnce({ count: 0 });
+
+            await expect(transitionFlight('flight-1', 'quote', { actor: ACTORS.STAFF })).rejects.toMatchObject({ status: 409 });
+            expect(prisma.flightRequestActivity.create).not.toHaveBeenCalled();
+        });
+
+        it('should give an unassigned request to the staff member who works it', async () => {
+            stored = requestFor('quote', 'SELECTION_MADE');
+
+            const updated = await transitionFlight('flight-1', 'quote', { actor: ACTORS.STAFF });
+
+            expect(updated).toMatchObject({ assignedStaffId: 'staff-1', status: 'QUOTED' });
+            expect(updated.statusChangedAt).toEqual(expect.any(Date));
+        });
+
+        it("should refuse staff work on another agent's request", async () => {
+            stored = { ...requestFor('quote', 'SELECTION_MADE'), assignedStaffId: 'staff-2' };
+
+            await expect(transitionFlight('flight-1', 'quote', { actor: ACTORS.STAFF })).rejects.toMatchObject({ status: 409 });
+            expect(stored.status).toBe('SELECTION_MADE');
+        });
+
+        it("should hide another user's request", async () => {
+            stored = { ...requestFor('cancel', 'QUOTED'), userId: 'user-2' };
+
+            await expect(transitionFlight('flight-1', 'cancel', { actor: ACTORS.USER })).rejects.toMatchObject({ status: 404 });
+            expect(stored.status).toBe('QUOTED');
+        });
+
+        it('should store passengers and start the payment window on selection', async () => {
+            stored = requestFor('select', 'OPTIONS_PROVIDED');
+
+            const updated = await transitionFlight('flight-1', 'select', contextFor('select', ACTORS.USER));
+
+            expect(updated).toMatchObject({ selectedOptionId: 'opt-1', airlineName: 'Air Peace', sellingPrice: 85000 });
+            expect(updated.paymentExpiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 60 * 1000);
+            expect(prisma.passenger.deleteMany).toHaveBeenCalledWith({ where: { flightRequestId: 'flight-1' } });
+            expect(prisma.passenger.createMany).toHaveBeenCalled();
+        });
+
+        it('should refuse a selection with the wrong number of passengers', async () => {
+            stored = { ...requestFor('select', 'OPTIONS_PROVIDED'), adults: 2 };
+
+            await expect(transitionFlight('flight-1', 'select', contextFor('select', ACTORS.USER)))
+                .rejects.toMatchObject({ status: 400, message: 'Please provide details for exactly 2 passengers.' });
+            expect(prisma.passenger.createMany).not.toHaveBeenCalled();
+        });
+
+        it('should debit the wallet when paying and refuse once the window has closed', async () => {
+            stored = requestFor('payFromWallet', 'QUOTED');
+
+            await transitionFlight('flight-1', 'payFromWallet', { actor: ACTORS.USER });
+
+            expect(debitWallet).toHaveBeenCalledWith(prisma, expect.objectContaining({ userId: 'user-1', amount: 85000, entryType: 'FLIGHT_PAYMENT' }));
+
+            stored = { ...requestFor('payFromWallet', 'QUOTED'), paymentExpiresAt: inMinutes(-1) };
+            debitWallet.mockClear();
+
+            await expect(transitionFlight('flight-1', 'payFromWallet', { actor: ACTORS.USER })).rejects.toMatchObject({ status: 400 });
+            expect(debitWallet).not.toHaveBeenCalled();
+        });
+
+        it("should refuse payment once the airline's ticketing time limit has passed", async () => {
+            stored = { ...requestFor('payFromWallet', 'QUOTED'), ticketingTimeLimit: inMinutes(-1) };
+
+            await expect(transitionFlight('flight-1', 'payFromWallet', { actor: ACTORS.USER }))
+                .rejects.toMatchObject({ status: 400, message: expect.stringContaining('ticketing time limit passed') });
+            expect(debitWallet).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to expire a booking that can still be paid for', async () => {
+            stored = { ...requestFor('expire', 'SELECTION_MADE'), paymentExpiresAt: inMinutes(10) };
+
+            await expect(transitionFlight('flight-1', 'expire', { actor: ACTORS.SYSTEM })).rejects.toMatchObject({ status: 400 });
+        });
+
+        it('should refuse to unlock a flight still outside the 60-day window', async () => {
+            stored = { ...requestFor('unlock', 'FUTURE_HELD'), targetDate: inMinutes(90 * 24 * 60) };
+
+            await expect(transitionFlight('flight-1', 'unlock', { actor: ACTORS.SYSTEM })).rejects.toMatchObject({ status: 400 });
+        });
+
+        it('should credit the amount staff set when no refund policy covers the airline', async () => {
+            stored = requestFor('refund', 'TICKETED');
+
+            await transitionFlight('flight-1', 'refund', { actor: ACTORS.STAFF, input: { amount: 60000 } });
+
+            expect(stored.status).toBe('REFUNDED');
+            expect(creditWallet).toHaveBeenCalledWith(prisma, expect.objectContaining({ userId: 'user-1', amount: 60000, entryType: 'FLIGHT_REFUND' }));
+            expect(prisma.flightRequestActivity.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({
+                    staffId: 'staff-1',
+                    actionDetails: "Staff refunded NGN 60000 to the user's wallet (reviewed: no refund policy for this airline)"
+                })
+            });
+        });
+
+        it('should not refund a booking while a change request is open', async () => {
+            stored = requestFor('refund', 'TICKETED');
+            prisma.flightChangeRequest.findFirst.mockResolvedValue({ status: 'PAID' });
+
+            await expect(transitionFlight('flight-1', 'refund', { actor: ACTORS.STAFF, input: { amount: 85000 } }))
+                .rejects.toMatchObject({ status: 409 });
+            expect(prisma.flightChangeRequest.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+                where: { flightRequestId: 'flight-1', status: { in: ['REQUESTED', 'QUOTED', 'PAID'] } }
+            }));
+            expect(creditWallet).not.toHaveBeenCalled();
+        });
+
+        it('should not refund anything on review without an amount from staff', async () => {
+            stored = requestFor('refund', 'TICKETED');
+
+            await expect(transitionFlight('flight-1', 'refund', { actor: ACTORS.STAFF }))
+                .rejects.toMatchObject({ status: 400 });
+
+            stored = requestFor('refund', 'TICKETED');
+            await expect(transitionFlight('flight-1', 'refund', { actor: ACTORS.STAFF, input: { amount: 90000 } }))
+                .rejects.toMatchObject({ status: 400 });
+            expect(creditWallet).not.toHaveBeenCalled();
+        });
+
+        describe('refund policy', () => {
+            const policy = {
+                id: 'policy-1',
+                airlineName: 'Air Peace',
+                flightClass: 'ANY',
+                isRefundable: true,
+                airlinePenaltyPercent: 10,
+                airlinePenaltyFlat: 0,
+                serviceFee: 1500
+            };
+
+            beforeEach(() => {
+                prisma.flightRefundPolicy.findMany.mockResolvedValue([policy]);
+            });
+
+            it('should deduct the airline penalty and service fee and record the breakdown', async () => {
+                stored = { ...requestFor('refund', 'TICKETED'), airlineName: 'Air Peace', flightClass: 'ECONOMY' };
+                prisma.flightTransaction.findMany.mockResolvedValue([{ type: 'PAYMENT', amount: 85000 }]);
+
+                const updated = await transitionFlight('flight-1', 'refund', { actor: ACTORS.STAFF });
+
+                expect(updated.status).toBe('REFUNDED');
+                expect(creditWallet).toHaveBeenCalledWith(prisma, expect.objectContaining({ amount: 75000 }));
+                expect(prisma.flightTransaction.create).toHaveBeenCalledWith({
+                    data: expect.objectContaining({
+                        type: 'REFUND',
+                        amount: 75000,
+                        breakdown: expect.objectContaining({
+                            paid: 85000,
+                            airlinePenalty: 8500,
+                            serviceFee: 1500,
+                            refundable: 75000,
+                            previouslyRefunded: 0,
+                            remainingAfter: 0,
+                            policy: expect.objectContaining({ id: 'policy-1' })
+                        })
+                    })
+                });
+            });
+
+            it('should pay a partial refund now and the rest later', async () => {
+                stored = { ...requestFor('partialRefund', 'TICKETED'), airlineName: 'Air Peace' };
+                prisma.flightTransaction.findMany.mockResolvedValue([{ type: 'PAYMENT', amount: 85000 }]);
+
+                await transitionFlight('flight-1', 'partialRefund', { actor: ACTORS.STAFF, input: { amount: 50000, reason: 'Our share first' } });
+
+                expect(stored.status).toBe('PARTIALLY_REFUNDED');
+                expect(prisma.flightRequestActivity.create).toHaveBeenCalledWith({
+                    data: expect.objectContaining({
+                        actionDetails: "Staff refunded NGN 50000 to the user's wallet (airline penalty NGN 8500, service fee NGN 1500, NGN 25000 still refundable)"
+                    })
+                });
+
+                prisma.flightTransaction.findMany.mockResolvedValue([{ type: 'PAYMENT', amount: 85000 }, { type: 'REFUND', amount: 50000 }]);
+                await transitionFlight('flight-1', 'refund', { actor: ACTORS.STAFF });
+
+                expect(stored.status).toBe('REFUNDED');
+                expect(creditWallet).toHaveBeenLastCalledWith(prisma, expect.objectContaining({ amount: 25000 }));
+            });
+
+            it('should refuse a partial refund that is not less than what is left', async () => {
+                stored = { ...requestFor('partialRefund', 'TICKETED'), airlineName: 'Air Peace' };
+
+                await expect(transitionFlight('flight-1', 'partialRefund', { actor: ACTORS.STAFF, input: { amount: 75000 } }))
+                    .rejects.toMatchObject({ status: 400 });
+                expect(creditWallet).not.toHaveBeenCalled();
+            });
+
+            it('should refuse a refund that changed since staff saw it', async () => {
+                stored = { ...requestFor('refund', 'PAID_PROCESSING'), airlineName: 'Air Peace' };
+
+                await expect(transitionFlight('flight-1', 'refund', { actor: ACTORS.STAFF, input: { amount: 85000 } }))
+                    .rejects.toMatchObject({ status: 409, message: 'The refundable amount is now ₦75000. Review the refund and try again.' });
+                expect(creditWallet).not.toHaveBeenCalled();
+            });
+
+            it('should refuse to refund a non-refundable fare', async () => {
+                prisma.flightRefundPolicy.findMany.mockResolvedValue([{ ...policy, isRefundable: false }]);
+                stored = { ...requestFor('refund', 'TICKETED'), airlineName: 'Air Peace' };
+
+                await expect(transitionFlight('flight-1', 'refund', { actor: ACTORS.STAFF }))
+                    .rejects.toMatchObject({ status: 400, message: "This fare is not refundable under its airline's refund policy." });
+                expect(creditWallet).not.toHaveBeenCalled();
+            });
+        });
+
+        it('should email the e-ticket and notify partners once ticketed', async () => {
+            stored = requestFor('ticket', 'PAID_PROCESSING');
+
+            await transitionFlight('flight-1', 'ticket', { actor: ACTORS.STAFF, data: { eTicketUrl: 'https://tickets.example.com/abc.pdf' } });
+            await new Promise(setImmediate);
+
+            expect(queueWebhookEvent).toHaveBeenCalledWith(prisma, 'user-1', 'flight.ticketed', expect.objectContaining({ pnr: 'ABC123' }));
+            expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'ada@example.com' }));
+        });
+    });
+
+    describe('openFlightRequest', () => {
+        beforeEach(() => {
+            prisma.flightBookingRequest.create.mockImplementation(async ({ data }) => ({ id: 'flight-1', ...data }));
+        });
+
+        it('should hold flights more than 60 days out', async () => {
+            const request = await openFlightRequest('user-1', { origin: 'LOS', destination: 'ABV', targetDate: inMinutes(90 * 24 * 60) });
+
+            expect(request.status).toBe('FUTURE_HELD');
+            expect(prisma.flightRequestActivity.create).toHaveBeenCalledWith({
+                data: expect.objectContaining({ previousState: 'NONE', newState: 'FUTURE_HELD', userId: 'user-1' })
+            });
+        });
+
+        it('should queue flights inside the window for options straight away', async () => {
+            const request = await openFlightRequest('user-1', { origin: 'LOS', destination: 'ABV', targetDate: inMinutes(7 * 24 * 60) });
+
+            expect(request.status).toBe('AWAITING_OPTIONS');
+        });
+    });
+});
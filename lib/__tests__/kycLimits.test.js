@@ -0,0 +1,146 @@
+const prisma = require('@/lib/prisma');
+const { debitWallet, LEDGER_ACCOUNTS } = require('../walletLedger');
+const { getKycUsage, assertBalanceWithinLimits, isKycLimitError } = require('../kycLimits');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/partnerWebhooks');
+
+describe('KYC Level Limits', () => {
+    const userId = 'user-123';
+    const purchase = {
+        userId,
+        entryType: 'PURCHASE',
+        counterAccount: LEDGER_ACCOUNTS.VTPASS,
+        reference: 'AIR-1',
+        transactionId: 'txn-1'
+    };
+
+    // Net spend already booked today/this month, as returned by the ledger groupBy
+    const spent = (debits, refunds = 0) => prisma.walletLedgerEntry.groupBy.mockResolvedValue([
+        { direction: 'DEBIT', _sum: { amount: debits } },
+        { direction: 'CREDIT', _sum: { amount: refunds } }
+    ]);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+        prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-123', userId, balance: 1000 });
+    });
+
+    it('should report usage net of refunds against the user level', async () => {
+        spent(30000, 5000);
+
+        const usage = await getKycUsage(prisma, userId, 'LEVEL_1');
+
+        expect(usage).toMatchObject({
+            level: 'LEVEL_1',
+            debitedToday: 25000,
+            remainingToday: 25000,
+            remainingThisMonth: 275000
+        });
+        expect(prisma.walletLedgerEntry.groupBy.mock.calls[0][0].where.OR[0]).toEqual({
+            direction: 'DEBIT',
+            entryType: { in: ['PURCHASE', 'TRANSFER', 'FLIGHT_PAYMENT', 'WITHDRAWAL'] }
+        });
+    });
+
+    it('should give back refunded flights and reversed purchases', async () => {
+        prisma.user.findUnique.mockResolvedValue({ kycLevel: 'LEVEL_1' });
+        // ₦45k spent today, of which a ₦40k flight was refunded
+        spent(45000, 40000);
+
+        await debitWallet(prisma, { ...purchase, amount: 30000 });
+
+        expect(prisma.walletLedgerEntry.groupBy.mock.calls[0][0].where.OR[1]).toEqual({
+            direction: 'CREDIT',
+            entryType: { in: ['REFUND', 'FLIGHT_REFUND', 'REVERSAL'] }
+        });
+        expect(prisma.wallet.updateMany).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse a level 1 debit over the daily limit before touching the wallet', async () => {
+        prisma.user.findUnique.mockResolvedValue({ kycLevel: 'LEVEL_1' });
+        spent(45000);
+
+        const error = await debitWallet(prisma, { ...purchase, amount: 6000 }).catch(e => e);
+
+        expect(isKycLimitError(error)).toBe(true);
+        expect(error.status).toBe(403);
+        expect(error.message).toContain('daily limit of ₦50,000 for KYC level 1');
+        expect(prisma.wallet.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a second debit in the same window while the first holds the wallet', async () => {
+        prisma.user.findUnique.mockResolvedValue({ kycLevel: 'LEVEL_1' });
+
+        // Usage only sees debits once their transaction commits (READ COMMITTED)
+        let committed = 40000;
+        prisma.walletLedgerEntry.groupBy.mockImplementation(async () => [{ direction: 'DEBIT', _sum: { amount: committed } }]);
+
+        // SELECT ... FOR UPDATE: the next transaction waits until the holder commits
+        let walletFree = Promise.resolve();
+        const runTransaction = async (callback) => {
+            let written = 0;
+            let release = () => {};
+            const ledger = new Proxy(prisma.walletLedgerEntry, {
+                get: (target, key) => key === 'create' ? async ({ data }) => { written += Number(data.amount); } : target[key]
+            });
+            const tx = new Proxy(prisma, {
+                get: (target, key) => {
+                    if (key === '$queryRaw') {
+                        return async () => {
+                            const held = walletFree;
+                            walletFree = new Promise(resolve => { release = resolve; });
+                            await held;
+                        };
+                    }
+                    return key === 'walletLedgerEntry' ? ledger : target[key];
+                }
+            });
+
+            try {
+                return await callback(tx);
+            } finally {
+                committed += written;
+                release();
+            }
+        };
+
+        const results = await Promise.allSettled([
+            runTransaction(tx => debitWallet(tx, { ...purchase, amount: 6000 })),
+            runTransaction(tx => debitWallet(tx, { ...purchase, amount: 6000, reference: 'AIR-2' }))
+        ]);
+
+        expect(results[0].status).toBe('fulfilled');
+        expect(isKycLimitError(results[1].reason)).toBe(true);
+        expect(prisma.wallet.updateMany).toHaveBeenCalledTimes(1);
+    });
+
+    it('should allow the same debit once the user is on a higher level', async () => {
+        prisma.user.findUnique.mockResolvedValue({ kycLevel: 'LEVEL_3' });
+        spent(45000);
+
+        await debitWallet(prisma, { ...purchase, amount: 6000 });
+
+        expect(prisma.wallet.updateMany).toHaveBeenCalledTimes(1);
+    });
+
+    it('should never limit admin adjustments or overdraft corrections', async () => {
+        spent(10000000);
+
+        await debitWallet(prisma, { ...purchase, amount: 6000, entryType: 'ADJUSTMENT', counterAccount: LEDGER_ACCOUNTS.ADJUSTMENT });
+        await debitWallet(prisma, { ...purchase, amount: 6000, allowOverdraft: true });
+
+        expect(prisma.walletLedgerEntry.groupBy).not.toHaveBeenCalled();
+        expect(prisma.wallet.updateMany).toHaveBeenCalledTimes(2);
+    });
+
+    it('should enforce the balance cap for capped levels only', async () => {
+        prisma.user.findUnique.mockResolvedValue({ kycLevel: 'LEVEL_2', wallet: { balance: 480000 } });
+        await expect(assertBalanceWithinLimits(prisma, userId, 30000, "the recipient's"))
+            .rejects.toThrow("take the recipient's wallet over the ₦500,000 balance limit for KYC level 2");
+
+        prisma.user.findUnique.mockResolvedValue({ kycLevel: 'LEVEL_3', wallet: { balance: 480000 } });
+        await expect(assertBalanceWithinLimits(prisma, userId, 30000)).resolves.toBeUndefined();
+    });
+});
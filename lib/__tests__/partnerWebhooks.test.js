@@ -0,0 +1,128 @@
+const http = require('http');
+const prisma = require('@/lib/prisma');
+const { encrypt } = require('@/lib/crypto');
+const {
+    signPayload,
+    retryDelayMs,
+    queueWebhookEvent,
+    attemptDelivery,
+    MAX_ATTEMPTS
+} = require('../partnerWebhooks');
+
+jest.mock('@/lib/prisma');
+
+describe('Partner Webhooks', () => {
+    const secret = 'whsec_test';
+    let server, url, received, respondWith;
+
+    beforeAll((done) => {
+        // Local HTTP stub standing in for the partner's server
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(respondWith);
+                res.end(respondWith === 200 ? 'ok' : 'boom');
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            url = `http://127.0.0.1:${server.address().port}/hooks`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        server.close(done);
+    });
+
+    const delivery = (overrides = {}) => ({
+        id: 'del-1',
+        event: 'transaction.updated',
+        payload: { id: 'evt-1', event: 'transaction.updated', data: { reference: 'AIR-1', status: 'SUCCESS' } },
+        attempts: 0,
+        endpoint: { url, secretEncrypted: encrypt(secret), isActive: true },
+        ...overrides
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        received = [];
+        respondWith = 200;
+
+        prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 1 });
+        prisma.webhookDelivery.findUnique.mockResolvedValue(delivery());
+        prisma.webhookDelivery.update.mockImplementation(async ({ data }) => data);
+    });
+
+    it('should POST the payload with a verifiable HMAC signature', async () => {
+        const result = await attemptDelivery('del-1');
+
+        expect(result).toMatchObject({ status: 'SUCCEEDED', attempts: 1, lastStatusCode: 200, lastResponse: 'ok' });
+        expect(received).toHaveLength(1);
+
+        const { headers, body } = received[0];
+        const [, timestamp, signature] = headers['x-muftipay-signature'].match(/^t=(\d+),v1=([a-f0-9]+)$/);
+
+        expect(JSON.parse(body)).toEqual(delivery().payload);
+        expect(signature).toBe(signPayload(secret, timestamp, body));
+        expect(headers['x-muftipay-event']).toBe('transaction.updated');
+        expect(headers['x-muftipay-delivery']).toBe('del-1');
+    });
+
+    it('should schedule a retry with backoff when the partner errors', async () => {
+        respondWith = 500;
+        prisma.webhookDelivery.findUnique.mockResolvedValue(delivery({ attempts: 2 }));
+
+        const before = Date.now();
+        const result = await attemptDelivery('del-1');
+
+        expect(result).toMatchObject({ status: 'PENDING', attempts: 3, lastStatusCode: 500, lastError: 'HTTP 500' });
+        expect(result.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 4 * 60 * 1000);
+    });
+
+    it('should give up after the last attempt', async () => {
+        respondWith = 503;
+        prisma.webhookDelivery.findUnique.mockResolvedValue(delivery({ attempts: MAX_ATTEMPTS - 1 }));
+
+        const result = await attemptDelivery('del-1');
+
+        expect(result.status).toBe('FAILED');
+    });
+
+    it('should not send a delivery another worker already claimed', async () => {
+        prisma.webhookDelivery.updateMany.mockResolvedValue({ count: 0 });
+
+        await expect(attemptDelivery('del-1')).resolves.toBeNull();
+        expect(received).toHaveLength(0);
+    });
+
+    it('should back off exponentially up to six hours', () => {
+        expect(retryDelayMs(1)).toBe(60 * 1000);
+        expect(retryDelayMs(3)).toBe(4 * 60 * 1000);
+        expect(retryDelayMs(20)).toBe(6 * 60 * 60 * 1000);
+    });
+
+    it('should queue one delivery per subscribed endpoint on the given client', async () => {
+        prisma.webhookEndpoint.findMany.mockResolvedValue([{ id: 'ep-1' }, { id: 'ep-2' }]);
+
+        const ids = await queueWebhookEvent(prisma, 'user-1', 'wallet.funded', { reference: 'FUND-1', amount: 5000 });
+
+        expect(ids).toHaveLength(2);
+        expect(prisma.webhookEndpoint.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { userId: 'user-1', isActive: true, events: { has: 'wallet.funded' } }
+        }));
+
+        const rows = prisma.webhookDelivery.createMany.mock.calls[0][0].data;
+        expect(rows.map(r => r.endpointId)).toEqual(['ep-1', 'ep-2']);
+        expect(rows[0].payload).toMatchObject({ event: 'wallet.funded', data: { reference: 'FUND-1' } });
+        expect(rows[0].payload.id).toBe(rows[1].payload.id);
+    });
+
+    it('should queue nothing when the user has no endpoints', async () => {
+        prisma.webhookEndpoint.findMany.mockResolvedValue([]);
+
+        await expect(queueWebhookEvent(prisma, 'user-1', 'wallet.funded', {})).resolves.toEqual([]);
+        expect(prisma.webhookDelivery.createMany).not.toHaveBeenCalled();
+    });
+});
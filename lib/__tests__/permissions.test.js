@@ -0,0 +1,36 @@
+const { staffPermissions, ALL_PERMISSIONS } = require('../permissions');
+
+describe('Staff Permissions', () => {
+    it('should give SUPER_ADMIN every permission regardless of overrides', () => {
+        expect(staffPermissions({ role: 'SUPER_ADMIN', revokedPermissions: ['analytics:read'] })).toEqual(ALL_PERMISSIONS);
+    });
+
+    it('should start from the role preset', () => {
+        expect(staffPermissions({ role: 'TICKETING_OFFICER' })).toEqual(['flights:handle', 'flights:quote', 'flights:refund']);
+        expect(staffPermissions({ role: 'STAFF' })).toEqual([]);
+    });
+
+    it('should add the custom role and grants, then remove revocations', () => {
+        const staff = {
+            role: 'TICKETING_OFFICER',
+            customRole: { permissions: ['analytics:read', 'plans:edit'] },
+            grantedPermissions: ['ledger:read'],
+            revokedPermissions: ['flights:refund', 'plans:edit']
+        };
+
+        expect(staffPermissions(staff)).toEqual(['flights:handle', 'flights:quote', 'analytics:read', 'ledger:read']);
+    });
+
+    it('should never hand out staff management through a role or grant', () => {
+        const staff = { role: 'STAFF', customRole: { permissions: ['staff:manage'] }, grantedPermissions: ['staff:manage'] };
+
+        expect(staffPermissions(staff)).not.toContain('staff:manage');
+    });
+
+    it('should keep flight reassignment with SUPER_ADMIN', () => {
+        const staff = { role: 'TICKETING_OFFICER', grantedPermissions: ['flights:assign'] };
+
+        expect(staffPermissions(staff)).not.toContain('flights:assign');
+        expect(staffPermissions({ role: 'SUPER_ADMIN' })).toContain('flights:assign');
+    });
+});
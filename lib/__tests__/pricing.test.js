@@ -0,0 +1,75 @@
+const prisma = require('@/lib/prisma');
+const { applyPricing, resolvePrice } = require('../pricing');
+
+jest.mock('@/lib/prisma');
+
+describe('Pricing Rules Engine', () => {
+    const tierAll = { id: 'r-tier-all', productCode: '*', userId: null, tier: 'RESELLER', type: 'PERCENT_DISCOUNT', value: 2 };
+    const tierPlan = { id: 'r-tier-plan', productCode: 'mtn-1gb', userId: null, tier: 'RESELLER', type: 'FIXED_PRICE', value: 250 };
+    const userAll = { id: 'r-user-all', productCode: '*', userId: 'user-1', tier: null, type: 'FLAT_DISCOUNT', value: 20 };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should charge retail when no rule matches', () => {
+        expect(applyPricing([], { productCode: 'mtn-1gb', basePrice: 300 })).toEqual({
+            price: 300, basePrice: 300, discount: 0, ruleId: null
+        });
+    });
+
+    it('should apply a tier-wide percentage discount', () => {
+        const result = applyPricing([tierAll], { productCode: 'MTN', basePrice: 500 });
+
+        expect(result).toEqual({ price: 490, basePrice: 500, discount: 10, ruleId: 'r-tier-all' });
+    });
+
+    it('should prefer a product rule over a service-wide rule for the same tier', () => {
+        const result = applyPricing([tierAll, tierPlan], { productCode: 'mtn-1gb', basePrice: 300 });
+
+        expect(result.ruleId).toBe('r-tier-plan');
+        expect(result.price).toBe(250);
+    });
+
+    it('should prefer a user rule over any tier rule', () => {
+        const result = applyPricing([tierPlan, userAll, tierAll], { productCode: 'mtn-1gb', basePrice: 300 });
+
+        expect(result.ruleId).toBe('r-user-all');
+        expect(result.price).toBe(280);
+    });
+
+    it('should never price below cost', () => {
+        const result = applyPricing([{ ...tierAll, value: 50 }], { productCode: 'mtn-1gb', basePrice: 300, costPrice: 270 });
+
+        expect(result.price).toBe(270);
+        expect(result.discount).toBe(30);
+    });
+
+    it('should ignore a rule that would make the product free', () => {
+        const result = applyPricing([{ ...userAll, value: 1000 }], { productCode: 'MTN', basePrice: 500 });
+
+        expect(result).toMatchObject({ price: 500, ruleId: null });
+    });
+
+    it('should load only the rules for this user and their tier', async () => {
+        prisma.pricingRule.findMany.mockResolvedValue([tierAll]);
+
+        const result = await resolvePrice('AIRTIME', { id: 'user-1', tier: 'RESELLER' }, { productCode: 'MTN', basePrice: 1000 });
+
+        expect(result.price).toBe(980);
+        expect(prisma.pricingRule.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: {
+                service: 'AIRTIME',
+                isActive: true,
+                OR: [{ userId: 'user-1' }, { userId: null, tier: 'RESELLER' }]
+            }
+        }));
+    });
+
+    it('should not look up rules for anonymous callers', async () => {
+        const result = await resolvePrice('CABLE_TV', undefined, { productCode: 'dstv-yanga', basePrice: 3500 });
+
+        expect(result.price).toBe(3500);
+        expect(prisma.pricingRule.findMany).not.toHaveBeenCalled();
+    });
+});
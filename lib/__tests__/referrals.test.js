@@ -0,0 +1,183 @@
+const prisma = require('@/lib/prisma');
+const {
+    computeCommission,
+    accrueReferralCommissions,
+    releaseReferralCommissions,
+    clawBackReferralCommission,
+    transferBonusToBalance
+} = require('../referrals');
+
+jest.mock('@/lib/prisma');
+
+describe('Referral Commissions', () => {
+    const rule = {
+        service: 'DATA',
+        ratePercent: 2,
+        maxPerTransaction: 100,
+        minTransactionAmount: 500,
+        isActive: true,
+        activeSince: new Date('2026-01-01T00:00:00Z')
+    };
+
+    const purchase = {
+        id: 'txn-1',
+        userId: 'referee-1',
+        type: 'DATA',
+        amount: 2000,
+        createdAt: new Date('2026-03-01T10:00:00Z'),
+        user: { referredById: 'referrer-1' }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.REFERRAL_MAX_PER_REFEREE;
+
+        prisma.$transaction.mockImplementation(async (cb) => cb(prisma));
+        prisma.referralCommissionRule.findMany.mockResolvedValue([rule]);
+        prisma.transaction.findMany.mockResolvedValue([purchase]);
+        prisma.referralCommission.aggregate.mockResolvedValue({ _sum: { amount: null } });
+        prisma.referralCommission.create.mockImplementation(async ({ data }) => data);
+        prisma.referralCommission.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should apply the minimum purchase and per-transaction cap', () => {
+        expect(Number(computeCommission(rule, 2000))).toBe(40);
+        expect(Number(computeCommission(rule, 400))).toBe(0);
+        expect(Number(computeCommission(rule, 50000))).toBe(100);
+    });
+
+    it('should hold a commission on a referee purchase', async () => {
+        const accrued = await accrueReferralCommissions();
+
+        expect(accrued).toBe(1);
+        const { data } = prisma.referralCommission.create.mock.calls[0][0];
+        expect(data).toMatchObject({ referrerId: 'referrer-1', refereeId: 'referee-1', transactionId: 'txn-1', status: 'HELD' });
+        expect(Number(data.amount)).toBe(40);
+        expect(data.availableAt).toEqual(new Date('2026-03-08T10:00:00Z'));
+    });
+
+    it('should trim or cancel commissions past the per-referee cap', async () => {
+        process.env.REFERRAL_MAX_PER_REFEREE = '1000';
+
+        prisma.referralCommission.aggregate.mockResolvedValueOnce({ _sum: { amount: 990 } });
+        await accrueReferralCommissions();
+        expect(Number(prisma.referralCommission.create.mock.calls[0][0].data.amount)).toBe(10);
+
+        prisma.referralCommission.aggregate.mockResolvedValueOnce({ _sum: { amount: 1000 } });
+        await accrueReferralCommissions();
+        expect(prisma.referralCommission.create.mock.calls[1][0].data).toMatchObject({
+            status: 'CANCELLED', cancelReason: 'Referral earnings cap reached'
+        });
+    });
+
+    it('should cancel a held commission whose purchase was reversed', async () => {
+        prisma.referralCommission.findMany.mockResolvedValue([
+            { id: 'com-1', referrerId: 'referrer-1', transactionId: 'txn-1', amount: 40 }
+        ]);
+        prisma.$queryRaw.mockResolvedValue([{ status: 'REVERSED' }]);
+
+        const credited = await releaseReferralCommissions();
+
+        expect(credited).toBe(0);
+        expect(prisma.referralCommission.updateMany).toHaveBeenCalledWith({
+            where: { id: 'com-1', status: 'HELD' },
+            data: expect.objectContaining({ status: 'CANCELLED' })
+        });
+        expect(prisma.wallet.update).not.toHaveBeenCalled();
+    });
+
+    it('should credit the referrer bonusBalance once the hold is over', async () => {
+        prisma.referralCommission.findMany.mockResolvedValue([
+            { id: 'com-1', referrerId: 'referrer-1', transactionId: 'txn-1', amount: 40 }
+        ]);
+        prisma.$queryRaw.mockResolvedValue([{ status: 'SUCCESS' }]);
+
+        const credited = await releaseReferralCommissions();
+
+        expect(credited).toBe(1);
+        // The purchase status is read under a row lock inside the crediting transaction
+        const [sql, transactionId] = prisma.$queryRaw.mock.calls[0];
+        expect(sql.join('?')).toContain('FOR UPDATE');
+        expect(transactionId).toBe('txn-1');
+        expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(prisma.referralCommission.updateMany.mock.invocationCallOrder[0]);
+        expect(prisma.wallet.update).toHaveBeenCalledWith({
+            where: { userId: 'referrer-1' },
+            data: { bonusBalance: { increment: 40 } }
+        });
+    });
+
+    describe('clawBackReferralCommission', () => {
+        const reversed = { id: 'txn-1', reference: 'DAT-1' };
+
+        it('should take a credited commission back out of bonusBalance', async () => {
+            prisma.referralCommission.findUnique.mockResolvedValue({ id: 'com-1', referrerId: 'referrer-1', amount: 40, status: 'CREDITED' });
+            prisma.wallet.findUnique.mockResolvedValue({ bonusBalance: 100 });
+            prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+
+            await expect(clawBackReferralCommission(prisma, reversed)).resolves.toBe(40);
+
+            expect(prisma.referralCommission.updateMany).toHaveBeenCalledWith({
+                where: { id: 'com-1', status: 'CREDITED' },
+                data: { status: 'CLAWED_BACK' }
+            });
+            expect(Number(prisma.wallet.updateMany.mock.calls[0][0].data.bonusBalance.decrement)).toBe(40);
+            expect(prisma.walletLedgerEntry.create).not.toHaveBeenCalled();
+        });
+
+        it('should debit the part already moved to the balance through the ledger', async () => {
+            prisma.referralCommission.findUnique.mockResolvedValue({ id: 'com-1', referrerId: 'referrer-1', amount: 40, status: 'CREDITED' });
+            prisma.wallet.findUnique.mockResolvedValue({ bonusBalance: 15 });
+            prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+            prisma.wallet.update.mockResolvedValue({ id: 'wallet-1', userId: 'referrer-1', balance: 975 });
+
+            await clawBackReferralCommission(prisma, reversed);
+
+            expect(Number(prisma.wallet.updateMany.mock.calls[0][0].data.bonusBalance.decrement)).toBe(15);
+            const { data } = prisma.walletLedgerEntry.create.mock.calls[0][0];
+            expect(data).toMatchObject({ direction: 'DEBIT', entryType: 'REVERSAL', counterAccount: 'SYSTEM:BONUS', reference: 'DAT-1' });
+            expect(Number(data.amount)).toBe(25);
+        });
+
+        it('should cancel a held commission and leave wallets alone', async () => {
+            prisma.referralCommission.findUnique.mockResolvedValue({ id: 'com-1', referrerId: 'referrer-1', amount: 40, status: 'HELD' });
+
+            await expect(clawBackReferralCommission(prisma, reversed)).resolves.toBe(0);
+
+            expect(prisma.referralCommission.updateMany).toHaveBeenCalledWith({
+                where: { id: 'com-1', status: 'HELD' },
+                data: expect.objectContaining({ status: 'CANCELLED' })
+            });
+            expect(prisma.wallet.updateMany).not.toHaveBeenCalled();
+            expect(prisma.wallet.update).not.toHaveBeenCalled();
+        });
+
+        it('should do nothing when another reversal already clawed it back', async () => {
+            prisma.referralCommission.findUnique.mockResolvedValue({ id: 'com-1', referrerId: 'referrer-1', amount: 40, status: 'CREDITED' });
+            prisma.referralCommission.updateMany.mockResolvedValue({ count: 0 });
+
+            await expect(clawBackReferralCommission(prisma, reversed)).resolves.toBe(0);
+            expect(prisma.wallet.updateMany).not.toHaveBeenCalled();
+        });
+    });
+
+    it('should journal a bonus transfer into the main balance', async () => {
+        prisma.wallet.findUnique.mockResolvedValue({ bonusBalance: 250 });
+        prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+        prisma.wallet.update.mockResolvedValue({ id: 'wallet-1', userId: 'referrer-1', balance: 1250 });
+
+        const result = await transferBonusToBalance('referrer-1');
+
+        expect(result).toMatchObject({ amount: 250, balance: 1250 });
+        expect(prisma.walletLedgerEntry.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ entryType: 'BONUS_TRANSFER', counterAccount: 'SYSTEM:BONUS' })
+        });
+    });
+
+    it('should refuse to move more than the bonus balance', async () => {
+        prisma.wallet.findUnique.mockResolvedValue({ bonusBalance: 100 });
+        prisma.wallet.updateMany.mockResolvedValue({ count: 0 });
+
+        await expect(transferBonusToBalance('referrer-1', 500)).rejects.toThrow('Insufficient bonus balance');
+        expect(prisma.wallet.update).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,100 @@
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { purchaseAirtime } = require('@/api/v1/transactions/airtimeController');
+const { computeNextRunAt, processDueSchedules } = require('../scheduledPurchases');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/mailer', () => jest.fn().mockResolvedValue({}));
+jest.mock('@/api/v1/transactions/airtimeController', () => ({ purchaseAirtime: jest.fn() }));
+jest.mock('@/api/v1/transactions/dataController', () => ({ purchaseData: jest.fn() }));
+jest.mock('@/api/v1/transactions/cableController', () => ({ purchaseSubscription: jest.fn() }));
+
+describe('Scheduled Purchases', () => {
+    const dueAt = new Date('2026-03-06T08:00:00Z');
+
+    const schedule = {
+        id: 'sched-1',
+        userId: 'user-1',
+        type: 'AIRTIME',
+        label: 'Friday top-up',
+        details: { network: 'MTN', phoneNumber: '08031111111', amount: 500 },
+        frequency: 'WEEKLY',
+        startAt: new Date('2026-02-27T08:00:00Z'),
+        endsAt: null,
+        nextRunAt: dueAt,
+        isActive: true
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        prisma.scheduledPurchase.findMany.mockResolvedValue([schedule]);
+        prisma.scheduledPurchase.updateMany.mockResolvedValue({ count: 1 });
+        prisma.user.findUnique.mockResolvedValue({
+            id: 'user-1', email: 'ada@example.com', fullName: 'Ada', tier: 'SMART_USER', isKycVerified: true
+        });
+        prisma.scheduledPurchaseRun.create.mockImplementation(async ({ data }) => data);
+    });
+
+    it('should keep weekly runs on the start weekday', () => {
+        const next = computeNextRunAt(schedule, new Date('2026-03-06T08:00:30Z'));
+        expect(next.toISOString()).toBe('2026-03-13T08:00:00.000Z');
+    });
+
+    it('should run monthly on the same day, or the last day of shorter months', () => {
+        const monthly = { ...schedule, frequency: 'MONTHLY', startAt: new Date('2026-01-31T07:00:00Z') };
+
+        expect(computeNextRunAt(monthly, new Date('2026-01-31T07:00:00Z')).toISOString()).toBe('2026-02-28T07:00:00.000Z');
+        expect(computeNextRunAt(monthly, new Date('2026-02-28T07:00:00Z')).toISOString()).toBe('2026-03-31T07:00:00.000Z');
+    });
+
+    it('should stop once the schedule has ended', () => {
+        const ending = { ...schedule, endsAt: new Date('2026-03-10T00:00:00Z') };
+        expect(computeNextRunAt(ending, dueAt)).toBeNull();
+    });
+
+    it('should buy through the purchase handler without a PIN and record the run', async () => {
+        purchaseAirtime.mockImplementation(async (req, res) => {
+            res.status(200).json({ status: "OK", message: "Airtime purchased successfully", transactionId: 'AIR-1' });
+        });
+
+        await expect(processDueSchedules()).resolves.toBe(1);
+
+        const [req] = purchaseAirtime.mock.calls[0];
+        expect(req.body).toEqual(schedule.details);
+        expect(req.scheduledPurchase).toBe('sched-1');
+        expect(req.headers['x-idempotency-key']).toBe(`sched_sched-1_${dueAt.getTime()}`);
+
+        // Claimed against the due date it was read with, and moved to the next one
+        expect(prisma.scheduledPurchase.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: 'sched-1', isActive: true, nextRunAt: dueAt }
+        }));
+        expect(prisma.scheduledPurchaseRun.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ dueAt, status: 'SUCCESS', reference: 'AIR-1' })
+        });
+        expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should skip and notify the user when the wallet is short', async () => {
+        purchaseAirtime.mockImplementation(async (req, res) => {
+            res.status(402).json({ status: "ERROR", message: "Insufficient wallet balance" });
+        });
+
+        await processDueSchedules();
+
+        expect(prisma.scheduledPurchaseRun.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ status: 'SKIPPED', message: 'Insufficient wallet balance' })
+        });
+        expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'ada@example.com',
+            subject: 'Scheduled purchase skipped'
+        }));
+    });
+
+    it('should not run a schedule another worker already claimed', async () => {
+        prisma.scheduledPurchase.updateMany.mockResolvedValue({ count: 0 });
+
+        await expect(processDueSchedules()).resolves.toBe(0);
+        expect(purchaseAirtime).not.toHaveBeenCalled();
+    });
+});
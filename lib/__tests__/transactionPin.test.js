@@ -0,0 +1,80 @@
+const bcrypt = require('bcryptjs');
+const prisma = require('@/lib/prisma');
+const { getCache, setCache } = require('@/lib/redis');
+const { verifyTransactionPin, isPinError, MAX_PIN_ATTEMPTS } = require('../transactionPin');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/redis');
+jest.mock('bcryptjs');
+
+describe('Transaction PIN', () => {
+    const user = { id: 'user-1', transactionPin: 'hashed-1234', pinFailedAttempts: 0, pinLockedUntil: null };
+
+    const rejection = (promise) => promise.then(() => null, (error) => error);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getCache.mockResolvedValue(null);
+        prisma.user.updateMany.mockResolvedValue({ count: 0 });
+    });
+
+    it('should require a PIN to be set up first, even for trusted callers', async () => {
+        const error = await rejection(verifyTransactionPin({ ...user, transactionPin: null }, '1234', { trusted: true }));
+
+        expect(isPinError(error)).toBe(true);
+        expect(error).toMatchObject({ code: 'PIN_SETUP_REQUIRED', status: 403 });
+    });
+
+    it('should count a wrong PIN and reject it with 401', async () => {
+        bcrypt.compare.mockResolvedValue(false);
+
+        const error = await rejection(verifyTransactionPin(user, '9999'));
+
+        expect(error).toMatchObject({ code: 'INVALID_PIN', status: 401, message: 'Invalid transaction PIN' });
+        expect(prisma.user.update).toHaveBeenCalledWith({
+            where: { id: 'user-1' },
+            data: { pinFailedAttempts: { increment: 1 } }
+        });
+        expect(setCache).not.toHaveBeenCalled();
+    });
+
+    it('should lock the PIN once the attempts run out', async () => {
+        bcrypt.compare.mockResolvedValue(false);
+        prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+        const error = await rejection(verifyTransactionPin({ ...user, pinFailedAttempts: MAX_PIN_ATTEMPTS - 1 }, '9999'));
+
+        expect(error).toMatchObject({ code: 'PIN_LOCKED', status: 423 });
+        expect(prisma.user.updateMany.mock.calls[0][0]).toMatchObject({
+            where: { id: 'user-1', pinFailedAttempts: { gte: MAX_PIN_ATTEMPTS } },
+            data: { pinFailedAttempts: 0, pinLockedUntil: expect.any(Date) }
+        });
+    });
+
+    it('should refuse a locked PIN without checking it, even if correct', async () => {
+        const lockedUser = { ...user, pinLockedUntil: new Date(Date.now() + 10 * 60 * 1000) };
+
+        const error = await rejection(verifyTransactionPin(lockedUser, '1234'));
+
+        expect(error).toMatchObject({ code: 'PIN_LOCKED', status: 423 });
+        expect(error.message).toContain('10 minutes');
+        expect(bcrypt.compare).not.toHaveBeenCalled();
+    });
+
+    it('should clear earlier failures on a correct PIN and cache it against the stored hash', async () => {
+        bcrypt.compare.mockResolvedValue(true);
+
+        await verifyTransactionPin({ ...user, pinFailedAttempts: 3 }, '1234');
+        await verifyTransactionPin({ ...user, transactionPin: 'hashed-after-change' }, '1234');
+
+        expect(prisma.user.update).toHaveBeenCalledTimes(1);
+        expect(prisma.user.update).toHaveBeenCalledWith({
+            where: { id: 'user-1' },
+            data: { pinFailedAttempts: 0, pinLockedUntil: null }
+        });
+        const [firstKey, secondKey] = setCache.mock.calls.map(([key]) => key);
+        expect(firstKey).toMatch(/^verified_pin_user-1_/);
+        expect(firstKey).not.toContain('1234');
+        expect(secondKey).not.toBe(firstKey);
+    });
+});
@@ -0,0 +1,74 @@
+const prisma = require('@/lib/prisma');
+const { generateTotp, verifyTotp, redeemTotp, totpUri, generateBackupCodes, consumeBackupCode } = require('../twoFactor');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/mailer');
+
+describe('Two-Factor Authentication', () => {
+    // RFC 6238 test key "12345678901234567890" in base32
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+    describe('TOTP', () => {
+        it('should match the RFC 6238 SHA-1 test vectors', () => {
+            expect(generateTotp(secret, 59 * 1000)).toBe('287082');
+            expect(generateTotp(secret, 1111111109 * 1000)).toBe('081804');
+            expect(generateTotp(secret, 2000000000 * 1000)).toBe('279037');
+        });
+
+        it('should accept one step of clock drift either way and nothing beyond', () => {
+            const now = 1111111109 * 1000;
+            const code = generateTotp(secret, now);
+
+            expect(verifyTotp(secret, code, now)).toBe(true);
+            expect(verifyTotp(secret, code, now + 30 * 1000)).toBe(true);
+            expect(verifyTotp(secret, code, now - 30 * 1000)).toBe(true);
+            expect(verifyTotp(secret, code, now + 90 * 1000)).toBe(false);
+            expect(verifyTotp(secret, '12345', now)).toBe(false);
+            expect(verifyTotp(null, code, now)).toBe(false);
+        });
+
+        it('should accept a code once and refuse it, or an older one, afterwards', async () => {
+            const now = 1111111109 * 1000;
+            const step = Math.floor(now / 1000 / 30);
+            prisma.user.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+            await expect(redeemTotp(prisma.user, 'user-1', secret, generateTotp(secret, now), now)).resolves.toBe(true);
+            expect(prisma.user.updateMany).toHaveBeenCalledWith({
+                where: { id: 'user-1', OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }] },
+                data: { twoFactorLastStep: step }
+            });
+
+            await expect(redeemTotp(prisma.user, 'user-1', secret, generateTotp(secret, now), now + 30 * 1000)).resolves.toBe(false);
+            expect(prisma.user.updateMany).toHaveBeenLastCalledWith(expect.objectContaining({
+                where: { id: 'user-1', OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }] }
+            }));
+
+            prisma.user.updateMany.mockClear();
+            await expect(redeemTotp(prisma.user, 'user-1', secret, '000000', now)).resolves.toBe(false);
+            expect(prisma.user.updateMany).not.toHaveBeenCalled();
+        });
+
+        it('should build an otpauth link for the QR code', () => {
+            expect(totpUri(secret, 'ada@example.com')).toBe(
+                `otpauth://totp/Mufti%20Pay%3Aada%40example.com?secret=${secret}&issuer=Mufti%20Pay&algorithm=SHA1&digits=6&period=30`
+            );
+        });
+    });
+
+    describe('Backup codes', () => {
+        it('should let each code be used once, ignoring case and dashes', async () => {
+            const { codes, hashes } = await generateBackupCodes();
+
+            expect(codes).toHaveLength(10);
+            expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+            expect(hashes).not.toContain(codes[0]);
+
+            const remaining = await consumeBackupCode(hashes, codes[3].toUpperCase().replace('-', ' '));
+            expect(remaining).toHaveLength(9);
+            expect(remaining).not.toContain(hashes[3]);
+
+            await expect(consumeBackupCode(remaining, codes[3])).resolves.toBeNull();
+            await expect(consumeBackupCode(hashes, 'not-a-code')).resolves.toBeNull();
+        });
+    });
+});
@@ -0,0 +1,190 @@
+const prisma = require('@/lib/prisma');
+const { debitWallet, debitWalletMany, creditWallet, refundTransactionDebit, verifyWalletConsistency, LEDGER_ACCOUNTS } = require('../walletLedger');
+
+jest.mock('@/lib/prisma');
+
+describe('Wallet Ledger', () => {
+    const userId = 'user-123';
+    const wallet = { id: 'wallet-123', userId };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('debitWallet', () => {
+        it('should debit with the balance guard and journal opening/closing balances', async () => {
+            prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+            prisma.wallet.findUnique.mockResolvedValue({ ...wallet, balance: 700 });
+
+            await debitWallet(prisma, {
+                userId,
+                amount: 300,
+                entryType: 'PURCHASE',
+                counterAccount: LEDGER_ACCOUNTS.VTPASS,
+                reference: 'AIR-1',
+                transactionId: 'txn-1'
+            });
+
+            expect(prisma.wallet.updateMany).toHaveBeenCalledWith({
+                where: { userId, balance: { gte: 300 } },
+                data: { balance: { decrement: 300 }, totalSpent: { increment: 300 } }
+            });
+
+            const entry = prisma.walletLedgerEntry.create.mock.calls[0][0].data;
+            expect(entry).toMatchObject({
+                walletId: 'wallet-123',
+                direction: 'DEBIT',
+                entryType: 'PURCHASE',
+                counterAccount: 'PROVIDER:VTPASS',
+                reference: 'AIR-1',
+                transactionId: 'txn-1'
+            });
+            expect(entry.openingBalance.toFixed(2)).toBe('1000.00');
+            expect(entry.closingBalance.toFixed(2)).toBe('700.00');
+        });
+
+        it('should throw and write no entry when the balance is insufficient', async () => {
+            prisma.wallet.updateMany.mockResolvedValue({ count: 0 });
+
+            await expect(debitWallet(prisma, { userId, amount: 300, entryType: 'PURCHASE' }))
+                .rejects.toThrow('Insufficient wallet balance');
+            expect(prisma.walletLedgerEntry.create).not.toHaveBeenCalled();
+        });
+
+        it('should skip the guard and totalSpent when asked to', async () => {
+            prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+            prisma.wallet.findUnique.mockResolvedValue({ ...wallet, balance: -50 });
+
+            await debitWallet(prisma, { userId, amount: 100, allowOverdraft: true, trackSpend: false, entryType: 'ADJUSTMENT' });
+
+            expect(prisma.wallet.updateMany).toHaveBeenCalledWith({
+                where: { userId },
+                data: { balance: { decrement: 100 } }
+            });
+        });
+    });
+
+    describe('creditWallet', () => {
+        it('should credit and journal the movement', async () => {
+            prisma.wallet.update.mockResolvedValue({ ...wallet, balance: 1500 });
+
+            await creditWallet(prisma, {
+                userId,
+                amount: 500,
+                entryType: 'FUNDING',
+                counterAccount: LEDGER_ACCOUNTS.MONNIFY,
+                reference: 'MNFY-1'
+            });
+
+            expect(prisma.wallet.update).toHaveBeenCalledWith(expect.objectContaining({
+                where: { userId },
+                data: { balance: { increment: 500 } }
+            }));
+
+            const entry = prisma.walletLedgerEntry.create.mock.calls[0][0].data;
+            expect(entry.direction).toBe('CREDIT');
+            expect(entry.openingBalance.toFixed(2)).toBe('1000.00');
+            expect(entry.closingBalance.toFixed(2)).toBe('1500.00');
+        });
+    });
+
+    describe('refundTransactionDebit', () => {
+        it('should book the refund against the original counter-account and reverse totalSpent', async () => {
+            prisma.walletLedgerEntry.findFirst.mockResolvedValue({ counterAccount: LEDGER_ACCOUNTS.NELLOBYTE });
+            prisma.wallet.update.mockResolvedValue({ ...wallet, balance: 500 });
+
+            await refundTransactionDebit(prisma, { userId, amount: 500, transactionId: 'txn-1', reference: 'PRT-1' });
+
+            expect(prisma.wallet.update).toHaveBeenCalledWith(expect.objectContaining({
+                data: { balance: { increment: 500 }, totalSpent: { decrement: 500 } }
+            }));
+            expect(prisma.walletLedgerEntry.create.mock.calls[0][0].data).toMatchObject({
+                entryType: 'REFUND',
+                counterAccount: 'PROVIDER:NELLOBYTE',
+                transactionId: 'txn-1'
+            });
+        });
+
+        it('should fall back to the suspense account when no original debit exists', async () => {
+            prisma.walletLedgerEntry.findFirst.mockResolvedValue(null);
+            prisma.wallet.update.mockResolvedValue({ ...wallet, balance: 500 });
+
+            await refundTransactionDebit(prisma, { userId, amount: 500, transactionId: 'txn-legacy', reference: 'DAT-1' });
+
+            expect(prisma.walletLedgerEntry.create.mock.calls[0][0].data.counterAccount).toBe(LEDGER_ACCOUNTS.SUSPENSE);
+        });
+    });
+
+    describe('verifyWalletConsistency', () => {
+        beforeEach(() => {
+            prisma.wallet.findUnique.mockResolvedValue({ ...wallet, balance: 700 });
+            prisma.walletLedgerEntry.count.mockResolvedValue(2);
+        });
+
+        it('should report consistent when balance equals credits minus debits', async () => {
+            prisma.walletLedgerEntry.groupBy.mockResolvedValue([
+                { direction: 'CREDIT', _sum: { amount: 1000 } },
+                { direction: 'DEBIT', _sum: { amount: 300 } }
+            ]);
+            prisma.walletLedgerEntry.findFirst.mockResolvedValue({ closingBalance: 700 });
+
+            const report = await verifyWalletConsistency(prisma, userId);
+
+            expect(report.isConsistent).toBe(true);
+            expect(report.ledgerBalance).toBe('700.00');
+            expect(report.difference).toBe('0.00');
+        });
+
+        it('should flag a wallet mutated outside the ledger', async () => {
+            prisma.walletLedgerEntry.groupBy.mockResolvedValue([
+                { direction: 'CREDIT', _sum: { amount: 1000 } }
+            ]);
+            prisma.walletLedgerEntry.findFirst.mockResolvedValue({ closingBalance: 1000 });
+
+            const report = await verifyWalletConsistency(prisma, userId);
+
+            expect(report.isConsistent).toBe(false);
+            expect(report.difference).toBe('-300.00');
+        });
+
+        it('should read the chain from the last entry written after a bulk debit', async () => {
+            // An in-memory ledger: one credit, then three bulk lines written in one statement
+            const createdAt = new Date('2026-10-01T10:00:00Z');
+            let seq = 0;
+            const ledger = [{ seq: BigInt(++seq), direction: 'CREDIT', amount: 1000, closingBalance: 1000, createdAt: new Date('2026-10-01T09:00:00Z') }];
+            prisma.walletLedgerEntry.createMany.mockImplementation(async ({ data }) => {
+                data.forEach(row => ledger.push({ ...row, seq: BigInt(++seq), createdAt }));
+                return { count: data.length };
+            });
+            prisma.walletLedgerEntry.findFirst.mockImplementation(async ({ orderBy }) => {
+                const [[key, dir]] = Object.entries(orderBy);
+                const sorted = [...ledger].sort((a, b) => (a[key] > b[key] ? 1 : a[key] < b[key] ? -1 : 0) * (dir === 'desc' ? -1 : 1));
+                return sorted[0];
+            });
+            prisma.walletLedgerEntry.groupBy.mockImplementation(async () => ['CREDIT', 'DEBIT'].map(direction => ({
+                direction,
+                _sum: { amount: ledger.filter(e => e.direction === direction).reduce((sum, e) => sum + Number(e.amount), 0) }
+            })));
+            prisma.user.findUnique.mockResolvedValue({ kycLevel: 'LEVEL_3' });
+            prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+            prisma.wallet.findUnique.mockResolvedValue({ ...wallet, balance: 400 });
+
+            await debitWalletMany(prisma, {
+                userId,
+                entryType: 'PURCHASE',
+                counterAccount: LEDGER_ACCOUNTS.VTU_CLEARING,
+                entries: [
+                    { amount: 100, reference: 'BLK-1-1', transactionId: 'txn-1' },
+                    { amount: 200, reference: 'BLK-1-2', transactionId: 'txn-2' },
+                    { amount: 300, reference: 'BLK-1-3', transactionId: 'txn-3' }
+                ]
+            });
+
+            const report = await verifyWalletConsistency(prisma, userId);
+
+            expect(prisma.walletLedgerEntry.findFirst).toHaveBeenCalledWith(expect.objectContaining({ orderBy: { seq: 'desc' } }));
+            expect(Number(report.lastEntry.closingBalance)).toBe(400);
+            expect(report.isConsistent).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,175 @@
+const prisma = require('@/lib/prisma');
+const payoutGateway = require('@/services/payout');
+const { createFakePayoutGateway } = require('@/services/payout/fakeGateway');
+const { createWithdrawal, syncPayout, reconcileStuckPayouts } = require('../withdrawals');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/partnerWebhooks');
+jest.mock('@/lib/redis', () => ({
+    getCache: jest.fn(),
+    setCache: jest.fn(),
+    delCache: jest.fn(),
+    redisClient: {
+        quit: jest.fn(),
+        isOpen: false
+    }
+}));
+
+describe('Bank Withdrawals', () => {
+    let gateway, stored;
+    const user = { id: 'user-1', tier: 'SMART_USER', isKycVerified: true };
+    const request = { user, amount: 5000, accountNumber: '0123456789', bankCode: '058' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.PAYOUT_GATEWAY = 'FAKE_PAYOUT';
+        gateway = payoutGateway.registerGateway(createFakePayoutGateway({ name: 'FAKE_PAYOUT' }));
+        stored = null;
+
+        // The withdrawal row lives in `stored` so settle/read-back see what create wrote
+        prisma.$transaction.mockImplementation(async (cb) => cb(prisma));
+        prisma.transaction.aggregate.mockResolvedValue({ _sum: { amount: null } });
+        prisma.transaction.create.mockImplementation(async ({ data }) => {
+            stored = { id: 'txn-1', ...data };
+            return stored;
+        });
+        prisma.transaction.findUnique.mockImplementation(async () => stored);
+        prisma.transaction.updateMany.mockImplementation(async ({ where, data }) => {
+            if (!stored || stored.status !== where.status) return { count: 0 };
+            stored = { ...stored, ...data };
+            return { count: 1 };
+        });
+        prisma.wallet.updateMany.mockResolvedValue({ count: 1 });
+        prisma.wallet.findUnique.mockResolvedValue({ id: 'wallet-1', userId: 'user-1', balance: 4950 });
+        prisma.wallet.update.mockResolvedValue({ id: 'wallet-1', userId: 'user-1', balance: 10000 });
+        prisma.walletLedgerEntry.findFirst.mockResolvedValue({ counterAccount: 'GATEWAY:FAKE_PAYOUT' });
+    });
+
+    afterAll(() => {
+        delete process.env.PAYOUT_GATEWAY;
+    });
+
+    it('should debit amount plus fee and settle a confirmed payout', async () => {
+        const result = await createWithdrawal(request);
+
+        expect(result).toMatchObject({
+            status: 'SUCCESS',
+            amount: 5000,
+            fee: 50,
+            bankName: 'Guaranty Trust Bank',
+            accountName: 'FAKE ACCOUNT HOLDER'
+        });
+        expect(result.reference).toMatch(/^WDR-\d+-\d{6}$/);
+        expect(gateway.payouts.get(result.reference).order).toMatchObject({ amount: 5000, accountNumber: '0123456789', bankCode: '058' });
+
+        expect(prisma.wallet.updateMany).toHaveBeenCalledWith({
+            where: { userId: 'user-1', balance: { gte: expect.anything() } },
+            data: { balance: { decrement: expect.anything() } }
+        });
+        expect(Number(prisma.wallet.updateMany.mock.calls[0][0].data.balance.decrement)).toBe(5050);
+        expect(prisma.transaction.create.mock.calls[0][0].data).toMatchObject({
+            type: 'WITHDRAWAL',
+            status: 'PENDING',
+            metadata: { gateway: 'FAKE_PAYOUT', accountNumber: '0123456789', accountName: 'FAKE ACCOUNT HOLDER' }
+        });
+        expect(stored).toMatchObject({ status: 'SUCCESS', providerReference: `FAKE_PAYOUT-${result.reference}` });
+        expect(prisma.wallet.update).not.toHaveBeenCalled();
+    });
+
+    it('should refund amount plus fee when the gateway rejects the payout', async () => {
+        gateway.queueOutcome('FAIL');
+
+        const result = await createWithdrawal(request);
+
+        expect(result.status).toBe('FAILED');
+        expect(stored.metadata.failureReason).toBe('FAKE_PAYOUT rejected the transfer');
+        expect(prisma.wallet.update).toHaveBeenCalledTimes(1);
+        const refund = prisma.wallet.update.mock.calls[0][0];
+        expect(Number(refund.data.balance.increment)).toBe(5050);
+        expect(refund.data.totalSpent).toBeUndefined();
+        expect(prisma.walletLedgerEntry.create.mock.calls[1][0].data).toMatchObject({
+            direction: 'CREDIT',
+            entryType: 'REFUND',
+            counterAccount: 'GATEWAY:FAKE_PAYOUT'
+        });
+    });
+
+    it('should leave a timed-out payout pending and settle it from the webhook', async () => {
+        gateway.queueOutcome('TIMEOUT');
+
+        const result = await createWithdrawal(request);
+
+        expect(result.status).toBe('PENDING');
+        expect(prisma.wallet.update).not.toHaveBeenCalled();
+
+        gateway.settle(result.reference, 'SUCCESS');
+        await expect(syncPayout(result.reference.toLowerCase())).resolves.toBe(true);
+        expect(stored.status).toBe('SUCCESS');
+
+        // A duplicate webhook does nothing
+        await expect(syncPayout(result.reference)).resolves.toBe(false);
+
+        // The bank bounces it later: reversed and refunded
+        gateway.settle(result.reference, 'REVERSED');
+        await expect(syncPayout(result.reference)).resolves.toBe(true);
+        expect(stored.status).toBe('REVERSED');
+        expect(Number(prisma.wallet.update.mock.calls[0][0].data.balance.increment)).toBe(5050);
+    });
+
+    it('should leave a payout pending when the gateway answers with a server error', async () => {
+        gateway.queueOutcome('SERVER_ERROR');
+
+        const result = await createWithdrawal(request);
+
+        expect(result.status).toBe('PENDING');
+        expect(stored.status).toBe('PENDING');
+        expect(prisma.wallet.update).not.toHaveBeenCalled();
+
+        // The gateway did pay it out: the reconcile job keeps the debit
+        gateway.settle(result.reference, 'SUCCESS');
+        prisma.transaction.findMany.mockResolvedValue([
+            { reference: result.reference, providerReference: null, metadata: { gateway: 'FAKE_PAYOUT' }, createdAt: new Date() }
+        ]);
+        await expect(reconcileStuckPayouts()).resolves.toBe(1);
+        expect(prisma.transaction.findMany.mock.calls[0][0].where.metadata).toBeUndefined();
+        expect(stored.status).toBe('SUCCESS');
+        expect(prisma.wallet.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse users without KYC or over the daily limit before moving money', async () => {
+        await expect(createWithdrawal({ ...request, user: { ...user, isKycVerified: false } }))
+            .rejects.toThrow('Complete KYC to withdraw');
+
+        prisma.transaction.aggregate.mockResolvedValue({ _sum: { amount: 98000 } });
+        await expect(createWithdrawal(request)).rejects.toThrow('Daily withdrawal limit exceeded');
+        // Today's total is read with the wallet held, so parallel requests cannot share it
+        expect(prisma.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(prisma.transaction.aggregate.mock.invocationCallOrder[0]);
+
+        expect(prisma.transaction.create).not.toHaveBeenCalled();
+        expect(prisma.wallet.updateMany).not.toHaveBeenCalled();
+        expect(gateway.payouts.size).toBe(0);
+    });
+
+    it('should reconcile stuck payouts on the gateway that sent them', async () => {
+        gateway.queueOutcome('PENDING');
+        const { reference } = await createWithdrawal(request);
+        gateway.settle(reference, 'FAILED');
+
+        prisma.transaction.findMany.mockResolvedValue([
+            { reference, providerReference: null, metadata: { gateway: 'FAKE_PAYOUT' }, createdAt: new Date() }
+        ]);
+
+        const settled = await reconcileStuckPayouts('FAKE_PAYOUT');
+
+        expect(settled).toBe(1);
+        expect(prisma.transaction.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: expect.objectContaining({
+                type: 'WITHDRAWAL',
+                status: 'PENDING',
+                metadata: { path: ['gateway'], equals: 'FAKE_PAYOUT' }
+            })
+        }));
+        expect(stored.status).toBe('FAILED');
+        expect(prisma.wallet.update).toHaveBeenCalledTimes(1);
+    });
+});
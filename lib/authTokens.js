@@ -0,0 +1,181 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { generateNewDeviceLoginEmailTemplate } = require('@/lib/emailTemplates');
+const { staffPermissions } = require('@/lib/permissions');
+const { recordStaffLogin } = require('@/lib/staffActivity');
+
+/**
+ * Session issuing shared by password login and the second-factor step, so a
+ * 2FA login ends with exactly the same tokens as a plain one.
+ * A user "session" is the chain of refresh tokens rotated from one login; they
+ * share a sessionId, which access tokens carry as `sid` so authMiddleware can
+ * refuse them once the session is revoked.
+ */
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_EXPIRY = '7d'; // Extended to 7 days as requested, removing refresh token flow
+const REFRESH_TOKEN_EXPIRY_DAYS = 7;
+const STAFF_TOKEN_EXPIRY = process.env.JWT_EXPIRES_IN || '24h';
+
+const signUserAccessToken = (user, sessionId, expiresIn = ACCESS_TOKEN_EXPIRY) => jwt.sign(
+    { userId: user.id, email: user.email, tier: user.tier, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn }
+);
+
+const USER_AGENT_BROWSERS = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari'],
+    [/okhttp|Dart\//i, 'Mufti Pay app']
+];
+
+const USER_AGENT_PLATFORMS = [
+    [/iPhone|iPad|iOS/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+];
+
+/**
+ * Device details for a login: the app may send a friendly name in
+ * `x-device-name` (e.g. "Ada's iPhone"); otherwise it is derived from the user agent.
+ */
+const describeDevice = (req = {}) => {
+    const headers = req.headers || {};
+    const userAgent = headers['user-agent']?.slice(0, 500) || null;
+
+    let deviceName = headers['x-device-name']?.trim().slice(0, 100);
+    if (!deviceName && userAgent) {
+        const browser = USER_AGENT_BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+        const platform = USER_AGENT_PLATFORMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+        deviceName = [browser, platform].filter(Boolean).join(' on ') || null;
+    }
+
+    return { deviceName: deviceName || 'Unknown device', ipAddress: req.ip || null, userAgent };
+};
+
+/**
+ * A device is new when none of the user's sessions has used its user agent.
+ * The very first login is not reported.
+ */
+const isNewDevice = async (userId, device) => {
+    const [knownDevice, previousSession] = await Promise.all([
+        prisma.refreshToken.findFirst({ where: { userId, userAgent: device.userAgent }, select: { id: true } }),
+        prisma.refreshToken.findFirst({ where: { userId }, select: { id: true } })
+    ]);
+    return Boolean(previousSession) && !knownDevice;
+};
+
+/**
+ * "New sign-in" email. Never throws: a mail failure must not affect the login.
+ */
+const sendNewDeviceEmail = async (user, device) => {
+    try {
+        const signedInAt = new Date().toLocaleString('en-NG', { timeZone: 'Africa/Lagos' });
+        await sendEmail({
+            to: user.email,
+            subject: "Mufti Pay - New sign-in to your account",
+            text: `Your Mufti Pay account was signed in to from ${device.deviceName} (IP ${device.ipAddress || 'unknown'}) at ${signedInAt}. If this was not you, reset your password and sign out other sessions from the app.`,
+            html: generateNewDeviceLoginEmailTemplate({
+                userName: user.fullName || "Valued Customer",
+                deviceName: device.deviceName,
+                ipAddress: device.ipAddress || 'Unknown',
+                signedInAt
+            })
+        });
+    } catch (error) {
+        console.error("New Device Email Error:", error.message);
+    }
+};
+
+/**
+ * Access + refresh token pair for a new user session, plus the user summary the apps expect.
+ * @param {object} [req] the login request, for device details
+ */
+const issueUserSession = async (user, req) => {
+    const device = describeDevice(req);
+    const sessionId = crypto.randomUUID();
+
+    // Checked before this session's token exists, so it does not count as "known"
+    const newDevice = await isNewDevice(user.id, device);
+
+    const accessToken = signUserAccessToken(user, sessionId);
+
+    // Generate a random refresh token
+    const refreshToken = crypto.randomBytes(40).toString('hex');
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_EXPIRY_DAYS);
+
+    await prisma.refreshToken.create({
+        data: {
+            token: refreshToken,
+            userId: user.id,
+            expiresAt,
+            sessionId,
+            ...device
+        }
+    });
+
+    // Sent in the background so the login is not held up by the mail server
+    if (newDevice) sendNewDeviceEmail(user, device);
+
+    return {
+        accessToken,
+        refreshToken,
+        user: {
+            id: user.id,
+            userName: user.fullName,
+            email: user.email,
+            tier: user.tier,
+            isKycVerified: user.isKycVerified,
+            requiresPinSetup: !user.transactionPin // older accounts; money movement is blocked until set (/auth/set-pin)
+        }
+    };
+};
+
+/**
+ * Signs sessions out for good. Also expiring the tokens keeps refresh.js's
+ * rotation grace period (meant for concurrent refreshes) from reviving them.
+ * Returns the Prisma query, so it can run inside a $transaction([...]).
+ * @param {object} where RefreshToken filter, e.g. { userId } or { sessionId }
+ */
+const revokeSessions = (client, where) => {
+    const now = new Date();
+    return client.refreshToken.updateMany({
+        where: { ...where, expiresAt: { gt: now } },
+        data: { revoked: true, expiresAt: now }
+    });
+};
+
+/**
+ * Staff JWT plus the staff summary the back office expects (its menus follow `permissions`).
+ * Also stamps the last login and records it in the staff history.
+ * @param {object} staff include customRole for its permissions to count
+ * @param {object} [req] the login request, for the IP address
+ */
+const issueStaffSession = async (staff, req) => {
+    await recordStaffLogin(staff.id, req?.ip || null);
+
+    return {
+        token: jwt.sign(
+            { userId: staff.id, isStaff: true },
+            JWT_SECRET,
+            { expiresIn: STAFF_TOKEN_EXPIRY }
+        ),
+        user: {
+            id: staff.id,
+            email: staff.email,
+            fullName: staff.fullName,
+            role: staff.role,
+            permissions: staffPermissions(staff)
+        }
+    };
+};
+
+module.exports = { signUserAccessToken, describeDevice, issueUserSession, revokeSessions, issueStaffSession };
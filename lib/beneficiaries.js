@@ -0,0 +1,127 @@
+const prisma = require('@/lib/prisma');
+const vtpassProvider = require('@/services/vtpassProvider');
+const { TransactionStatus } = require('@prisma/client');
+
+/**
+ * Saved Beneficiaries
+ * Phone numbers, meters and smartcards a user buys for, with the customer
+ * name/address from the last verification.
+ */
+
+/**
+ * The purchase body fields a beneficiary stands in for. For phones an
+ * explicit `network` in the request wins (e.g. a ported number).
+ */
+const purchaseFields = (beneficiary, body = {}) => {
+    switch (beneficiary.serviceType) {
+        case 'PHONE':
+            return { phoneNumber: beneficiary.identifier, network: body.network || beneficiary.network };
+        case 'ELECTRICITY':
+            return { meterNo: beneficiary.identifier, discoCode: beneficiary.network, meterType: beneficiary.meterType };
+        case 'CABLE_TV':
+            return { smartCardNo: beneficiary.identifier, cableTV: beneficiary.network };
+        default:
+            return {};
+    }
+};
+
+/**
+ * Looks up the customer behind a meter or smartcard. Phones have nothing to verify.
+ * @returns {Promise<{ customerName: string|null, customerAddress: string|null }|null>}
+ */
+const verifyBeneficiary = async ({ serviceType, identifier, network, meterType }) => {
+    if (serviceType === 'ELECTRICITY') {
+        const result = await vtpassProvider.verifyMeter(network, identifier, meterType === '01' ? 'prepaid' : 'postpaid');
+        return { customerName: result.customer_name || null, customerAddress: result.Address || null };
+    }
+
+    if (serviceType === 'CABLE_TV') {
+        const result = await vtpassProvider.verifySmartCard(network, identifier);
+        return { customerName: result.customer_name || null, customerAddress: null };
+    }
+
+    return null;
+};
+
+/**
+ * Keeps a saved beneficiary's customer name current whenever the user verifies
+ * its number. Never throws; verification endpoints must not fail because of it.
+ */
+const recordVerification = async (userId, serviceType, identifier, { customerName, customerAddress }) => {
+    try {
+        await prisma.beneficiary.updateMany({
+            where: { userId, serviceType, identifier },
+            data: {
+                customerName: customerName || null,
+                ...(customerAddress !== undefined && { customerAddress: customerAddress || null }),
+                verifiedAt: new Date()
+            }
+        });
+    } catch (error) {
+        console.error("[Beneficiary] Record verification Error:", error.message);
+    }
+};
+
+// How each purchase type's metadata maps onto a beneficiary
+const SUGGESTION_SOURCES = {
+    AIRTIME: (meta) => meta.recipient && { serviceType: 'PHONE', identifier: meta.recipient, network: meta.network },
+    DATA: (meta) => meta.recipient && { serviceType: 'PHONE', identifier: meta.recipient, network: meta.network },
+    ELECTRICITY: (meta) => meta.meterNo && {
+        serviceType: 'ELECTRICITY',
+        identifier: meta.meterNo,
+        network: meta.discoCode,
+        meterType: meta.meterType,
+        customerName: meta.customerName || null,
+        customerAddress: meta.address || null
+    },
+    CABLE_TV: (meta) => meta.smartCardNo && {
+        serviceType: 'CABLE_TV',
+        identifier: meta.smartCardNo,
+        network: meta.cableTV,
+        customerName: meta.customerName || null
+    }
+};
+
+/**
+ * Numbers the user keeps buying for but has not saved, most used first.
+ */
+const suggestBeneficiaries = async (userId, limit = 10) => {
+    const [transactions, saved] = await Promise.all([
+        prisma.transaction.findMany({
+            where: { userId, status: TransactionStatus.SUCCESS, type: { in: Object.keys(SUGGESTION_SOURCES) } },
+            orderBy: { createdAt: 'desc' },
+            take: 200,
+            select: { type: true, metadata: true, createdAt: true }
+        }),
+        prisma.beneficiary.findMany({ where: { userId }, select: { serviceType: true, identifier: true } })
+    ]);
+
+    const savedKeys = new Set(saved.map(b => `${b.serviceType}|${b.identifier}`));
+    const suggestions = new Map();
+
+    for (const txn of transactions) {
+        const candidate = SUGGESTION_SOURCES[txn.type](txn.metadata || {});
+        if (!candidate || !candidate.network) continue;
+
+        const key = `${candidate.serviceType}|${candidate.identifier}`;
+        if (savedKeys.has(key)) continue;
+
+        const existing = suggestions.get(key);
+        if (existing) {
+            existing.timesUsed++;
+        } else {
+            suggestions.set(key, { ...candidate, timesUsed: 1, lastUsedAt: txn.createdAt });
+        }
+    }
+
+    return [...suggestions.values()]
+        .sort((a, b) => b.timesUsed - a.timesUsed || b.lastUsedAt - a.lastUsedAt)
+        .slice(0, limit);
+};
+
+module.exports = {
+    purchaseFields,
+    verifyBeneficiary,
+    recordVerification,
+    suggestBeneficiaries
+};
@@ -0,0 +1,248 @@
+const prisma = require('@/lib/prisma');
+const vtuRouter = require('@/services/vtu');
+const { TransactionStatus, TransactionType } = require('@prisma/client');
+const { isOutcomeUnknown, safeRefund } = require('@/lib/financialSafety');
+const { notifyTransactionUpdate } = require('@/lib/partnerWebhooks');
+
+/**
+ * Bulk Airtime / Data
+ * A batch is paid for up front (one wallet debit for the total, see debitWalletMany)
+ * and every line gets its own PENDING Transaction. Lines are then sent to the
+ * providers a few at a time; a rejected line is refunded on its own, so a batch
+ * can end up partially delivered and partially refunded.
+ */
+
+const BULK_CONCURRENCY = 5;
+// Batches still PROCESSING after this long are picked up by the job (e.g. after a restart)
+const STALLED_AFTER_MS = 2 * 60 * 1000;
+
+const CSV_COLUMNS = {
+    network: 'network',
+    phone: 'phoneNumber',
+    phonenumber: 'phoneNumber',
+    planid: 'planId',
+    plan: 'planId',
+    amount: 'amount'
+};
+
+const stripQuotes = (value) => value.trim().replace(/^"(.*)"$/, '$1').trim();
+
+/**
+ * Parses "network,phone,planId,amount" CSV (header row required, column order free).
+ * @returns {{ items: Array<object>, error?: string }}
+ */
+const parseBulkCsv = (csv) => {
+    const rows = String(csv)
+        .split(/\r?\n/)
+        .map(row => row.trim())
+        .filter(Boolean);
+
+    if (rows.length < 2) {
+        return { items: [], error: "CSV must have a header row and at least one line" };
+    }
+
+    const header = rows[0].split(',').map(col => CSV_COLUMNS[stripQuotes(col).toLowerCase().replace(/[\s_]/g, '')]);
+    if (!header.includes('network') || !header.includes('phoneNumber')) {
+        return { items: [], error: "CSV header must include network and phone columns (plus planId or amount)" };
+    }
+
+    const items = rows.slice(1).map((row) => {
+        const item = {};
+        row.split(',').forEach((value, index) => {
+            const key = header[index];
+            const cell = stripQuotes(value);
+            if (!key || cell === '') return;
+            item[key] = key === 'amount' ? Number(cell) : cell;
+        });
+        return item;
+    });
+
+    return { items };
+};
+
+/**
+ * Runs `worker` over `items` with at most `limit` in flight.
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+};
+
+/**
+ * Send one line to the provider. Claimed first so a line is never sent twice.
+ */
+const dispatchItem = async (batch, item, plans) => {
+    const claimed = await prisma.bulkPurchaseItem.updateMany({
+        where: { id: item.id, dispatchedAt: null },
+        data: { dispatchedAt: new Date() }
+    });
+    if (claimed.count === 0) return;
+
+    const txn = item.transaction;
+    const isData = txn.type === TransactionType.DATA;
+    const plan = isData ? plans.get(item.planId) : null;
+
+    try {
+        if (isData && !plan) throw new Error("Data plan is no longer available");
+
+        const providerResponse = await vtuRouter.purchase(txn.type, {
+            requestId: txn.reference,
+            network: item.network,
+            amount: isData ? Number(plan.costPrice) : Number(item.faceValue),
+            phoneNumber: item.phoneNumber,
+            ...(isData && { planCodes: { ...(plan.providerCodes || {}), VTPASS: item.planId } })
+        });
+
+        await prisma.transaction.update({
+            where: { id: txn.id },
+            data: {
+                status: providerResponse.isPending ? TransactionStatus.PENDING : TransactionStatus.SUCCESS,
+                providerReference: providerResponse.orderId || providerResponse.transactionid,
+                providerStatus: providerResponse.status || providerResponse.transactionstatus,
+                metadata: { ...txn.metadata, provider: providerResponse.provider }
+            }
+        });
+
+        if (!providerResponse.isPending) await notifyTransactionUpdate(txn.id);
+    } catch (apiError) {
+        if (isOutcomeUnknown(apiError)) {
+            // Stays PENDING; the sync job settles it on the provider that has it
+            await prisma.transaction.update({
+                where: { id: txn.id },
+                data: { metadata: { ...txn.metadata, provider: apiError.provider } }
+            }).catch(() => null);
+            return;
+        }
+
+        await safeRefund(prisma, batch.userId, item.amount, txn.id);
+        await prisma.bulkPurchaseItem.update({
+            where: { id: item.id },
+            data: { error: (apiError.message || 'Provider error').slice(0, 255) }
+        });
+        await notifyTransactionUpdate(txn.id);
+    }
+};
+
+/**
+ * Send every queued line of a batch, then mark the batch COMPLETED.
+ */
+const processBulkPurchase = async (bulkPurchaseId) => {
+    const batch = await prisma.bulkPurchase.findUnique({
+        where: { id: bulkPurchaseId },
+        include: {
+            items: {
+                where: { dispatchedAt: null },
+                orderBy: { line: 'asc' },
+                include: { transaction: { select: { id: true, type: true, reference: true, metadata: true } } }
+            }
+        }
+    });
+
+    if (!batch || batch.status !== 'PROCESSING') return;
+
+    const planIds = [...new Set(batch.items.map(item => item.planId).filter(Boolean))];
+    const plans = new Map();
+    if (planIds.length > 0) {
+        const rows = await prisma.dataPlan.findMany({
+            where: { productId: { in: planIds } },
+            select: { productId: true, costPrice: true, providerCodes: true }
+        });
+        rows.forEach(plan => plans.set(plan.productId, plan));
+    }
+
+    await runWithConcurrency(batch.items, BULK_CONCURRENCY, async (item) => {
+        try {
+            await dispatchItem(batch, item, plans);
+        } catch (error) {
+            console.error(`[Bulk Purchase] ${batch.reference} line ${item.line} Error:`, error.message);
+        }
+    });
+
+    const remaining = await prisma.bulkPurchaseItem.count({
+        where: { bulkPurchaseId, dispatchedAt: null }
+    });
+
+    if (remaining === 0) {
+        await prisma.bulkPurchase.updateMany({
+            where: { id: bulkPurchaseId, status: 'PROCESSING' },
+            data: { status: 'COMPLETED', completedAt: new Date() }
+        });
+    }
+};
+
+/**
+ * Picks up batches whose processing was interrupted.
+ */
+const resumeStalledBulkPurchases = async () => {
+    const stalled = await prisma.bulkPurchase.findMany({
+        where: { status: 'PROCESSING', createdAt: { lt: new Date(Date.now() - STALLED_AFTER_MS) } },
+        select: { id: true },
+        take: 10
+    });
+
+    for (const { id } of stalled) {
+        await processBulkPurchase(id).catch(err => console.error(`[Bulk Purchase] Resume ${id} Error:`, err.message));
+    }
+
+    return stalled.length;
+};
+
+/**
+ * Per-line results and totals. Each line's status is its Transaction's status,
+ * so lines settled later by webhooks or sync jobs show up here too.
+ */
+const summarizeBulkPurchase = (batch) => {
+    const totals = { success: 0, pending: 0, failed: 0, queued: 0, refundedAmount: 0 };
+
+    const lines = batch.items.map((item) => {
+        const status = item.dispatchedAt ? item.transaction.status : 'QUEUED';
+
+        if (status === 'QUEUED') totals.queued++;
+        else if (status === TransactionStatus.SUCCESS) totals.success++;
+        else if (status === TransactionStatus.PENDING) totals.pending++;
+        else {
+            totals.failed++;
+            totals.refundedAmount += Number(item.amount);
+        }
+
+        return {
+            line: item.line,
+            network: item.network,
+            phoneNumber: item.phoneNumber,
+            planId: item.planId,
+            faceValue: Number(item.faceValue),
+            amount: Number(item.amount),
+            status,
+            reference: item.transaction.reference,
+            error: item.error
+        };
+    });
+
+    totals.refundedAmount = Math.round(totals.refundedAmount * 100) / 100;
+
+    return {
+        reference: batch.reference,
+        status: batch.status,
+        totalItems: batch.totalItems,
+        totalAmount: Number(batch.totalAmount),
+        ...totals,
+        createdAt: batch.createdAt,
+        completedAt: batch.completedAt,
+        lines
+    };
+};
+
+module.exports = {
+    BULK_CONCURRENCY,
+    parseBulkCsv,
+    runWithConcurrency,
+    processBulkPurchase,
+    resumeStalledBulkPurchases,
+    summarizeBulkPurchase
+};
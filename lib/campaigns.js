@@ -0,0 +1,239 @@
+const prisma = require('@/lib/prisma');
+const { Prisma, TransactionStatus } = require('@prisma/client');
+const { debitWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+
+/**
+ * Cashback Campaigns & Promo Codes
+ * A campaign either applies automatically to every eligible purchase
+ * ("5% back on MTN data this weekend") or only when its promo code is sent
+ * ("JAMB500"). Only one campaign applies per purchase: the code if one was
+ * sent, otherwise the automatic campaign paying the most. The cashback is
+ * reserved with the purchase and added to Wallet.bonusBalance once the
+ * transaction is SUCCESS (see settleCampaignRedemptions), and clawed back if
+ * the purchase is reversed or refunded after that (see clawBackCampaignCashback).
+ */
+
+const toDecimal = (value) => new Prisma.Decimal(value || 0);
+const upper = (value) => String(value || '').toUpperCase();
+
+/**
+ * Cashback on one purchase under a campaign.
+ */
+const computeCashback = (campaign, amount) => {
+    const cashback = campaign.rewardType === 'PERCENT'
+        ? toDecimal(amount).times(campaign.rewardValue).dividedBy(100).toDecimalPlaces(2, Prisma.Decimal.ROUND_DOWN)
+        : toDecimal(campaign.rewardValue);
+
+    return campaign.maxReward && cashback.gt(campaign.maxReward) ? toDecimal(campaign.maxReward) : cashback;
+};
+
+/**
+ * Why this purchase does not qualify, or null if it does (caps are checked separately).
+ */
+const ineligibleReason = (campaign, service, user, { network, amount }, now) => {
+    if (!campaign.isActive || campaign.startsAt > now) return "Invalid promo code";
+    if (campaign.endsAt <= now) return "This promo code has expired";
+    if (campaign.services.length && !campaign.services.includes(service)) return "This promo code is not valid for this purchase";
+    if (campaign.networks.length && !campaign.networks.includes(upper(network))) return "This promo code is not valid for this purchase";
+    if (campaign.tiers.length && !campaign.tiers.includes(user.tier)) return "This promo code is not available on your account";
+    if (campaign.minAmount && toDecimal(amount).lt(campaign.minAmount)) {
+        return `This promo code needs a purchase of at least ₦${Number(campaign.minAmount).toLocaleString()}`;
+    }
+    return null;
+};
+
+const limitReason = async (campaign, userId) => {
+    if (campaign.maxRedemptions !== null && campaign.redemptionCount >= campaign.maxRedemptions) {
+        return "This promo code has been fully redeemed";
+    }
+    if (campaign.perUserLimit !== null) {
+        const used = await prisma.campaignRedemption.count({
+            where: { campaignId: campaign.id, userId, status: { notIn: ['CANCELLED', 'CLAWED_BACK'] } }
+        });
+        if (used >= campaign.perUserLimit) return "You have already used this promo code";
+    }
+    return null;
+};
+
+/**
+ * Finds the campaign for a purchase.
+ * @param {string} service - TransactionType
+ * @param {{ id: string, tier?: string, isStaff?: boolean }} user - req.user
+ * @param {{ network: string, amount: number, promoCode?: string }} purchase - amount is what the user pays
+ * @returns {Promise<{ campaign?: object, cashback?: number, error?: string }>}
+ *   `error` only when a promo code was sent and cannot be used.
+ */
+const findCampaignOffer = async (service, user, { network, amount, promoCode }) => {
+    if (!user || user.isStaff) {
+        return promoCode ? { error: "Promo codes are not available on this account" } : {};
+    }
+    const now = new Date();
+
+    if (promoCode) {
+        const campaign = await prisma.campaign.findUnique({ where: { promoCode: upper(promoCode) } });
+        if (!campaign) return { error: "Invalid promo code" };
+
+        const reason = ineligibleReason(campaign, service, user, { network, amount }, now)
+            || await limitReason(campaign, user.id);
+        if (reason) return { error: reason };
+
+        return { campaign, cashback: Number(computeCashback(campaign, amount)) };
+    }
+
+    const campaigns = await prisma.campaign.findMany({
+        where: { promoCode: null, isActive: true, startsAt: { lte: now }, endsAt: { gt: now } }
+    });
+
+    const offers = (campaigns || [])
+        .filter(campaign => !ineligibleReason(campaign, service, user, { network, amount }, now))
+        .map(campaign => ({ campaign, cashback: Number(computeCashback(campaign, amount)) }))
+        .filter(offer => offer.cashback > 0)
+        .sort((a, b) => b.cashback - a.cashback);
+
+    for (const offer of offers) {
+        if (!await limitReason(offer.campaign, user.id)) return offer;
+    }
+    return {};
+};
+
+/**
+ * Reserves the campaign slot and records the pending cashback. Call inside
+ * the purchase's database transaction, after the Transaction is created.
+ */
+const redeemCampaignOffer = async (tx, offer, transaction) => {
+    const { campaign } = offer;
+
+    const claimed = await tx.campaign.updateMany({
+        where: {
+            id: campaign.id,
+            ...(campaign.maxRedemptions !== null && { redemptionCount: { lt: campaign.maxRedemptions } })
+        },
+        data: { redemptionCount: { increment: 1 } }
+    });
+    if (claimed.count === 0) throw new Error("This promo code has been fully redeemed");
+
+    return tx.campaignRedemption.create({
+        data: {
+            campaignId: campaign.id,
+            userId: transaction.userId,
+            transactionId: transaction.id,
+            purchaseAmount: transaction.amount,
+            cashback: offer.cashback
+        }
+    });
+};
+
+/**
+ * Credits cashback on purchases that succeeded and cancels it on purchases
+ * that failed or were reversed (freeing the campaign slot). Purchases still
+ * PENDING are left for the next run.
+ */
+const settleCampaignRedemptions = async (limit = 200) => {
+    const redemptions = await prisma.campaignRedemption.findMany({
+        where: { status: 'PENDING', transaction: { status: { not: TransactionStatus.PENDING } } },
+        include: { transaction: { select: { status: true } } },
+        orderBy: { createdAt: 'asc' },
+        take: limit
+    });
+
+    let credited = 0;
+    for (const redemption of redemptions) {
+        try {
+            const succeeded = redemption.transaction.status === TransactionStatus.SUCCESS;
+
+            const done = await prisma.$transaction(async (tx) => {
+                const claimed = await tx.campaignRedemption.updateMany({
+                    where: { id: redemption.id, status: 'PENDING' },
+                    data: succeeded
+                        ? { status: 'CREDITED', creditedAt: new Date() }
+                        : { status: 'CANCELLED' }
+                });
+                if (claimed.count === 0) return false;
+
+                if (succeeded) {
+                    await tx.wallet.update({
+                        where: { userId: redemption.userId },
+                        data: { bonusBalance: { increment: redemption.cashback } }
+                    });
+                } else {
+                    await tx.campaign.update({
+                        where: { id: redemption.campaignId },
+                        data: { redemptionCount: { decrement: 1 } }
+                    });
+                }
+                return succeeded;
+            });
+            if (done) credited++;
+        } catch (error) {
+            console.error(`[Campaign] Settle ${redemption.id} Error:`, error.message);
+        }
+    }
+
+    return credited;
+};
+
+/**
+ * Takes back cashback already credited on a purchase that is being reversed or
+ * refunded, and frees its campaign slot. Call inside the refund's database
+ * transaction. It comes out of bonusBalance first; whatever the user already
+ * moved to their balance is debited from it through the ledger (this may
+ * overdraw, like any correction the user cannot decline).
+ * @param {{ id: string, reference: string }} transaction - the purchase
+ * @returns {Promise<number>} the cashback clawed back (0 if none was credited)
+ */
+const clawBackCampaignCashback = async (tx, transaction) => {
+    const redemption = await tx.campaignRedemption.findUnique({
+        where: { transactionId: transaction.id },
+        select: { id: true, campaignId: true, userId: true, cashback: true, status: true }
+    });
+    if (!redemption || redemption.status !== 'CREDITED') return 0;
+
+    const claimed = await tx.campaignRedemption.updateMany({
+        where: { id: redemption.id, status: 'CREDITED' },
+        data: { status: 'CLAWED_BACK' }
+    });
+    if (claimed.count === 0) return 0;
+
+    await tx.campaign.update({
+        where: { id: redemption.campaignId },
+        data: { redemptionCount: { decrement: 1 } }
+    });
+
+    const cashback = toDecimal(redemption.cashback);
+    const wallet = await tx.wallet.findUnique({ where: { userId: redemption.userId }, select: { bonusBalance: true } });
+    let fromBonus = Prisma.Decimal.min(cashback, toDecimal(wallet?.bonusBalance));
+
+    if (fromBonus.gt(0)) {
+        const taken = await tx.wallet.updateMany({
+            where: { userId: redemption.userId, bonusBalance: { gte: fromBonus } },
+            data: { bonusBalance: { decrement: fromBonus } }
+        });
+        // Moved to the main balance since we read it
+        if (taken.count === 0) fromBonus = toDecimal(0);
+    }
+
+    const rest = cashback.minus(fromBonus);
+    if (rest.gt(0)) {
+        await debitWallet(tx, {
+            userId: redemption.userId,
+            amount: rest,
+            trackSpend: false,
+            allowOverdraft: true,
+            entryType: 'REVERSAL',
+            counterAccount: LEDGER_ACCOUNTS.BONUS,
+            reference: transaction.reference,
+            transactionId: transaction.id,
+            description: 'Cashback clawed back: purchase reversed'
+        });
+    }
+
+    return Number(cashback);
+};
+
+module.exports = {
+    computeCashback,
+    findCampaignOffer,
+    redeemCampaignOffer,
+    settleCampaignRedemptions,
+    clawBackCampaignCashback
+};
@@ -98,4 +98,25 @@ const generateVTPassRef = (prefix = "") => {
     return `${timePrefix}${prefix}${random}`;
 };
 
-module.exports = { encrypt, decrypt, generateRef, generateVTPassRef };
\ No newline at end of file
+/**
+ * Partner API keys: "mpk_" + 32 random bytes (base64url).
+ * Only the SHA-256 hash is stored; the prefix is kept so users can tell keys apart.
+ */
+const API_KEY_PREFIX = 'mpk_';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const generateApiKey = () => {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, prefix: key.slice(0, 12), hash: hashApiKey(key) };
+};
+
+/**
+ * Shareable referral codes: 8 characters without 0/O or 1/I, so they survive
+ * being read aloud or retyped. 32 symbols divide 256 evenly, so there is no bias.
+ */
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateReferralCode = () => Array.from(crypto.randomBytes(8), byte => REFERRAL_CODE_ALPHABET[byte % 32]).join('');
+
+module.exports = { encrypt, decrypt, generateRef, generateVTPassRef, generateApiKey, hashApiKey, generateReferralCode };
\ No newline at end of file
@@ -2,9 +2,17 @@
  * Generates a premium HTML email template for OTPs.
  * @param {string} otp - The 6-digit OTP code.
  * @param {string} userName - (Optional) The user's name.
+ * @param {{ heading?: string, intro?: string, notice?: string }} copy - (Optional) Wording for
+ * codes that are not password resets (e.g. login verification).
  * @returns {string} The full HTML string.
  */
-const generateOtpEmailTemplate = (otp, userName = "Valued Customer") => {
+const generateOtpEmailTemplate = (otp, userName = "Valued Customer", copy = {}) => {
+    const {
+        heading = "Password Reset Request",
+        intro = "We received a request to reset the password for your Mufti Pay account. Enter the authorization code below to successfully verify your identity.",
+        notice = "If you did not request a password reset, please ignore this email or contact support if you have concerns."
+    } = copy;
+
     return `
     <!DOCTYPE html>
     <html lang="en">
@@ -112,8 +120,8 @@ const generateOtpEmailTemplate = (otp, userName = "Valued Customer") => {
                 
                 <!-- Body Content -->
                 <div class="content">
-                    <h2>Password Reset Request</h2>
-                    <p>Hello <strong>${userName}</strong>,<br><br>We received a request to reset the password for your Mufti Pay account. Enter the authorization code below to successfully verify your identity.</p>
+                    <h2>${heading}</h2>
+                    <p>Hello <strong>${userName}</strong>,<br><br>${intro}</p>
                     
                     <div class="otp-box">
                         <h1 class="otp-code">${otp}</h1>
@@ -124,7 +132,7 @@ const generateOtpEmailTemplate = (otp, userName = "Valued Customer") => {
                         This code will securely expire in exactly 10 minutes.
                     </p>
                     <p style="font-size: 14px; color: #94a3b8; margin-top: 30px;">
-                        If you did not request a password reset, please ignore this email or contact support if you have concerns.
+                        ${notice}
                     </p>
                 </div>
                 
@@ -141,7 +149,7 @@ const generateOtpEmailTemplate = (otp, userName = "Valued Customer") => {
 };
 
 const generateFlightTicketEmailTemplate = (data) => {
-    const { userName, origin, destination, pnr, airlineName, departureTime, arrivalTime, tripType, eTicketUrl, legs } = data;
+    const { userName, origin, destination, pnr, airlineName, departureTime, arrivalTime, tripType, eTicketUrl, legs, revised } = data;
     
     const legsHtml = legs && legs.length > 0 
         ? `<div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #e2e8f0;">
@@ -177,11 +185,13 @@ const generateFlightTicketEmailTemplate = (data) => {
         <div class="container">
             <div class="header">
                 <h1 style="margin:0; font-size: 24px;">MUFTI PAY</h1>
-                <p style="margin: 10px 0 0; opacity: 0.8;">Your Flight Ticket is Ready</p>
+                <p style="margin: 10px 0 0; opacity: 0.8;">${revised ? 'Your Revised Flight Ticket is Ready' : 'Your Flight Ticket is Ready'}</p>
             </div>
             <div class="content">
                 <h2 style="font-size: 20px; margin-top: 0;">Hello ${userName},</h2>
-                <p>Pack your bags! Your flight booking from <strong>${origin}</strong> to <strong>${destination}</strong> has been successfully ticketed.</p>
+                ${revised
+                    ? `<p>Your change to the flight booking from <strong>${origin}</strong> to <strong>${destination}</strong> is done. Please use this revised ticket; the previous one is no longer valid.</p>`
+                    : `<p>Pack your bags! Your flight booking from <strong>${origin}</strong> to <strong>${destination}</strong> has been successfully ticketed.</p>`}
                 
                 <div class="ticket-card">
                     <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 20px;">
@@ -224,7 +234,280 @@ const generateFlightTicketEmailTemplate = (data) => {
     `;
 };
 
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+/**
+ * "New sign-in" security alert, sent when an account is used from a device it has not used before.
+ * @param {{ userName: string, deviceName: string, ipAddress: string, signedInAt: string }} data
+ * @returns {string} The full HTML string.
+ */
+const generateNewDeviceLoginEmailTemplate = (data) => {
+    const userName = escapeHtml(data.userName);
+    const deviceName = escapeHtml(data.deviceName);
+    const ipAddress = escapeHtml(data.ipAddress);
+    const signedInAt = escapeHtml(data.signedInAt);
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New Sign-in - Mufti Pay</title>
+        <style>
+            body { font-family: 'Inter', sans-serif; background-color: #f8fafc; margin: 0; padding: 0; color: #1e293b; }
+            .container { max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 24px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.05); }
+            .header { background: #0f172a; padding: 40px; text-align: center; color: #ffffff; }
+            .content { padding: 40px; }
+            .device-card { background: #f1f5f9; border-radius: 16px; padding: 24px; margin: 24px 0; }
+            .label { font-size: 12px; color: #64748b; text-transform: uppercase; }
+            .value { font-weight: 600; margin-bottom: 12px; }
+            .footer { padding: 30px; text-align: center; font-size: 13px; color: #64748b; border-top: 1px solid #f1f5f9; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1 style="margin:0; font-size: 24px;">MUFTI PAY</h1>
+                <p style="margin: 10px 0 0; opacity: 0.8;">New sign-in to your account</p>
+            </div>
+            <div class="content">
+                <h2 style="font-size: 20px; margin-top: 0;">Hello ${userName},</h2>
+                <p>Your Mufti Pay account was just signed in to from a device we have not seen before.</p>
+
+                <div class="device-card">
+                    <div class="label">Device</div>
+                    <div class="value">${deviceName}</div>
+                    <div class="label">IP Address</div>
+                    <div class="value">${ipAddress}</div>
+                    <div class="label">Time</div>
+                    <div class="value" style="margin-bottom: 0;">${signedInAt}</div>
+                </div>
+
+                <p>If this was you, there is nothing to do.</p>
+                <p style="font-size: 14px; color: #64748b;">If it was not, reset your password now. This signs out every device, and you can review active sessions in the app.</p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} Mufti Pay. All rights reserved.</p>
+                <p>Support: <a href="mailto:support@muftipay.com" style="color: #0f172a; text-decoration: none;">support@muftipay.com</a></p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+};
+
+const generateStaffPasswordResetEmailTemplate = (data) => {
+    const fullName = escapeHtml(data.fullName);
+    const tempPassword = escapeHtml(data.tempPassword);
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Password Reset - Mufti Pay Staff</title>
+        <style>
+            body { font-family: 'Inter', sans-serif; background-color: #f8fafc; margin: 0; padding: 0; color: #1e293b; }
+            .container { max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 24px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.05); }
+            .header { background: #0f172a; padding: 40px; text-align: center; color: #ffffff; }
+            .content { padding: 40px; }
+            .password-card { background: #f1f5f9; border-radius: 16px; padding: 24px; margin: 24px 0; text-align: center; }
+            .password { font-family: monospace; font-size: 22px; font-weight: 700; letter-spacing: 2px; }
+            .footer { padding: 30px; text-align: center; font-size: 13px; color: #64748b; border-top: 1px solid #f1f5f9; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1 style="margin:0; font-size: 24px;">MUFTI PAY</h1>
+                <p style="margin: 10px 0 0; opacity: 0.8;">Staff password reset</p>
+            </div>
+            <div class="content">
+                <h2 style="font-size: 20px; margin-top: 0;">Hello ${fullName},</h2>
+                <p>An administrator has reset your back-office password. Sign in with this temporary password; you will be asked to choose a new one straight away.</p>
+
+                <div class="password-card">
+                    <div class="password">${tempPassword}</div>
+                </div>
+
+                <p style="font-size: 14px; color: #64748b;">All of your existing sessions have been signed out. If you did not expect this, contact your Super Admin.</p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} Mufti Pay. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+};
+
+const generateFlightExpiredEmailTemplate = (data) => {
+    const userName = escapeHtml(data.userName);
+    const origin = escapeHtml(data.origin);
+    const destination = escapeHtml(data.destination);
+    const reason = escapeHtml(data.reason);
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Flight Booking Expired - Mufti Pay</title>
+        <style>
+            body { font-family: 'Inter', sans-serif; background-color: #f8fafc; margin: 0; padding: 0; color: #1e293b; }
+            .container { max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 24px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.05); }
+            .header { background: #0f172a; padding: 40px; text-align: center; color: #ffffff; }
+            .content { padding: 40px; }
+            .route-card { background: #f1f5f9; border-radius: 16px; padding: 24px; margin: 24px 0; text-align: center; font-size: 22px; font-weight: 700; }
+            .footer { padding: 30px; text-align: center; font-size: 13px; color: #64748b; border-top: 1px solid #f1f5f9; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1 style="margin:0; font-size: 24px;">MUFTI PAY</h1>
+                <p style="margin: 10px 0 0; opacity: 0.8;">Flight booking expired</p>
+            </div>
+            <div class="content">
+                <h2 style="font-size: 20px; margin-top: 0;">Hello ${userName},</h2>
+                <p>Your flight booking has expired because ${reason}. You have not been charged.</p>
+
+                <div class="route-card">${origin} &rarr; ${destination}</div>
+
+                <p style="font-size: 14px; color: #64748b;">Fares and seats can change quickly. Open the app to choose an option again and we will send you a fresh quote.</p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} Mufti Pay. All rights reserved.</p>
+                <p>Support: <a href="mailto:support@muftipay.com" style="color: #0f172a; text-decoration: none;">support@muftipay.com</a></p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+};
+
+/**
+ * Update on a flight change request (quoted, rejected, ...).
+ * `lines` are label/value rows shown in a card, e.g. the change fee and fare difference.
+ */
+const generateFlightChangeEmailTemplate = (data) => {
+    const userName = escapeHtml(data.userName);
+    const origin = escapeHtml(data.origin);
+    const destination = escapeHtml(data.destination);
+    const title = escapeHtml(data.title);
+    const message = escapeHtml(data.message);
+    const linesHtml = (data.lines || []).map(line => `
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 10px; font-size: 15px;">
+                        <span style="color: #64748b;">${escapeHtml(line.label)}</span>
+                        <span style="font-weight: 600;">${escapeHtml(line.value)}</span>
+                    </div>`).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title} - Mufti Pay</title>
+        <style>
+            body { font-family: 'Inter', sans-serif; background-color: #f8fafc; margin: 0; padding: 0; color: #1e293b; }
+            .container { max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 24px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.05); }
+            .header { background: #0f172a; padding: 40px; text-align: center; color: #ffffff; }
+            .content { padding: 40px; }
+            .route-card { background: #f1f5f9; border-radius: 16px; padding: 24px; margin: 24px 0; }
+            .footer { padding: 30px; text-align: center; font-size: 13px; color: #64748b; border-top: 1px solid #f1f5f9; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1 style="margin:0; font-size: 24px;">MUFTI PAY</h1>
+                <p style="margin: 10px 0 0; opacity: 0.8;">${title}</p>
+            </div>
+            <div class="content">
+                <h2 style="font-size: 20px; margin-top: 0;">Hello ${userName},</h2>
+                <p>${message}</p>
+
+                <div class="route-card">
+                    <div style="text-align: center; font-size: 22px; font-weight: 700; margin-bottom: ${linesHtml ? '20px' : '0'};">${origin} &rarr; ${destination}</div>
+                    ${linesHtml}
+                </div>
+
+                <p style="font-size: 14px; color: #64748b;">Open your booking in the app to see the details.</p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} Mufti Pay. All rights reserved.</p>
+                <p>Support: <a href="mailto:support@muftipay.com" style="color: #0f172a; text-decoration: none;">support@muftipay.com</a></p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+};
+
+const generateFlightTtlAlertEmailTemplate = (data) => {
+    const staffName = escapeHtml(data.staffName);
+    const origin = escapeHtml(data.origin);
+    const destination = escapeHtml(data.destination);
+    const pnr = escapeHtml(data.pnr || 'N/A');
+    const userName = escapeHtml(data.userName);
+    const ticketingTimeLimit = escapeHtml(data.ticketingTimeLimit);
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Ticketing Deadline Approaching - Mufti Pay Staff</title>
+        <style>
+            body { font-family: 'Inter', sans-serif; background-color: #f8fafc; margin: 0; padding: 0; color: #1e293b; }
+            .container { max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 24px; overflow: hidden; box-shadow: 0 20px 40px rgba(0,0,0,0.05); }
+            .header { background: #b91c1c; padding: 40px; text-align: center; color: #ffffff; }
+            .content { padding: 40px; }
+            .details-card { background: #f1f5f9; border-radius: 16px; padding: 24px; margin: 24px 0; }
+            .detail-row { display: flex; justify-content: space-between; padding: 6px 0; font-size: 15px; }
+            .label { color: #64748b; }
+            .footer { padding: 30px; text-align: center; font-size: 13px; color: #64748b; border-top: 1px solid #f1f5f9; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1 style="margin:0; font-size: 24px;">MUFTI PAY</h1>
+                <p style="margin: 10px 0 0; opacity: 0.9;">Ticketing deadline approaching</p>
+            </div>
+            <div class="content">
+                <h2 style="font-size: 20px; margin-top: 0;">Hello ${staffName},</h2>
+                <p>A paid flight booking has not been ticketed yet and its airline ticketing time limit is close. Ticket it before the PNR is cancelled by the airline.</p>
+
+                <div class="details-card">
+                    <div class="detail-row"><span class="label">Route</span><strong>${origin} &rarr; ${destination}</strong></div>
+                    <div class="detail-row"><span class="label">PNR</span><strong>${pnr}</strong></div>
+                    <div class="detail-row"><span class="label">Customer</span><strong>${userName}</strong></div>
+                    <div class="detail-row"><span class="label">Ticket by</span><strong>${ticketingTimeLimit}</strong></div>
+                </div>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} Mufti Pay. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+};
+
 module.exports = {
     generateOtpEmailTemplate,
-    generateFlightTicketEmailTemplate
+    generateFlightTicketEmailTemplate,
+    generateNewDeviceLoginEmailTemplate,
+    generateStaffPasswordResetEmailTemplate,
+    generateFlightExpiredEmailTemplate,
+    generateFlightChangeEmailTemplate,
+    generateFlightTtlAlertEmailTemplate
 };
@@ -2,6 +2,8 @@
  * Financial Safety Utilities
  */
 
+const { refundTransactionDebit } = require('@/lib/walletLedger');
+
 /**
  * Detects if an error is a network timeout or connection error.
  * These errors should NOT trigger an auto-refund because the transaction 
@@ -24,9 +26,42 @@ const isNetworkError = (error) => {
     return false;
 };
 
+/**
+ * Marks an error as the provider explicitly refusing the request (e.g. a
+ * "status": false body), so the caller knows nothing went through.
+ */
+const providerRejection = (message) => {
+    const error = new Error(message);
+    error.isProviderRejection = true;
+    return error;
+};
+
+/**
+ * Detects a definitive rejection: the provider answered and refused, so the
+ * request cannot have gone through and it is safe to refund or try elsewhere.
+ * That is an error marked with providerRejection, or an HTTP 4xx other than
+ * 408 (timeout), 409 (duplicate reference, the first attempt may have been
+ * accepted) and 429 (rate limited). Network errors, 5xx and anything else are
+ * ambiguous: the provider may still complete the request.
+ */
+const isDefinitiveRejection = (error) => {
+    if (error?.isProviderRejection) return true;
+    const status = error?.response?.status;
+    return status >= 400 && status < 500 && ![408, 409, 429].includes(status);
+};
+
+/**
+ * Detects an outcome the caller must leave PENDING: a network error, or any
+ * error the VTU router flagged as ambiguous (see services/vtu/index.js).
+ */
+const isOutcomeUnknown = (error) => isNetworkError(error) || Boolean(error?.outcomeUnknown);
+
 /**
  * Resilient Refund Helper
  * Retries the refund transaction up to 3 times with exponential backoff.
+ * The credit goes through the wallet ledger so every refund is journaled.
+ * Only refunds a transaction that is still PENDING, so a purchase another path
+ * already settled (webhook, sync job, reversal) is never refunded twice.
  */
 const safeRefund = async (prisma, userId, amount, transactionId) => {
     let attempts = 0;
@@ -35,23 +70,36 @@ const safeRefund = async (prisma, userId, amount, transactionId) => {
 
     while (attempts < maxAttempts) {
         try {
-            await prisma.$transaction([
-                prisma.transaction.update({
-                    where: { id: transactionId },
+            const refunded = await prisma.$transaction(async (tx) => {
+                const claimed = await tx.transaction.updateMany({
+                    where: { id: transactionId, status: 'PENDING' },
                     data: { status: 'FAILED' }
-                }),
-                prisma.wallet.update({
-                    where: { userId },
-                    data: {
-                        balance: { increment: amount },
-                        totalSpent: { decrement: amount }
-                    }
-                })
-            ], {
+                });
+                if (claimed.count === 0) return false;
+
+                const transaction = await tx.transaction.findUnique({
+                    where: { id: transactionId },
+                    select: { reference: true }
+                });
+
+                await refundTransactionDebit(tx, {
+                    userId,
+                    amount,
+                    transactionId,
+                    reference: transaction.reference,
+                    description: 'Auto-refund for failed transaction'
+                });
+                return true;
+            }, {
                 maxWait: 10000,
                 timeout: 15000
             });
 
+            if (!refunded) {
+                console.warn(`[Financial Safety] Tx: ${transactionId} is no longer PENDING, refund skipped`);
+                return false;
+            }
+
             console.log(`[Financial Safety] Refund OK Tx: ${transactionId} (attempt ${attempts + 1})`);
             return true;
         } catch (error) {
@@ -62,8 +110,8 @@ const safeRefund = async (prisma, userId, amount, transactionId) => {
             }
         }
     }
-    console.error(`[Financial Safety] CRITICAL: Refund failed after ${maxAttempts} attempts for Tx: ${transactionId}. Manual intervention may be required.`);
+    console.error(`[Financial Safety] CRITICAL: Refund failed after ${maxAttempts} attempts for Tx: ${transactionId}. It stays PENDING for the sync job to settle.`);
     return false;
 };
 
-module.exports = { isNetworkError, safeRefund };
+module.exports = { isNetworkError, providerRejection, isDefinitiveRejection, isOutcomeUnknown, safeRefund };
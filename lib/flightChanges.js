@@ -0,0 +1,370 @@
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { generateFlightChangeEmailTemplate } = require('@/lib/emailTemplates');
+const { debitWallet, creditWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const {
+    FLIGHT_ACTORS,
+    OPEN_CHANGE_STATES,
+    flightWorkflowError,
+    generateFlightRef,
+    noteFlightActivity,
+    announceTicket
+} = require('@/lib/flightWorkflow');
+
+/**
+ * Flight Change Requests
+ * Date changes, name corrections and rebookings on a TICKETED booking, kept as
+ * FlightChangeRequest rows under the booking. Works like lib/flightWorkflow.js:
+ * each event declares the states it starts from, where it leads, who may trigger
+ * it and its effects, and the status update is conditional on the state it was
+ * read in. Every step adds a row to the booking's activity history; the booking
+ * itself stays TICKETED.
+ *
+ *   REQUESTED ─quote─▶ QUOTED ─pay─▶ PAID ─issue─▶ COMPLETED
+ *   QUOTED ─quote─▶ QUOTED (new quote, e.g. after the old one expired)
+ *   REQUESTED / QUOTED ─cancel─▶ CANCELLED
+ *   REQUESTED / QUOTED / PAID ─reject─▶ REJECTED (a paid change is refunded)
+ */
+
+// How long the user has to pay a change quote
+const CHANGE_QUOTE_HOURS = 24;
+
+const CHANGE_LABELS = {
+    DATE_CHANGE: 'date change',
+    NAME_CORRECTION: 'name correction',
+    REBOOKING: 'rebooking'
+};
+
+const changeTotal = (change) =>
+    Math.round((Number(change.changeFee || 0) + Number(change.fareDifference || 0)) * 100) / 100;
+
+const isChangeQuoteExpired = (change, now = new Date()) =>
+    Boolean(change.quoteExpiresAt) && now > new Date(change.quoteExpiresAt);
+
+const requireTicketed = (change) =>
+    change.flightRequest.status !== 'TICKETED' && `The booking is ${change.flightRequest.status}, so it can no longer be changed.`;
+
+/**
+ * Side effects
+ */
+
+const payForChange = async (tx, change) => {
+    const booking = change.flightRequest;
+    const amount = changeTotal(change);
+    const label = CHANGE_LABELS[change.type];
+    if (amount === 0) return { details: `User accepted the free ${label}` };
+
+    const wallet = await tx.wallet.findUnique({ where: { userId: booking.userId } });
+    if (!wallet) throw flightWorkflowError("Wallet not found to link transaction");
+
+    if (Number(wallet.balance) < amount) {
+        throw flightWorkflowError(`Insufficient balance. Current: ₦${wallet.balance}, Required: ₦${amount}`);
+    }
+
+    const reference = generateFlightRef('FLC');
+    const flightTransaction = await tx.flightTransaction.create({
+        data: {
+            walletId: wallet.id,
+            type: 'CHANGE_PAYMENT',
+            amount,
+            reference,
+            flightRequestId: booking.id,
+            changeRequestId: change.id,
+            breakdown: { changeFee: Number(change.changeFee || 0), fareDifference: Number(change.fareDifference || 0) }
+        }
+    });
+
+    await debitWallet(tx, {
+        userId: booking.userId,
+        amount,
+        trackSpend: false,
+        entryType: 'FLIGHT_PAYMENT',
+        counterAccount: LEDGER_ACCOUNTS.FLIGHT_SALES,
+        reference,
+        flightTransactionId: flightTransaction.id,
+        description: `Flight ${label} ${booking.origin} → ${booking.destination}`
+    });
+
+    return { details: `User paid NGN ${amount} for the ${label}. Ref: ${reference}` };
+};
+
+// Gives back whatever was paid for a change staff could not make
+const refundChange = async (tx, change) => {
+    const payments = await tx.flightTransaction.findMany({
+        where: { changeRequestId: change.id, type: 'CHANGE_PAYMENT' },
+        select: { walletId: true, amount: true }
+    });
+    const paid = payments.reduce((sum, payment) => sum + Number(payment.amount), 0);
+    if (paid === 0) return null;
+
+    const booking = change.flightRequest;
+    const reference = generateFlightRef('RFN');
+    const flightTransaction = await tx.flightTransaction.create({
+        data: {
+            walletId: payments[0].walletId,
+            type: 'CHANGE_REFUND',
+            amount: paid,
+            reference,
+            flightRequestId: booking.id,
+            changeRequestId: change.id
+        }
+    });
+
+    await creditWallet(tx, {
+        userId: booking.userId,
+        amount: paid,
+        entryType: 'FLIGHT_REFUND',
+        counterAccount: LEDGER_ACCOUNTS.FLIGHT_SALES,
+        reference,
+        flightTransactionId: flightTransaction.id,
+        description: `Refund of rejected flight ${CHANGE_LABELS[change.type]}`
+    });
+
+    return paid;
+};
+
+// Writes the change onto the booking and its passengers along with the new ticket
+const applyChange = async (tx, change, { input }) => {
+    const booking = change.flightRequest;
+    const { eTicketUrl, pnr, airlineName, departureTime, arrivalTime, legs } = input;
+
+    await tx.flightBookingRequest.update({
+        where: { id: booking.id },
+        data: {
+            eTicketUrl,
+            ...(change.newTargetDate && { targetDate: change.newTargetDate }),
+            ...(pnr && { pnr }),
+            ...(airlineName && { airlineName }),
+            ...(departureTime && { departureTime }),
+            ...(arrivalTime && { arrivalTime }),
+            ...(legs && { legs })
+        }
+    });
+
+    for (const { passengerId, dateOfBirth, ...names } of change.passengerCorrections || []) {
+        await tx.passenger.updateMany({
+            where: { id: passengerId, flightRequestId: booking.id },
+            data: { ...names, ...(dateOfBirth && { dateOfBirth: new Date(dateOfBirth) }) }
+        });
+    }
+
+    return { details: `Staff issued the revised ticket for the ${CHANGE_LABELS[change.type]}${pnr ? ` (PNR ${pnr})` : ''}` };
+};
+
+const emailChangeUpdate = async (change, { title, message, lines }) => {
+    const booking = change.flightRequest;
+    const user = await prisma.user.findUnique({ where: { id: booking.userId }, select: { fullName: true, email: true } });
+    if (!user?.email) return;
+
+    await sendEmail({
+        to: user.email,
+        subject: `${title}: ${booking.origin} to ${booking.destination}`,
+        html: generateFlightChangeEmailTemplate({
+            userName: user.fullName || 'Valued Customer',
+            origin: booking.origin,
+            destination: booking.destination,
+            title,
+            message,
+            lines
+        }),
+        text: `${message} (${booking.origin} to ${booking.destination})`
+    });
+};
+
+const notifyQuote = (change) => {
+    const label = CHANGE_LABELS[change.type];
+    return emailChangeUpdate(change, {
+        title: 'Your flight change quote',
+        message: `Your ${label} can be made for ₦${changeTotal(change)}. Pay from your wallet in the app before ${new Date(change.quoteExpiresAt).toUTCString()} to confirm it.`,
+        lines: [
+            { label: 'Change fee', value: `₦${Number(change.changeFee || 0)}` },
+            { label: 'Fare difference', value: `₦${Number(change.fareDifference || 0)}` },
+            ...(change.staffNote ? [{ label: 'Note', value: change.staffNote }] : [])
+        ]
+    });
+};
+
+const notifyRejection = (change) => emailChangeUpdate(change, {
+    title: 'Your flight change could not be made',
+    message: `We could not make your ${CHANGE_LABELS[change.type]}: ${change.staffNote}. Your ticket is unchanged, and anything you paid for the change has been refunded to your wallet.`
+});
+
+/**
+ * Transitions, with the same hooks as FLIGHT_TRANSITIONS in lib/flightWorkflow.js
+ */
+const CHANGE_TRANSITIONS = {
+    quote: {
+        from: ['REQUESTED', 'QUOTED'],
+        to: 'QUOTED',
+        actors: [FLIGHT_ACTORS.STAFF],
+        guard: requireTicketed,
+        changes: (change, { input }) => ({
+            changeFee: input.changeFee,
+            fareDifference: input.fareDifference,
+            staffNote: input.staffNote ?? null,
+            quoteExpiresAt: new Date(Date.now() + CHANGE_QUOTE_HOURS * 60 * 60 * 1000)
+        }),
+        effect: (tx, change, { input }) => ({
+            details: `Staff quoted the ${CHANGE_LABELS[change.type]}: change fee NGN ${input.changeFee}, fare difference NGN ${input.fareDifference}`
+        }),
+        after: notifyQuote
+    },
+    pay: {
+        from: ['QUOTED'],
+        to: 'PAID',
+        actors: [FLIGHT_ACTORS.USER],
+        guard: (change) => {
+            if (isChangeQuoteExpired(change)) return "This change quote has expired. Please ask for a new quote.";
+            return requireTicketed(change);
+        },
+        effect: payForChange
+    },
+    issue: {
+        from: ['PAID'],
+        to: 'COMPLETED',
+        actors: [FLIGHT_ACTORS.STAFF],
+        guard: requireTicketed,
+        effect: applyChange,
+        after: (change) => announceTicket(change.flightRequest, { revised: true })
+    },
+    cancel: {
+        from: ['REQUESTED', 'QUOTED'],
+        to: 'CANCELLED',
+        actors: [FLIGHT_ACTORS.USER],
+        effect: (tx, change) => ({ details: `User withdrew the ${CHANGE_LABELS[change.type]} request` })
+    },
+    reject: {
+        from: ['REQUESTED', 'QUOTED', 'PAID'],
+        to: 'REJECTED',
+        actors: [FLIGHT_ACTORS.STAFF],
+        changes: (change, { input }) => ({ staffNote: input.reason }),
+        effect: async (tx, change, { input }) => {
+            const refunded = await refundChange(tx, change);
+            return {
+                details: `Staff rejected the ${CHANGE_LABELS[change.type]} request: ${input.reason}${refunded ? `. Refunded NGN ${refunded} to the user's wallet` : ''}`
+            };
+        },
+        after: notifyRejection
+    }
+};
+
+const CHANGE_INCLUDE = { flightRequest: true };
+
+/**
+ * Moves a change request through one event. Errors are flight workflow errors
+ * with the same statuses as transitionFlight: 404 (missing or another user's),
+ * 403 (wrong actor), 409 (wrong or concurrently changed state), 400 (guard).
+ * @param {string} changeId
+ * @param {string} event a key of CHANGE_TRANSITIONS
+ * @param {{ actor: { type, id }, input?: object }} context
+ * @returns {Promise<object>} the updated change request with its booking
+ */
+const transitionFlightChange = async (changeId, event, context) => {
+    const transition = CHANGE_TRANSITIONS[event];
+    if (!transition) throw new Error(`Unknown flight change event: ${event}`);
+
+    const { actor } = context;
+    if (!transition.actors.includes(actor.type)) {
+        throw flightWorkflowError(`A ${actor.type.toLowerCase()} cannot ${event} a flight change request`, 403);
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+        const change = await tx.flightChangeRequest.findUnique({ where: { id: changeId }, include: CHANGE_INCLUDE });
+        if (!change || (actor.type === FLIGHT_ACTORS.USER && change.flightRequest.userId !== actor.id)) {
+            throw flightWorkflowError("Change request not found", 404);
+        }
+
+        if (!transition.from.includes(change.status)) {
+            throw flightWorkflowError(`Cannot ${event} a change request in ${change.status} state.`, 409);
+        }
+
+        const refusal = transition.guard?.(change, context);
+        if (refusal) throw flightWorkflowError(refusal);
+
+        const claimed = await tx.flightChangeRequest.updateMany({
+            where: { id: change.id, status: change.status },
+            data: { ...transition.changes?.(change, context), status: transition.to }
+        });
+        if (!claimed?.count) {
+            throw flightWorkflowError("This change request was just updated by someone else. Refresh and try again.", 409);
+        }
+
+        const outcome = await transition.effect?.(tx, change, context);
+
+        await noteFlightActivity(tx, change.flightRequest, {
+            actor,
+            details: outcome?.details || `${CHANGE_LABELS[change.type]} ${event} (${actor.type.toLowerCase()})`
+        });
+
+        return tx.flightChangeRequest.findUnique({ where: { id: change.id }, include: CHANGE_INCLUDE });
+    });
+
+    if (transition.after) {
+        Promise.resolve(transition.after(updated, context))
+            .catch(err => console.error(`Flight change ${event} Follow-up Error (Non-blocking):`, err.message));
+    }
+
+    return updated;
+};
+
+/**
+ * Opens a change request on the user's TICKETED booking. One change at a time
+ * per booking; corrections must name passengers on the booking. The booking row
+ * is locked first so two requests cannot both find no open change and create one.
+ * @param {string} userId
+ * @param {string} bookingId
+ * @param {{ type, newTargetDate?, passengerCorrections?, userNote? }} input
+ */
+const openFlightChange = (userId, bookingId, input) => prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT "id" FROM "FlightBookingRequest" WHERE "id" = ${bookingId} FOR UPDATE`;
+
+    const booking = await tx.flightBookingRequest.findUnique({
+        where: { id: bookingId },
+        include: { passengers: { select: { id: true } } }
+    });
+    if (!booking || booking.userId !== userId) throw flightWorkflowError("Flight request not found", 404);
+
+    if (booking.status !== 'TICKETED') {
+        throw flightWorkflowError("Only ticketed bookings can be changed.", 409);
+    }
+
+    const inProgress = await tx.flightChangeRequest.findFirst({
+        where: { flightRequestId: booking.id, status: { in: OPEN_CHANGE_STATES } },
+        select: { id: true }
+    });
+    if (inProgress) throw flightWorkflowError("This booking already has a change in progress.", 409);
+
+    const passengerIds = booking.passengers.map(p => p.id);
+    const corrections = input.passengerCorrections || [];
+    if (corrections.some(correction => !passengerIds.includes(correction.passengerId))) {
+        throw flightWorkflowError("Passenger not found on this booking");
+    }
+
+    const change = await tx.flightChangeRequest.create({
+        data: {
+            flightRequestId: booking.id,
+            type: input.type,
+            newTargetDate: input.newTargetDate ? new Date(input.newTargetDate) : null,
+            passengerCorrections: corrections.length ? corrections : undefined,
+            userNote: input.userNote
+        }
+    });
+
+    const when = change.newTargetDate ? ` to ${change.newTargetDate.toISOString().slice(0, 10)}` : '';
+    await noteFlightActivity(tx, booking, {
+        actor: { type: FLIGHT_ACTORS.USER, id: userId },
+        details: `User requested a ${CHANGE_LABELS[change.type]}${when}`
+    });
+
+    return change;
+});
+
+module.exports = {
+    CHANGE_QUOTE_HOURS,
+    OPEN_CHANGE_STATES,
+    CHANGE_TRANSITIONS,
+    changeTotal,
+    isChangeQuoteExpired,
+    transitionFlightChange,
+    openFlightChange
+};
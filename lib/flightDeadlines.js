@@ -0,0 +1,131 @@
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { generateFlightTtlAlertEmailTemplate } = require('@/lib/emailTemplates');
+const { STAFF_ACCESS_SELECT, staffPermissions } = require('@/lib/permissions');
+const { SYSTEM_ACTOR, lapseReason, transitionFlight, noteFlightActivity } = require('@/lib/flightWorkflow');
+
+/**
+ * Flight Deadlines
+ * Unpaid bookings expire on their own once the 30-minute payment window closes
+ * or the airline's ticketing time limit (TTL) on the quoted PNR passes; the user
+ * is emailed by the workflow. Paid bookings that are still not ticketed close to
+ * their TTL are flagged to every active staff member with flights:handle, once.
+ */
+
+// How early before the TTL staff are warned about an unticketed paid booking
+const TTL_ALERT_HOURS = Number(process.env.FLIGHT_TTL_ALERT_HOURS ?? 6);
+const BATCH_SIZE = 100;
+
+/**
+ * Moves lapsed SELECTION_MADE / QUOTED bookings to EXPIRED.
+ * @returns {Promise<number>} how many were expired
+ */
+const expireLapsedBookings = async (now = new Date()) => {
+    const lapsed = await prisma.flightBookingRequest.findMany({
+        where: {
+            status: { in: ['SELECTION_MADE', 'QUOTED'] },
+            OR: [
+                { paymentExpiresAt: { lt: now } },
+                { ticketingTimeLimit: { lt: now } }
+            ]
+        },
+        select: { id: true, paymentExpiresAt: true, ticketingTimeLimit: true },
+        orderBy: { paymentExpiresAt: 'asc' },
+        take: BATCH_SIZE
+    });
+
+    let expired = 0;
+    for (const request of lapsed) {
+        try {
+            await transitionFlight(request.id, 'expire', {
+                actor: SYSTEM_ACTOR,
+                details: `Expired automatically: ${lapseReason(request, now)}`
+            });
+            expired++;
+        } catch (error) {
+            // Usually paid or cancelled in the meantime
+            console.warn(`[Flight Deadlines] Could not expire ${request.id}:`, error.message);
+        }
+    }
+    return expired;
+};
+
+const ticketingStaff = async () => {
+    const staff = await prisma.staff.findMany({
+        where: { isActive: true },
+        select: { email: true, fullName: true, ...STAFF_ACCESS_SELECT }
+    });
+    return staff.filter(member => staffPermissions(member).includes('flights:handle'));
+};
+
+/**
+ * Emails ticketing staff about PAID_PROCESSING bookings whose TTL is within
+ * TTL_ALERT_HOURS (or already passed). Each booking is alerted once.
+ * @returns {Promise<number>} how many bookings were alerted
+ */
+const alertApproachingTtl = async (now = new Date()) => {
+    const dueSoon = await prisma.flightBookingRequest.findMany({
+        where: {
+            status: 'PAID_PROCESSING',
+            ttlAlertSentAt: null,
+            ticketingTimeLimit: { lte: new Date(now.getTime() + TTL_ALERT_HOURS * 60 * 60 * 1000) }
+        },
+        include: { user: { select: { fullName: true } } },
+        orderBy: { ticketingTimeLimit: 'asc' },
+        take: BATCH_SIZE
+    });
+    if (dueSoon.length === 0) return 0;
+
+    const recipients = await ticketingStaff();
+    if (recipients.length === 0) {
+        console.warn('[Flight Deadlines] No active staff with flights:handle to alert about ticketing deadlines');
+    }
+
+    let alerted = 0;
+    for (const request of dueSoon) {
+        const ttl = new Date(request.ticketingTimeLimit).toISOString();
+
+        // Claimed first, so overlapping runs never alert twice
+        const claimed = await prisma.$transaction(async (tx) => {
+            const { count } = await tx.flightBookingRequest.updateMany({
+                where: { id: request.id, status: 'PAID_PROCESSING', ttlAlertSentAt: null },
+                data: { ttlAlertSentAt: now }
+            });
+            if (!count) return false;
+
+            await noteFlightActivity(tx, request, {
+                details: `Ticketing time limit ${ttl} is close and the booking is not ticketed. Alerted ${recipients.length} staff member(s).`
+            });
+            return true;
+        });
+        if (!claimed) continue;
+
+        alerted++;
+        for (const member of recipients) {
+            try {
+                await sendEmail({
+                    to: member.email,
+                    subject: `Ticket before ${ttl}: ${request.origin} to ${request.destination} (PNR ${request.pnr || 'N/A'})`,
+                    html: generateFlightTtlAlertEmailTemplate({
+                        staffName: member.fullName,
+                        origin: request.origin,
+                        destination: request.destination,
+                        pnr: request.pnr,
+                        userName: request.user?.fullName || 'Customer',
+                        ticketingTimeLimit: ttl
+                    }),
+                    text: `Paid flight ${request.origin} to ${request.destination} (PNR ${request.pnr || 'N/A'}) is not ticketed yet. Ticketing time limit: ${ttl}.`
+                });
+            } catch (error) {
+                console.error(`[Flight Deadlines] TTL alert email to ${member.email} failed:`, error.message);
+            }
+        }
+    }
+    return alerted;
+};
+
+module.exports = {
+    TTL_ALERT_HOURS,
+    expireLapsedBookings,
+    alertApproachingTtl
+};
@@ -0,0 +1,215 @@
+const prisma = require('@/lib/prisma');
+const { staffPermissions, STAFF_ACCESS_SELECT } = require('@/lib/permissions');
+const { FLIGHT_ACTORS, flightWorkflowError, noteFlightActivity } = require('@/lib/flightWorkflow');
+
+/**
+ * Flight Queue
+ * Who works a flight request and how fast. A request belongs to one staff member
+ * at a time: they claim it (or take it by acting on it first, see
+ * lib/flightWorkflow.js) and only a super admin (flights:assign) can move it to
+ * someone else. Each state that waits on staff has an SLA measured from
+ * statusChangedAt; agent performance is worked out from FlightRequestActivity.
+ */
+
+// States that wait on staff, the state that ends the wait, and how long it may take
+const FLIGHT_SLAS = {
+    AWAITING_OPTIONS: { stage: 'options', until: 'OPTIONS_PROVIDED', minutes: Number(process.env.FLIGHT_SLA_OPTIONS_MINUTES ?? 240) },
+    SELECTION_MADE: { stage: 'quote', until: 'QUOTED', minutes: Number(process.env.FLIGHT_SLA_QUOTE_MINUTES ?? 15) },
+    PAID_PROCESSING: { stage: 'ticket', until: 'TICKETED', minutes: Number(process.env.FLIGHT_SLA_TICKET_MINUTES ?? 120) }
+};
+
+// Nothing left for staff to do, so nothing to own
+const CLOSED_STATES = ['TICKETED', 'CANCELLED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+const minutesBetween = (from, to) => (new Date(to).getTime() - new Date(from).getTime()) / 60000;
+
+/**
+ * SLA position of a request, or null when its state is not timed.
+ * @returns {{ stage, dueAt: Date, overdue: boolean, minutesLeft: number } | null}
+ */
+const slaFor = (request, now = new Date()) => {
+    const sla = FLIGHT_SLAS[request.status];
+    if (!sla || !request.statusChangedAt) return null;
+
+    const dueAt = new Date(new Date(request.statusChangedAt).getTime() + sla.minutes * 60 * 1000);
+    const minutesLeft = Math.round(minutesBetween(now, dueAt));
+    return { stage: sla.stage, dueAt, overdue: minutesLeft < 0, minutesLeft };
+};
+
+/**
+ * Prisma filter for requests past their SLA, optionally for one stage.
+ */
+const overdueWhere = (now = new Date(), stage) => ({
+    OR: Object.entries(FLIGHT_SLAS)
+        .filter(([, sla]) => !stage || sla.stage === stage)
+        .map(([status, sla]) => ({
+            status,
+            statusChangedAt: { lt: new Date(now.getTime() - sla.minutes * 60 * 1000) }
+        }))
+});
+
+const staffActor = (staffId) => ({ type: FLIGHT_ACTORS.STAFF, id: staffId });
+
+const findOpenRequest = async (tx, requestId) => {
+    const request = await tx.flightBookingRequest.findUnique({
+        where: { id: requestId },
+        include: { assignedStaff: { select: { fullName: true } } }
+    });
+    if (!request) throw flightWorkflowError("Flight request not found", 404);
+    if (CLOSED_STATES.includes(request.status)) {
+        throw flightWorkflowError(`This request is ${request.status} and no longer needs an owner.`, 409);
+    }
+    return request;
+};
+
+/**
+ * Takes an unassigned request. Claiming one you already hold is a no-op.
+ */
+const claimFlightRequest = (requestId, staffId) => prisma.$transaction(async (tx) => {
+    const request = await findOpenRequest(tx, requestId);
+    if (request.assignedStaffId === staffId) return request;
+    if (request.assignedStaffId) {
+        throw flightWorkflowError(`${request.assignedStaff?.fullName || 'Another staff member'} is already working on this request.`, 409);
+    }
+
+    const { count } = await tx.flightBookingRequest.updateMany({
+        where: { id: request.id, assignedStaffId: null },
+        data: { assignedStaffId: staffId, assignedAt: new Date() }
+    });
+    if (!count) throw flightWorkflowError("Someone else just claimed this request. Refresh and try again.", 409);
+
+    await noteFlightActivity(tx, request, { actor: staffActor(staffId), details: 'Staff claimed the request' });
+    return tx.flightBookingRequest.findUnique({ where: { id: request.id } });
+});
+
+/**
+ * Hands a request you hold back to the queue.
+ */
+const releaseFlightRequest = (requestId, staffId) => prisma.$transaction(async (tx) => {
+    const request = await findOpenRequest(tx, requestId);
+
+    const { count } = await tx.flightBookingRequest.updateMany({
+        where: { id: request.id, assignedStaffId: staffId },
+        data: { assignedStaffId: null, assignedAt: null }
+    });
+    if (!count) throw flightWorkflowError("You are not assigned to this request.", 409);
+
+    await noteFlightActivity(tx, request, { actor: staffActor(staffId), details: 'Staff released the request back to the queue' });
+    return tx.flightBookingRequest.findUnique({ where: { id: request.id } });
+});
+
+/**
+ * Moves a request to another staff member (or back to the queue with null).
+ * The new owner must be active and able to work flights (flights:handle).
+ */
+const assignFlightRequest = (requestId, assigneeId, actorId) => prisma.$transaction(async (tx) => {
+    const request = await findOpenRequest(tx, requestId);
+
+    let assignee = null;
+    if (assigneeId) {
+        assignee = await tx.staff.findUnique({
+            where: { id: assigneeId },
+            select: { id: true, fullName: true, isActive: true, ...STAFF_ACCESS_SELECT }
+        });
+        if (!assignee || !assignee.isActive) throw flightWorkflowError("Staff member not found or inactive", 404);
+        if (!staffPermissions(assignee).includes('flights:handle')) {
+            throw flightWorkflowError(`${assignee.fullName} does not have flights:handle and cannot work flight requests.`);
+        }
+    }
+
+    await tx.flightBookingRequest.update({
+        where: { id: request.id },
+        data: { assignedStaffId: assignee?.id ?? null, assignedAt: assignee ? new Date() : null }
+    });
+
+    const from = request.assignedStaff?.fullName || 'the queue';
+    const to = assignee?.fullName || 'the queue';
+    await noteFlightActivity(tx, request, { actor: staffActor(actorId), details: `Reassigned from ${from} to ${to}` });
+    return tx.flightBookingRequest.findUnique({ where: { id: request.id } });
+});
+
+const emptyStage = () => ({ count: 0, averageMinutes: null, withinSla: 0 });
+
+/**
+ * Per-agent performance over a period, from the activity log: how many requests
+ * each staff member moved through each SLA stage, how long the request had waited
+ * in that state, and how many of those were within the current SLA. Also counts
+ * every action they logged and the open requests they hold now.
+ * @param {Date} from inclusive
+ * @param {Date} to exclusive
+ */
+const agentPerformance = async (from, to) => {
+    const stageExits = Object.entries(FLIGHT_SLAS).map(([status, sla]) => ({ previousState: status, newState: sla.until }));
+
+    const [exits, actionCounts, openAssigned] = await Promise.all([
+        prisma.flightRequestActivity.findMany({
+            where: { createdAt: { gte: from, lt: to }, staffId: { not: null }, OR: stageExits },
+            select: { requestId: true, staffId: true, previousState: true, createdAt: true }
+        }),
+        prisma.flightRequestActivity.groupBy({
+            by: ['staffId'],
+            where: { createdAt: { gte: from, lt: to }, staffId: { not: null } },
+            _count: { _all: true }
+        }),
+        prisma.flightBookingRequest.groupBy({
+            by: ['assignedStaffId'],
+            where: { assignedStaffId: { not: null }, status: { notIn: CLOSED_STATES } },
+            _count: { _all: true }
+        })
+    ]);
+
+    // When each request entered the state it was moved out of
+    const entries = exits.length === 0 ? [] : await prisma.flightRequestActivity.findMany({
+        where: { requestId: { in: [...new Set(exits.map(e => e.requestId))] }, newState: { in: Object.keys(FLIGHT_SLAS) } },
+        select: { requestId: true, previousState: true, newState: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const agents = new Map();
+    const agent = (staffId) => {
+        if (!agents.has(staffId)) {
+            agents.set(staffId, { staffId, actions: 0, openAssigned: 0, options: emptyStage(), quote: emptyStage(), ticket: emptyStage(), totalMinutes: {} });
+        }
+        return agents.get(staffId);
+    };
+
+    for (const exit of exits) {
+        const entered = entries
+            .filter(e => e.requestId === exit.requestId && e.newState === exit.previousState && e.previousState !== e.newState && e.createdAt <= exit.createdAt)
+            .pop();
+        if (!entered) continue;
+
+        const sla = FLIGHT_SLAS[exit.previousState];
+        const minutes = minutesBetween(entered.createdAt, exit.createdAt);
+        const row = agent(exit.staffId);
+        row[sla.stage].count++;
+        row[sla.stage].withinSla += minutes <= sla.minutes ? 1 : 0;
+        row.totalMinutes[sla.stage] = (row.totalMinutes[sla.stage] || 0) + minutes;
+    }
+    actionCounts.forEach(group => { agent(group.staffId).actions = group._count._all; });
+    openAssigned.forEach(group => { agent(group.assignedStaffId).openAssigned = group._count._all; });
+
+    const staff = await prisma.staff.findMany({
+        where: { id: { in: [...agents.keys()] } },
+        select: { id: true, fullName: true, email: true }
+    });
+
+    return [...agents.values()].map(({ totalMinutes, ...row }) => {
+        for (const stage of ['options', 'quote', 'ticket']) {
+            if (row[stage].count) row[stage].averageMinutes = Math.round(totalMinutes[stage] / row[stage].count);
+        }
+        const member = staff.find(s => s.id === row.staffId);
+        return { ...row, fullName: member?.fullName || null, email: member?.email || null };
+    }).sort((a, b) => b.actions - a.actions);
+};
+
+module.exports = {
+    FLIGHT_SLAS,
+    CLOSED_STATES,
+    slaFor,
+    overdueWhere,
+    claimFlightRequest,
+    releaseFlightRequest,
+    assignFlightRequest,
+    agentPerformance
+};
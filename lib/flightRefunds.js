@@ -0,0 +1,134 @@
+/**
+ * Flight Refunds
+ * What a paid booking gets back when it is cancelled. The refund policy for the
+ * booking's airline and fare class sets an airline penalty (percent of the amount
+ * paid plus a flat amount) and our service fee; both are kept, the rest is
+ * refundable. Refunds can be paid out in several steps (e.g. our part now, the
+ * airline's once they release it), so each quote subtracts what was already
+ * refunded.
+ *
+ * Policy precedence: airline + class, airline + ANY, * + class, * + ANY.
+ * With no matching policy the refund is on review: there is no quoted amount,
+ * and staff decide what to pay out (at most what was paid and not yet refunded).
+ */
+
+const ANY_AIRLINE = '*';
+const ANY_CLASS = 'ANY';
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Picks the most specific policy for a booking out of the candidates.
+ */
+const pickRefundPolicy = (policies, { airlineName, flightClass }) => {
+    const airline = (airlineName || '').trim().toLowerCase();
+    const fareClass = (flightClass || '').toUpperCase();
+    const matches = (policy, wantAirline, wantClass) =>
+        (wantAirline === ANY_AIRLINE ? policy.airlineName === ANY_AIRLINE : policy.airlineName.toLowerCase() === wantAirline) &&
+        policy.flightClass === wantClass;
+
+    const order = [[airline, fareClass], [airline, ANY_CLASS], [ANY_AIRLINE, fareClass], [ANY_AIRLINE, ANY_CLASS]];
+    for (const [wantAirline, wantClass] of order) {
+        const policy = policies.find(p => matches(p, wantAirline, wantClass));
+        if (policy) return policy;
+    }
+    return null;
+};
+
+const findRefundPolicy = async (client, request) => {
+    const airlineName = (request.airlineName || '').trim();
+    const policies = await client.flightRefundPolicy.findMany({
+        where: {
+            OR: [
+                { airlineName: ANY_AIRLINE },
+                ...(airlineName ? [{ airlineName: { equals: airlineName, mode: 'insensitive' } }] : [])
+            ]
+        }
+    });
+    return pickRefundPolicy(policies, request);
+};
+
+/**
+ * Works out a refund from the amounts involved. Pure, so it can be shown to a
+ * user before they cancel and re-checked inside the refund transaction.
+ * Without a policy, refundable and remaining are null and onReview is set.
+ * @param {{ paid: number, refunded: number, policy: object|null }} args
+ */
+const computeRefund = ({ paid, refunded, policy }) => {
+    const unrefunded = round2(Math.max(0, paid - refunded));
+
+    if (!policy) {
+        return {
+            paid: round2(paid),
+            airlinePenalty: null,
+            serviceFee: null,
+            refundable: null,
+            previouslyRefunded: round2(refunded),
+            remaining: null,
+            unrefunded,
+            onReview: true,
+            policy: null
+        };
+    }
+
+    let airlinePenalty = 0;
+    let serviceFee = 0;
+    let refundable = 0;
+
+    if (policy.isRefundable) {
+        airlinePenalty = round2(paid * Number(policy.airlinePenaltyPercent) / 100 + Number(policy.airlinePenaltyFlat));
+        serviceFee = round2(Number(policy.serviceFee));
+        refundable = round2(Math.max(0, paid - airlinePenalty - serviceFee));
+    }
+
+    return {
+        paid: round2(paid),
+        airlinePenalty,
+        serviceFee,
+        refundable,
+        previouslyRefunded: round2(refunded),
+        remaining: round2(Math.max(0, refundable - refunded)),
+        unrefunded,
+        onReview: false,
+        policy: {
+            id: policy.id,
+            airlineName: policy.airlineName,
+            flightClass: policy.flightClass,
+            isRefundable: policy.isRefundable
+        }
+    };
+};
+
+/**
+ * Refund quote for a booking as it stands: its policy and what has already been
+ * paid and refunded. Bookings paid by transfer may have no PAYMENT row, so the
+ * selling price stands in for the amount paid.
+ * @param {object} client prisma or a transaction client
+ */
+const quoteFlightRefund = async (client, request) => {
+    const [policy, transactions] = await Promise.all([
+        findRefundPolicy(client, request),
+        client.flightTransaction.findMany({
+            where: { flightRequestId: request.id },
+            select: { type: true, amount: true }
+        })
+    ]);
+
+    const total = (type) => transactions
+        .filter(t => t.type === type)
+        .reduce((sum, t) => sum + Number(t.amount), 0);
+
+    return computeRefund({
+        paid: total('PAYMENT') || Number(request.sellingPrice || 0),
+        refunded: total('REFUND'),
+        policy
+    });
+};
+
+module.exports = {
+    ANY_AIRLINE,
+    ANY_CLASS,
+    pickRefundPolicy,
+    computeRefund,
+    quoteFlightRefund
+};
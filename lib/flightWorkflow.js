@@ -0,0 +1,510 @@
+const crypto = require('crypto');
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { generateFlightTicketEmailTemplate, generateFlightExpiredEmailTemplate } = require('@/lib/emailTemplates');
+const { debitWallet, creditWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { queueWebhookEvent, dispatchNow } = require('@/lib/partnerWebhooks');
+const { quoteFlightRefund } = require('@/lib/flightRefunds');
+
+/**
+ * Flight Booking Workflow
+ * The only place a FlightBookingRequest changes status. Each event below
+ * declares the states it may start from, the state it leads to, who may trigger
+ * it, its guard, and its side effects (wallet, email, partner webhook). Every
+ * transition writes its FlightRequestActivity row in the same database
+ * transaction, and the status update is conditional on the state it was read in,
+ * so two staff members (or a webhook and a user) cannot both move a request.
+ * Staff work (options, quote, ticket) is reserved for the staff member the
+ * request is assigned to; an unassigned request is claimed by whoever acts first
+ * (see lib/flightQueue.js).
+ *
+ *   FUTURE_HELD ─unlock─▶ AWAITING_OPTIONS ─provideOptions─▶ OPTIONS_PROVIDED ─select─▶ SELECTION_MADE
+ *   SELECTION_MADE ─quote─▶ QUOTED ─payFromWallet / confirmTransfer─▶ PAID_PROCESSING ─ticket─▶ TICKETED
+ *   SELECTION_MADE / QUOTED ─expire─▶ EXPIRED ─select─▶ SELECTION_MADE
+ *   anything unpaid ─cancel─▶ CANCELLED
+ *   TICKETED / PARTIALLY_REFUNDED ─partialRefund─▶ PARTIALLY_REFUNDED
+ *   PAID_PROCESSING / TICKETED / PARTIALLY_REFUNDED ─refund─▶ REFUNDED
+ */
+
+// Staff only source options once the departure is this close
+const OPTIONS_WINDOW_DAYS = 60;
+const PAYMENT_WINDOW_MINUTES = 30;
+
+const FLIGHT_ACTORS = { USER: 'USER', STAFF: 'STAFF', SYSTEM: 'SYSTEM' };
+const SYSTEM_ACTOR = { type: FLIGHT_ACTORS.SYSTEM, id: null };
+
+const FLIGHT_WORKFLOW_ERROR = 'FLIGHT_WORKFLOW_ERROR';
+
+const flightWorkflowError = (message, status = 400) => {
+    const error = new Error(message);
+    error.code = FLIGHT_WORKFLOW_ERROR;
+    error.status = status;
+    return error;
+};
+
+const isFlightWorkflowError = (error) => error?.code === FLIGHT_WORKFLOW_ERROR;
+
+const generateFlightRef = (prefix) => `${prefix}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+const isWithinOptionsWindow = (targetDate, now = new Date()) =>
+    new Date(targetDate).getTime() <= now.getTime() + OPTIONS_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+const isPaymentWindowClosed = (request, now = new Date()) =>
+    Boolean(request.paymentExpiresAt) && now > new Date(request.paymentExpiresAt);
+
+/**
+ * Why an unpaid booking can no longer be paid for, or null while it still can:
+ * the user's payment window closed, or the airline's ticketing time limit on
+ * the quoted PNR passed.
+ */
+const lapseReason = (request, now = new Date()) => {
+    if (isPaymentWindowClosed(request, now)) return `the ${PAYMENT_WINDOW_MINUTES}-minute payment window closed`;
+    if (request.ticketingTimeLimit && now > new Date(request.ticketingTimeLimit)) return "the airline's ticketing time limit passed";
+    return null;
+};
+
+const UNPAID_STATES = ['FUTURE_HELD', 'AWAITING_OPTIONS', 'OPTIONS_PROVIDED', 'SELECTION_MADE', 'QUOTED', 'EXPIRED'];
+const REFUNDABLE_STATES = ['PAID_PROCESSING', 'TICKETED', 'PARTIALLY_REFUNDED'];
+// Only once ticketed: an unticketed booking that is partly refunded could never be ticketed
+const PARTIAL_REFUND_STATES = ['TICKETED', 'PARTIALLY_REFUNDED'];
+// Change requests still in progress (lib/flightChanges.js); they hold up a refund of the booking
+const OPEN_CHANGE_STATES = ['REQUESTED', 'QUOTED', 'PAID'];
+
+/**
+ * Side effects
+ */
+
+const payFromWallet = async (tx, request) => {
+    const amount = Number(request.sellingPrice);
+
+    const wallet = await tx.wallet.findUnique({ where: { userId: request.userId } });
+    if (!wallet) throw flightWorkflowError("Wallet not found to link transaction");
+
+    if (Number(wallet.balance) < amount) {
+        throw flightWorkflowError(`Insufficient balance. Current: ₦${wallet.balance}, Required: ₦${amount}`);
+    }
+
+    // Guarded debit, journaled against flight sales
+    const reference = generateFlightRef('FLT');
+    const flightTransaction = await tx.flightTransaction.create({
+        data: { walletId: wallet.id, type: 'PAYMENT', amount, reference, flightRequestId: request.id }
+    });
+
+    await debitWallet(tx, {
+        userId: request.userId,
+        amount,
+        trackSpend: false,
+        entryType: 'FLIGHT_PAYMENT',
+        counterAccount: LEDGER_ACCOUNTS.FLIGHT_SALES,
+        reference,
+        flightTransactionId: flightTransaction.id,
+        description: `Flight payment ${request.origin} → ${request.destination}`
+    });
+
+    return { details: `Wallet payment of ₦${amount} successful. Ref: ${reference}` };
+};
+
+/**
+ * Pays out a refund under the booking's refund policy (lib/flightRefunds.js),
+ * recorded as its own REFUND FlightTransaction with the breakdown.
+ * A final refund pays whatever is still refundable; input.amount, when given, is
+ * the amount the staff member was shown and must still match. A partial refund
+ * pays input.amount, which must leave something still refundable.
+ * Without a policy the refund is on review: staff set input.amount themselves,
+ * up to what was paid and not yet refunded. Refused while a change request is
+ * open, so a paid change is settled before the booking.
+ */
+const refundToWallet = (final) => async (tx, request, { actor, input = {} }) => {
+    const openChange = await tx.flightChangeRequest.findFirst({
+        where: { flightRequestId: request.id, status: { in: OPEN_CHANGE_STATES } },
+        select: { status: true }
+    });
+    if (openChange) {
+        throw flightWorkflowError(`This booking has a change request in ${openChange.status} state. Issue, cancel or reject it before refunding the booking.`, 409);
+    }
+
+    const quote = await quoteFlightRefund(tx, request);
+    if (quote.unrefunded <= 0 || quote.remaining === 0) {
+        throw flightWorkflowError(quote.refundable === 0
+            ? "This fare is not refundable under its airline's refund policy."
+            : "This booking has already been refunded in full.");
+    }
+
+    let amount;
+    if (quote.onReview) {
+        amount = input.amount;
+        if (!(amount > 0 && amount <= quote.unrefunded)) {
+            throw flightWorkflowError(`No refund policy covers this airline, so the refund is on review. Enter an amount of at most the ₦${quote.unrefunded} paid and not yet refunded.`);
+        }
+        if (!final && amount === quote.unrefunded) {
+            throw flightWorkflowError(`A partial refund must be less than the ₦${quote.unrefunded} paid and not yet refunded.`);
+        }
+    } else {
+        amount = final ? quote.remaining : input.amount;
+        if (final && input.amount !== undefined && Math.round(input.amount * 100) !== Math.round(amount * 100)) {
+            throw flightWorkflowError(`The refundable amount is now ₦${amount}. Review the refund and try again.`, 409);
+        }
+        if (!final && !(amount > 0 && amount < quote.remaining)) {
+            throw flightWorkflowError(`A partial refund must be more than ₦0 and less than the ₦${quote.remaining} still refundable.`);
+        }
+    }
+
+    const wallet = await tx.wallet.findUnique({ where: { userId: request.userId }, select: { id: true } });
+    if (!wallet) throw flightWorkflowError("Wallet not found for this user");
+
+    const { remaining, unrefunded, ...breakdown } = quote;
+    const remainingAfter = final ? 0 : Math.round(((remaining ?? unrefunded) - amount) * 100) / 100;
+
+    const reference = generateFlightRef('RFN');
+    const flightTransaction = await tx.flightTransaction.create({
+        data: {
+            walletId: wallet.id,
+            type: 'REFUND',
+            amount,
+            reference,
+            flightRequestId: request.id,
+            breakdown: { ...breakdown, remainingAfter, reason: input.reason || null }
+        }
+    });
+
+    await creditWallet(tx, {
+        userId: request.userId,
+        amount,
+        entryType: 'FLIGHT_REFUND',
+        counterAccount: LEDGER_ACCOUNTS.FLIGHT_SALES,
+        reference,
+        flightTransactionId: flightTransaction.id,
+        description: `Flight refund issued by staff ${actor.id}`
+    });
+
+    const deductions = quote.onReview
+        ? ' (reviewed: no refund policy for this airline)'
+        : quote.airlinePenalty > 0 || quote.serviceFee > 0 || remainingAfter > 0
+            ? ` (airline penalty NGN ${quote.airlinePenalty}, service fee NGN ${quote.serviceFee}, NGN ${remainingAfter} still refundable)`
+            : '';
+    return { details: `Staff refunded NGN ${amount} to the user's wallet${deductions}` };
+};
+
+const replacePassengers = async (tx, request, { input }) => {
+    await tx.passenger.deleteMany({ where: { flightRequestId: request.id } });
+    await tx.passenger.createMany({
+        data: input.passengers.map(p => ({
+            flightRequestId: request.id,
+            title: p.title,
+            firstName: p.firstName,
+            lastName: p.lastName,
+            dateOfBirth: new Date(p.dateOfBirth),
+            gender: p.gender
+        }))
+    });
+};
+
+const notifyExpiry = async (request) => {
+    const user = await prisma.user.findUnique({ where: { id: request.userId }, select: { fullName: true, email: true } });
+    if (!user?.email) return;
+
+    const why = lapseReason(request) || 'it was not paid for in time';
+    await sendEmail({
+        to: user.email,
+        subject: `Your flight booking expired: ${request.origin} to ${request.destination}`,
+        html: generateFlightExpiredEmailTemplate({
+            userName: user.fullName || 'Valued Customer',
+            origin: request.origin,
+            destination: request.destination,
+            reason: why
+        }),
+        text: `Your flight booking from ${request.origin} to ${request.destination} expired because ${why}. You have not been charged. Book again in the app for a fresh quote.`
+    });
+};
+
+// Ticket email and partner webhook; failures are logged, the ticket stands.
+// `revised` when a change request reissued the ticket (lib/flightChanges.js).
+const announceTicket = async (request, { revised = false } = {}) => {
+    queueWebhookEvent(prisma, request.userId, 'flight.ticketed', {
+        requestId: request.id,
+        pnr: request.pnr,
+        eTicketUrl: request.eTicketUrl,
+        origin: request.origin,
+        destination: request.destination,
+        departureTime: request.departureTime,
+        revised
+    }).then(dispatchNow).catch(err => console.error("Fulfill Ticket Webhook Error (Non-blocking):", err.message));
+
+    try {
+        const user = await prisma.user.findUnique({ where: { id: request.userId }, select: { fullName: true, email: true } });
+
+        await sendEmail({
+            to: user?.email,
+            subject: `${revised ? 'Your Revised E-Ticket' : 'Your E-Ticket is Ready'}: ${request.origin} to ${request.destination}`,
+            html: generateFlightTicketEmailTemplate({
+                userName: user?.fullName || 'Valued Customer',
+                origin: request.origin,
+                destination: request.destination,
+                pnr: request.pnr,
+                airlineName: request.airlineName,
+                departureTime: request.departureTime,
+                arrivalTime: request.arrivalTime,
+                tripType: request.tripType,
+                eTicketUrl: request.eTicketUrl,
+                legs: request.legs,
+                revised
+            }),
+            text: `Hello, your flight booking ref ${request.pnr} has been ticketed. Download here: ${request.eTicketUrl}`
+        });
+    } catch (emailErr) {
+        console.error("Fulfill Ticket Email Error (Non-blocking):", emailErr);
+    }
+};
+
+/**
+ * Transitions
+ * guard(request, context)   returns an error message to refuse the event
+ * changes(request, context) extra fields written with the new status
+ * effect(tx, request, ctx)  runs inside the transaction; may return { details }
+ * after(updated, context)   runs once the transaction has committed
+ * claim                     staff must hold the request (or take it if unassigned)
+ */
+const FLIGHT_TRANSITIONS = {
+    unlock: {
+        from: ['FUTURE_HELD'],
+        to: 'AWAITING_OPTIONS',
+        actors: [FLIGHT_ACTORS.SYSTEM],
+        guard: (request) => !isWithinOptionsWindow(request.targetDate) && `Departure is more than ${OPTIONS_WINDOW_DAYS} days away`
+    },
+    provideOptions: {
+        from: ['FUTURE_HELD', 'AWAITING_OPTIONS'],
+        to: 'OPTIONS_PROVIDED',
+        actors: [FLIGHT_ACTORS.STAFF],
+        claim: true
+    },
+    select: {
+        from: ['OPTIONS_PROVIDED', 'SELECTION_MADE', 'EXPIRED'],
+        to: 'SELECTION_MADE',
+        actors: [FLIGHT_ACTORS.USER],
+        guard: (request, { input }) => {
+            const option = (request.flightOptions || []).find(opt => opt.id === input.selectedOptionId);
+            if (!option) return "Invalid option selected from available choices.";
+
+            const totalExpected = request.adults + request.children + request.infants;
+            if (input.passengers.length !== totalExpected) return `Please provide details for exactly ${totalExpected} passengers.`;
+        },
+        changes: (request, { input }) => {
+            const option = request.flightOptions.find(opt => opt.id === input.selectedOptionId);
+            return {
+                selectedOptionId: option.id,
+                paymentExpiresAt: new Date(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000),
+                airlineName: option.airline,
+                sellingPrice: option.estPrice,
+                departureTime: option.departureTime || option.time,
+                arrivalTime: option.arrivalTime,
+                legs: option.legs,
+                ...(option.date && { targetDate: new Date(option.date) })
+            };
+        },
+        effect: replacePassengers
+    },
+    quote: {
+        from: ['SELECTION_MADE'],
+        to: 'QUOTED',
+        actors: [FLIGHT_ACTORS.STAFF],
+        claim: true
+    },
+    expire: {
+        from: ['SELECTION_MADE', 'QUOTED'],
+        to: 'EXPIRED',
+        actors: [FLIGHT_ACTORS.SYSTEM],
+        guard: (request) => !lapseReason(request) && "The booking can still be paid for",
+        after: notifyExpiry
+    },
+    payFromWallet: {
+        from: ['SELECTION_MADE', 'QUOTED'],
+        to: 'PAID_PROCESSING',
+        actors: [FLIGHT_ACTORS.USER],
+        guard: (request) => {
+            const lapsed = lapseReason(request);
+            if (lapsed) return `This booking has expired because ${lapsed}. Please book the flight again.`;
+            if (!request.sellingPrice) return "No price set for this flight";
+        },
+        effect: payFromWallet
+    },
+    confirmTransfer: {
+        from: ['QUOTED'],
+        to: 'PAID_PROCESSING',
+        actors: [FLIGHT_ACTORS.SYSTEM]
+    },
+    ticket: {
+        from: ['PAID_PROCESSING'],
+        to: 'TICKETED',
+        actors: [FLIGHT_ACTORS.STAFF],
+        claim: true,
+        after: announceTicket
+    },
+    cancel: {
+        from: UNPAID_STATES,
+        to: 'CANCELLED',
+        actors: [FLIGHT_ACTORS.USER, FLIGHT_ACTORS.STAFF]
+    },
+    partialRefund: {
+        from: PARTIAL_REFUND_STATES,
+        to: 'PARTIALLY_REFUNDED',
+        actors: [FLIGHT_ACTORS.STAFF],
+        guard: (request) => !request.sellingPrice && "No payment amount recorded to refund.",
+        effect: refundToWallet(false)
+    },
+    // Users ask for this by cancelling a paid booking; staff pay it out
+    refund: {
+        from: REFUNDABLE_STATES,
+        to: 'REFUNDED',
+        actors: [FLIGHT_ACTORS.STAFF],
+        guard: (request) => !request.sellingPrice && "No payment amount recorded to refund.",
+        effect: refundToWallet(true)
+    }
+};
+
+const activityActor = (actor) => ({
+    userId: actor.type === FLIGHT_ACTORS.USER ? actor.id : null,
+    staffId: actor.type === FLIGHT_ACTORS.STAFF ? actor.id : null
+});
+
+/**
+ * Whether an actor type may trigger an event from a status. Used to decide what
+ * to offer in the apps; transitionFlight enforces it.
+ */
+const canTransition = (status, event, actorType) => {
+    const transition = FLIGHT_TRANSITIONS[event];
+    return Boolean(transition) && transition.from.includes(status) && transition.actors.includes(actorType);
+};
+
+/**
+ * Moves a flight request through one event.
+ * Users can only move their own requests (others look like "not found").
+ * Throws a flight workflow error (see isFlightWorkflowError) with an HTTP status
+ * when the request is missing (404), the actor may not trigger the event (403),
+ * the request is in the wrong state, was moved concurrently or is assigned to
+ * another staff member (409), or a guard refuses it (400).
+ * @param {string} requestId
+ * @param {string} event a key of FLIGHT_TRANSITIONS
+ * @param {{ actor: { type, id }, data?: object, input?: object, details?: string }} context
+ * @returns {Promise<object>} the updated request
+ */
+const transitionFlight = async (requestId, event, context) => {
+    const transition = FLIGHT_TRANSITIONS[event];
+    if (!transition) throw new Error(`Unknown flight event: ${event}`);
+
+    const { actor, data = {}, details } = context;
+    if (!transition.actors.includes(actor.type)) {
+        throw flightWorkflowError(`A ${actor.type.toLowerCase()} cannot ${event} a flight request`, 403);
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+        const request = await tx.flightBookingRequest.findUnique({ where: { id: requestId } });
+        if (!request || (actor.type === FLIGHT_ACTORS.USER && request.userId !== actor.id)) {
+            throw flightWorkflowError("Flight request not found", 404);
+        }
+
+        if (!transition.from.includes(request.status)) {
+            throw flightWorkflowError(`Cannot ${event} a request in ${request.status} state.`, 409);
+        }
+
+        const staffClaim = transition.claim && actor.type === FLIGHT_ACTORS.STAFF;
+        if (staffClaim && request.assignedStaffId && request.assignedStaffId !== actor.id) {
+            throw flightWorkflowError("This request is assigned to another staff member. Ask a super admin to reassign it.", 409);
+        }
+
+        const refusal = transition.guard?.(request, context);
+        if (refusal) throw flightWorkflowError(refusal);
+
+        // Conditional on the state (and owner) we read, so a concurrent transition or claim wins cleanly
+        const claimed = await tx.flightBookingRequest.updateMany({
+            where: { id: request.id, status: request.status, ...(staffClaim && { assignedStaffId: request.assignedStaffId }) },
+            data: {
+                ...data,
+                ...transition.changes?.(request, context),
+                ...(staffClaim && !request.assignedStaffId && { assignedStaffId: actor.id, assignedAt: new Date() }),
+                status: transition.to,
+                statusChangedAt: new Date()
+            }
+        });
+        if (!claimed?.count) {
+            throw flightWorkflowError("This request was just updated by someone else. Refresh and try again.", 409);
+        }
+
+        const outcome = await transition.effect?.(tx, request, context);
+
+        await tx.flightRequestActivity.create({
+            data: {
+                requestId: request.id,
+                ...activityActor(actor),
+                previousState: request.status,
+                newState: transition.to,
+                actionDetails: outcome?.details || details || `${event} (${actor.type.toLowerCase()})`
+            }
+        });
+
+        return tx.flightBookingRequest.findUnique({ where: { id: request.id } });
+    });
+
+    if (transition.after) {
+        Promise.resolve(transition.after(updated, context))
+            .catch(err => console.error(`Flight ${event} Follow-up Error (Non-blocking):`, err.message));
+    }
+
+    return updated;
+};
+
+/**
+ * Adds an activity row without changing the status (alerts, reminders).
+ */
+const noteFlightActivity = (client, request, { actor = SYSTEM_ACTOR, details }) =>
+    client.flightRequestActivity.create({
+        data: {
+            requestId: request.id,
+            ...activityActor(actor),
+            previousState: request.status,
+            newState: request.status,
+            actionDetails: details
+        }
+    });
+
+/**
+ * Creates a flight request in its first state: AWAITING_OPTIONS when departure
+ * is already inside the options window, otherwise FUTURE_HELD until the flight
+ * job unlocks it.
+ */
+const openFlightRequest = (userId, data) => prisma.$transaction(async (tx) => {
+    const status = isWithinOptionsWindow(data.targetDate) ? 'AWAITING_OPTIONS' : 'FUTURE_HELD';
+    const request = await tx.flightBookingRequest.create({ data: { ...data, userId, status } });
+
+    await tx.flightRequestActivity.create({
+        data: {
+            requestId: request.id,
+            userId,
+            previousState: 'NONE',
+            newState: status,
+            actionDetails: 'User submitted initial flight request'
+        }
+    });
+
+    return request;
+});
+
+module.exports = {
+    OPTIONS_WINDOW_DAYS,
+    PAYMENT_WINDOW_MINUTES,
+    FLIGHT_ACTORS,
+    SYSTEM_ACTOR,
+    FLIGHT_TRANSITIONS,
+    REFUNDABLE_STATES,
+    OPEN_CHANGE_STATES,
+    flightWorkflowError,
+    isFlightWorkflowError,
+    generateFlightRef,
+    isWithinOptionsWindow,
+    isPaymentWindowClosed,
+    lapseReason,
+    canTransition,
+    transitionFlight,
+    noteFlightActivity,
+    announceTicket,
+    openFlightRequest
+};
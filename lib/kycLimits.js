@@ -0,0 +1,145 @@
+const { Prisma } = require('@prisma/client');
+
+/**
+ * KYC Level Limits
+ * Every user-initiated wallet debit (purchases, transfers, flight payments,
+ * withdrawals) is checked here by the wallet ledger before it is applied, so no
+ * controller can skip it. Usage is read from the ledger: debits of those types
+ * since the start of the day/month, less refunds and reversals credited in the
+ * same period.
+ * Admin adjustments, reversals and provider corrections are never limited.
+ */
+
+// Naira. maxBalance null = no cap. dailyTransfer is a tighter cap on
+// wallet-to-wallet transfers within dailyDebit (see lib/transfers.js)
+const KYC_LEVEL_LIMITS = {
+    LEVEL_1: { dailyDebit: 50000, monthlyDebit: 300000, maxBalance: 300000, dailyTransfer: 20000 },
+    LEVEL_2: { dailyDebit: 200000, monthlyDebit: 2000000, maxBalance: 500000, dailyTransfer: 200000 },
+    LEVEL_3: { dailyDebit: 5000000, monthlyDebit: 50000000, maxBalance: null, dailyTransfer: 1000000 },
+    LEVEL_4: { dailyDebit: 25000000, monthlyDebit: 250000000, maxBalance: null, dailyTransfer: 2000000 }
+};
+
+const KYC_LEVELS = Object.keys(KYC_LEVEL_LIMITS);
+
+// Ledger entry types that spend the user's money
+const LIMITED_ENTRY_TYPES = ['PURCHASE', 'TRANSFER', 'FLIGHT_PAYMENT', 'WITHDRAWAL'];
+
+// Credits that give a limited debit back (failed purchases, refunded flights, reversals)
+const RETURNED_ENTRY_TYPES = ['REFUND', 'FLIGHT_REFUND', 'REVERSAL'];
+
+const KYC_LIMIT_ERROR = 'KYC_LIMIT_EXCEEDED';
+
+const limitsFor = (level) => KYC_LEVEL_LIMITS[level] || KYC_LEVEL_LIMITS.LEVEL_1;
+
+const levelRank = (level) => Math.max(0, KYC_LEVELS.indexOf(level));
+
+const startOfToday = () => new Date(new Date().setHours(0, 0, 0, 0));
+const startOfMonth = () => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+};
+
+const kycLimitError = (message) => {
+    const error = new Error(message);
+    error.code = KYC_LIMIT_ERROR;
+    error.status = 403;
+    return error;
+};
+
+const isKycLimitError = (error) => error?.code === KYC_LIMIT_ERROR;
+
+const formatNaira = (value) => `₦${Number(value).toLocaleString()}`;
+
+/**
+ * Net limited debits since `since` (debits of LIMITED_ENTRY_TYPES less credits
+ * of RETURNED_ENTRY_TYPES).
+ */
+const debitedSince = async (client, userId, since) => {
+    const totals = await client.walletLedgerEntry.groupBy({
+        by: ['direction'],
+        where: {
+            userId,
+            createdAt: { gte: since },
+            OR: [
+                { direction: 'DEBIT', entryType: { in: LIMITED_ENTRY_TYPES } },
+                { direction: 'CREDIT', entryType: { in: RETURNED_ENTRY_TYPES } }
+            ]
+        },
+        _sum: { amount: true }
+    }) || [];
+
+    const sumFor = (direction) => Number(totals.find(t => t.direction === direction)?._sum.amount || 0);
+    return Math.max(0, sumFor('DEBIT') - sumFor('CREDIT'));
+};
+
+/**
+ * Today's and this month's usage against the user's level.
+ */
+const getKycUsage = async (client, userId, level) => {
+    const limits = limitsFor(level);
+    const [today, month] = await Promise.all([
+        debitedSince(client, userId, startOfToday()),
+        debitedSince(client, userId, startOfMonth())
+    ]);
+
+    return {
+        level: KYC_LEVEL_LIMITS[level] ? level : 'LEVEL_1',
+        limits,
+        debitedToday: today,
+        debitedThisMonth: month,
+        remainingToday: Math.max(0, limits.dailyDebit - today),
+        remainingThisMonth: Math.max(0, limits.monthlyDebit - month)
+    };
+};
+
+/**
+ * Throws a KYC_LIMIT_EXCEEDED error (status 403) if debiting `amount` would
+ * break the user's daily or monthly cap. Call with the wallet locked
+ * (lockWallet in lib/walletLedger.js) so parallel debits cannot share a reading.
+ */
+const assertDebitWithinLimits = async (client, userId, amount) => {
+    const user = await client.user.findUnique({ where: { id: userId }, select: { kycLevel: true } });
+    const usage = await getKycUsage(client, userId, user?.kycLevel);
+    const value = new Prisma.Decimal(amount || 0);
+    const levelNo = levelRank(usage.level) + 1;
+
+    if (value.gt(usage.remainingToday)) {
+        throw kycLimitError(`This exceeds your daily limit of ${formatNaira(usage.limits.dailyDebit)} for KYC level ${levelNo}. Upgrade your KYC level to continue.`);
+    }
+    if (value.gt(usage.remainingThisMonth)) {
+        throw kycLimitError(`This exceeds your monthly limit of ${formatNaira(usage.limits.monthlyDebit)} for KYC level ${levelNo}. Upgrade your KYC level to continue.`);
+    }
+};
+
+/**
+ * Throws a KYC_LIMIT_EXCEEDED error if crediting `amount` would take the wallet
+ * over the user's balance cap. Used where a credit can still be refused
+ * (funding initialisation, incoming transfers); money already received through
+ * a reserved account is always credited.
+ * @param {string} [subject] who the message is about ("your" or "the recipient's")
+ */
+const assertBalanceWithinLimits = async (client, userId, amount, subject = 'your') => {
+    const user = await client.user.findUnique({
+        where: { id: userId },
+        select: { kycLevel: true, wallet: { select: { balance: true } } }
+    });
+    const { maxBalance } = limitsFor(user?.kycLevel);
+    if (maxBalance === null) return;
+
+    const balance = new Prisma.Decimal(user?.wallet?.balance || 0);
+    if (balance.plus(amount || 0).gt(maxBalance)) {
+        throw kycLimitError(`This would take ${subject} wallet over the ${formatNaira(maxBalance)} balance limit for KYC level ${levelRank(user?.kycLevel) + 1}.`);
+    }
+};
+
+module.exports = {
+    KYC_LEVEL_LIMITS,
+    KYC_LEVELS,
+    LIMITED_ENTRY_TYPES,
+    limitsFor,
+    levelRank,
+    isKycLimitError,
+    getKycUsage,
+    assertDebitWithinLimits,
+    assertBalanceWithinLimits
+};
@@ -38,4 +38,16 @@ const validateNetworkMatch = (network, phone) => {
     return prefixes.some(prefix => normalized.startsWith(prefix));
 };
 
-module.exports = { validateNetworkMatch, normalizePhoneNumber };
\ No newline at end of file
+/**
+ * Guesses the network from the number prefix (ported numbers will be wrong)
+ * @returns {string|null}
+ */
+const detectNetwork = (phone) => {
+    const normalized = normalizePhoneNumber(phone);
+    const match = Object.entries(NETWORK_PREFIXES)
+        .find(([, prefixes]) => prefixes.some(prefix => normalized.startsWith(prefix)));
+
+    return match ? match[0] : null;
+};
+
+module.exports = { validateNetworkMatch, normalizePhoneNumber, detectNetwork };
\ No newline at end of file
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const sendEmail = require('@/lib/mailer');
+const { generateOtpEmailTemplate } = require('@/lib/emailTemplates');
+
+/**
+ * Emailed One-Time Codes
+ * The forgot-password OTP mechanism (PasswordResetOTP) reused for other flows.
+ * Each code is stored under a purpose, so a login code can never reset a
+ * password or a PIN, and vice versa.
+ */
+
+const EMAIL_OTP_TTL_MINUTES = 10;
+const MAX_EMAIL_OTP_ATTEMPTS = 5;
+const RESEND_INTERVAL_SECONDS = 60;
+
+const LOGIN_COPY = {
+    subject: "Mufti Pay - Login Verification Code",
+    label: "login verification code",
+    heading: "Login Verification",
+    intro: "Someone signed in to your Mufti Pay account with your password. Enter the code below to finish signing in.",
+    notice: "If this was not you, change your password immediately and contact support."
+};
+
+const EMAIL_OTP_COPY = {
+    LOGIN_2FA: LOGIN_COPY,
+    STAFF_LOGIN_2FA: LOGIN_COPY,
+    PIN_RESET: {
+        subject: "Mufti Pay - Transaction PIN Reset Code",
+        label: "transaction PIN reset code",
+        heading: "Reset Your Transaction PIN",
+        intro: "We received a request to reset the transaction PIN on your Mufti Pay account. Use the code below to choose a new PIN.",
+        notice: "If you did not request this, someone may be signed in to your account. Change your password and sign out other sessions."
+    },
+    STAFF_PASSWORD_RESET: {
+        subject: "Mufti Pay Staff - Password Reset Code",
+        label: "staff password reset code",
+        heading: "Reset Your Staff Password",
+        intro: "We received a request to reset the password on your Mufti Pay back-office account. Use the code below to choose a new password.",
+        notice: "If you did not request this, ignore this email and tell your Super Admin."
+    }
+};
+
+/**
+ * True when a code for this email and purpose went out in the last minute,
+ * so "resend" cannot be used to flood an inbox.
+ */
+const wasOtpRecentlySent = async (client, { email, purpose }) => {
+    const recent = await client.passwordResetOTP.findFirst({
+        where: { email, purpose, createdAt: { gt: new Date(Date.now() - RESEND_INTERVAL_SECONDS * 1000) } },
+        select: { id: true }
+    });
+    return Boolean(recent);
+};
+
+/**
+ * Emails a 6-digit code. Only its bcrypt hash is stored.
+ */
+const sendEmailOtp = async (client, { email, fullName, purpose }) => {
+    const copy = EMAIL_OTP_COPY[purpose];
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const expiresAt = new Date(Date.now() + EMAIL_OTP_TTL_MINUTES * 60 * 1000);
+
+    await client.passwordResetOTP.create({
+        data: {
+            email,
+            otp: await bcrypt.hash(otp, 10),
+            purpose,
+            expiresAt
+        }
+    });
+
+    await sendEmail({
+        to: email,
+        subject: copy.subject,
+        text: `Your ${copy.label} is: ${otp}. It expires in ${EMAIL_OTP_TTL_MINUTES} minutes.`,
+        html: generateOtpEmailTemplate(otp, fullName || "Valued Customer", {
+            heading: copy.heading,
+            intro: copy.intro,
+            notice: copy.notice
+        })
+    });
+};
+
+/**
+ * Checks an emailed code with the same 5-attempt lock as verifyOtp. A code that
+ * matches is expired straight away so it cannot be replayed.
+ */
+const verifyEmailOtp = async (client, { email, purpose, otp }) => {
+    const record = await client.passwordResetOTP.findFirst({
+        where: { email, purpose, expiresAt: { gt: new Date() } },
+        orderBy: { createdAt: 'desc' }
+    });
+
+    if (!record || record.attempts >= MAX_EMAIL_OTP_ATTEMPTS) return false;
+
+    if (!(await bcrypt.compare(String(otp), record.otp))) {
+        await client.passwordResetOTP.update({
+            where: { id: record.id },
+            data: { attempts: { increment: 1 } }
+        });
+        return false;
+    }
+
+    await client.passwordResetOTP.update({
+        where: { id: record.id },
+        data: { expiresAt: new Date() }
+    });
+    return true;
+};
+
+module.exports = {
+    EMAIL_OTP_TTL_MINUTES,
+    wasOtpRecentlySent,
+    sendEmailOtp,
+    verifyEmailOtp
+};
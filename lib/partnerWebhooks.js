@@ -0,0 +1,245 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const prisma = require('@/lib/prisma');
+const { decrypt } = require('@/lib/crypto');
+
+/**
+ * Outbound Partner Webhooks
+ * Users register a callback URL + secret and receive signed POSTs when their
+ * transactions settle, their wallet is funded or a flight is ticketed.
+ *
+ * Events are written to WebhookDelivery (inside the caller's DB transaction when
+ * there is one) and sent by jobs/webhookDeliveryJob.js, so an event is never lost
+ * to a crash and never sent for a change that was rolled back. Failed sends are
+ * retried with exponential backoff.
+ *
+ * Signature: X-MuftiPay-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ */
+
+const WEBHOOK_EVENTS = ['transaction.updated', 'wallet.funded', 'flight.ticketed'];
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+// A claimed delivery is hidden from other workers for this long
+const CLAIM_MS = 2 * 60 * 1000;
+
+const webhookClient = axios.create({
+    timeout: 10000,
+    maxRedirects: 0,
+    validateStatus: () => true,
+    headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MuftiPay-Webhooks/1.0'
+    }
+});
+
+const FINAL_STATUSES = ['SUCCESS', 'FAILED', 'REVERSED'];
+
+/**
+ * 1m, 2m, 4m ... capped at 6h. `attempts` is the number of attempts made so far.
+ */
+const retryDelayMs = (attempts) => Math.min(BASE_RETRY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_MS);
+
+const signPayload = (secret, timestamp, body) =>
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Queue an event for every active endpoint of the user subscribed to it.
+ * Pass the interactive transaction client (`tx`) to queue atomically with the change.
+ * @returns {Promise<string[]>} delivery IDs
+ */
+const queueWebhookEvent = async (db, userId, event, data) => {
+    const endpoints = await db.webhookEndpoint.findMany({
+        where: { userId, isActive: true, events: { has: event } },
+        select: { id: true }
+    });
+
+    if (!endpoints || endpoints.length === 0) return [];
+
+    const payload = {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        data
+    };
+
+    const now = new Date();
+    const rows = endpoints.map(endpoint => ({
+        id: crypto.randomUUID(),
+        endpointId: endpoint.id,
+        event,
+        payload,
+        nextAttemptAt: now
+    }));
+
+    await db.webhookDelivery.createMany({ data: rows });
+    return rows.map(row => row.id);
+};
+
+const serializeTransaction = (txn) => {
+    const metadata = txn.metadata && typeof txn.metadata === 'object' ? txn.metadata : {};
+    return {
+        reference: txn.reference,
+        type: txn.type,
+        status: txn.status,
+        amount: Number(txn.amount),
+        providerReference: txn.providerReference || null,
+        ...(metadata.token && { token: metadata.token }),
+        ...(metadata.cardDetails && { cardDetails: metadata.cardDetails }),
+        updatedAt: txn.updatedAt
+    };
+};
+
+/**
+ * Notify the owner of a transaction that it reached a final status.
+ * Call after the status change has been committed. Never throws.
+ */
+const notifyTransactionUpdate = async (transactionId) => {
+    try {
+        const txn = await prisma.transaction.findUnique({
+            where: { id: transactionId },
+            select: {
+                userId: true, reference: true, type: true, status: true, amount: true,
+                providerReference: true, metadata: true, updatedAt: true
+            }
+        });
+
+        if (!txn || !FINAL_STATUSES.includes(txn.status)) return;
+
+        const ids = await queueWebhookEvent(prisma, txn.userId, 'transaction.updated', serializeTransaction(txn));
+        dispatchNow(ids);
+    } catch (error) {
+        console.error("[Partner Webhooks] Queue Error:", error.message);
+    }
+};
+
+/**
+ * Send one delivery attempt and record the outcome.
+ * @returns {Promise<object|null>} the updated delivery, or null if another worker has it
+ */
+const attemptDelivery = async (deliveryId) => {
+    const now = new Date();
+
+    // Claim it so a concurrent run doesn't send the same delivery twice
+    const claimed = await prisma.webhookDelivery.updateMany({
+        where: { id: deliveryId, status: 'PENDING', nextAttemptAt: { lte: now } },
+        data: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) }
+    });
+    if (claimed.count === 0) return null;
+
+    const delivery = await prisma.webhookDelivery.findUnique({
+        where: { id: deliveryId },
+        include: { endpoint: { select: { url: true, secretEncrypted: true, isActive: true } } }
+    });
+
+    const attempts = delivery.attempts + 1;
+    let statusCode = null;
+    let error = null;
+    let responseText = null;
+
+    if (!delivery.endpoint.isActive) {
+        error = 'Endpoint disabled';
+    } else {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(now.getTime() / 1000);
+        const signature = signPayload(decrypt(delivery.endpoint.secretEncrypted), timestamp, body);
+
+        try {
+            const response = await webhookClient.post(delivery.endpoint.url, body, {
+                headers: {
+                    'X-MuftiPay-Event': delivery.event,
+                    'X-MuftiPay-Delivery': delivery.id,
+                    'X-MuftiPay-Signature': `t=${timestamp},v1=${signature}`
+                },
+                transformRequest: [(payload) => payload]
+            });
+            statusCode = response.status;
+            responseText = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '');
+            if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+        } catch (err) {
+            error = err.code || err.message;
+        }
+    }
+
+    const succeeded = !error;
+    const givenUp = !succeeded && (attempts >= MAX_ATTEMPTS || !delivery.endpoint.isActive);
+
+    return prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: {
+            attempts,
+            status: succeeded ? 'SUCCEEDED' : (givenUp ? 'FAILED' : 'PENDING'),
+            lastAttemptAt: now,
+            lastStatusCode: statusCode,
+            lastError: error,
+            lastResponse: responseText ? responseText.slice(0, 500) : null,
+            deliveredAt: succeeded ? now : null,
+            nextAttemptAt: succeeded || givenUp ? now : new Date(now.getTime() + retryDelayMs(attempts))
+        }
+    });
+};
+
+/**
+ * Send everything that is due. Used by the delivery job.
+ */
+const processDueDeliveries = async (limit = 50) => {
+    const due = await prisma.webhookDelivery.findMany({
+        where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+        orderBy: { nextAttemptAt: 'asc' },
+        select: { id: true },
+        take: limit
+    });
+
+    let sent = 0;
+    for (const { id } of due) {
+        try {
+            const result = await attemptDelivery(id);
+            if (result?.status === 'SUCCEEDED') sent++;
+        } catch (error) {
+            console.error(`[Partner Webhooks] Delivery ${id} Error:`, error.message);
+        }
+    }
+
+    return { processed: due.length, sent };
+};
+
+// First attempt right away for events queued outside a DB transaction
+const dispatchNow = (ids) => {
+    for (const id of ids) {
+        attemptDelivery(id).catch(err => console.error(`[Partner Webhooks] Delivery ${id} Error:`, err.message));
+    }
+};
+
+/**
+ * Re-send an old delivery as a new one (the original stays in the log untouched).
+ */
+const redeliver = async (delivery) => {
+    const copy = await prisma.webhookDelivery.create({
+        data: {
+            endpointId: delivery.endpointId,
+            event: delivery.event,
+            payload: delivery.payload,
+            nextAttemptAt: new Date(),
+            redeliveryOfId: delivery.id
+        }
+    });
+
+    return attemptDelivery(copy.id);
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    MAX_ATTEMPTS,
+    retryDelayMs,
+    signPayload,
+    generateWebhookSecret,
+    queueWebhookEvent,
+    notifyTransactionUpdate,
+    attemptDelivery,
+    processDueDeliveries,
+    dispatchNow,
+    redeliver
+};
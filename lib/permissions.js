@@ -0,0 +1,72 @@
+/**
+ * Staff Permissions
+ * What a staff member may do is the preset of their StaffRole, plus the
+ * permissions of an optional custom Role, plus per-staff grants, minus per-staff
+ * revocations. SUPER_ADMIN always has everything. Routes check permissions with
+ * requirePermission (middleware/authMiddleware.js), never roles.
+ */
+
+const PERMISSIONS = {
+    'flights:handle': 'Work the flight request queue: options, ticketing, cancellations and templates',
+    'flights:quote': 'Quote prices on flight requests',
+    'flights:refund': 'Refund flight payments to the user\'s wallet',
+    'flights:assign': 'Reassign flight requests between staff and view agent performance',
+    'plans:edit': 'Sync, edit, reorder and remove data plans',
+    'pricing:edit': 'Manage tier pricing, referral commission rules, cashback campaigns and flight refund policies',
+    'providers:manage': 'Change VTU provider routing and failover',
+    'analytics:read': 'View analytics dashboards and provider wallet balances',
+    'ledger:read': 'View wallet ledgers, reconciliation and flight transactions',
+    'users:manage': 'Review KYC submissions and raise user KYC levels',
+    'reversals:propose': 'Propose reversals and manual wallet adjustments',
+    'reversals:approve': 'Approve or reject proposed wallet adjustments',
+    'staff:manage': 'Create, deactivate and reset staff accounts and manage their roles and permissions'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Managing staff and reassigning their flight work stay with SUPER_ADMIN; they can never be handed out through a role or grant
+const RESERVED_PERMISSIONS = ['staff:manage', 'flights:assign'];
+const ASSIGNABLE_PERMISSIONS = ALL_PERMISSIONS.filter(permission => !RESERVED_PERMISSIONS.includes(permission));
+
+const ROLE_PRESETS = {
+    SUPER_ADMIN: ALL_PERMISSIONS,
+    TICKETING_OFFICER: ['flights:handle', 'flights:quote', 'flights:refund'],
+    STAFF: [] // Everything comes from the custom role and grants
+};
+
+/**
+ * Effective permissions of a staff record.
+ * @param {object} staff role, grantedPermissions, revokedPermissions and customRole.permissions
+ * @returns {string[]}
+ */
+const staffPermissions = (staff) => {
+    if (staff.role === 'SUPER_ADMIN') return [...ALL_PERMISSIONS];
+
+    const revoked = new Set(staff.revokedPermissions || []);
+    const granted = new Set([
+        ...(ROLE_PRESETS[staff.role] || []),
+        ...(staff.customRole?.permissions || []),
+        ...(staff.grantedPermissions || [])
+    ]);
+
+    return ALL_PERMISSIONS.filter(permission =>
+        granted.has(permission) && !revoked.has(permission) && !RESERVED_PERMISSIONS.includes(permission)
+    );
+};
+
+// Staff fields staffPermissions needs, for Prisma selects
+const STAFF_ACCESS_SELECT = {
+    role: true,
+    grantedPermissions: true,
+    revokedPermissions: true,
+    customRole: { select: { id: true, name: true, permissions: true } }
+};
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    ASSIGNABLE_PERMISSIONS,
+    ROLE_PRESETS,
+    STAFF_ACCESS_SELECT,
+    staffPermissions
+};
@@ -0,0 +1,78 @@
+const prisma = require('@/lib/prisma');
+
+/**
+ * Pricing Rules Engine
+ * Resolves what a given user pays for a product. Rules match a service and a
+ * product code (or "*" for the whole service) and target either one user or a
+ * whole tier. The most specific active rule wins; rules never stack:
+ *   user + product > user + "*" > tier + product > tier + "*"
+ * The result never drops below our cost when the cost is known.
+ */
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * All active rules that could apply to this user for a service (one query per request).
+ */
+const loadPricingRules = async (service, user) => {
+    if (!user || !user.id || user.isStaff) return [];
+
+    const targets = [{ userId: user.id }];
+    if (user.tier) targets.push({ userId: null, tier: user.tier });
+
+    const rules = await prisma.pricingRule.findMany({
+        where: { service, isActive: true, OR: targets },
+        select: { id: true, productCode: true, userId: true, tier: true, type: true, value: true }
+    });
+
+    return rules || [];
+};
+
+const specificity = (rule, productCode) =>
+    (rule.userId ? 2 : 0) + (rule.productCode === productCode ? 1 : 0);
+
+/**
+ * Applies the best matching rule to a retail price.
+ * @param {Array} rules - from loadPricingRules
+ * @param {{ productCode: string, basePrice: number, costPrice?: number }} product
+ * @returns {{ price: number, basePrice: number, discount: number, ruleId: string|null }}
+ */
+const applyPricing = (rules, { productCode, basePrice, costPrice }) => {
+    const base = round2(basePrice);
+    const code = String(productCode);
+    const retail = { price: base, basePrice: base, discount: 0, ruleId: null };
+
+    const rule = rules
+        .filter(r => r.productCode === '*' || r.productCode === code)
+        .sort((a, b) => specificity(b, code) - specificity(a, code))[0];
+
+    if (!rule) return retail;
+
+    const value = Number(rule.value);
+    let price;
+    if (rule.type === 'FIXED_PRICE') price = value;
+    else if (rule.type === 'PERCENT_DISCOUNT') price = base * (1 - value / 100);
+    else price = base - value;
+
+    price = round2(price);
+
+    // Never sell below cost; a rule that would price at zero or less is ignored
+    if (costPrice !== undefined && costPrice !== null && Number.isFinite(Number(costPrice))) {
+        price = Math.max(price, round2(costPrice));
+    }
+    if (!(price > 0)) return retail;
+
+    return { price, basePrice: base, discount: round2(base - price), ruleId: rule.id };
+};
+
+/**
+ * Price for a single purchase.
+ * @param {string} service - TransactionType
+ * @param {{ id: string, tier?: string }} user - req.user
+ */
+const resolvePrice = async (service, user, product) => {
+    const rules = await loadPricingRules(service, user);
+    return applyPricing(rules, product);
+};
+
+module.exports = { loadPricingRules, applyPricing, resolvePrice };
@@ -0,0 +1,264 @@
+const prisma = require('@/lib/prisma');
+const { Prisma, TransactionStatus } = require('@prisma/client');
+const { generateRef, generateReferralCode } = require('@/lib/crypto');
+const { creditWallet, debitWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+
+/**
+ * Referral Commissions
+ * A referee's successful purchase earns their referrer a commission per the
+ * service's ReferralCommissionRule. It is HELD for a holding period (so
+ * reversed purchases can be cancelled first), then credited to the referrer's
+ * Wallet.bonusBalance. Lifetime earnings per referee are capped. A purchase
+ * reversed or refunded after that takes its commission back
+ * (see clawBackReferralCommission).
+ *
+ * REFERRAL_HOLD_DAYS        days before a commission is credited (default 7)
+ * REFERRAL_MAX_PER_REFEREE  most a referrer can earn from one referee (default ₦10,000)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const holdDays = () => Number(process.env.REFERRAL_HOLD_DAYS ?? 7);
+const maxPerReferee = () => Number(process.env.REFERRAL_MAX_PER_REFEREE ?? 10000);
+
+const toDecimal = (value) => new Prisma.Decimal(value || 0);
+
+/**
+ * Commission on one purchase under a rule, before the per-referee cap.
+ */
+const computeCommission = (rule, amount) => {
+    const paid = toDecimal(amount);
+    if (rule.minTransactionAmount && paid.lt(rule.minTransactionAmount)) return toDecimal(0);
+
+    const commission = paid.times(rule.ratePercent).dividedBy(100).toDecimalPlaces(2, Prisma.Decimal.ROUND_DOWN);
+    return rule.maxPerTransaction && commission.gt(rule.maxPerTransaction)
+        ? toDecimal(rule.maxPerTransaction)
+        : commission;
+};
+
+/**
+ * Users registered before the program have no code; give them one on first use.
+ */
+const ensureReferralCode = async (user) => {
+    if (user.referralCode) return user.referralCode;
+
+    const updated = await prisma.user.update({
+        where: { id: user.id },
+        data: { referralCode: generateReferralCode() },
+        select: { referralCode: true }
+    });
+    return updated.referralCode;
+};
+
+/**
+ * Creates a commission record for every successful referee purchase that has
+ * none yet. Purchases that earn nothing get a CANCELLED record so they are not
+ * looked at again.
+ */
+const accrueReferralCommissions = async (limit = 200) => {
+    const rules = await prisma.referralCommissionRule.findMany({ where: { isActive: true } });
+    if (rules.length === 0) return 0;
+
+    const ruleByService = new Map(rules.map(rule => [rule.service, rule]));
+
+    const transactions = await prisma.transaction.findMany({
+        where: {
+            status: TransactionStatus.SUCCESS,
+            referralCommission: { is: null },
+            user: { referredById: { not: null } },
+            OR: rules.map(rule => ({ type: rule.service, createdAt: { gte: rule.activeSince } }))
+        },
+        select: { id: true, userId: true, type: true, amount: true, createdAt: true, user: { select: { referredById: true } } },
+        orderBy: { createdAt: 'asc' },
+        take: limit
+    });
+
+    let accrued = 0;
+    for (const txn of transactions) {
+        const referrerId = txn.user.referredById;
+        let amount = computeCommission(ruleByService.get(txn.type), txn.amount);
+        let cancelReason = amount.isZero() ? 'No commission for this purchase' : null;
+
+        if (!cancelReason) {
+            const earned = await prisma.referralCommission.aggregate({
+                where: { referrerId, refereeId: txn.userId, status: { notIn: ['CANCELLED', 'CLAWED_BACK'] } },
+                _sum: { amount: true }
+            });
+            const remaining = toDecimal(maxPerReferee()).minus(toDecimal(earned._sum.amount));
+
+            if (remaining.lte(0)) cancelReason = 'Referral earnings cap reached';
+            else if (amount.gt(remaining)) amount = remaining;
+        }
+
+        try {
+            await prisma.referralCommission.create({
+                data: {
+                    referrerId,
+                    refereeId: txn.userId,
+                    transactionId: txn.id,
+                    service: txn.type,
+                    transactionAmount: txn.amount,
+                    amount: cancelReason ? 0 : amount,
+                    status: cancelReason ? 'CANCELLED' : 'HELD',
+                    cancelReason,
+                    availableAt: new Date(new Date(txn.createdAt).getTime() + holdDays() * DAY_MS)
+                }
+            });
+            if (!cancelReason) accrued++;
+        } catch (error) {
+            // Unique transactionId: another run already recorded it
+            if (error.code !== 'P2002') throw error;
+        }
+    }
+
+    return accrued;
+};
+
+/**
+ * Credits commissions whose holding period is over, or cancels them if the
+ * purchase was reversed in the meantime. The purchase row is locked while it
+ * is checked, so a reversal either lands first (and the commission is
+ * cancelled) or waits and claws back what was credited.
+ */
+const releaseReferralCommissions = async (limit = 200) => {
+    const due = await prisma.referralCommission.findMany({
+        where: { status: 'HELD', availableAt: { lte: new Date() } },
+        select: { id: true, referrerId: true, transactionId: true, amount: true },
+        orderBy: { availableAt: 'asc' },
+        take: limit
+    });
+
+    let credited = 0;
+    for (const commission of due) {
+        try {
+            const done = await prisma.$transaction(async (tx) => {
+                const [purchase] = await tx.$queryRaw`SELECT "status" FROM "Transaction" WHERE "id" = ${commission.transactionId} FOR UPDATE`;
+
+                if (purchase.status !== TransactionStatus.SUCCESS) {
+                    await tx.referralCommission.updateMany({
+                        where: { id: commission.id, status: 'HELD' },
+                        data: { status: 'CANCELLED', cancelReason: `Purchase ${purchase.status.toLowerCase()} during the holding period` }
+                    });
+                    return false;
+                }
+
+                const claimed = await tx.referralCommission.updateMany({
+                    where: { id: commission.id, status: 'HELD' },
+                    data: { status: 'CREDITED', creditedAt: new Date() }
+                });
+                if (claimed.count === 0) return false;
+
+                await tx.wallet.update({
+                    where: { userId: commission.referrerId },
+                    data: { bonusBalance: { increment: commission.amount } }
+                });
+                return true;
+            });
+            if (done) credited++;
+        } catch (error) {
+            console.error(`[Referral] Credit ${commission.id} Error:`, error.message);
+        }
+    }
+
+    return credited;
+};
+
+/**
+ * Takes back the referrer's commission on a purchase that is being reversed or
+ * refunded. Call inside the refund's database transaction, after the purchase
+ * status has changed. A HELD commission is cancelled; a CREDITED one comes out
+ * of the referrer's bonusBalance first, then out of their balance through the
+ * ledger for any part already transferred (this may overdraw).
+ * @param {{ id: string, reference: string }} transaction - the purchase
+ * @returns {Promise<number>} the commission clawed back (0 if none was credited)
+ */
+const clawBackReferralCommission = async (tx, transaction) => {
+    const commission = await tx.referralCommission.findUnique({
+        where: { transactionId: transaction.id },
+        select: { id: true, referrerId: true, amount: true, status: true }
+    });
+    if (!commission) return 0;
+
+    if (commission.status === 'HELD') {
+        await tx.referralCommission.updateMany({
+            where: { id: commission.id, status: 'HELD' },
+            data: { status: 'CANCELLED', cancelReason: 'Purchase reversed during the holding period' }
+        });
+        return 0;
+    }
+    if (commission.status !== 'CREDITED') return 0;
+
+    const claimed = await tx.referralCommission.updateMany({
+        where: { id: commission.id, status: 'CREDITED' },
+        data: { status: 'CLAWED_BACK' }
+    });
+    if (claimed.count === 0) return 0;
+
+    const amount = toDecimal(commission.amount);
+    const wallet = await tx.wallet.findUnique({ where: { userId: commission.referrerId }, select: { bonusBalance: true } });
+    let fromBonus = Prisma.Decimal.min(amount, toDecimal(wallet?.bonusBalance));
+
+    if (fromBonus.gt(0)) {
+        const taken = await tx.wallet.updateMany({
+            where: { userId: commission.referrerId, bonusBalance: { gte: fromBonus } },
+            data: { bonusBalance: { decrement: fromBonus } }
+        });
+        // Moved to the main balance since we read it
+        if (taken.count === 0) fromBonus = toDecimal(0);
+    }
+
+    const rest = amount.minus(fromBonus);
+    if (rest.gt(0)) {
+        await debitWallet(tx, {
+            userId: commission.referrerId,
+            amount: rest,
+            trackSpend: false,
+            allowOverdraft: true,
+            entryType: 'REVERSAL',
+            counterAccount: LEDGER_ACCOUNTS.BONUS,
+            reference: transaction.reference,
+            description: 'Referral commission clawed back: purchase reversed'
+        });
+    }
+
+    return Number(amount);
+};
+
+/**
+ * Moves bonusBalance into the spendable balance (all of it unless `amount` is given).
+ * The credit is journaled like any other wallet movement.
+ */
+const transferBonusToBalance = async (userId, amount) => prisma.$transaction(async (tx) => {
+    const wallet = await tx.wallet.findUnique({ where: { userId }, select: { bonusBalance: true } });
+    if (!wallet) throw new Error("Wallet not found");
+
+    const value = amount ? toDecimal(amount) : toDecimal(wallet.bonusBalance);
+    if (value.lte(0)) throw new Error("No bonus balance to transfer");
+
+    const moved = await tx.wallet.updateMany({
+        where: { userId, bonusBalance: { gte: value } },
+        data: { bonusBalance: { decrement: value } }
+    });
+    if (moved.count === 0) throw new Error("Insufficient bonus balance");
+
+    const reference = generateRef("BON");
+    const credited = await creditWallet(tx, {
+        userId,
+        amount: value,
+        entryType: 'BONUS_TRANSFER',
+        counterAccount: LEDGER_ACCOUNTS.BONUS,
+        reference,
+        description: 'Referral bonus moved to wallet'
+    });
+
+    return { reference, amount: Number(value), balance: Number(credited.balance) };
+});
+
+module.exports = {
+    computeCommission,
+    ensureReferralCode,
+    accrueReferralCommissions,
+    releaseReferralCommissions,
+    clawBackReferralCommission,
+    transferBonusToBalance
+};
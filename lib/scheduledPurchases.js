@@ -0,0 +1,187 @@
+const prisma = require('@/lib/prisma');
+const sendEmail = require('@/lib/mailer');
+const { purchaseAirtime } = require('@/api/v1/transactions/airtimeController');
+const { purchaseData } = require('@/api/v1/transactions/dataController');
+const { purchaseSubscription } = require('@/api/v1/transactions/cableController');
+
+/**
+ * Scheduled / Recurring Purchases
+ * A due schedule is bought through the same handler as the matching API call
+ * (pricing, dedup, ledger, provider failover and refunds all apply). The PIN
+ * is checked when the schedule is created, not on every run.
+ */
+
+const SCHEDULE_HANDLERS = {
+    AIRTIME: purchaseAirtime,
+    DATA: purchaseData,
+    CABLE_TV: purchaseSubscription
+};
+
+const SCHEDULABLE_TYPES = Object.keys(SCHEDULE_HANDLERS);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthlyRunAt = (start, monthsAfter) => {
+    const firstOfMonth = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + monthsAfter, 1));
+    const lastDay = new Date(Date.UTC(firstOfMonth.getUTCFullYear(), firstOfMonth.getUTCMonth() + 1, 0)).getUTCDate();
+
+    return new Date(Date.UTC(
+        firstOfMonth.getUTCFullYear(),
+        firstOfMonth.getUTCMonth(),
+        Math.min(start.getUTCDate(), lastDay),
+        start.getUTCHours(),
+        start.getUTCMinutes()
+    ));
+};
+
+/**
+ * First run strictly after `after`, or null once the schedule has ended.
+ * Runs missed while the server was down are skipped, not bought in a burst.
+ */
+const computeNextRunAt = (schedule, after = new Date()) => {
+    const start = new Date(schedule.startAt);
+    let next;
+
+    if (start > after) {
+        next = start;
+    } else if (schedule.frequency === 'MONTHLY') {
+        const months = (after.getUTCFullYear() - start.getUTCFullYear()) * 12 + (after.getUTCMonth() - start.getUTCMonth());
+        next = monthlyRunAt(start, months);
+        if (next <= after) next = monthlyRunAt(start, months + 1);
+    } else {
+        const step = schedule.frequency === 'WEEKLY' ? 7 * DAY_MS : DAY_MS;
+        next = new Date(start.getTime() + (Math.floor((after - start) / step) + 1) * step);
+    }
+
+    if (schedule.endsAt && next > new Date(schedule.endsAt)) return null;
+    return next;
+};
+
+const describeSchedule = (schedule) => {
+    const details = schedule.details || {};
+    return schedule.label || `${schedule.type.replace('_', ' ').toLowerCase()} for ${details.phoneNumber || details.smartCardNo}`;
+};
+
+const notifySkippedRun = async (user, schedule, dueAt, reason) => {
+    const name = user.fullName || 'there';
+    const what = describeSchedule(schedule);
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Scheduled purchase skipped',
+        text: `Hi ${name}, your scheduled purchase "${what}" due ${dueAt.toUTCString()} was skipped: ${reason}. Fund your wallet so the next one goes through.`,
+        html: `<p>Hi ${name},</p><p>Your scheduled purchase <strong>${what}</strong> due ${dueAt.toUTCString()} was skipped: ${reason}.</p><p>Fund your wallet so the next one goes through.</p>`
+    });
+};
+
+// Enough of an Express response for a purchase handler to write its result into
+const captureResponse = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+const RUN_STATUS_BY_HTTP = {
+    200: 'SUCCESS',
+    202: 'PENDING',
+    402: 'SKIPPED', // Insufficient wallet balance
+    409: 'SKIPPED' // This due date was already bought
+};
+
+/**
+ * Buy one due run of a schedule and record it.
+ */
+const runScheduledPurchase = async (schedule, dueAt) => {
+    const user = await prisma.user.findUnique({
+        where: { id: schedule.userId },
+        select: { id: true, email: true, fullName: true, tier: true, isKycVerified: true }
+    });
+    if (!user) return null;
+
+    const req = {
+        user: { id: user.id, email: user.email, tier: user.tier, isKycVerified: user.isKycVerified, isStaff: false },
+        body: { ...schedule.details },
+        // One key per due date, so a retried run can never buy twice
+        headers: { 'x-idempotency-key': `sched_${schedule.id}_${dueAt.getTime()}` },
+        scheduledPurchase: schedule.id
+    };
+    const res = captureResponse();
+
+    try {
+        await SCHEDULE_HANDLERS[schedule.type](req, res);
+    } catch (error) {
+        res.status(500).json({ status: "ERROR", message: error.message });
+    }
+
+    const status = RUN_STATUS_BY_HTTP[res.statusCode] || 'FAILED';
+    const message = res.body?.message || null;
+
+    const run = await prisma.scheduledPurchaseRun.create({
+        data: {
+            scheduledPurchaseId: schedule.id,
+            dueAt,
+            status,
+            reference: res.body?.transactionId || null,
+            message: message && message.slice(0, 255)
+        }
+    });
+
+    if (res.statusCode === 402) {
+        notifySkippedRun(user, schedule, dueAt, message)
+            .catch(err => console.error(`[Scheduled Purchase] Notify ${schedule.id} Error:`, err.message));
+    }
+
+    return run;
+};
+
+/**
+ * Runs every schedule that is due. Each one is claimed by moving nextRunAt
+ * forward first, so overlapping ticks or instances never run it twice.
+ */
+const processDueSchedules = async (limit = 20) => {
+    const now = new Date();
+    const due = await prisma.scheduledPurchase.findMany({
+        where: { isActive: true, nextRunAt: { lte: now } },
+        orderBy: { nextRunAt: 'asc' },
+        take: limit
+    });
+
+    let ran = 0;
+    for (const schedule of due) {
+        const nextRunAt = computeNextRunAt(schedule, now);
+
+        const claimed = await prisma.scheduledPurchase.updateMany({
+            where: { id: schedule.id, isActive: true, nextRunAt: schedule.nextRunAt },
+            data: {
+                nextRunAt,
+                isActive: nextRunAt !== null,
+                lastRunAt: now,
+                runCount: { increment: 1 }
+            }
+        });
+        if (claimed.count === 0) continue;
+
+        try {
+            await runScheduledPurchase(schedule, schedule.nextRunAt);
+            ran++;
+        } catch (error) {
+            console.error(`[Scheduled Purchase] ${schedule.id} Error:`, error.message);
+        }
+    }
+
+    return ran;
+};
+
+module.exports = {
+    SCHEDULABLE_TYPES,
+    computeNextRunAt,
+    runScheduledPurchase,
+    processDueSchedules
+};
@@ -0,0 +1,41 @@
+const prisma = require('@/lib/prisma');
+
+/**
+ * Staff Account History
+ * Every lifecycle event on a staff account (creation, logins, password resets,
+ * deactivation, role and permission changes) is written to StaffActionLog with
+ * the staff member who did it, so access can be audited later.
+ */
+
+/**
+ * Returns the Prisma query, so it can run inside a $transaction([...]).
+ * @param {object} entry { staffId, actorId?, action, details?, ipAddress? }
+ */
+const logStaffAction = (client, { staffId, actorId = null, action, details, ipAddress = null }) =>
+    client.staffActionLog.create({
+        data: { staffId, actorId, action, details, ipAddress }
+    });
+
+/**
+ * Stamps the last login and records it in the history.
+ */
+const recordStaffLogin = (staffId, ipAddress = null) => prisma.$transaction([
+    prisma.staff.update({
+        where: { id: staffId },
+        data: { lastLoginAt: new Date(), lastLoginIp: ipAddress }
+    }),
+    logStaffAction(prisma, { staffId, action: 'LOGIN', ipAddress })
+]);
+
+/**
+ * True for a staff token issued before the account's sessions were revoked.
+ * JWT iat is in seconds, so a token from the same second still counts.
+ */
+const isStaffTokenRevoked = (decoded, staff) =>
+    Boolean(staff.sessionsRevokedAt) && decoded.iat < Math.floor(new Date(staff.sessionsRevokedAt).getTime() / 1000);
+
+module.exports = {
+    logStaffAction,
+    recordStaffLogin,
+    isStaffTokenRevoked
+};
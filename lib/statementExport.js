@@ -0,0 +1,146 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Statement Export Helpers
+ * Render a statement built by userController.getStatement as CSV or PDF.
+ * PDF is drawn locally with pdfkit; no external rendering service is involved.
+ */
+
+// Standard PDF fonts have no Naira glyph, so amounts are prefixed with NGN.
+const formatAmount = (value) => value === null || value === undefined || value === ''
+    ? ''
+    : Number(value).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDateTime = (date) => new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const csvCell = (value) => {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const statementFileName = (statement, extension) =>
+    `statement_${formatDay(statement.period.from)}_${formatDay(statement.period.to)}.${extension}`;
+
+/**
+ * CSV: one row per movement, bracketed by opening and closing balance rows.
+ */
+const toStatementCsv = (statement) => {
+    const header = ['Date', 'Reference', 'Description', 'Type', 'Debit', 'Credit', 'Balance'];
+    const rows = [
+        [formatDateTime(statement.period.from), '', 'Opening Balance', '', '', '', statement.openingBalance],
+        ...statement.lines.map(line => [
+            formatDateTime(line.date),
+            line.reference,
+            line.description,
+            line.type,
+            line.debit || '',
+            line.credit || '',
+            line.balance
+        ]),
+        [formatDateTime(statement.period.to), '', 'Closing Balance', '', '', '', statement.closingBalance]
+    ];
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+const TABLE_COLUMNS = [
+    { label: 'Date', key: 'date', width: 82 },
+    { label: 'Reference', key: 'reference', width: 88 },
+    { label: 'Description', key: 'description', width: 150 },
+    { label: 'Debit', key: 'debit', width: 65, align: 'right' },
+    { label: 'Credit', key: 'credit', width: 65, align: 'right' },
+    { label: 'Balance', key: 'balance', width: 65, align: 'right' }
+];
+
+const drawTableRow = (doc, values, { bold = false } = {}) => {
+    const startX = doc.page.margins.left;
+    const y = doc.y;
+    let x = startX;
+    let rowHeight = 0;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    TABLE_COLUMNS.forEach((col) => {
+        const text = String(values[col.key] ?? '');
+        const height = doc.heightOfString(text, { width: col.width - 4 });
+        rowHeight = Math.max(rowHeight, height);
+        doc.text(text, x + 2, y, { width: col.width - 4, align: col.align || 'left' });
+        x += col.width;
+    });
+
+    doc.x = startX;
+    doc.y = y + rowHeight + 4;
+    doc.moveTo(startX, doc.y - 2).lineTo(x, doc.y - 2).strokeColor('#e2e8f0').lineWidth(0.5).stroke();
+};
+
+const tableHeaderValues = Object.fromEntries(TABLE_COLUMNS.map(col => [col.key, col.label]));
+
+/**
+ * PDF: streams a bank-style statement (summary block + movement table) into `stream`.
+ */
+const writeStatementPdf = (statement, stream) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+    doc.pipe(stream);
+
+    const { account, period } = statement;
+
+    doc.font('Helvetica-Bold').fontSize(18).text('MUFTI PAY');
+    doc.font('Helvetica').fontSize(11).fillColor('#64748b').text('Wallet Account Statement');
+    doc.moveDown();
+
+    doc.fillColor('#0f172a').fontSize(9);
+    doc.text(`Account Holder: ${account.fullName || '-'}`);
+    doc.text(`Email: ${account.email}`);
+    doc.text(`Phone: ${account.phoneNumber}`);
+    doc.text(`Period: ${formatDay(period.from)} to ${formatDay(period.to)}`);
+    doc.text(`Generated: ${formatDateTime(statement.generatedAt)} UTC`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text(`Opening Balance: NGN ${formatAmount(statement.openingBalance)}`);
+    doc.font('Helvetica').text(`Total Credits: NGN ${formatAmount(statement.totalCredits)}`);
+    doc.text(`Total Debits: NGN ${formatAmount(statement.totalDebits)}`);
+    doc.font('Helvetica-Bold').text(`Closing Balance: NGN ${formatAmount(statement.closingBalance)}`);
+    doc.moveDown();
+
+    drawTableRow(doc, tableHeaderValues, { bold: true });
+
+    const bottomLimit = () => doc.page.height - doc.page.margins.bottom - 30;
+
+    if (statement.lines.length === 0) {
+        doc.font('Helvetica').fontSize(9).text('No wallet movements in this period.');
+    }
+
+    statement.lines.forEach((line) => {
+        if (doc.y > bottomLimit()) {
+            doc.addPage();
+            drawTableRow(doc, tableHeaderValues, { bold: true });
+        }
+
+        drawTableRow(doc, {
+            date: formatDateTime(line.date),
+            reference: line.reference,
+            description: line.description,
+            debit: formatAmount(line.debit),
+            credit: formatAmount(line.credit),
+            balance: formatAmount(line.balance)
+        });
+    });
+
+    // Page numbers once the page count is known
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        doc.font('Helvetica').fontSize(8).fillColor('#64748b').text(
+            `Page ${i + 1} of ${range.count}`,
+            doc.page.margins.left,
+            doc.page.height - doc.page.margins.bottom - 10,
+            { align: 'center', width: doc.page.width - doc.page.margins.left - doc.page.margins.right, lineBreak: false }
+        );
+    }
+
+    doc.end();
+    return doc;
+};
+
+module.exports = { toStatementCsv, writeStatementPdf, statementFileName };
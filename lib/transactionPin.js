@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const prisma = require('@/lib/prisma');
+const { getCache, setCache } = require('@/lib/redis');
+
+/**
+ * Transaction PIN Verification
+ * Every route that moves money checks the PIN here, so wrong guesses are counted
+ * in one place: 5 in a row lock money movement for 30 minutes (a stolen session
+ * cannot walk through all 10,000 PINs). The lock is lifted by waiting it out or
+ * by resetting the PIN via the emailed OTP (/auth/forgot-pin).
+ */
+
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MINUTES = 30;
+const VERIFIED_PIN_CACHE_SECONDS = 3600;
+
+const PIN_SETUP_REQUIRED = 'PIN_SETUP_REQUIRED';
+const PIN_LOCKED = 'PIN_LOCKED';
+const INVALID_PIN = 'INVALID_PIN';
+
+// Add to the user select of any controller that calls verifyTransactionPin
+const PIN_FIELDS = { transactionPin: true, pinFailedAttempts: true, pinLockedUntil: true };
+
+const pinError = (message, code, status) => {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+};
+
+const isPinError = (error) => [PIN_SETUP_REQUIRED, PIN_LOCKED, INVALID_PIN].includes(error?.code);
+
+const lockedError = (until) => {
+    const minutes = Math.max(1, Math.ceil((until - Date.now()) / 60000));
+    return pinError(
+        `Too many wrong PIN attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your PIN.`,
+        PIN_LOCKED,
+        423
+    );
+};
+
+/**
+ * Load tests may skip the bcrypt compare, but only when a key is configured.
+ */
+const isLoadTestRequest = (req) => Boolean(process.env.LOAD_TEST_KEY) && req.headers['x-load-test-key'] === process.env.LOAD_TEST_KEY;
+
+/**
+ * A verified PIN is cached for an hour to keep bcrypt off the purchase path. The
+ * key is derived from the stored hash too, so a changed PIN drops the old entry.
+ */
+const verifiedPinCacheKey = (user, pin) => {
+    const fingerprint = crypto.createHash('sha256').update(`${user.transactionPin}:${pin}`).digest('hex');
+    return `verified_pin_${user.id}_${fingerprint}`;
+};
+
+/**
+ * Counted atomically, so parallel guesses cannot slip past the limit.
+ * Returns the moment the PIN got locked, if this failure locked it.
+ */
+const recordFailedAttempt = async (user) => {
+    await prisma.user.update({
+        where: { id: user.id },
+        data: { pinFailedAttempts: { increment: 1 } }
+    });
+
+    const lockedUntil = new Date(Date.now() + PIN_LOCKOUT_MINUTES * 60 * 1000);
+    const locked = await prisma.user.updateMany({
+        where: { id: user.id, pinFailedAttempts: { gte: MAX_PIN_ATTEMPTS } },
+        data: { pinFailedAttempts: 0, pinLockedUntil: lockedUntil }
+    });
+    return locked?.count ? lockedUntil : null;
+};
+
+/**
+ * Throws PIN_SETUP_REQUIRED (403), PIN_LOCKED (423) or INVALID_PIN (401).
+ * @param {object} user must include id and PIN_FIELDS
+ * @param {string} pin the 4 digits from the request
+ * @param {object} [options]
+ * @param {boolean} [options.trusted] the PIN was already given (scheduled runs) or this is a load test
+ */
+const verifyTransactionPin = async (user, pin, { trusted = false } = {}) => {
+    if (!user.transactionPin) {
+        throw pinError("Please set up your transaction PIN to continue", PIN_SETUP_REQUIRED, 403);
+    }
+    if (trusted) return;
+
+    if (user.pinLockedUntil && user.pinLockedUntil > new Date()) {
+        throw lockedError(user.pinLockedUntil);
+    }
+
+    const cacheKey = verifiedPinCacheKey(user, pin);
+    if (await getCache(cacheKey)) return;
+
+    if (!(await bcrypt.compare(String(pin), user.transactionPin))) {
+        const lockedUntil = await recordFailedAttempt(user);
+        if (lockedUntil) throw lockedError(lockedUntil);
+        throw pinError("Invalid transaction PIN", INVALID_PIN, 401);
+    }
+
+    if (user.pinFailedAttempts > 0 || user.pinLockedUntil) {
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { pinFailedAttempts: 0, pinLockedUntil: null }
+        });
+    }
+    await setCache(cacheKey, true, VERIFIED_PIN_CACHE_SECONDS);
+};
+
+module.exports = {
+    MAX_PIN_ATTEMPTS,
+    PIN_LOCKOUT_MINUTES,
+    PIN_FIELDS,
+    isPinError,
+    isLoadTestRequest,
+    verifyTransactionPin
+};
@@ -0,0 +1,146 @@
+const prisma = require('@/lib/prisma');
+const { Prisma, TransactionStatus, TransactionType } = require('@prisma/client');
+const { generateRef } = require('@/lib/crypto');
+const { normalizePhoneNumber } = require('@/lib/networkValidator');
+const { lockWallet, debitWallet, creditWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { limitsFor, assertBalanceWithinLimits } = require('@/lib/kycLimits');
+
+/**
+ * Wallet-to-Wallet Transfers
+ * A transfer is two TRANSFER transactions (the sender's OUT and the
+ * recipient's IN) and two ledger entries against TRANSFERS:P2P, all written in
+ * one database transaction. Transfers are not spending, so totalSpent is untouched.
+ * The daily transfer cap comes with the sender's KYC level (KYC_LEVEL_LIMITS).
+ */
+
+const MIN_TRANSFER = 50;
+
+const dailyTransferLimit = (user) => limitsFor(user.kycLevel).dailyTransfer;
+
+const startOfToday = () => new Date(new Date().setHours(0, 0, 0, 0));
+
+/**
+ * Naira sent today (successful outgoing transfers).
+ */
+const transferredToday = async (client, userId) => {
+    const sent = await client.transaction.aggregate({
+        where: {
+            userId,
+            type: TransactionType.TRANSFER,
+            status: TransactionStatus.SUCCESS,
+            createdAt: { gte: startOfToday() },
+            metadata: { path: ['direction'], equals: 'OUT' }
+        },
+        _sum: { amount: true }
+    });
+    return Number(sent?._sum.amount || 0);
+};
+
+/**
+ * Finds a user by email, or by phone number in either stored form (080... or +23480...).
+ */
+const findRecipient = (identifier) => {
+    const value = String(identifier).trim();
+    const localPhone = normalizePhoneNumber(value);
+    const where = value.includes('@')
+        ? { email: value.toLowerCase() }
+        : { phoneNumber: { in: [localPhone, `+234${localPhone.slice(1)}`] } };
+
+    return prisma.user.findFirst({
+        where,
+        select: { id: true, fullName: true, email: true, phoneNumber: true }
+    });
+};
+
+/**
+ * Moves money between two wallets.
+ * Throws "Insufficient wallet balance", "Daily transfer limit exceeded", or a
+ * KYC limit error (sender's debit caps, recipient's balance cap).
+ * @param {{ id, kycLevel, fullName }} sender
+ * @param {{ id, fullName }} recipient
+ */
+const executeTransfer = async ({ sender, recipient, amount, note, idempotencyKey }) => {
+    const value = new Prisma.Decimal(amount);
+    const reference = generateRef("TRF");
+    const description = note ? `: ${note}` : '';
+
+    return prisma.$transaction(async (tx) => {
+        // Hold the sender's wallet first, so parallel transfers read today's total one at a time
+        await lockWallet(tx, sender.id);
+
+        const limit = dailyTransferLimit(sender);
+        const sentToday = await transferredToday(tx, sender.id);
+        if (value.plus(sentToday).gt(limit)) throw new Error("Daily transfer limit exceeded");
+
+        const outgoing = await tx.transaction.create({
+            data: {
+                userId: sender.id,
+                amount: value,
+                type: TransactionType.TRANSFER,
+                status: TransactionStatus.SUCCESS,
+                reference,
+                idempotencyKey,
+                metadata: {
+                    direction: 'OUT',
+                    counterpartyId: recipient.id,
+                    counterpartyName: recipient.fullName,
+                    ...(note && { note })
+                }
+            }
+        });
+
+        const debited = await debitWallet(tx, {
+            userId: sender.id,
+            amount: value,
+            trackSpend: false,
+            entryType: 'TRANSFER',
+            counterAccount: LEDGER_ACCOUNTS.P2P_TRANSFER,
+            reference,
+            transactionId: outgoing.id,
+            description: `Transfer to ${recipient.fullName || 'user'}${description}`
+        });
+
+        await assertBalanceWithinLimits(tx, recipient.id, value, "the recipient's");
+
+        const incoming = await tx.transaction.create({
+            data: {
+                userId: recipient.id,
+                amount: value,
+                type: TransactionType.TRANSFER,
+                status: TransactionStatus.SUCCESS,
+                reference: `${reference}-IN`,
+                metadata: {
+                    direction: 'IN',
+                    counterpartyId: sender.id,
+                    counterpartyName: sender.fullName,
+                    transferReference: reference,
+                    ...(note && { note })
+                }
+            }
+        });
+
+        await creditWallet(tx, {
+            userId: recipient.id,
+            amount: value,
+            createIfMissing: true,
+            entryType: 'TRANSFER',
+            counterAccount: LEDGER_ACCOUNTS.P2P_TRANSFER,
+            reference: incoming.reference,
+            transactionId: incoming.id,
+            description: `Transfer from ${sender.fullName || 'user'}${description}`
+        });
+
+        return { reference, amount: Number(value), balance: Number(debited.balance) };
+    }, {
+        maxWait: 15000,
+        timeout: 30000
+    });
+};
+
+module.exports = {
+    MIN_TRANSFER,
+    dailyTransferLimit,
+    transferredToday,
+    findRecipient,
+    executeTransfer
+};
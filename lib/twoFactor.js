@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { STAFF_ACCESS_SELECT } = require('@/lib/permissions');
+
+/**
+ * Two-Factor Authentication
+ * TOTP (RFC 6238: SHA-1, 6 digits, 30s steps) works with Google Authenticator,
+ * Authy, 1Password etc. Backup codes and an emailed OTP (the PasswordResetOTP
+ * flow with a LOGIN_2FA purpose, see lib/otp.js) are the fallbacks when the phone is not at hand.
+ */
+
+const TOTP_ISSUER = 'Mufti Pay';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = ((value << 8) | byte) & 0xffff;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (input) => {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of input.toUpperCase().replace(/[\s=]/g, '')) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 secret");
+        value = ((value << 5) | index) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/** 160-bit secret, base32 encoded as authenticator apps expect */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (key, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return code.toString().padStart(TOTP_DIGITS, '0');
+};
+
+const generateTotp = (secret, now = Date.now()) =>
+    hotp(base32Decode(secret), Math.floor(now / 1000 / TOTP_STEP_SECONDS));
+
+/**
+ * The time step a code belongs to, or null when it matches none. Accepts the
+ * current step and one either side, for clock drift.
+ */
+const matchTotpStep = (secret, code, now = Date.now()) => {
+    if (!secret || !/^\d{6}$/.test(String(code || ''))) return null;
+
+    const key = base32Decode(secret);
+    const step = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+    const drift = [-1, 0, 1].find(offset =>
+        crypto.timingSafeEqual(Buffer.from(hotp(key, step + offset)), Buffer.from(String(code)))
+    );
+    return drift === undefined ? null : step + drift;
+};
+
+const verifyTotp = (secret, code, now = Date.now()) => matchTotpStep(secret, code, now) !== null;
+
+/**
+ * Verifies a code and records its time step on the account (twoFactorLastStep),
+ * so a code is accepted once: the same code again, or any older one, is refused,
+ * even when two requests present it at the same time.
+ * @param {object} model prisma.user or prisma.staff
+ * @returns {Promise<boolean>}
+ */
+const redeemTotp = async (model, accountId, secret, code, now = Date.now()) => {
+    const step = matchTotpStep(secret, code, now);
+    if (step === null) return false;
+
+    const claimed = await model.updateMany({
+        where: { id: accountId, OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }] },
+        data: { twoFactorLastStep: step }
+    });
+    return Boolean(claimed?.count);
+};
+
+/** otpauth:// link; the app renders it as the QR code to scan */
+const totpUri = (secret, accountName) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Ten single-use codes shaped like "a1b2c-3d4e5". Only bcrypt hashes are stored;
+ * the plain codes are shown to the user once.
+ */
+const generateBackupCodes = async () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(normalizeBackupCode(code), 10)));
+    return { codes, hashes };
+};
+
+/**
+ * Returns the remaining hashes with the matching one removed, or null when the
+ * code matches none of them.
+ */
+const consumeBackupCode = async (hashes, code) => {
+    const normalized = normalizeBackupCode(code);
+    if (normalized.length !== 10) return null;
+
+    for (let i = 0; i < (hashes || []).length; i++) {
+        if (await bcrypt.compare(normalized, hashes[i])) {
+            return hashes.filter((_, index) => index !== i);
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks a backup code and removes it from the account in one conditional
+ * write, so a code is accepted once even when two requests present it at the
+ * same time. The write is conditional on the list as read: if another request
+ * changed it first, the code is refused rather than the stale list written back.
+ * @param {object} model prisma.user or prisma.staff
+ * @returns {Promise<string[]|null>} the remaining hashes, or null when the code is invalid
+ */
+const redeemBackupCode = async (model, accountId, hashes, code) => {
+    const remaining = await consumeBackupCode(hashes, code);
+    if (remaining === null) return null;
+
+    const claimed = await model.updateMany({
+        where: { id: accountId, twoFactorBackupCodes: { equals: hashes } },
+        data: { twoFactorBackupCodes: remaining }
+    });
+    return claimed?.count ? remaining : null;
+};
+
+const hashChallengeToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Starts a second-factor challenge for a user ({ userId }) or staff member ({ staffId }).
+ * @returns {Promise<{ challengeToken: string, expiresAt: Date }>}
+ */
+const createChallenge = async (client, { userId, staffId, isEnrolment = false }) => {
+    const challengeToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+
+    await client.twoFactorChallenge.create({
+        data: {
+            tokenHash: hashChallengeToken(challengeToken),
+            userId,
+            staffId,
+            isEnrolment,
+            expiresAt
+        }
+    });
+
+    return { challengeToken, expiresAt };
+};
+
+/**
+ * The open (unexpired, unused, not locked) challenge for this token, with the
+ * account it belongs to, or null.
+ */
+const findOpenChallenge = async (client, challengeToken) => {
+    const accountSelect = {
+        id: true,
+        email: true,
+        fullName: true,
+        twoFactorEnabled: true,
+        twoFactorSecret: true,
+        twoFactorBackupCodes: true
+    };
+
+    const challenge = await client.twoFactorChallenge.findUnique({
+        where: { tokenHash: hashChallengeToken(challengeToken) },
+        include: {
+            user: { select: { ...accountSelect, tier: true, isKycVerified: true, transactionPin: true, failedLoginAttempts: true, lockoutUntil: true } },
+            staff: { select: { ...accountSelect, ...STAFF_ACCESS_SELECT, isActive: true } }
+        }
+    });
+
+    if (!challenge || challenge.consumedAt || challenge.expiresAt < new Date()) return null;
+    if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) return null;
+    if (challenge.staff && !challenge.staff.isActive) return null;
+    return challenge;
+};
+
+module.exports = {
+    CHALLENGE_TTL_MINUTES,
+    MAX_CHALLENGE_ATTEMPTS,
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    redeemTotp,
+    totpUri,
+    generateBackupCodes,
+    consumeBackupCode,
+    redeemBackupCode,
+    createChallenge,
+    findOpenChallenge
+};
@@ -0,0 +1,281 @@
+const { Prisma } = require('@prisma/client');
+const { queueWebhookEvent } = require('@/lib/partnerWebhooks');
+const { LIMITED_ENTRY_TYPES, assertDebitWithinLimits } = require('@/lib/kycLimits');
+
+/**
+ * Wallet Ledger
+ * Single entry point for every movement on Wallet.balance.
+ * Each call mutates the wallet and journals the movement (opening balance,
+ * closing balance, counter-account) inside the caller's transaction client,
+ * so the balance and its ledger entry always commit together.
+ */
+
+const LEDGER_ACCOUNTS = {
+    VTPASS: 'PROVIDER:VTPASS',
+    NELLOBYTE: 'PROVIDER:NELLOBYTE',
+    NAIJA_RESULT_PINS: 'PROVIDER:NAIJARESULTPINS',
+    // Routed VTU purchases: the fulfilling provider is only known after failover
+    // and is recorded on the transaction (metadata.provider)
+    VTU_CLEARING: 'PROVIDER:VTU_CLEARING',
+    MONNIFY: 'GATEWAY:MONNIFY',
+    PAYSTACK: 'GATEWAY:PAYSTACK',
+    FLUTTERWAVE: 'GATEWAY:FLUTTERWAVE',
+    FLIGHT_SALES: 'FLIGHTS:SALES',
+    ADJUSTMENT: 'SYSTEM:ADJUSTMENT',
+    OPENING: 'SYSTEM:OPENING_BALANCE',
+    // Referral commissions leaving Wallet.bonusBalance for the main balance
+    BONUS: 'SYSTEM:BONUS',
+    // Both legs of a wallet-to-wallet transfer; nets to zero per transfer
+    P2P_TRANSFER: 'TRANSFERS:P2P',
+    // Fallback for refunds whose original debit predates the ledger
+    SUSPENSE: 'SYSTEM:SUSPENSE'
+};
+
+const toDecimal = (value) => new Prisma.Decimal(value || 0);
+
+const writeEntry = (tx, wallet, direction, amount, options) => {
+    const closingBalance = toDecimal(wallet.balance);
+    const openingBalance = direction === 'DEBIT'
+        ? closingBalance.plus(toDecimal(amount))
+        : closingBalance.minus(toDecimal(amount));
+
+    return tx.walletLedgerEntry.create({
+        data: {
+            walletId: wallet.id,
+            userId: wallet.userId,
+            direction,
+            entryType: options.entryType,
+            amount,
+            openingBalance,
+            closingBalance,
+            counterAccount: options.counterAccount,
+            reference: options.reference,
+            transactionId: options.transactionId || null,
+            flightTransactionId: options.flightTransactionId || null,
+            description: options.description || null
+        }
+    });
+};
+
+/**
+ * Locks the user's wallet row until the caller's transaction ends. Take it
+ * before reading usage for a limit check: under READ COMMITTED, parallel debits
+ * would otherwise all read the same usage from the ledger and all pass.
+ */
+const lockWallet = (tx, userId) => tx.$queryRaw`SELECT "id" FROM "Wallet" WHERE "userId" = ${userId} FOR UPDATE`;
+
+/**
+ * Debit a wallet. Keeps the atomic `balance >= amount` guard so concurrent
+ * debits can never overdraw, then reads back the locked row for the closing balance.
+ * Throws "Insufficient wallet balance" when the guard fails.
+ * `allowOverdraft` skips the guard for corrections the user cannot decline
+ * (e.g. re-charging a refunded order the provider later delivered).
+ * User-initiated debits (see LIMITED_ENTRY_TYPES) lock the wallet and are
+ * checked against the user's KYC level limits first.
+ */
+const debitWallet = async (tx, options) => {
+    const { userId, amount, trackSpend = true, allowOverdraft = false } = options;
+
+    if (!allowOverdraft && LIMITED_ENTRY_TYPES.includes(options.entryType)) {
+        await lockWallet(tx, userId);
+        await assertDebitWithinLimits(tx, userId, amount);
+    }
+
+    const walletUpdate = await tx.wallet.updateMany({
+        where: {
+            userId,
+            ...(!allowOverdraft && { balance: { gte: amount } })
+        },
+        data: {
+            balance: { decrement: amount },
+            ...(trackSpend && { totalSpent: { increment: amount } })
+        }
+    });
+
+    if (walletUpdate.count === 0) {
+        throw new Error("Insufficient wallet balance");
+    }
+
+    const wallet = await tx.wallet.findUnique({
+        where: { userId },
+        select: { id: true, userId: true, balance: true }
+    });
+    if (!wallet) throw new Error("Wallet not found");
+
+    await writeEntry(tx, wallet, 'DEBIT', amount, options);
+    return wallet;
+};
+
+/**
+ * Debit several purchases in one go (bulk orders). The wallet is checked and
+ * debited once for the total, so either every line is paid for or none is, and
+ * each line still gets its own journal entry so it can be refunded on its own.
+ * The total is checked against the user's KYC level limits like any purchase.
+ * @param {{ userId: string, entries: Array<{ amount, reference, transactionId, description? }>, entryType, counterAccount }} options
+ */
+const debitWalletMany = async (tx, options) => {
+    const { userId, entries } = options;
+    const total = entries.reduce((sum, entry) => sum.plus(toDecimal(entry.amount)), toDecimal(0));
+
+    await lockWallet(tx, userId);
+    await assertDebitWithinLimits(tx, userId, total);
+
+    const walletUpdate = await tx.wallet.updateMany({
+        where: { userId, balance: { gte: total } },
+        data: {
+            balance: { decrement: total },
+            totalSpent: { increment: total }
+        }
+    });
+
+    if (walletUpdate.count === 0) {
+        throw new Error("Insufficient wallet balance");
+    }
+
+    const wallet = await tx.wallet.findUnique({
+        where: { userId },
+        select: { id: true, userId: true, balance: true }
+    });
+    if (!wallet) throw new Error("Wallet not found");
+
+    // Walk the balance down line by line from where it stood before the debit
+    let openingBalance = toDecimal(wallet.balance).plus(total);
+    await tx.walletLedgerEntry.createMany({
+        data: entries.map((entry) => {
+            const closingBalance = openingBalance.minus(toDecimal(entry.amount));
+            const row = {
+                walletId: wallet.id,
+                userId: wallet.userId,
+                direction: 'DEBIT',
+                entryType: options.entryType,
+                amount: entry.amount,
+                openingBalance,
+                closingBalance,
+                counterAccount: options.counterAccount,
+                reference: entry.reference,
+                transactionId: entry.transactionId || null,
+                description: entry.description || null
+            };
+            openingBalance = closingBalance;
+            return row;
+        })
+    });
+
+    return wallet;
+};
+
+/**
+ * Credit a wallet. `reverseSpend` also rolls back totalSpent (refunds of purchases).
+ * `createIfMissing` mirrors the upsert used by funding flows for users without a wallet yet.
+ */
+const creditWallet = async (tx, options) => {
+    const { userId, amount, reverseSpend = false, createIfMissing = false } = options;
+    const select = { id: true, userId: true, balance: true };
+
+    const data = {
+        balance: { increment: amount },
+        ...(reverseSpend && { totalSpent: { decrement: amount } })
+    };
+
+    const wallet = createIfMissing
+        ? await tx.wallet.upsert({
+            where: { userId },
+            update: data,
+            create: { userId, balance: amount },
+            select
+        })
+        : await tx.wallet.update({ where: { userId }, data, select });
+
+    await writeEntry(tx, wallet, 'CREDIT', amount, options);
+
+    // Every gateway/virtual-account funding passes through here; queue the
+    // partner webhook in the same transaction so it only fires if the credit commits
+    if (options.entryType === 'FUNDING') {
+        await queueWebhookEvent(tx, wallet.userId, 'wallet.funded', {
+            reference: options.reference,
+            amount: Number(amount),
+            balance: Number(wallet.balance)
+        });
+    }
+
+    return wallet;
+};
+
+/**
+ * Return a failed purchase to the wallet, booking it against the same
+ * counter-account the original debit went to.
+ */
+const refundTransactionDebit = async (tx, options) => {
+    const { transactionId } = options;
+
+    const originalDebit = await tx.walletLedgerEntry.findFirst({
+        where: { transactionId, direction: 'DEBIT' },
+        select: { counterAccount: true }
+    });
+
+    return creditWallet(tx, {
+        entryType: 'REFUND',
+        reverseSpend: true,
+        ...options,
+        counterAccount: options.counterAccount || originalDebit?.counterAccount || LEDGER_ACCOUNTS.SUSPENSE
+    });
+};
+
+/**
+ * Consistency Check
+ * Wallet.balance must equal SUM(credits) - SUM(debits), and the most recent
+ * entry's (highest seq) closing balance must match the wallet.
+ */
+const verifyWalletConsistency = async (client, userId) => {
+    const wallet = await client.wallet.findUnique({
+        where: { userId },
+        select: { id: true, userId: true, balance: true }
+    });
+    if (!wallet) throw new Error("Wallet not found");
+
+    const [totals, lastEntry, entryCount] = await Promise.all([
+        client.walletLedgerEntry.groupBy({
+            by: ['direction'],
+            where: { walletId: wallet.id },
+            _sum: { amount: true }
+        }),
+        client.walletLedgerEntry.findFirst({
+            where: { walletId: wallet.id },
+            orderBy: { seq: 'desc' },
+            select: { closingBalance: true, createdAt: true, reference: true }
+        }),
+        client.walletLedgerEntry.count({ where: { walletId: wallet.id } })
+    ]);
+
+    const sumFor = (direction) => toDecimal(totals.find(t => t.direction === direction)?._sum.amount);
+    const totalCredits = sumFor('CREDIT');
+    const totalDebits = sumFor('DEBIT');
+    const ledgerBalance = totalCredits.minus(totalDebits);
+    const walletBalance = toDecimal(wallet.balance);
+    const difference = walletBalance.minus(ledgerBalance);
+
+    const chainIntact = !lastEntry || toDecimal(lastEntry.closingBalance).equals(walletBalance);
+
+    return {
+        userId: wallet.userId,
+        walletId: wallet.id,
+        walletBalance: walletBalance.toFixed(2),
+        ledgerBalance: ledgerBalance.toFixed(2),
+        totalCredits: totalCredits.toFixed(2),
+        totalDebits: totalDebits.toFixed(2),
+        difference: difference.toFixed(2),
+        entryCount,
+        lastEntry,
+        isConsistent: difference.isZero() && chainIntact
+    };
+};
+
+module.exports = {
+    LEDGER_ACCOUNTS,
+    lockWallet,
+    debitWallet,
+    debitWalletMany,
+    creditWallet,
+    refundTransactionDebit,
+    verifyWalletConsistency
+};
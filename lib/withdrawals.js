@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const prisma = require('@/lib/prisma');
+const { Prisma, TransactionStatus, TransactionType } = require('@prisma/client');
+const payoutGateway = require('@/services/payout');
+const { isDefinitiveRejection } = require('@/lib/financialSafety');
+const { lockWallet, debitWallet, refundTransactionDebit, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { notifyTransactionUpdate } = require('@/lib/partnerWebhooks');
+
+/**
+ * Bank Withdrawals
+ * The wallet is debited (amount + fee) and the WITHDRAWAL transaction written
+ * PENDING in one database transaction, then the payout is sent on the active
+ * gateway. Only a definitive rejection fails it straight away; anything else is
+ * settled later by the gateway webhook or jobs/payoutReconcileJob.js: SUCCESS
+ * keeps the debit, FAILED/REVERSED refunds amount + fee. Withdrawals are not
+ * spending, so totalSpent is untouched either way.
+ */
+
+// Naira a KYC-verified user can withdraw per calendar day; users without KYC cannot withdraw
+const DAILY_WITHDRAWAL_LIMITS = {
+    SMART_USER: 100000,
+    RESELLER: 500000,
+    API_PARTNER: 1000000,
+    ADMIN: 5000000
+};
+
+const MIN_WITHDRAWAL = 100;
+const WITHDRAWAL_FEE = Number(process.env.WITHDRAWAL_FEE ?? 50);
+
+// A payout the gateway has never heard of after this long was never received
+const PAYOUT_NOT_FOUND_AFTER_MS = 60 * 60 * 1000;
+
+const dailyWithdrawalLimit = (user) =>
+    user.isKycVerified ? (DAILY_WITHDRAWAL_LIMITS[user.tier] ?? DAILY_WITHDRAWAL_LIMITS.SMART_USER) : 0;
+
+const startOfToday = () => new Date(new Date().setHours(0, 0, 0, 0));
+
+// Digits only after the prefix, so a gateway that lowercases references (Paystack)
+// can be matched back with toUpperCase()
+const generatePayoutRef = () => `WDR-${Date.now()}-${crypto.randomInt(100000, 1000000)}`;
+
+const isPayoutReference = (reference) => typeof reference === 'string' && reference.toUpperCase().startsWith('WDR-');
+
+const ledgerAccount = (gatewayName) => LEDGER_ACCOUNTS[gatewayName] || `GATEWAY:${gatewayName}`;
+
+/**
+ * Naira withdrawn today (pending payouts count, failed ones do not).
+ */
+const withdrawnToday = async (client, userId) => {
+    const sent = await client.transaction.aggregate({
+        where: {
+            userId,
+            type: TransactionType.WITHDRAWAL,
+            status: { in: [TransactionStatus.PENDING, TransactionStatus.SUCCESS] },
+            createdAt: { gte: startOfToday() }
+        },
+        _sum: { amount: true }
+    });
+    return Number(sent?._sum.amount || 0);
+};
+
+/**
+ * Account name and bank name for a bank account on the active gateway.
+ * Returns null when the account cannot be resolved.
+ */
+const resolveBankAccount = async (accountNumber, bankCode) => {
+    try {
+        const [{ accountName }, banks] = await Promise.all([
+            payoutGateway.resolveAccount(accountNumber, bankCode),
+            payoutGateway.listBanks()
+        ]);
+        if (!accountName) return null;
+
+        const bank = banks.find(b => b.code === bankCode);
+        return { accountNumber, bankCode, bankName: bank?.name || bankCode, accountName };
+    } catch (error) {
+        console.warn(`[Withdrawals] Account resolution failed for ${bankCode}/${accountNumber}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Move a payout to its final status. Idempotent: only the first caller for a
+ * given transition wins, so webhooks and sync jobs can race safely.
+ * REVERSED is accepted from SUCCESS (bank bounced the money back); a PENDING
+ * payout that reverses is simply FAILED.
+ * @returns {Promise<boolean>} true if this call settled the payout
+ */
+const settlePayout = async (reference, { status, providerReference, providerStatus, reason }) => {
+    const settled = await prisma.$transaction(async (tx) => {
+        const payout = await tx.transaction.findUnique({
+            where: { reference: reference.toUpperCase() },
+            select: { id: true, userId: true, type: true, status: true, amount: true, fee: true, reference: true, metadata: true }
+        });
+
+        if (!payout || payout.type !== TransactionType.WITHDRAWAL) return null;
+
+        const allowedFrom = status === 'REVERSED'
+            ? [TransactionStatus.PENDING, TransactionStatus.SUCCESS]
+            : [TransactionStatus.PENDING];
+        if (!allowedFrom.includes(payout.status)) return null;
+
+        const finalStatus = status === 'REVERSED' && payout.status === TransactionStatus.PENDING
+            ? TransactionStatus.FAILED
+            : TransactionStatus[status];
+
+        const updated = await tx.transaction.updateMany({
+            where: { id: payout.id, status: payout.status },
+            data: {
+                status: finalStatus,
+                providerReference,
+                providerStatus,
+                ...(reason && { metadata: { ...payout.metadata, failureReason: reason } })
+            }
+        });
+        if (updated.count === 0) return null;
+
+        if (finalStatus !== TransactionStatus.SUCCESS) {
+            await refundTransactionDebit(tx, {
+                userId: payout.userId,
+                amount: new Prisma.Decimal(payout.amount).plus(payout.fee || 0),
+                reverseSpend: false,
+                reference: payout.reference,
+                transactionId: payout.id,
+                description: finalStatus === TransactionStatus.REVERSED
+                    ? 'Refund for reversed withdrawal'
+                    : 'Refund for failed withdrawal'
+            });
+        }
+
+        return payout;
+    }, {
+        maxWait: 10000,
+        timeout: 15000
+    });
+
+    if (!settled) return false;
+
+    console.log(`[Withdrawals] ${settled.reference} settled as ${status}`);
+    await notifyTransactionUpdate(settled.id);
+    return true;
+};
+
+/**
+ * Withdraw to a bank account.
+ * Throws "Complete KYC to withdraw", "Could not verify this bank account",
+ * "Withdrawals are temporarily unavailable", "Daily withdrawal limit exceeded"
+ * or "Insufficient wallet balance" before any money moves.
+ * @param {{ id, tier, isKycVerified }} user
+ */
+const createWithdrawal = async ({ user, amount, accountNumber, bankCode, idempotencyKey }) => {
+    if (!user.isKycVerified) throw new Error("Complete KYC to withdraw");
+
+    const gateway = payoutGateway.getGateway();
+    if (!gateway.isConfigured()) throw new Error("Withdrawals are temporarily unavailable");
+
+    const account = await resolveBankAccount(accountNumber, bankCode);
+    if (!account) throw new Error("Could not verify this bank account");
+
+    const value = new Prisma.Decimal(amount);
+    const fee = new Prisma.Decimal(WITHDRAWAL_FEE);
+    const reference = generatePayoutRef();
+
+    const payout = await prisma.$transaction(async (tx) => {
+        // Hold the wallet first, so parallel withdrawals read today's total one at a time
+        await lockWallet(tx, user.id);
+
+        const limit = dailyWithdrawalLimit(user);
+        const sentToday = await withdrawnToday(tx, user.id);
+        if (value.plus(sentToday).gt(limit)) throw new Error("Daily withdrawal limit exceeded");
+
+        const transaction = await tx.transaction.create({
+            data: {
+                userId: user.id,
+                amount: value,
+                fee,
+                type: TransactionType.WITHDRAWAL,
+                status: TransactionStatus.PENDING,
+                reference,
+                idempotencyKey,
+                metadata: { gateway: gateway.name, ...account }
+            }
+        });
+
+        await debitWallet(tx, {
+            userId: user.id,
+            amount: value.plus(fee),
+            trackSpend: false,
+            entryType: 'WITHDRAWAL',
+            counterAccount: ledgerAccount(gateway.name),
+            reference,
+            transactionId: transaction.id,
+            description: `Withdrawal to ${account.bankName} ${account.accountNumber} (fee ₦${fee})`
+        });
+
+        return transaction;
+    }, {
+        maxWait: 15000,
+        timeout: 30000
+    });
+
+    try {
+        const result = await payoutGateway.sendPayout({
+            reference,
+            amount: Number(value),
+            accountNumber,
+            bankCode,
+            accountName: account.accountName,
+            narration: `Mufti Pay withdrawal ${reference}`
+        });
+
+        if (result.status === 'PENDING') {
+            await prisma.transaction.update({
+                where: { id: payout.id },
+                data: { providerReference: result.providerReference, providerStatus: result.providerStatus }
+            });
+        } else {
+            await settlePayout(reference, result);
+        }
+    } catch (error) {
+        if (isDefinitiveRejection(error)) {
+            console.error(`[Withdrawals] ${reference} rejected by ${gateway.name}:`, error.message);
+            await settlePayout(reference, { status: 'FAILED', reason: error.message });
+        } else {
+            // Timeout, 5xx or an unreadable answer: the gateway may still pay out,
+            // so the webhook or the payout reconcile job settles it
+            console.warn(`[Withdrawals] ${reference} outcome unknown on ${gateway.name}, left PENDING:`, error.message);
+        }
+    }
+
+    const [current, wallet] = await Promise.all([
+        prisma.transaction.findUnique({ where: { id: payout.id }, select: { status: true } }),
+        prisma.wallet.findUnique({ where: { userId: user.id }, select: { balance: true } })
+    ]);
+
+    return {
+        reference,
+        status: current?.status || TransactionStatus.PENDING,
+        amount: Number(value),
+        fee: Number(fee),
+        ...account,
+        balance: Number(wallet?.balance || 0)
+    };
+};
+
+/**
+ * Ask the gateway that sent a payout where it is, and settle it if it is final.
+ * @param {{ reference, providerReference, metadata, createdAt }} payout
+ */
+const reconcilePayout = async (payout) => {
+    let result;
+    try {
+        result = await payoutGateway.queryPayout(payout.metadata?.gateway, {
+            reference: payout.reference,
+            providerReference: payout.providerReference
+        });
+    } catch (error) {
+        const isNotFound = error.status === 404 || error.response?.status === 404;
+        if (isNotFound && Date.now() - new Date(payout.createdAt).getTime() > PAYOUT_NOT_FOUND_AFTER_MS) {
+            return settlePayout(payout.reference, { status: 'FAILED', reason: 'Payout not found at gateway' });
+        }
+        throw error;
+    }
+
+    if (!result || result.status === 'PENDING') return false;
+    return settlePayout(payout.reference, result);
+};
+
+/**
+ * Gateway webhook entry point: the event only tells us which payout changed,
+ * the status is always re-read from the gateway.
+ * @param {string} reference our WDR- reference (any case)
+ * @param {string} [providerReference] the gateway's ID from the event, for payouts that never got one
+ */
+const syncPayout = async (reference, providerReference) => {
+    const payout = await prisma.transaction.findUnique({
+        where: { reference: reference.toUpperCase() },
+        select: { reference: true, type: true, status: true, providerReference: true, metadata: true, createdAt: true }
+    });
+
+    if (!payout || payout.type !== TransactionType.WITHDRAWAL) {
+        console.error(`[Withdrawals] Unknown payout reference: ${reference}`);
+        return false;
+    }
+    if (![TransactionStatus.PENDING, TransactionStatus.SUCCESS].includes(payout.status)) return false;
+
+    return reconcilePayout({ ...payout, providerReference: payout.providerReference || providerReference });
+};
+
+/**
+ * Reconcile-job entry point: re-check payouts that have been PENDING for a while.
+ * @param {string} [gatewayName] only payouts sent through this gateway (default: every gateway)
+ * @returns {Promise<number>} payouts settled
+ */
+const reconcileStuckPayouts = async (gatewayName, { olderThanMinutes = 5, limit = 20 } = {}) => {
+    const stuck = await prisma.transaction.findMany({
+        where: {
+            type: TransactionType.WITHDRAWAL,
+            status: TransactionStatus.PENDING,
+            createdAt: { lt: new Date(Date.now() - olderThanMinutes * 60 * 1000) },
+            ...(gatewayName && { metadata: { path: ['gateway'], equals: gatewayName } })
+        },
+        select: { reference: true, providerReference: true, metadata: true, createdAt: true },
+        orderBy: { createdAt: 'asc' },
+        take: limit
+    }) || [];
+
+    let settled = 0;
+    for (const payout of stuck) {
+        try {
+            if (await reconcilePayout(payout)) settled++;
+        } catch (error) {
+            console.error(`[Withdrawals] Reconcile failed for ${payout.reference}:`, error.message);
+        }
+    }
+    return settled;
+};
+
+module.exports = {
+    DAILY_WITHDRAWAL_LIMITS,
+    MIN_WITHDRAWAL,
+    WITHDRAWAL_FEE,
+    dailyWithdrawalLimit,
+    withdrawnToday,
+    isPayoutReference,
+    resolveBankAccount,
+    createWithdrawal,
+    settlePayout,
+    reconcilePayout,
+    syncPayout,
+    reconcileStuckPayouts
+};
@@ -0,0 +1,122 @@
+const httpMocks = require('node-mocks-http');
+const { EventEmitter } = require('events');
+const prisma = require('@/lib/prisma');
+const { hashApiKey } = require('@/lib/crypto');
+const { apiKeyAuth, userOrApiKeyAuth } = require('../apiKeyMiddleware');
+
+jest.mock('@/lib/prisma');
+
+describe('API Key Middleware', () => {
+    let req, res, next;
+    const rawKey = 'mpk_test-key-123';
+
+    const storedKey = (overrides = {}) => ({
+        id: 'key-1',
+        prefix: 'mpk_test-key',
+        keyHash: hashApiKey(rawKey),
+        scopes: ['vtu:read', 'vtu:purchase'],
+        ipAllowlist: [],
+        lastUsedAt: null,
+        expiresAt: null,
+        revokedAt: null,
+        user: { id: 'partner-1', email: 'partner@example.com', tier: 'API_PARTNER', isKycVerified: true },
+        ...overrides
+    });
+
+    beforeEach(() => {
+        req = httpMocks.createRequest({
+            method: 'POST',
+            url: '/api/v1/vtu/airtime',
+            headers: { 'x-api-key': rawKey },
+            ip: '::ffff:10.0.0.5'
+        });
+        res = httpMocks.createResponse({ eventEmitter: EventEmitter });
+        next = jest.fn();
+
+        jest.clearAllMocks();
+
+        prisma.apiKey.findUnique.mockResolvedValue(storedKey());
+        prisma.apiKey.update.mockResolvedValue({});
+        prisma.apiKeyRequest.create.mockResolvedValue({});
+    });
+
+    it('should authenticate the partner and attach the key to the request', async () => {
+        await apiKeyAuth()(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(prisma.apiKey.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+            where: { keyHash: hashApiKey(rawKey) }
+        }));
+        expect(req.user).toEqual({ id: 'partner-1', email: 'partner@example.com', tier: 'API_PARTNER', isKycVerified: true, isStaff: false });
+        expect(req.apiKey).toMatchObject({ id: 'key-1', prefix: 'mpk_test-key' });
+        expect(prisma.apiKey.update).toHaveBeenCalledWith(expect.objectContaining({
+            data: expect.objectContaining({ lastUsedIp: '10.0.0.5' })
+        }));
+    });
+
+    it('should log the request against the key once the response is sent', async () => {
+        await apiKeyAuth()(req, res, next);
+        res.status(201).json({});
+
+        expect(prisma.apiKeyRequest.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                apiKeyId: 'key-1', method: 'POST', path: '/api/v1/vtu/airtime', statusCode: 201, ip: '10.0.0.5'
+            })
+        });
+    });
+
+    it('should reject an unknown key', async () => {
+        prisma.apiKey.findUnique.mockResolvedValue(null);
+
+        await apiKeyAuth()(req, res, next);
+
+        expect(res.statusCode).toBe(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a revoked or expired key', async () => {
+        prisma.apiKey.findUnique.mockResolvedValue(storedKey({ expiresAt: new Date(Date.now() - 1000) }));
+
+        await apiKeyAuth()(req, res, next);
+
+        expect(res.statusCode).toBe(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject keys of users who are no longer API partners', async () => {
+        prisma.apiKey.findUnique.mockResolvedValue(storedKey({ user: { id: 'u-1', tier: 'SMART_USER' } }));
+
+        await apiKeyAuth()(req, res, next);
+
+        expect(res.statusCode).toBe(403);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject requests from an IP outside the allowlist', async () => {
+        prisma.apiKey.findUnique.mockResolvedValue(storedKey({ ipAllowlist: ['41.58.1.1'] }));
+
+        await apiKeyAuth()(req, res, next);
+
+        expect(res.statusCode).toBe(403);
+        expect(res._getJSONData().message).toContain('10.0.0.5');
+    });
+
+    it('should require vtu:purchase for purchases', async () => {
+        prisma.apiKey.findUnique.mockResolvedValue(storedKey({ scopes: ['vtu:read'] }));
+
+        await apiKeyAuth()(req, res, next);
+
+        expect(res.statusCode).toBe(403);
+        expect(res._getJSONData().message).toContain('vtu:purchase');
+    });
+
+    it('should fall back to the session token when no API key is sent', async () => {
+        req.headers = {};
+
+        await userOrApiKeyAuth()(req, res, next);
+
+        expect(prisma.apiKey.findUnique).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(401);
+        expect(res._getJSONData().message).toBe('Access denied. No token provided.');
+    });
+});
@@ -0,0 +1,82 @@
+const httpMocks = require('node-mocks-http');
+const jwt = require('jsonwebtoken');
+const prisma = require('@/lib/prisma');
+const { requirePermission } = require('../authMiddleware');
+
+jest.mock('@/lib/prisma');
+
+describe('Auth Middleware - requirePermission', () => {
+    let res, next;
+
+    const staffToken = jwt.sign({ userId: 'staff-1', isStaff: true }, process.env.JWT_SECRET);
+    const makeRequest = (token = staffToken) => httpMocks.createRequest({ headers: { authorization: `Bearer ${token}` } });
+
+    const staff = (overrides = {}) => ({
+        id: 'staff-1',
+        email: 'analyst@mufti.com',
+        isActive: true,
+        twoFactorEnabled: false,
+        role: 'STAFF',
+        grantedPermissions: [],
+        revokedPermissions: [],
+        customRole: { id: 'role-1', name: 'Analyst', permissions: ['analytics:read'] },
+        ...overrides
+    });
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+        next = jest.fn();
+        jest.clearAllMocks();
+    });
+
+    it('should let staff through with a permission from their custom role', async () => {
+        prisma.staff.findUnique.mockResolvedValue(staff());
+
+        await requirePermission('analytics:read')(makeRequest(), res, next);
+
+        expect(next).toHaveBeenCalled();
+    });
+
+    it('should attach the effective permissions to req.user', async () => {
+        prisma.staff.findUnique.mockResolvedValue(staff({ grantedPermissions: ['plans:edit'] }));
+        const req = makeRequest();
+
+        await requirePermission('plans:edit', 'pricing:edit')(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.user).toMatchObject({ id: 'staff-1', isStaff: true, permissions: ['plans:edit', 'analytics:read'] });
+    });
+
+    it('should refuse staff without the permission', async () => {
+        prisma.staff.findUnique.mockResolvedValue(staff({ revokedPermissions: ['analytics:read'] }));
+
+        await requirePermission('analytics:read')(makeRequest(), res, next);
+
+        expect(res.statusCode).toBe(403);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should refuse user tokens and super admins who have not enrolled 2FA', async () => {
+        await requirePermission('analytics:read')(makeRequest(jwt.sign({ userId: 'user-1' }, process.env.JWT_SECRET)), res, next);
+        expect(res.statusCode).toBe(403);
+        expect(prisma.staff.findUnique).not.toHaveBeenCalled();
+
+        res = httpMocks.createResponse();
+        prisma.staff.findUnique.mockResolvedValue(staff({ role: 'SUPER_ADMIN' }));
+        await requirePermission('analytics:read')(makeRequest(), res, next);
+
+        expect(res.statusCode).toBe(403);
+        expect(res._getJSONData().message).toContain('Two-factor authentication');
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a staff token issued before the sessions were revoked', async () => {
+        const oldToken = jwt.sign({ userId: 'staff-1', isStaff: true, iat: Math.floor(Date.now() / 1000) - 600 }, process.env.JWT_SECRET);
+        prisma.staff.findUnique.mockResolvedValue(staff({ sessionsRevokedAt: new Date(Date.now() - 60 * 1000) }));
+
+        await requirePermission('analytics:read')(makeRequest(oldToken), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(401);
+    });
+});
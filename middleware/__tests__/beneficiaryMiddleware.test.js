@@ -0,0 +1,60 @@
+const httpMocks = require('node-mocks-http');
+const prisma = require('@/lib/prisma');
+const { useBeneficiary } = require('../beneficiaryMiddleware');
+
+jest.mock('@/lib/prisma');
+
+describe('Beneficiary Middleware', () => {
+    let res, next;
+    const user = { id: 'user-1', isStaff: false };
+
+    beforeEach(() => {
+        res = httpMocks.createResponse();
+        next = jest.fn();
+
+        jest.clearAllMocks();
+
+        prisma.beneficiary.update.mockResolvedValue({});
+    });
+
+    it('should fill the meter fields from a saved beneficiary', async () => {
+        prisma.beneficiary.findFirst.mockResolvedValue({
+            id: 'ben-1', serviceType: 'ELECTRICITY', identifier: '45011111111', network: 'ikeja-electric', meterType: '02'
+        });
+        const req = httpMocks.createRequest({ method: 'POST', user, body: { beneficiaryId: 'ben-1', amount: 5000, transactionPin: '1234' } });
+
+        await useBeneficiary('ELECTRICITY')(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(prisma.beneficiary.findFirst).toHaveBeenCalledWith({ where: { id: 'ben-1', userId: 'user-1' } });
+        expect(req.body).toMatchObject({ meterNo: '45011111111', discoCode: 'ikeja-electric', meterType: '02', amount: 5000 });
+    });
+
+    it('should let an explicit network override a saved phone', async () => {
+        prisma.beneficiary.findFirst.mockResolvedValue({ id: 'ben-2', serviceType: 'PHONE', identifier: '08031111111', network: 'MTN' });
+        const req = httpMocks.createRequest({ method: 'POST', user, body: { beneficiaryId: 'ben-2', network: 'GLO', amount: 200 } });
+
+        await useBeneficiary('PHONE')(req, res, next);
+
+        expect(req.body).toMatchObject({ phoneNumber: '08031111111', network: 'GLO' });
+    });
+
+    it('should reject a beneficiary of another service type', async () => {
+        prisma.beneficiary.findFirst.mockResolvedValue({ id: 'ben-2', serviceType: 'PHONE', identifier: '08031111111', network: 'MTN' });
+        const req = httpMocks.createRequest({ method: 'POST', user, body: { beneficiaryId: 'ben-2' } });
+
+        await useBeneficiary('CABLE_TV')(req, res, next);
+
+        expect(res.statusCode).toBe(404);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should pass raw requests through untouched', async () => {
+        const req = httpMocks.createRequest({ method: 'POST', user, body: { phoneNumber: '08031111111' } });
+
+        await useBeneficiary('PHONE')(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(prisma.beneficiary.findFirst).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,122 @@
+const prisma = require('@/lib/prisma');
+const { hashApiKey } = require('@/lib/crypto');
+const { authMiddleware, optionalAuth } = require('@/middleware/authMiddleware');
+
+/**
+ * Partner API Key Authentication
+ * API_PARTNER users can call the VTU routes with an `x-api-key` header instead of a
+ * session token. Keys are looked up by their SHA-256 hash, checked against their
+ * scopes and IP allowlist, and every request made with a key is logged against it.
+ */
+
+const API_KEY_HEADER = 'x-api-key';
+const API_KEY_SCOPES = ['vtu:read', 'vtu:purchase', 'wallet:read'];
+
+// lastUsedAt is informational; don't write it on every single request
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+// Reads need vtu:read, anything that moves money needs vtu:purchase
+const defaultScope = (req) => (req.method === 'GET' ? 'vtu:read' : 'vtu:purchase');
+
+const logKeyRequest = (req, res, apiKeyId, startedAt) => {
+    res.on('finish', () => {
+        prisma.apiKeyRequest.create({
+            data: {
+                apiKeyId,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                statusCode: res.statusCode,
+                ip: normalizeIp(req.ip),
+                durationMs: Date.now() - startedAt
+            }
+        }).catch(err => console.error("API Key Request Log Error:", err.message));
+    });
+};
+
+/**
+ * Authenticates a request by its API key.
+ * @param {string} [scope] - required scope; defaults to vtu:read for GET and vtu:purchase otherwise
+ */
+const apiKeyAuth = (scope) => async (req, res, next) => {
+    const startedAt = Date.now();
+
+    try {
+        const rawKey = req.headers[API_KEY_HEADER];
+        if (!rawKey || typeof rawKey !== 'string') {
+            return res.status(401).json({ status: "ERROR", message: "Access denied. No API key provided." });
+        }
+
+        const apiKey = await prisma.apiKey.findUnique({
+            where: { keyHash: hashApiKey(rawKey.trim()) },
+            include: {
+                user: { select: { id: true, email: true, tier: true, isKycVerified: true } }
+            }
+        });
+
+        if (!apiKey) {
+            return res.status(401).json({ status: "ERROR", message: "Invalid or revoked API key." });
+        }
+
+        // Attribute every call made with a known key, including the rejected ones
+        logKeyRequest(req, res, apiKey.id, startedAt);
+
+        const now = new Date();
+        if (apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+            return res.status(401).json({ status: "ERROR", message: "Invalid or revoked API key." });
+        }
+
+        if (!apiKey.user || apiKey.user.tier !== 'API_PARTNER') {
+            return res.status(403).json({ status: "ERROR", message: "API access is only available to API partners." });
+        }
+
+        const ip = normalizeIp(req.ip);
+        if (apiKey.ipAllowlist.length > 0 && !apiKey.ipAllowlist.includes(ip)) {
+            return res.status(403).json({ status: "ERROR", message: `Requests from ${ip} are not allowed for this API key.` });
+        }
+
+        const requiredScope = scope || defaultScope(req);
+        if (!apiKey.scopes.includes(requiredScope)) {
+            return res.status(403).json({ status: "ERROR", message: `This API key is missing the ${requiredScope} scope.` });
+        }
+
+        req.user = { ...apiKey.user, isStaff: false };
+        req.apiKey = { id: apiKey.id, prefix: apiKey.prefix, scopes: apiKey.scopes };
+
+        if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_THROTTLE_MS) {
+            prisma.apiKey.update({
+                where: { id: apiKey.id },
+                data: { lastUsedAt: now, lastUsedIp: ip }
+            }).catch(err => console.error("API Key Touch Error:", err.message));
+        }
+
+        next();
+    } catch (error) {
+        console.error("[API Key Middleware Error]:", error.message);
+        return res.status(503).json({
+            status: "ERROR",
+            message: "System busy or database unreachable. Please try again in a moment."
+        });
+    }
+};
+
+/**
+ * Accepts either a partner API key (x-api-key) or a normal session token.
+ * Session requests are unaffected by scopes.
+ */
+const userOrApiKeyAuth = (scope) => {
+    const keyAuth = apiKeyAuth(scope);
+    return (req, res, next) => (req.headers[API_KEY_HEADER] ? keyAuth(req, res, next) : authMiddleware(req, res, next));
+};
+
+/**
+ * Public catalog routes: an API key prices the catalog for the partner, a session
+ * token for the user, and no credentials serve the retail view.
+ */
+const optionalUserOrApiKey = (req, res, next) => {
+    if (req.headers[API_KEY_HEADER]) return apiKeyAuth('vtu:read')(req, res, next);
+    return optionalAuth(req, res, next);
+};
+
+module.exports = { API_KEY_SCOPES, apiKeyAuth, userOrApiKeyAuth, optionalUserOrApiKey };
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('@/lib/prisma');
+const { STAFF_ACCESS_SELECT, staffPermissions } = require('@/lib/permissions');
+const { isStaffTokenRevoked } = require('@/lib/staffActivity');
 
 
 if (!process.env.JWT_SECRET) {
@@ -10,6 +12,7 @@ if (!process.env.JWT_SECRET) {
 
 // Use the same secret key as your login logic
 const JWT_SECRET = process.env.JWT_SECRET;
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
 
 
 
@@ -43,9 +46,10 @@ const authMiddleware = async (req, res, next) => {
                 select: {
                     id: true,
                     email: true,
-                    role: true,
                     isActive: true,
-                    requiresPasswordChange: true
+                    requiresPasswordChange: true,
+                    sessionsRevokedAt: true,
+                    ...STAFF_ACCESS_SELECT
                 }
             });
 
@@ -56,7 +60,13 @@ const authMiddleware = async (req, res, next) => {
                 });
             }
 
-            req.user = { ...staff, isStaff: true };
+            // Password resets and deactivation sign out every staff token issued before them
+            if (isStaffTokenRevoked(decoded, staff)) {
+                return res.status(401).json({ status: "ERROR", message: "Session has been signed out. Please login again." });
+            }
+
+            const { grantedPermissions, revokedPermissions, sessionsRevokedAt, ...profile } = staff;
+            req.user = { ...profile, isStaff: true, permissions: staffPermissions(staff) };
         } else {
             const user = await prisma.user.findUnique({
                 where: { id: decoded.userId },
@@ -64,7 +74,17 @@ const authMiddleware = async (req, res, next) => {
                     id: true,
                     email: true,
                     tier: true,
-                    isKycVerified: true
+                    isKycVerified: true,
+                    kycLevel: true,
+                    // Tokens carrying a session id die with their session (logout, revoke, password reset)
+                    ...(decoded.sid && {
+                        refreshTokens: {
+                            where: { sessionId: decoded.sid, revoked: false, expiresAt: { gt: new Date() } },
+                            select: { id: true, lastUsedAt: true },
+                            orderBy: { createdAt: 'desc' },
+                            take: 1
+                        }
+                    })
                 }
             });
 
@@ -75,7 +95,27 @@ const authMiddleware = async (req, res, next) => {
                 });
             }
 
-            req.user = { ...user, isStaff: false };
+            const { refreshTokens, ...profile } = user;
+
+            if (decoded.sid) {
+                const session = refreshTokens?.[0];
+                if (!session) {
+                    return res.status(401).json({
+                        status: "ERROR",
+                        message: "Session has been signed out. Please login again."
+                    });
+                }
+
+                // Keep "last active" roughly current without a write on every request
+                if (Date.now() - new Date(session.lastUsedAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+                    await prisma.refreshToken.update({
+                        where: { id: session.id },
+                        data: { lastUsedAt: new Date(), ...(req.ip && { ipAddress: req.ip }) }
+                    });
+                }
+            }
+
+            req.user = { ...profile, isStaff: false, sessionId: decoded.sid || null };
         }
 
         // PERFORMANCE ANALYTICS: Track route access
@@ -140,24 +180,19 @@ const authorizeAdmin = async (req, res, next) => {
 };
 
 /**
- * Standalone Middleware for Staff (TICKETING_OFFICER or SUPER_ADMIN)
- * Handles both authentication and role verification
+ * Standalone middleware for staff routes: passes when the staff member holds
+ * any of the given permissions (see lib/permissions.js). Handles authentication
+ * too, and attaches req.user with the effective `permissions`.
+ * @example router.get('/overview', requirePermission('analytics:read'), handler)
  */
-const requireTicketStaff = async (req, res, next) => {
+const requirePermission = (...permissions) => async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
-        console.log("Auth Header:", authHeader);
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            console.error("401 Check: Missing or malformed Auth Header. Header received:", authHeader);
             return res.status(401).json({ status: "ERROR", message: "Access denied. No token provided." });
         }
 
-        const token = authHeader.split(' ')[1];
-        const effectiveSecret = JWT_SECRET || process.env.JWT_SECRET;
-        console.log("401 Check: Using Secret (prefix):", effectiveSecret ? effectiveSecret.substring(0, 10) : "MISSING");
-
-        const decoded = jwt.verify(token, effectiveSecret);
-        console.log("401 Check: Decoded Payload:", decoded);
+        const decoded = jwt.verify(authHeader.split(' ')[1], JWT_SECRET);
 
         if (!decoded.isStaff) {
             return res.status(403).json({ status: "ERROR", message: "Access restricted. Staff authentication required." });
@@ -165,59 +200,63 @@ const requireTicketStaff = async (req, res, next) => {
 
         const staff = await prisma.staff.findUnique({
             where: { id: decoded.userId },
-            select: { id: true, email: true, role: true, isActive: true }
+            select: { id: true, email: true, isActive: true, twoFactorEnabled: true, sessionsRevokedAt: true, ...STAFF_ACCESS_SELECT }
         });
 
         if (!staff || !staff.isActive) {
-            console.error("401 Check: Staff not found or inactive. UserID from token:", decoded.userId, "Staff object:", staff);
             return res.status(401).json({ status: "ERROR", message: "Staff account is inactive or deleted." });
         }
 
-        if (staff.role === 'TICKETING_OFFICER' || staff.role === 'SUPER_ADMIN') {
-            req.user = { ...staff, isStaff: true };
-            next();
-        } else {
-            return res.status(403).json({ status: "ERROR", message: "Access restricted. Ticketing Staff privileges required." });
+        if (isStaffTokenRevoked(decoded, staff)) {
+            return res.status(401).json({ status: "ERROR", message: "Session has been signed out. Please login again." });
+        }
+
+        // Tokens issued before 2FA was enrolled are not enough for super admin actions
+        if (staff.role === 'SUPER_ADMIN' && !staff.twoFactorEnabled) {
+            return res.status(403).json({ status: "ERROR", message: "Two-factor authentication is required for Super Admin accounts. Please log in again to set it up." });
+        }
+
+        const granted = staffPermissions(staff);
+        if (!permissions.some(permission => granted.includes(permission))) {
+            return res.status(403).json({ status: "ERROR", message: "You do not have permission to perform this action." });
         }
+
+        const { twoFactorEnabled, grantedPermissions, revokedPermissions, sessionsRevokedAt, ...profile } = staff;
+        req.user = { ...profile, isStaff: true, permissions: granted };
+        next();
     } catch (error) {
-        return res.status(error.name === 'TokenExpiredError' ? 401 : 403).json({
-            status: "ERROR",
-            message: error.name === 'TokenExpiredError' ? "Session expired." : "Invalid or tampered token."
-        });
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ status: "ERROR", message: "Session expired. Please login again." });
+        }
+        if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+            return res.status(403).json({ status: "ERROR", message: "Invalid or expired token." });
+        }
+        console.error("[Permission Middleware Error]:", error.message);
+        return res.status(503).json({ status: "ERROR", message: "System busy or database unreachable. Please try again in a moment." });
     }
 };
 
 /**
- * Standalone Middleware for Staff (SUPER_ADMIN only)
+ * Optional user session for public catalog routes.
+ * Attaches req.user (id, tier) when a valid user token is sent, otherwise continues anonymously.
  */
-const requireSuperAdmin = async (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ status: "ERROR", message: "Access denied." });
-        }
-
-        const token = authHeader.split(' ')[1];
-        const decoded = jwt.verify(token, JWT_SECRET);
+        if (!authHeader || !authHeader.startsWith('Bearer ')) return next();
 
+        const decoded = jwt.verify(authHeader.split(' ')[1], JWT_SECRET);
         if (!decoded.isStaff) {
-            return res.status(403).json({ status: "ERROR", message: "Staff privileges required." });
-        }
-
-        const staff = await prisma.staff.findUnique({
-            where: { id: decoded.userId },
-            select: { id: true, role: true, isActive: true }
-        });
-
-        if (staff && staff.isActive && staff.role === 'SUPER_ADMIN') {
-            req.user = { ...staff, isStaff: true };
-            next();
-        } else {
-            return res.status(403).json({ status: "ERROR", message: "Super Admin privileges required." });
+            const user = await prisma.user.findUnique({
+                where: { id: decoded.userId },
+                select: { id: true, tier: true }
+            });
+            if (user) req.user = { ...user, isStaff: false };
         }
     } catch (error) {
-        return res.status(403).json({ status: "ERROR", message: "Invalid or expired token." });
+        // Bad or expired token: serve the public (retail) view
     }
+    next();
 };
 
-module.exports = { authMiddleware, authorizeAdmin, requireTicketStaff, requireSuperAdmin };
\ No newline at end of file
+module.exports = { authMiddleware, authorizeAdmin, requirePermission, optionalAuth };
\ No newline at end of file
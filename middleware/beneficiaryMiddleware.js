@@ -0,0 +1,38 @@
+const prisma = require('@/lib/prisma');
+const { purchaseFields } = require('@/lib/beneficiaries');
+
+/**
+ * Lets a purchase send `beneficiaryId` instead of the raw phone/meter/smartcard
+ * fields. The saved beneficiary's fields are filled into req.body before the
+ * controller validates it, so everything downstream is unchanged.
+ * @param {'PHONE'|'ELECTRICITY'|'CABLE_TV'} serviceType - the kind of beneficiary the route accepts
+ */
+const useBeneficiary = (serviceType) => async (req, res, next) => {
+    const beneficiaryId = req.body?.beneficiaryId;
+    if (!beneficiaryId) return next();
+
+    try {
+        const beneficiary = await prisma.beneficiary.findFirst({
+            where: { id: String(beneficiaryId), userId: req.user.id }
+        });
+
+        if (!beneficiary || beneficiary.serviceType !== serviceType) {
+            return res.status(404).json({ status: "ERROR", message: "Beneficiary not found" });
+        }
+
+        req.body = { ...req.body, ...purchaseFields(beneficiary, req.body) };
+        req.beneficiary = beneficiary;
+
+        prisma.beneficiary.update({
+            where: { id: beneficiary.id },
+            data: { lastUsedAt: new Date() }
+        }).catch(err => console.error("Beneficiary lastUsedAt Error:", err.message));
+
+        next();
+    } catch (error) {
+        console.error("Beneficiary Lookup Error:", error);
+        return res.status(500).json({ status: "ERROR", message: "Internal server error" });
+    }
+};
+
+module.exports = { useBeneficiary };
@@ -0,0 +1,22 @@
+const prisma = require('@/lib/prisma');
+const { assertBalanceWithinLimits, isKycLimitError } = require('@/lib/kycLimits');
+
+/**
+ * Refuses a wallet top-up that would take the balance over the user's KYC
+ * balance cap, before a payment is created at the gateway. Reserved-account
+ * transfers cannot be refused this way and are always credited.
+ */
+const enforceBalanceCap = async (req, res, next) => {
+    try {
+        await assertBalanceWithinLimits(prisma, req.user.id, Number(req.body?.amount) || 0);
+        next();
+    } catch (error) {
+        if (isKycLimitError(error)) {
+            return res.status(403).json({ status: "ERROR", message: error.message });
+        }
+        console.error("Balance Cap Check Error:", error);
+        return res.status(500).json({ status: "ERROR", message: "Internal server error" });
+    }
+};
+
+module.exports = { enforceBalanceCap };
@@ -3,6 +3,11 @@ const prisma = require('@/lib/prisma');
 const monnifyProvider = require('@/services/monnifyProvider');
 const { TransactionStatus, TransactionType } = require('@prisma/client');
 const { getWalletCreditAmount } = require('@/lib/paymentUtils');
+const { creditWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { syncPayout } = require('@/lib/withdrawals');
+const { SYSTEM_ACTOR, isFlightWorkflowError, transitionFlight } = require('@/lib/flightWorkflow');
+
+const DISBURSEMENT_EVENTS = ['SUCCESSFUL_DISBURSEMENT', 'FAILED_DISBURSEMENT', 'REVERSED_DISBURSEMENT'];
 
 const verifySignature = (payload, signature) => {
     const secret = process.env.MONNIFY_SECRET_KEY;
@@ -30,6 +35,15 @@ const handleMonnifyWebhook = async (req, res) => {
 
     const { eventType, eventData } = req.body;
 
+    // Withdrawal payouts: status is re-read from Monnify before settling
+    if (DISBURSEMENT_EVENTS.includes(eventType)) {
+        try {
+            await syncPayout(eventData.reference, eventData.transactionReference);
+        } catch (error) {
+            console.error('[Monnify Webhook] Disbursement Error:', error.message);
+        }
+        return;
+    }
 
     if (eventType !== 'SUCCESSFUL_TRANSACTION' || eventData.paymentStatus !== 'PAID') {
         return;
@@ -54,7 +68,7 @@ const handleMonnifyWebhook = async (req, res) => {
             // FLIGHT PAYMENT BRANCH
             const flightTx = await prisma.flightTransaction.findUnique({
                 where: { reference: paymentRef },
-                include: { wallet: true }
+                select: { flightRequestId: true }
             });
 
             if (!flightTx) {
@@ -62,35 +76,17 @@ const handleMonnifyWebhook = async (req, res) => {
                 return;
             }
 
-            await prisma.$transaction(async (tx) => {
-                const flightReq = await tx.flightBookingRequest.findUnique({
-                    where: { id: flightTx.flightRequestId }
-                });
-
-                if (flightReq.status !== 'QUOTED') {
-                    console.log(`[Monnify Webhook] Flight ${flightReq.id} already processed.`);
-                    return;
-                }
-
-                await tx.flightBookingRequest.update({
-                    where: { id: flightTx.flightRequestId },
-                    data: { status: 'PAID_PROCESSING' }
-                });
-
-                await tx.flightRequestActivity.create({
-                    data: {
-                        requestId: flightTx.flightRequestId,
-                        userId: flightTx.wallet.userId,
-                        previousState: flightReq.status,
-                        newState: 'PAID_PROCESSING',
-                        actionDetails: `User paid NGN ${amountPaid} via Monnify Transfer`
-                    }
+            try {
+                await transitionFlight(flightTx.flightRequestId, 'confirmTransfer', {
+                    actor: SYSTEM_ACTOR,
+                    details: `User paid NGN ${amountPaid} via Monnify Transfer`
                 });
                 console.log(`[Monnify Webhook] Flight Payment SUCCESS: Request ${flightTx.flightRequestId}`);
-            }, {
-                maxWait: 10000,
-                timeout: 15000
-            });
+            } catch (error) {
+                // Redelivered webhooks find the request already paid
+                if (!isFlightWorkflowError(error)) throw error;
+                console.log(`[Monnify Webhook] Flight ${flightTx.flightRequestId} already processed: ${error.message}`);
+            }
 
             return; // Flight payments do not credit wallet, exit early.
         }
@@ -134,7 +130,7 @@ const handleMonnifyWebhook = async (req, res) => {
             if (productType === 'RESERVED_ACCOUNT') {
                 // CASE A: Virtual Account Funding (Create new record)
                 try {
-                    await tx.transaction.create({
+                    const fundingTx = await tx.transaction.create({
                         data: {
                             userId,
                             amount: walletCreditAmount,
@@ -152,9 +148,14 @@ const handleMonnifyWebhook = async (req, res) => {
                     });
 
                     // Only hits this if create succeeds (meaning no duplicate existed)
-                    await tx.wallet.update({
-                        where: { userId },
-                        data: { balance: { increment: walletCreditAmount } }
+                    await creditWallet(tx, {
+                        userId,
+                        amount: walletCreditAmount,
+                        entryType: 'FUNDING',
+                        counterAccount: LEDGER_ACCOUNTS.MONNIFY,
+                        reference: internalReference,
+                        transactionId: fundingTx.id,
+                        description: `Reserved account funding via Monnify (${flwId})`
                     });
 
                 } catch (e) {
@@ -186,9 +187,19 @@ const handleMonnifyWebhook = async (req, res) => {
                 }
 
                 // Only hits this if exactly 1 record was updated from PENDING to SUCCESS
-                await tx.wallet.update({
-                    where: { userId },
-                    data: { balance: { increment: walletCreditAmount } }
+                const fundingTx = await tx.transaction.findUnique({
+                    where: { reference: internalReference },
+                    select: { id: true }
+                });
+
+                await creditWallet(tx, {
+                    userId,
+                    amount: walletCreditAmount,
+                    entryType: 'FUNDING',
+                    counterAccount: LEDGER_ACCOUNTS.MONNIFY,
+                    reference: internalReference,
+                    transactionId: fundingTx?.id,
+                    description: `Wallet funding via Monnify (${flwId})`
                 });
             }
 
@@ -2,13 +2,60 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('@/api/v1/admin/adminController');
 const dataPlanController = require('@/api/v1/admin/dataPlanController');
-const { authMiddleware, requireSuperAdmin } = require('@/middleware/authMiddleware');
-
-// --- DATA PLAN MANAGEMENT (SUPER ADMIN ONLY) ---
-router.post('/data-plans/sync', authMiddleware, requireSuperAdmin, dataPlanController.syncDataPlans);
-router.get('/data-plans', authMiddleware, requireSuperAdmin, dataPlanController.getAllDataPlans);
-router.patch('/data-plans/reorder', authMiddleware, requireSuperAdmin, dataPlanController.reorderDataPlans);
-router.patch('/data-plans/:id', authMiddleware, requireSuperAdmin, dataPlanController.updateDataPlan);
-router.delete('/data-plans/:id', authMiddleware, requireSuperAdmin, dataPlanController.deleteDataPlan);
+const adjustmentController = require('@/api/v1/admin/adjustmentController');
+const providerRouteController = require('@/api/v1/admin/providerRouteController');
+const pricingRuleController = require('@/api/v1/admin/pricingRuleController');
+const referralRuleController = require('@/api/v1/admin/referralRuleController');
+const campaignController = require('@/api/v1/admin/campaignController');
+const kycController = require('@/api/v1/admin/kycController');
+const { requirePermission } = require('@/middleware/authMiddleware');
+
+// Each route needs one of the listed staff permissions (see lib/permissions.js)
+
+// --- DATA PLAN MANAGEMENT ---
+router.post('/data-plans/sync', requirePermission('plans:edit'), dataPlanController.syncDataPlans);
+router.get('/data-plans', requirePermission('plans:edit'), dataPlanController.getAllDataPlans);
+router.patch('/data-plans/reorder', requirePermission('plans:edit'), dataPlanController.reorderDataPlans);
+router.patch('/data-plans/:id', requirePermission('plans:edit'), dataPlanController.updateDataPlan);
+router.delete('/data-plans/:id', requirePermission('plans:edit'), dataPlanController.deleteDataPlan);
+
+// --- WALLET LEDGER ---
+router.get('/wallets/:userId/ledger', requirePermission('ledger:read'), adminController.getWalletLedger);
+router.get('/wallets/:userId/reconcile', requirePermission('ledger:read'), adminController.reconcileWallet);
+
+// --- REVERSALS & MANUAL ADJUSTMENTS (MAKER-CHECKER) ---
+router.get('/adjustments', requirePermission('reversals:propose', 'reversals:approve'), adjustmentController.getAdjustments);
+router.post('/adjustments/reversals', requirePermission('reversals:propose'), adjustmentController.proposeReversal);
+router.post('/adjustments/manual', requirePermission('reversals:propose'), adjustmentController.proposeManualAdjustment);
+router.post('/adjustments/:id/approve', requirePermission('reversals:approve'), adjustmentController.approveAdjustment);
+router.post('/adjustments/:id/reject', requirePermission('reversals:approve'), adjustmentController.rejectAdjustment);
+
+// --- VTU PROVIDER ROUTING & FAILOVER ---
+router.get('/provider-routes', requirePermission('providers:manage'), providerRouteController.getProviderRoutes);
+router.put('/provider-routes', requirePermission('providers:manage'), providerRouteController.upsertProviderRoute);
+router.delete('/provider-routes/:id', requirePermission('providers:manage'), providerRouteController.deleteProviderRoute);
+
+// --- TIER & USER PRICING RULES ---
+router.get('/pricing-rules', requirePermission('pricing:edit'), pricingRuleController.getPricingRules);
+router.post('/pricing-rules', requirePermission('pricing:edit'), pricingRuleController.createPricingRule);
+router.patch('/pricing-rules/:id', requirePermission('pricing:edit'), pricingRuleController.updatePricingRule);
+router.delete('/pricing-rules/:id', requirePermission('pricing:edit'), pricingRuleController.deletePricingRule);
+
+// --- REFERRAL COMMISSION RULES ---
+router.get('/referral-rules', requirePermission('pricing:edit'), referralRuleController.getReferralRules);
+router.put('/referral-rules', requirePermission('pricing:edit'), referralRuleController.upsertReferralRule);
+router.delete('/referral-rules/:id', requirePermission('pricing:edit'), referralRuleController.deleteReferralRule);
+
+// --- CASHBACK CAMPAIGNS & PROMO CODES ---
+router.get('/campaigns', requirePermission('pricing:edit'), campaignController.getCampaigns);
+router.post('/campaigns', requirePermission('pricing:edit'), campaignController.createCampaign);
+router.get('/campaigns/:id', requirePermission('pricing:edit'), campaignController.getCampaignStats);
+router.patch('/campaigns/:id', requirePermission('pricing:edit'), campaignController.updateCampaign);
+
+// --- KYC REVIEW QUEUE ---
+router.get('/kyc/submissions', requirePermission('users:manage'), kycController.getKycSubmissions);
+router.get('/kyc/submissions/:id', requirePermission('users:manage'), kycController.getKycSubmission);
+router.post('/kyc/submissions/:id/approve', requirePermission('users:manage'), kycController.approveKycSubmission);
+router.post('/kyc/submissions/:id/reject', requirePermission('users:manage'), kycController.rejectKycSubmission);
 
 module.exports = router;
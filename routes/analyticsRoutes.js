@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('@/api/v1/admin/analyticsController');
-const { requireSuperAdmin } = require('@/middleware/authMiddleware');
+const { requirePermission } = require('@/middleware/authMiddleware');
 
-// All analytics routes require Super Admin privileges
-router.use(requireSuperAdmin);
+// All analytics routes require the analytics:read permission
+router.use(requirePermission('analytics:read'));
 
 router.get('/overview', analyticsController.getOverview);
 router.get('/revenue', analyticsController.getRevenueChart);
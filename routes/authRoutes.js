@@ -6,8 +6,19 @@ const forgotPassword = require("@/api/v1/auth/forgotPassword")
 const verifyOtp = require("@/api/v1/auth/verifyOtp")
 const resetPassword = require("@/api/v1/auth/resetPassword")
 const changePin = require("@/api/v1/auth/changePin")
-const { createStaff, loginStaff, forcePasswordReset, getAllStaff } = require("@/api/v1/auth/staffAuthController")
-const { authMiddleware, requireSuperAdmin } = require("@/middleware/authMiddleware")
+const { forgotPin, resetPin, setPin } = require("@/api/v1/auth/transactionPinController")
+const {
+    createStaff,
+    loginStaff,
+    forcePasswordReset,
+    getAllStaff,
+    staffForgotPassword,
+    staffResetPassword
+} = require("@/api/v1/auth/staffAuthController")
+const twoFactorController = require("@/api/v1/auth/twoFactorController")
+const staffRoleController = require("@/api/v1/auth/staffRoleController")
+const staffManagementController = require("@/api/v1/auth/staffManagementController")
+const { authMiddleware, requirePermission } = require("@/middleware/authMiddleware")
 
 const router = express.Router()
 
@@ -24,13 +35,44 @@ router.post("/forgot-password", forgotPassword) // FORGOT PASSWORD
 router.post("/verify-otp", verifyOtp) // VERIFY OTP
 router.post("/reset-password", resetPassword) // RESET PASSWORD
 
+// TWO-FACTOR AUTHENTICATION (second step of user and staff login)
+router.post("/2fa/verify", twoFactorController.verifyChallenge) // EXCHANGE CHALLENGE + CODE FOR A SESSION
+router.post("/2fa/email-otp", twoFactorController.sendChallengeEmailOtp) // EMAIL A LOGIN CODE INSTEAD
+
+// TWO-FACTOR ENROLMENT (users and staff)
+router.get("/2fa", authMiddleware, twoFactorController.getTwoFactorStatus)
+router.post("/2fa/setup", authMiddleware, twoFactorController.setupTwoFactor)
+router.post("/2fa/enable", authMiddleware, twoFactorController.enableTwoFactor)
+router.post("/2fa/disable", authMiddleware, twoFactorController.disableTwoFactor)
+router.post("/2fa/backup-codes", authMiddleware, twoFactorController.regenerateBackupCodes)
+
 // AUTHENTICATED USER ROUTES
 router.post("/change-pin", authMiddleware, changePin) // CHANGE TRANSACTION PIN
+router.post("/set-pin", authMiddleware, setPin) // FIRST PIN FOR OLDER ACCOUNTS
+router.post("/forgot-pin", authMiddleware, forgotPin) // EMAIL A PIN RESET CODE
+router.post("/reset-pin", authMiddleware, resetPin) // RESET PIN WITH CODE (LIFTS LOCKOUT)
 
 // STAFF AUTHENTICATION
 router.post("/staff/login", loginStaff) // STAFF LOGIN
 router.post("/staff/force-reset", forcePasswordReset) // STAFF FORCE PASSWORD RESET
-router.get("/staff", authMiddleware, requireSuperAdmin, getAllStaff) // SUPER ADMIN LIST STAFF
-router.post("/staff/create", authMiddleware, requireSuperAdmin, createStaff) // SUPER ADMIN CREATE STAFF
+router.post("/staff/forgot-password", staffForgotPassword) // EMAIL A STAFF PASSWORD RESET CODE
+router.post("/staff/reset-password", staffResetPassword) // RESET STAFF PASSWORD WITH CODE
+router.get("/staff", requirePermission("staff:manage"), getAllStaff) // SUPER ADMIN LIST STAFF
+router.post("/staff/create", requirePermission("staff:manage"), createStaff) // SUPER ADMIN CREATE STAFF
+
+// STAFF ROLES & PERMISSIONS (SUPER ADMIN)
+router.get("/staff/permissions", requirePermission("staff:manage"), staffRoleController.getPermissions) // PERMISSION CATALOGUE + PRESETS
+router.get("/staff/roles", requirePermission("staff:manage"), staffRoleController.getRoles)
+router.post("/staff/roles", requirePermission("staff:manage"), staffRoleController.createRole)
+router.patch("/staff/roles/:id", requirePermission("staff:manage"), staffRoleController.updateRole)
+router.delete("/staff/roles/:id", requirePermission("staff:manage"), staffRoleController.deleteRole)
+router.put("/staff/:id/access", requirePermission("staff:manage"), staffRoleController.updateStaffAccess) // CUSTOM ROLE + PER-STAFF OVERRIDES
+
+// STAFF ACCOUNT LIFECYCLE (SUPER ADMIN)
+router.post("/staff/:id/deactivate", requirePermission("staff:manage"), staffManagementController.deactivateStaff) // SIGNS THEM OUT
+router.post("/staff/:id/reactivate", requirePermission("staff:manage"), staffManagementController.reactivateStaff)
+router.patch("/staff/:id/role", requirePermission("staff:manage"), staffManagementController.changeStaffRole)
+router.post("/staff/:id/reset-password", requirePermission("staff:manage"), staffManagementController.resetStaffPassword) // EMAILS A TEMP PASSWORD
+router.get("/staff/:id/history", requirePermission("staff:manage"), staffManagementController.getStaffHistory)
 
 module.exports = router
\ No newline at end of file
@@ -1,20 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { authMiddleware } = require('@/middleware/authMiddleware');
+const { userOrApiKeyAuth, optionalUserOrApiKey } = require('@/middleware/apiKeyMiddleware');
+const { useBeneficiary } = require('@/middleware/beneficiaryMiddleware');
 const cableController = require('@/api/v1/transactions/cableController');
 
 // --- CABLE / TV ROUTES ---
 
 /**
  * @route   GET /api/vtu/cable/packages
- * @desc    Get available cable packages (Public - Frontend needs this before login)
+ * @desc    Get available cable packages (Public - Frontend needs this before login; tier prices when logged in)
  */
-router.get('/packages', cableController.getPackages);
+router.get('/packages', optionalUserOrApiKey, cableController.getPackages);
 
 // ==========================================
 // PROTECTED ROUTES BELOW THIS LINE
 // ==========================================
-router.use(authMiddleware);
+router.use(userOrApiKeyAuth());
 
 /**
  * @route   GET /api/vtu/cable/verify
@@ -26,6 +27,6 @@ router.get('/verify', cableController.verifyIUC);
  * @route   POST /api/vtu/cable/pay
  * @desc    Purchase cable subscription
  */
-router.post('/pay', cableController.purchaseSubscription);
+router.post('/pay', useBeneficiary('CABLE_TV'), cableController.purchaseSubscription);
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { authMiddleware } = require('@/middleware/authMiddleware');
+const { userOrApiKeyAuth } = require('@/middleware/apiKeyMiddleware');
 const educationController = require('@/api/v1/transactions/educationController');
 
-// All education routes are protected by the authMiddleware
-router.use(authMiddleware);
+// All education routes need a session token or a partner API key (x-api-key)
+router.use(userOrApiKeyAuth());
 
 /**
  * @route   GET /api/v1/edu/packages
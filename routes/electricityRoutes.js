@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authMiddleware } = require('@/middleware/authMiddleware');
+const { userOrApiKeyAuth } = require('@/middleware/apiKeyMiddleware');
+const { useBeneficiary } = require('@/middleware/beneficiaryMiddleware');
 const electricityController = require('@/api/v1/transactions/electricityController');
 
 // --- ELECTRICITY ROUTES ---
@@ -13,14 +14,14 @@ const electricityController = require('@/api/v1/transactions/electricityControll
 router.get('/disco', electricityController.getDiscos);
 
 
-router.use(authMiddleware)
+router.use(userOrApiKeyAuth())
 router.get('/verify', electricityController.verifyMeterNumber);
 
 /**
  * @route   POST /api/vtu/electricity/pay
  * @desc    Purchase electricity units / pay postpaid bill
  */
-router.post('/pay', electricityController.purchaseElectricity);
+router.post('/pay', useBeneficiary('ELECTRICITY'), electricityController.purchaseElectricity);
 
 // ... rest of file ...
 
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { authMiddleware, requireAdmin, requireTicketStaff } = require('@/middleware/authMiddleware');
+const { authMiddleware, requirePermission } = require('@/middleware/authMiddleware');
 const userController = require('@/api/v1/flights/userFlightController');
 const staffController = require('@/api/v1/flights/staffFlightController');
 const templateController = require('@/api/v1/flights/flightTemplateController');
+const refundPolicyController = require('@/api/v1/flights/flightRefundPolicyController');
+const changeController = require('@/api/v1/flights/flightChangeController');
 
 // Public route - no auth required
 router.get('/link', (req, res) => {
@@ -21,25 +23,48 @@ router.get('/user/requests/:id', userController.getUserRequestById);
 router.post('/user/:id/book', userController.bookFlight);
 router.post('/user/:id/pay', userController.payForFlight);
 router.post('/user/:id/cancel', userController.cancelFlightRequest);
+router.get('/user/:id/refund-quote', userController.getRefundQuote);
 router.get('/user/transactions', userController.getUserFlightTransactions);
+router.post('/user/:id/changes', changeController.requestChange);
+router.get('/user/:id/changes', changeController.getUserChanges);
+router.post('/user/changes/:changeId/pay', changeController.payForChange);
+router.post('/user/changes/:changeId/cancel', changeController.cancelChange);
 
 // --- STAFF ROUTES ---
-const staffAuth = requireTicketStaff;
-
-router.get('/staff/requests', staffAuth, staffController.getAllRequests);
-router.get('/staff/dashboard', staffAuth, staffController.getDashboardData);
-router.post('/staff/:id/options', staffAuth, staffController.provideOptions);
-router.post('/staff/:id/quote', staffAuth, staffController.quoteFlight);
-router.post('/staff/:id/fulfill', staffAuth, staffController.fulfillTicket);
-router.get('/staff/:id/history', staffAuth, staffController.getRequestHistory);
-router.post('/staff/:id/cancel', staffAuth, staffController.cancelFlightRequest);
-router.post('/staff/:id/refund', staffAuth, staffController.refundFlightRequest);
-router.get('/staff/transactions', staffAuth, staffController.getAllFlightTransactions);
+const handleFlights = requirePermission('flights:handle');
+const quoteFlights = requirePermission('flights:quote');
+
+router.get('/staff/requests', handleFlights, staffController.getAllRequests);
+router.get('/staff/dashboard', handleFlights, staffController.getDashboardData);
+router.post('/staff/:id/options', handleFlights, staffController.provideOptions);
+router.post('/staff/:id/quote', quoteFlights, staffController.quoteFlight);
+router.post('/staff/:id/fulfill', handleFlights, staffController.fulfillTicket);
+router.get('/staff/:id/history', handleFlights, staffController.getRequestHistory);
+router.post('/staff/:id/cancel', handleFlights, staffController.cancelFlightRequest);
+router.post('/staff/:id/refund', requirePermission('flights:refund'), staffController.refundFlightRequest);
+router.get('/staff/:id/refund-quote', requirePermission('flights:refund'), staffController.getRefundQuote);
+router.get('/staff/transactions', requirePermission('ledger:read', 'flights:handle'), staffController.getAllFlightTransactions);
+router.post('/staff/:id/claim', handleFlights, staffController.claimRequest);
+router.post('/staff/:id/release', handleFlights, staffController.releaseRequest);
+router.post('/staff/:id/assign', requirePermission('flights:assign'), staffController.assignRequest);
+router.get('/staff/performance', requirePermission('flights:assign', 'analytics:read'), staffController.getAgentPerformance);
 
 // --- TEMPLATE ROUTES ---
-router.post('/staff/templates', staffAuth, templateController.saveTemplate);
-router.get('/staff/templates', staffAuth, templateController.getTemplates);
-router.delete('/staff/templates/:id', staffAuth, templateController.deleteTemplate);
-router.post('/staff/request/:requestId/quote-from-template', staffAuth, templateController.quoteFromTemplate);
+router.post('/staff/templates', handleFlights, templateController.saveTemplate);
+router.get('/staff/templates', handleFlights, templateController.getTemplates);
+router.delete('/staff/templates/:id', handleFlights, templateController.deleteTemplate);
+router.post('/staff/request/:requestId/quote-from-template', quoteFlights, templateController.quoteFromTemplate);
+
+// --- CHANGE REQUEST ROUTES ---
+router.get('/staff/changes', handleFlights, changeController.getAllChanges);
+router.post('/staff/changes/:changeId/quote', quoteFlights, changeController.quoteChange);
+router.post('/staff/changes/:changeId/issue', handleFlights, changeController.issueChange);
+router.post('/staff/changes/:changeId/reject', handleFlights, changeController.rejectChange);
+
+// --- REFUND POLICY ROUTES ---
+router.get('/staff/refund-policies', requirePermission('flights:refund', 'pricing:edit'), refundPolicyController.getRefundPolicies);
+router.post('/staff/refund-policies', requirePermission('pricing:edit'), refundPolicyController.createRefundPolicy);
+router.patch('/staff/refund-policies/:id', requirePermission('pricing:edit'), refundPolicyController.updateRefundPolicy);
+router.delete('/staff/refund-policies/:id', requirePermission('pricing:edit'), refundPolicyController.deleteRefundPolicy);
 
 module.exports = router;
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 
 const { authMiddleware } = require('@/middleware/authMiddleware');
+const { enforceBalanceCap } = require('@/middleware/kycLimitMiddleware');
 const flutterwaveController = require('@/api/v1/flw/flutterwaveController');
 const webhookController = require('@/webhook/paymentWebhook');
 
@@ -29,7 +30,7 @@ router.post('/webhook/flutterwave', webhookController.handleFlutterwaveWebhook);
 
 // PRIVATE: User actions
 router.use(authMiddleware);
-router.post('/fund/init', flutterwaveController.initGatewayFunding);
+router.post('/fund/init', enforceBalanceCap, flutterwaveController.initGatewayFunding);
 
 // 2. Apply the limiter strictly to the KYC endpoint
 router.post('/kyc/create', flutterwaveController.createAccount);
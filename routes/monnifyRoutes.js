@@ -2,6 +2,7 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const { authMiddleware } = require('@/middleware/authMiddleware');
+const { enforceBalanceCap } = require('@/middleware/kycLimitMiddleware');
 const monnifyMiddleware = require('@/middleware/monnifyMiddleware');
 const monnifyController = require('@/api/v1/monnify/monnifyController');
 
@@ -36,7 +37,7 @@ router.post('/webhook', monnifyMiddleware.handleMonnifyWebhook);
 router.use(authMiddleware);
 
 // Endpoint to start the standard checkout/gateway process
-router.post('/fund/init', monnifyController.initGatewayFunding);
+router.post('/fund/init', enforceBalanceCap, monnifyController.initGatewayFunding);
 
 // Endpoint to verify BVN and link a dedicated reserved account
 // 2. Apply the limiter strictly to the KYC endpoint
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authMiddleware } = require('@/middleware/authMiddleware');
+const { enforceBalanceCap } = require('@/middleware/kycLimitMiddleware');
 const paymentController = require('@/api/v1/payment/paymentController');
 
 // All payment routes are protected
@@ -10,7 +11,7 @@ router.use(authMiddleware);
  * @route   POST /api/v1/payment/fund/init
  * @desc    Initialize gateway funding (switchable between Monnify/Flutterwave)
  */
-router.post('/fund/init', paymentController.initGatewayFunding);
+router.post('/fund/init', enforceBalanceCap, paymentController.initGatewayFunding);
 
 /**
  * @route   POST /api/v1/payment/kyc/create
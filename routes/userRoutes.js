@@ -1,16 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const { authMiddleware } = require('@/middleware/authMiddleware');
+const { userOrApiKeyAuth } = require('@/middleware/apiKeyMiddleware');
 const userController = require('@/api/v1/user/userController');
+const apiKeyController = require('@/api/v1/user/apiKeyController');
+const webhookController = require('@/api/v1/user/webhookController');
+const scheduledPurchaseController = require('@/api/v1/user/scheduledPurchaseController');
+const beneficiaryController = require('@/api/v1/user/beneficiaryController');
+const referralController = require('@/api/v1/user/referralController');
+const transferController = require('@/api/v1/user/transferController');
+const withdrawalController = require('@/api/v1/user/withdrawalController');
+const kycController = require('@/api/v1/user/kycController');
+const sessionController = require('@/api/v1/user/sessionController');
 
-// Secure all user routes
-router.use(authMiddleware);
+// --- PARTNER-READABLE ROUTES (session token or API key with wallet:read) ---
 
 /**
  * @route   GET /api/user/profile
  * @desc    Get user info and wallet balance
  */
-router.get('/profile', userController.getProfile);
+router.get('/profile', userOrApiKeyAuth('wallet:read'), userController.getProfile);
+
+/**
+ * @route   GET /api/user/transactions
+ * @desc    Get full transaction history with pagination
+ */
+router.get('/transactions', userOrApiKeyAuth('wallet:read'), userController.getTransactions);
+
+// Secure all other user routes (session only)
+router.use(authMiddleware);
 
 /**
  * @route   GET /api/user/dashboard
@@ -20,9 +38,70 @@ router.get('/dashboard', userController.getDashboard);
 
 
 /**
- * @route   GET /api/user/transactions
- * @desc    Get full transaction history with pagination
+ * @route   GET /api/user/statement
+ * @desc    Account statement for a date range (?from=&to=&format=json|csv|pdf)
+ */
+router.get('/statement', userController.getStatement);
+
+/**
+ * @route   GET /api/user/transfer/recipient
+ * @desc    Look up a wallet-to-wallet recipient by phone or email (?to=)
+ */
+router.get('/transfer/recipient', transferController.lookupRecipient);
+
+/**
+ * @route   POST /api/user/transfer
+ * @desc    Send money to another user's wallet (PIN required)
  */
-router.get('/transactions', userController.getTransactions);
+router.post('/transfer', transferController.createTransfer);
+
+// --- SESSIONS & DEVICES (sign out one device or every other one) ---
+router.get('/sessions', sessionController.getSessions);
+router.post('/sessions/revoke-others', sessionController.revokeOtherSessions);
+router.delete('/sessions/:id', sessionController.revokeSession);
+
+// --- KYC LEVELS (limits and usage; documents for levels 3 and 4) ---
+router.get('/kyc', kycController.getKycStatus);
+router.post('/kyc/submissions', kycController.submitKyc);
+
+// --- BANK WITHDRAWALS (KYC + PIN required; paid out on the active gateway) ---
+router.get('/withdrawals/banks', withdrawalController.getBanks);
+router.get('/withdrawals/resolve', withdrawalController.resolveAccount);
+router.post('/withdrawals', withdrawalController.createWithdrawal);
+
+// --- PARTNER API KEYS (API_PARTNER only; plaintext key is returned once) ---
+router.get('/api-keys', apiKeyController.getApiKeys);
+router.post('/api-keys', apiKeyController.createApiKey);
+router.post('/api-keys/:id/rotate', apiKeyController.rotateApiKey);
+router.delete('/api-keys/:id', apiKeyController.revokeApiKey);
+
+// --- OUTBOUND WEBHOOKS (signed callbacks for transaction, funding and flight events) ---
+router.get('/webhooks', webhookController.getWebhookEndpoints);
+router.post('/webhooks', webhookController.createWebhookEndpoint);
+router.get('/webhooks/deliveries', webhookController.getWebhookDeliveries);
+router.post('/webhooks/deliveries/:id/redeliver', webhookController.redeliverWebhook);
+router.patch('/webhooks/:id', webhookController.updateWebhookEndpoint);
+router.post('/webhooks/:id/rotate-secret', webhookController.rotateWebhookSecret);
+router.delete('/webhooks/:id', webhookController.deleteWebhookEndpoint);
+
+// --- SCHEDULED PURCHASES (recurring airtime, data and cable renewals) ---
+router.get('/scheduled-purchases', scheduledPurchaseController.getScheduledPurchases);
+router.post('/scheduled-purchases', scheduledPurchaseController.createScheduledPurchase);
+router.patch('/scheduled-purchases/:id', scheduledPurchaseController.updateScheduledPurchase);
+router.delete('/scheduled-purchases/:id', scheduledPurchaseController.deleteScheduledPurchase);
+router.get('/scheduled-purchases/:id/runs', scheduledPurchaseController.getScheduledPurchaseRuns);
+
+// --- SAVED BENEFICIARIES (use beneficiaryId on /vtu, /electricity and /cable purchases) ---
+router.get('/beneficiaries', beneficiaryController.getBeneficiaries);
+router.get('/beneficiaries/suggestions', beneficiaryController.getBeneficiarySuggestions);
+router.post('/beneficiaries', beneficiaryController.createBeneficiary);
+router.patch('/beneficiaries/:id', beneficiaryController.updateBeneficiary);
+router.post('/beneficiaries/:id/verify', beneficiaryController.reverifyBeneficiary);
+router.delete('/beneficiaries/:id', beneficiaryController.deleteBeneficiary);
+
+// --- REFERRALS (code, referees, commissions, bonus -> wallet) ---
+router.get('/referrals', referralController.getReferralSummary);
+router.get('/referrals/earnings', referralController.getReferralEarnings);
+router.post('/referrals/transfer-bonus', referralController.transferBonus);
 
 module.exports = router;
\ No newline at end of file
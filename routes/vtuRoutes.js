@@ -1,22 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const { authMiddleware } = require('@/middleware/authMiddleware');
+const { userOrApiKeyAuth } = require('@/middleware/apiKeyMiddleware');
+const { useBeneficiary } = require('@/middleware/beneficiaryMiddleware');
 const airtimeController = require('@/api/v1/transactions/airtimeController');
 const dataController = require('@/api/v1/transactions/dataController');
 const printingController = require('@/api/v1/transactions/pinController');
+const bulkController = require('@/api/v1/transactions/bulkPurchaseController');
 
-// All VTU routes are protected by the authMiddleware (Server Session)
-router.use(authMiddleware);
+// All VTU routes need a session token or a partner API key (x-api-key)
+router.use(userOrApiKeyAuth());
 
 // --- AIRTIME ROUTES ---
-router.post('/airtime', airtimeController.purchaseAirtime);
+router.post('/airtime', useBeneficiary('PHONE'), airtimeController.purchaseAirtime);
 router.get('/airtime/:reference', airtimeController.getAirtimeStatus);
 
 // --- DATA ROUTES ---
 router.get('/data/plans', dataController.getAvailablePlans);
-router.post('/data', dataController.purchaseData);
+router.post('/data', useBeneficiary('PHONE'), dataController.purchaseData);
 router.get('/data/:reference', dataController.getDataStatus);
 
+// --- BULK AIRTIME / DATA ROUTES ---
+
+/**
+ * @route   POST /api/vtu/bulk
+ * @desc    Buy airtime/data for up to 100 numbers (JSON items or CSV); paid once, processed in the background
+ */
+router.post('/bulk', bulkController.createBulkPurchase);
+router.get('/bulk', bulkController.getBulkPurchases);
+
+/**
+ * @route   GET /api/vtu/bulk/:reference
+ * @desc    Batch status with per-line results and refunds
+ */
+router.get('/bulk/:reference', bulkController.getBulkPurchaseStatus);
+
 // --- RECHARGE CARD PRINTING (E-PIN) ROUTES ---
 
 /**
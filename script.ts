@@ -31,7 +31,14 @@ import { startMonnifyTransactionSync } from './jobs/monnifyTransactionSync';
 import { startPaystackTransactionSync } from './jobs/paystackTransactionSync';
 import { startNelloByteStatusJob } from './jobs/nelloByteStatusJob';
 import { startFlightStatusJob } from './jobs/flightCronJob';
+import { startFlightDeadlineJob } from './jobs/flightDeadlineJob';
 import { startCleanupJob } from './jobs/cleanupJob';
+import { startWebhookDeliveryJob } from './jobs/webhookDeliveryJob';
+import { startBulkPurchaseJob } from './jobs/bulkPurchaseJob';
+import { startScheduledPurchaseJob } from './jobs/scheduledPurchaseJob';
+import { startReferralCommissionJob } from './jobs/referralCommissionJob';
+import { startCampaignCashbackJob } from './jobs/campaignCashbackJob';
+import { startPayoutReconcileJob } from './jobs/payoutReconcileJob';
 
 dotenv.config();
 
@@ -183,7 +190,14 @@ app.use((err: any, req: Request, res: Response, next: NextFunction) => {
 //startMonnifyTransactionSync();
 //startPaystackTransactionSync();
 startFlightStatusJob();
+startFlightDeadlineJob();
 startCleanupJob();
+startWebhookDeliveryJob();
+startBulkPurchaseJob();
+startScheduledPurchaseJob();
+startReferralCommissionJob();
+startCampaignCashbackJob();
+startPayoutReconcileJob();
 
 app.listen(PORT, () => {
     console.log(`[Server] Mufti Pay running on port ${PORT}`);
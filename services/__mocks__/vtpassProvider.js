@@ -12,5 +12,7 @@ module.exports = {
     fetchCablePackages: jest.fn(),
     buyCableTV: jest.fn(),
     verifyMeter: jest.fn(),
-    payElectricityBill: jest.fn()
+    payElectricityBill: jest.fn(),
+    buyEducationPin: jest.fn(),
+    getWalletBalance: jest.fn()
 };
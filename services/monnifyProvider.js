@@ -4,11 +4,14 @@
  */
 
 const axios = require('@/lib/providerClient');
+const { providerRejection } = require('@/lib/financialSafety');
 
 const MONNIFY_API_KEY = process.env.MONNIFY_API_KEY;
 const MONNIFY_SECRET_KEY = process.env.MONNIFY_SECRET_KEY;
 const MONNIFY_CONTRACT_CODE = process.env.MONNIFY_CONTRACT_CODE;
 const MONNIFY_BASE_URL = process.env.MONNIFY_BASE_URL || 'https://sandbox.monnify.com';
+// Monnify wallet that disbursements (withdrawals) are paid from
+const MONNIFY_WALLET_ACCOUNT = process.env.MONNIFY_WALLET_ACCOUNT;
 
 // if (process.env.NODE_ENV === 'production' && MONNIFY_BASE_URL.includes('sandbox')) {
 //     throw new Error('FATAL: Using sandbox Monnify URL in production!');
@@ -246,9 +249,98 @@ const createDynamicAccount = async (amount, customerName, customerEmail, payment
     };
 };
 
+/**
+ * List Banks (code + name, for disbursements)
+ */
+const listBanks = async () => {
+    const token = await getAccessToken();
+
+    const response = await axios.get(`${MONNIFY_BASE_URL}/api/v1/banks`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    const json = response.data;
+    if (!json.requestSuccessful) throw new Error(json.responseMessage || "Could not load banks");
+
+    return json.responseBody.map(bank => ({ code: bank.code, name: bank.name }));
+};
+
+/**
+ * Resolve Account Name
+ */
+const resolveAccountNumber = async (accountNumber, bankCode) => {
+    const token = await getAccessToken();
+
+    const response = await axios.get(`${MONNIFY_BASE_URL}/api/v1/disbursements/account/validate`, {
+        params: { accountNumber, bankCode },
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    const json = response.data;
+    if (!json.requestSuccessful) throw new Error(json.responseMessage || "Could not resolve account");
+
+    return { accountName: json.responseBody.accountName };
+};
+
+/**
+ * Single Disbursement (payout) from the Monnify wallet
+ * @returns {{ status, transactionReference }} status: 'SUCCESS' | 'PENDING' | 'PENDING_AUTHORIZATION' | 'FAILED' | ...
+ */
+const initiateTransfer = async ({ reference, amount, accountNumber, bankCode, narration }) => {
+    const token = await getAccessToken();
+
+    const response = await axios.post(`${MONNIFY_BASE_URL}/api/v2/disbursements/single`, {
+        amount: Number(amount),
+        reference,
+        narration,
+        destinationBankCode: bankCode,
+        destinationAccountNumber: accountNumber,
+        currency: "NGN",
+        sourceAccountNumber: MONNIFY_WALLET_ACCOUNT
+    }, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    const json = response.data;
+    if (!json.requestSuccessful) throw providerRejection(json.responseMessage || "Monnify disbursement failed");
+
+    return {
+        status: json.responseBody.status,
+        transactionReference: json.responseBody.transactionReference
+    };
+};
+
+/**
+ * Disbursement Status by Reference
+ */
+const verifyTransfer = async (reference) => {
+    const token = await getAccessToken();
+
+    const response = await axios.get(`${MONNIFY_BASE_URL}/api/v2/disbursements/single/summary`, {
+        params: { reference },
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    const json = response.data;
+    if (!json.requestSuccessful) {
+        const error = new Error(json.responseMessage || "Disbursement verification failed");
+        error.status = 404;
+        throw error;
+    }
+
+    return {
+        status: json.responseBody.status,
+        transactionReference: json.responseBody.transactionReference
+    };
+};
+
 module.exports = {
     initializePayment,
     verifyTransaction,
     createVirtualAccount,
-    createDynamicAccount
+    createDynamicAccount,
+    listBanks,
+    resolveAccountNumber,
+    initiateTransfer,
+    verifyTransfer
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { providerRejection } = require('@/lib/financialSafety');
 
 /**
  * NaijaResultPins API Provider
@@ -53,14 +54,15 @@ const buyExamCard = async (cardTypeId, quantity = 1) => {
             };
         }
 
-        // Handle specific error codes if needed, or just throw the message
-        throw new Error(data.message || "Transaction failed on NaijaResultPins");
+        // An explicit "status": false is a refusal; anything else is ambiguous
+        if (data?.status === false) throw providerRejection(data.message || "Transaction failed on NaijaResultPins");
+        throw new Error(data?.message || "Transaction failed on NaijaResultPins");
     } catch (error) {
         console.error("NaijaResultPins Purchase Error:", error.response?.data || error.message);
-        
-        // Extract message from response if available
-        const errorMsg = error.response?.data?.message || error.message;
-        throw new Error(errorMsg);
+
+        // Extract message from response if available, keeping the status and code callers check
+        if (error.response?.data?.message) error.message = error.response.data.message;
+        throw error;
     }
 };
 
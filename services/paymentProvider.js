@@ -1,4 +1,5 @@
 const axios = require('@/lib/providerClient');
+const { providerRejection } = require('@/lib/financialSafety');
 
 const FLW_SECRET_KEY = process.env.FLW_SECRET_KEY;
 const FLW_BASE_URL = 'https://api.flutterwave.com/v3';
@@ -172,9 +173,79 @@ const createDynamicAccount = async (amount, customerName, customerEmail, tx_ref)
     return response.data.data;
 };
 
+/**
+ * List Nigerian Banks (code + name, for transfers)
+ */
+const listBanks = async () => {
+    const response = await requestWithRetry({
+        method: 'GET',
+        url: `${FLW_BASE_URL}/banks/NG`,
+        ...flwHeader
+    });
+    return response.data.data.map(bank => ({ code: bank.code, name: bank.name }));
+};
+
+/**
+ * Resolve Account Name
+ */
+const resolveAccountNumber = async (accountNumber, bankCode) => {
+    const response = await requestWithRetry({
+        method: 'POST',
+        url: `${FLW_BASE_URL}/accounts/resolve`,
+        data: { account_number: accountNumber, account_bank: bankCode },
+        ...flwHeader
+    });
+    return { accountName: response.data.data.account_name };
+};
+
+/**
+ * Send a Transfer (payout)
+ * Not retried: a retry after a timeout could pay the account twice.
+ * @returns {{ id, status }} status: 'NEW' | 'PENDING' | 'SUCCESSFUL' | 'FAILED'
+ */
+const initiateTransfer = async ({ reference, amount, accountNumber, bankCode, narration }) => {
+    const response = await axios({
+        method: 'POST',
+        url: `${FLW_BASE_URL}/transfers`,
+        data: {
+            account_bank: bankCode,
+            account_number: accountNumber,
+            amount: Number(amount),
+            narration,
+            currency: "NGN",
+            debit_currency: "NGN",
+            reference
+        },
+        ...flwHeader
+    });
+
+    const json = response.data;
+    if (json.status !== 'success') throw providerRejection(json.message || "Flutterwave transfer failed");
+
+    return { id: json.data.id, status: json.data.status };
+};
+
+/**
+ * Transfer Status by Flutterwave transfer ID
+ */
+const verifyTransfer = async (transferId) => {
+    const response = await requestWithRetry({
+        method: 'GET',
+        url: `${FLW_BASE_URL}/transfers/${transferId}`,
+        ...flwHeader
+    });
+
+    const data = response.data.data;
+    return { id: data.id, status: data.status, reference: data.reference };
+};
+
 module.exports = {
     initializePayment,
     createVirtualAccount,
     verifyTransaction,
-    createDynamicAccount
+    createDynamicAccount,
+    listBanks,
+    resolveAccountNumber,
+    initiateTransfer,
+    verifyTransfer
 };
\ No newline at end of file
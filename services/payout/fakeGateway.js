@@ -0,0 +1,74 @@
+const { providerRejection } = require('@/lib/financialSafety');
+
+/**
+ * Fake In-Memory Payout Gateway
+ * Lets withdrawals be exercised offline (tests, local dev with PAYOUT_FAKE_GATEWAY=true).
+ * Payouts succeed by default; queue outcomes to script failures, timeouts, gateway
+ * 5xx answers or pending payouts.
+ */
+
+const DEFAULT_BANKS = [
+    { code: '044', name: 'Access Bank' },
+    { code: '058', name: 'Guaranty Trust Bank' },
+    { code: '999992', name: 'OPay' }
+];
+
+const createFakePayoutGateway = ({ name = 'FAKE', banks = DEFAULT_BANKS, accountName = 'FAKE ACCOUNT HOLDER' } = {}) => {
+    const payouts = new Map();
+    const outcomes = [];
+
+    const transfer = async (order) => {
+        const outcome = outcomes.shift() || 'SUCCESS';
+
+        if (outcome === 'TIMEOUT') {
+            const error = new Error(`${name} timeout of 45000ms exceeded`);
+            error.code = 'ECONNABORTED';
+            payouts.set(order.reference, { order, status: 'PENDING' });
+            throw error;
+        }
+
+        if (outcome === 'SERVER_ERROR') {
+            const error = new Error('Request failed with status code 502');
+            error.response = { status: 502 };
+            payouts.set(order.reference, { order, status: 'PENDING' });
+            throw error;
+        }
+
+        if (outcome === 'FAIL') {
+            throw providerRejection(`${name} rejected the transfer`);
+        }
+
+        const status = outcome === 'PENDING' ? 'PENDING' : 'SUCCESS';
+        payouts.set(order.reference, { order, status });
+
+        return { status, providerReference: `${name}-${order.reference}`, providerStatus: status };
+    };
+
+    return {
+        name,
+        isConfigured: () => true,
+        listBanks: async () => banks,
+        resolveAccount: async (accountNumber, bankCode) => {
+            if (!banks.some(bank => bank.code === bankCode) || !/^\d{10}$/.test(accountNumber)) {
+                throw new Error('Could not resolve account name');
+            }
+            return { accountName };
+        },
+        transfer,
+        query: async ({ reference }) => {
+            const record = payouts.get(reference);
+            if (!record) return null;
+            return { status: record.status, providerReference: `${name}-${reference}`, providerStatus: record.status };
+        },
+
+        // --- Test controls ---
+        queueOutcome: (...next) => outcomes.push(...next),
+        settle: (reference, status) => {
+            const record = payouts.get(reference);
+            if (record) record.status = status;
+        },
+        payouts
+    };
+};
+
+module.exports = { createFakePayoutGateway };
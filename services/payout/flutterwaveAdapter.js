@@ -0,0 +1,29 @@
+const paymentProvider = require('@/services/paymentProvider');
+
+/**
+ * Flutterwave Payout Adapter
+ * Flutterwave transfers are looked up by their own ID, so a payout whose
+ * initiation timed out (no ID recorded) is settled by the webhook or by an admin.
+ */
+
+const toStatus = (status) => {
+    if (status === 'SUCCESSFUL') return 'SUCCESS';
+    if (status === 'FAILED') return 'FAILED';
+    return 'PENDING';
+};
+
+module.exports = {
+    name: 'FLUTTERWAVE',
+    isConfigured: () => Boolean(process.env.FLW_SECRET_KEY),
+    listBanks: () => paymentProvider.listBanks(),
+    resolveAccount: (accountNumber, bankCode) => paymentProvider.resolveAccountNumber(accountNumber, bankCode),
+    transfer: async (order) => {
+        const result = await paymentProvider.initiateTransfer(order);
+        return { status: toStatus(result.status), providerReference: String(result.id), providerStatus: result.status };
+    },
+    query: async ({ providerReference }) => {
+        if (!providerReference) return null;
+        const result = await paymentProvider.verifyTransfer(providerReference);
+        return { status: toStatus(result.status), providerReference: String(result.id), providerStatus: result.status };
+    }
+};
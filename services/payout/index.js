@@ -0,0 +1,90 @@
+const { getCache, setCache } = require('@/lib/redis');
+const monnifyAdapter = require('./monnifyAdapter');
+const paystackAdapter = require('./paystackAdapter');
+const flutterwaveAdapter = require('./flutterwaveAdapter');
+const { createFakePayoutGateway } = require('./fakeGateway');
+
+/**
+ * Payout Gateway Router
+ * Withdrawals go through here instead of calling a gateway service directly.
+ * New payouts use the active gateway (PAYOUT_GATEWAY, else ACTIVE_PAYMENT_GATEWAY);
+ * an existing payout is always queried on the gateway that sent it (metadata.gateway).
+ *
+ * Adapter interface:
+ *   name                                   - 'MONNIFY'
+ *   isConfigured()                         - credentials present
+ *   listBanks()                            - [{ code, name }] in the gateway's own bank codes
+ *   resolveAccount(accountNumber, bankCode) - { accountName }
+ *   transfer(order)                        - { status: 'SUCCESS' | 'PENDING' | 'FAILED', providerReference, providerStatus }
+ *   query({ reference, providerReference }) - same shape (status may also be 'REVERSED') or null when unknown
+ *
+ * Order: { reference, amount, accountNumber, bankCode, accountName, narration }
+ *   Throws on a definitive rejection (see isDefinitiveRejection in lib/financialSafety.js); network
+ *   errors and 5xx answers are thrown as-is (payout may still go through).
+ */
+
+const BANKS_CACHE_TTL = 24 * 60 * 60;
+
+const gateways = new Map();
+
+const registerGateway = (adapter) => {
+    gateways.set(adapter.name, adapter);
+    return adapter;
+};
+
+[monnifyAdapter, paystackAdapter, flutterwaveAdapter].forEach(registerGateway);
+
+if (process.env.PAYOUT_FAKE_GATEWAY === 'true') {
+    registerGateway(createFakePayoutGateway());
+}
+
+const activeGatewayName = () =>
+    (process.env.PAYOUT_GATEWAY || process.env.ACTIVE_PAYMENT_GATEWAY || 'MONNIFY').toUpperCase();
+
+const getGateway = (name = activeGatewayName()) => {
+    const adapter = gateways.get(name);
+    if (!adapter) throw new Error(`Unknown payout gateway: ${name}`);
+    return adapter;
+};
+
+/**
+ * Banks for the active gateway, cached for a day.
+ */
+const listBanks = async () => {
+    const gateway = getGateway();
+    const cacheKey = `payout_banks_${gateway.name}`;
+
+    const cached = await getCache(cacheKey);
+    if (cached) return cached;
+
+    const banks = await gateway.listBanks();
+    banks.sort((a, b) => a.name.localeCompare(b.name));
+    await setCache(cacheKey, banks, BANKS_CACHE_TTL);
+    return banks;
+};
+
+const resolveAccount = (accountNumber, bankCode) => getGateway().resolveAccount(accountNumber, bankCode);
+
+/**
+ * Send a payout on the active gateway.
+ * Resolves with the adapter response plus `gateway`.
+ */
+const sendPayout = async (order) => {
+    const gateway = getGateway();
+    if (!gateway.isConfigured()) throw new Error("Withdrawals are temporarily unavailable");
+
+    const response = await gateway.transfer(order);
+    return { ...response, gateway: gateway.name };
+};
+
+const queryPayout = (gatewayName, payout) => getGateway(gatewayName).query(payout);
+
+module.exports = {
+    registerGateway,
+    getGateway,
+    activeGatewayName,
+    listBanks,
+    resolveAccount,
+    sendPayout,
+    queryPayout
+};
@@ -0,0 +1,29 @@
+const monnifyProvider = require('@/services/monnifyProvider');
+
+/**
+ * Monnify Payout Adapter
+ * Disbursements are paid from the Monnify wallet (MONNIFY_WALLET_ACCOUNT).
+ */
+
+const toStatus = (status) => {
+    if (status === 'SUCCESS') return 'SUCCESS';
+    if (status === 'REVERSED') return 'REVERSED';
+    if (['FAILED', 'EXPIRED'].includes(status)) return 'FAILED';
+    // PENDING, IN_PROGRESS, PENDING_AUTHORIZATION (OTP still required)
+    return 'PENDING';
+};
+
+module.exports = {
+    name: 'MONNIFY',
+    isConfigured: () => Boolean(process.env.MONNIFY_API_KEY && process.env.MONNIFY_WALLET_ACCOUNT),
+    listBanks: () => monnifyProvider.listBanks(),
+    resolveAccount: (accountNumber, bankCode) => monnifyProvider.resolveAccountNumber(accountNumber, bankCode),
+    transfer: async (order) => {
+        const result = await monnifyProvider.initiateTransfer(order);
+        return { status: toStatus(result.status), providerReference: result.transactionReference, providerStatus: result.status };
+    },
+    query: async ({ reference }) => {
+        const result = await monnifyProvider.verifyTransfer(reference);
+        return { status: toStatus(result.status), providerReference: result.transactionReference, providerStatus: result.status };
+    }
+};
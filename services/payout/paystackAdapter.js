@@ -0,0 +1,29 @@
+const paystackProvider = require('@/services/paystackProvider');
+
+/**
+ * Paystack Payout Adapter
+ * Transfers are paid from the Paystack balance. OTP must be disabled for
+ * transfers on the dashboard, otherwise they sit at "otp" (PENDING) forever.
+ */
+
+const toStatus = (status) => {
+    if (status === 'success') return 'SUCCESS';
+    if (status === 'reversed') return 'REVERSED';
+    if (['failed', 'abandoned', 'rejected'].includes(status)) return 'FAILED';
+    return 'PENDING';
+};
+
+module.exports = {
+    name: 'PAYSTACK',
+    isConfigured: () => Boolean(process.env.PAYSTACK_SECRET_KEY),
+    listBanks: () => paystackProvider.listBanks(),
+    resolveAccount: (accountNumber, bankCode) => paystackProvider.resolveAccountNumber(accountNumber, bankCode),
+    transfer: async (order) => {
+        const result = await paystackProvider.initiateTransfer(order);
+        return { status: toStatus(result.status), providerReference: result.transferCode, providerStatus: result.status };
+    },
+    query: async ({ reference }) => {
+        const result = await paystackProvider.verifyTransfer(reference);
+        return { status: toStatus(result.status), providerReference: result.transferCode, providerStatus: result.status };
+    }
+};
@@ -4,6 +4,7 @@
  */
 
 const axios = require('@/lib/providerClient');
+const { providerRejection } = require('@/lib/financialSafety');
 
 const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
 const PAYSTACK_BASE_URL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
@@ -116,8 +117,101 @@ const createVirtualAccount = async (params) => {
     };
 };
 
+/**
+ * List Nigerian Banks (code + name, for transfers)
+ */
+const listBanks = async () => {
+    const response = await axios.get(`${PAYSTACK_BASE_URL}/bank`, {
+        params: { country: 'nigeria', currency: 'NGN' },
+        headers: { 'Authorization': `Bearer ${PAYSTACK_SECRET_KEY}` }
+    });
+
+    const json = response.data;
+    if (!json.status) throw new Error(json.message || "Could not load banks");
+
+    return json.data.map(bank => ({ code: bank.code, name: bank.name }));
+};
+
+/**
+ * Resolve Account Name
+ */
+const resolveAccountNumber = async (accountNumber, bankCode) => {
+    const response = await axios.get(`${PAYSTACK_BASE_URL}/bank/resolve`, {
+        params: { account_number: accountNumber, bank_code: bankCode },
+        headers: { 'Authorization': `Bearer ${PAYSTACK_SECRET_KEY}` }
+    });
+
+    const json = response.data;
+    if (!json.status) throw new Error(json.message || "Could not resolve account");
+
+    return { accountName: json.data.account_name };
+};
+
+/**
+ * Send a Transfer (payout) from the Paystack balance
+ * Paystack pays to a transfer recipient, so one is created first.
+ * @returns {{ status, transferCode }} status: 'success' | 'pending' | 'otp' | 'failed'
+ */
+const initiateTransfer = async ({ reference, amount, accountNumber, bankCode, accountName, narration }) => {
+    const headers = {
+        'Authorization': `Bearer ${PAYSTACK_SECRET_KEY}`,
+        'Content-Type': 'application/json'
+    };
+
+    const recipientResponse = await axios.post(`${PAYSTACK_BASE_URL}/transferrecipient`, {
+        type: 'nuban',
+        name: accountName,
+        account_number: accountNumber,
+        bank_code: bankCode,
+        currency: 'NGN'
+    }, { headers });
+
+    if (!recipientResponse.data.status) {
+        throw providerRejection(recipientResponse.data.message || "Paystack recipient creation failed");
+    }
+
+    const response = await axios.post(`${PAYSTACK_BASE_URL}/transfer`, {
+        source: 'balance',
+        amount: Math.round(Number(amount) * 100),
+        recipient: recipientResponse.data.data.recipient_code,
+        reference: reference.toLowerCase(), // Paystack only accepts lowercase references
+        reason: narration
+    }, { headers });
+
+    const json = response.data;
+    if (!json.status) throw providerRejection(json.message || "Paystack transfer failed");
+
+    return { status: json.data.status, transferCode: json.data.transfer_code };
+};
+
+/**
+ * Verify Transfer by Reference
+ * @returns {{ status, transferCode }} status: 'success' | 'failed' | 'reversed' | 'pending' | ...
+ */
+const verifyTransfer = async (reference) => {
+    const response = await axios.get(`${PAYSTACK_BASE_URL}/transfer/verify/${reference.toLowerCase()}`, {
+        headers: { 'Authorization': `Bearer ${PAYSTACK_SECRET_KEY}` }
+    });
+
+    const json = response.data;
+    if (!json.status) {
+        const error = new Error(json.message || "Transfer verification failed");
+        error.status = 404;
+        throw error;
+    }
+
+    return {
+        status: json.data.status,
+        transferCode: json.data.transfer_code
+    };
+};
+
 module.exports = {
     initializePayment,
     verifyTransaction,
-    createVirtualAccount
+    createVirtualAccount,
+    listBanks,
+    resolveAccountNumber,
+    initiateTransfer,
+    verifyTransfer
 };
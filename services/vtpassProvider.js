@@ -1,6 +1,7 @@
 const axios = require('@/lib/providerClient');
 const crypto = require('crypto');
 const { normalizeProviderDate } = require('@/lib/dateUtils');
+const { providerRejection } = require('@/lib/financialSafety');
 
 /**
  * VTPass API Integration Service
@@ -57,7 +58,9 @@ const handlePurchaseResponse = (data, requestId, defaultErrorMsg) => {
             provider: 'VTPASS'
         };
     }
-    throw new Error(data.response_description || defaultErrorMsg);
+    // Any other VTPass code is an explicit failure; a body without one is ambiguous
+    if (data?.code) throw providerRejection(data.response_description || defaultErrorMsg);
+    throw new Error(data?.response_description || defaultErrorMsg);
 };
 
 /**
@@ -128,7 +131,7 @@ const ELECTRICITY_SERVICE_IDS = {
 const buyAirtime = async (network, amount, phoneNumber, requestId) => {
     try {
         const serviceID = AIRTIME_SERVICE_IDS[network.toUpperCase()];
-        if (!serviceID) throw new Error("Invalid network selection for VTPass");
+        if (!serviceID) throw providerRejection("Invalid network selection for VTPass");
 
         const response = await axios.post(`${getBaseUrl()}/pay`, {
             request_id: requestId,
@@ -258,7 +261,7 @@ const buyData = async (network, variationCode, phoneNumber, requestId) => {
     console.log("VTPass Data Request:", network, variationCode, phoneNumber, requestId);
     try {
         const serviceID = DATA_SERVICE_IDS[network.toUpperCase()];
-        if (!serviceID) throw new Error("Invalid network selection for VTPass");
+        if (!serviceID) throw providerRejection("Invalid network selection for VTPass");
 
         const response = await axios.post(`${getBaseUrl()}/pay`, {
             request_id: requestId,
@@ -405,7 +408,7 @@ const verifySmartCard = async (cableTV, smartCardNo) => {
 const buyCableTV = async (cableTV, packageCode, smartCardNo, phoneNo, amount, requestId) => {
     try {
         const serviceID = CABLE_SERVICE_IDS[cableTV.toUpperCase()];
-        if (!serviceID) throw new Error("Invalid cable provider for VTPass");
+        if (!serviceID) throw providerRejection("Invalid cable provider for VTPass");
 
         const response = await axios.post(`${getBaseUrl()}/pay`, {
             request_id: requestId,
@@ -471,7 +474,7 @@ const verifyMeter = async (discoCode, meterNo, meterType) => {
 const payElectricityBill = async (discoCode, meterType, meterNo, amount, phoneNo, requestId) => {
     try {
         const serviceID = ELECTRICITY_SERVICE_IDS[discoCode.toUpperCase()];
-        if (!serviceID) throw new Error("Invalid electricity provider for VTPass");
+        if (!serviceID) throw providerRejection("Invalid electricity provider for VTPass");
 
         const typeStr = meterType.toLowerCase();
 
@@ -594,7 +597,7 @@ const verifyJambProfile = async (profileId, type = "utme") => {
 const buyEducationPin = async (provider, variationCode, phoneNo, profileId, amount, requestId) => {
     try {
         const serviceID = EDUCATION_SERVICE_IDS[provider.toUpperCase()];
-        if (!serviceID) throw new Error("Invalid education provider for VTPass");
+        if (!serviceID) throw providerRejection("Invalid education provider for VTPass");
 
         const isJamb = provider.toUpperCase() === 'JAMB' || provider.toUpperCase() === 'JAMB_MOCK';
 
@@ -723,5 +726,6 @@ module.exports = {
     fetchEducationPackages,
     verifyJambProfile,
     buyEducationPin,
-    getWalletBalance
+    getWalletBalance,
+    ELECTRICITY_SERVICE_IDS
 };
@@ -0,0 +1,20 @@
+const { ELECTRICITY_SERVICE_IDS } = require('@/services/vtpassProvider');
+const nelloByteAdapter = require('../nelloByteAdapter');
+
+jest.mock('@/lib/prisma');
+
+describe('NelloByte Adapter - disco codes', () => {
+    // The electricity controller accepts any disco VTPass can verify a meter for
+    it.each(Object.keys(ELECTRICITY_SERVICE_IDS))('should map %s to the same disco', (discoCode) => {
+        const code = nelloByteAdapter.toDiscoCode(discoCode);
+
+        expect(code).toMatch(/^\d{2}$/);
+        expect(ELECTRICITY_SERVICE_IDS[code]).toBe(ELECTRICITY_SERVICE_IDS[discoCode]);
+    });
+
+    it('should map VTPass service IDs in any case', () => {
+        expect(nelloByteAdapter.toDiscoCode('ikeja-electric')).toBe('02');
+        expect(nelloByteAdapter.supports('ELECTRICITY', { network: 'phed' })).toBe(true);
+        expect(nelloByteAdapter.supports('ELECTRICITY', { network: 'UNKNOWN' })).toBe(false);
+    });
+});
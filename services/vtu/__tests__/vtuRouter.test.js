@@ -0,0 +1,136 @@
+const prisma = require('@/lib/prisma');
+const vtuRouter = require('../index');
+const { createFakeProvider } = require('../fakeProvider');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/redis', () => ({
+    getCache: jest.fn(),
+    setCache: jest.fn(),
+    delCache: jest.fn(),
+    redisClient: {
+        quit: jest.fn(),
+        isOpen: false
+    }
+}));
+
+describe('VTU Router - failover', () => {
+    let primary, secondary;
+    const order = { requestId: 'AIR-1', network: 'MTN', amount: 500, phoneNumber: '08011111111' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        primary = vtuRouter.registerProvider(createFakeProvider({ name: 'FAKE_PRIMARY' }));
+        secondary = vtuRouter.registerProvider(createFakeProvider({ name: 'FAKE_SECONDARY' }));
+
+        prisma.providerRoute.findMany.mockResolvedValue([
+            { network: '*', providers: ['FAKE_PRIMARY', 'FAKE_SECONDARY'] }
+        ]);
+    });
+
+    it('should use the first provider when it delivers', async () => {
+        const response = await vtuRouter.purchase('AIRTIME', order);
+
+        expect(response).toMatchObject({ success: true, provider: 'FAKE_PRIMARY' });
+        expect(primary.orders.has('AIR-1')).toBe(true);
+        expect(secondary.orders.size).toBe(0);
+    });
+
+    it('should fail over to the next provider on a definitive failure', async () => {
+        primary.queueOutcome('FAIL');
+
+        const response = await vtuRouter.purchase('AIRTIME', order);
+
+        expect(response.provider).toBe('FAKE_SECONDARY');
+        expect(response.attempts).toEqual([
+            { provider: 'FAKE_PRIMARY', outcome: 'FAILED', reason: 'FAKE_PRIMARY rejected the order' },
+            { provider: 'FAKE_SECONDARY', outcome: 'SUCCESS' }
+        ]);
+    });
+
+    it('should skip a provider whose wallet is too low for the order', async () => {
+        primary.setBalance(100);
+
+        const response = await vtuRouter.purchase('AIRTIME', order);
+
+        expect(response.provider).toBe('FAKE_SECONDARY');
+        expect(primary.orders.size).toBe(0);
+        expect(response.attempts[0]).toMatchObject({ provider: 'FAKE_PRIMARY', outcome: 'SKIPPED', reason: 'Low provider balance' });
+    });
+
+    it('should not fail over on a network error so the order can stay PENDING', async () => {
+        primary.queueOutcome('TIMEOUT');
+
+        await expect(vtuRouter.purchase('AIRTIME', order)).rejects.toMatchObject({
+            code: 'ECONNABORTED',
+            provider: 'FAKE_PRIMARY'
+        });
+        expect(secondary.orders.size).toBe(0);
+    });
+
+    it('should not fail over on a provider 5xx, leaving it on the provider that got the order', async () => {
+        primary.queueOutcome('SERVER_ERROR');
+
+        await expect(vtuRouter.purchase('AIRTIME', order)).rejects.toMatchObject({
+            provider: 'FAKE_PRIMARY',
+            outcomeUnknown: true,
+            attempts: [{ provider: 'FAKE_PRIMARY', outcome: 'UNKNOWN', reason: 'Request failed with status code 502' }]
+        });
+        expect(secondary.orders.size).toBe(0);
+        expect(primary.orders.get('AIR-1').status).toBe('PENDING');
+    });
+
+    it('should treat an error the provider did not mark as a rejection as ambiguous', async () => {
+        primary.purchase = jest.fn().mockRejectedValue(new Error('Unexpected token < in JSON'));
+
+        await expect(vtuRouter.purchase('AIRTIME', order)).rejects.toMatchObject({ provider: 'FAKE_PRIMARY', outcomeUnknown: true });
+        expect(secondary.orders.size).toBe(0);
+    });
+
+    it('should fail over on a 4xx answer', async () => {
+        const badRequest = Object.assign(new Error('Request failed with status code 400'), { response: { status: 400 } });
+        primary.purchase = jest.fn().mockRejectedValue(badRequest);
+
+        const response = await vtuRouter.purchase('AIRTIME', order);
+
+        expect(response.provider).toBe('FAKE_SECONDARY');
+    });
+
+    it('should throw the last provider error when every provider fails', async () => {
+        primary.queueOutcome('FAIL');
+        secondary.queueOutcome('FAIL');
+
+        await expect(vtuRouter.purchase('AIRTIME', order)).rejects.toMatchObject({
+            message: 'FAKE_SECONDARY rejected the order',
+            attempts: [expect.objectContaining({ outcome: 'FAILED' }), expect.objectContaining({ outcome: 'FAILED' })]
+        });
+    });
+
+    it('should prefer a network-specific route over the service-wide one', async () => {
+        prisma.providerRoute.findMany.mockResolvedValue([
+            { network: '*', providers: ['FAKE_PRIMARY'] },
+            { network: 'MTN', providers: ['FAKE_SECONDARY', 'FAKE_PRIMARY'] }
+        ]);
+
+        const response = await vtuRouter.purchase('AIRTIME', order);
+
+        expect(response.provider).toBe('FAKE_SECONDARY');
+        expect(prisma.providerRoute.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { service: 'AIRTIME', isActive: true, network: { in: ['MTN', '*'] } }
+        }));
+    });
+
+    it('should fall back to the default route when none is configured', async () => {
+        prisma.providerRoute.findMany.mockResolvedValue([]);
+
+        await expect(vtuRouter.resolveRoute('EDUCATION', 'WAEC')).resolves.toEqual(['NAIJA_RESULT_PINS', 'VTPASS']);
+    });
+
+    it('should query the provider that fulfilled the order', async () => {
+        primary.queueOutcome('PENDING');
+        await vtuRouter.purchase('AIRTIME', order);
+        primary.settle('AIR-1', 'SUCCESS');
+
+        await expect(vtuRouter.queryTransaction('FAKE_PRIMARY', 'AIR-1')).resolves.toMatchObject({ status: 'SUCCESS' });
+    });
+});
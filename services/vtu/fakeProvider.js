@@ -0,0 +1,75 @@
+const { providerRejection } = require('@/lib/financialSafety');
+
+/**
+ * Fake In-Memory VTU Provider
+ * Lets the router be exercised offline (tests, local dev with VTU_FAKE_PROVIDER=true).
+ * Orders succeed by default; queue outcomes to script failures, timeouts, provider
+ * 5xx answers or pending orders.
+ */
+
+const createFakeProvider = ({ name = 'FAKE', services = ['AIRTIME', 'DATA', 'CABLE_TV', 'ELECTRICITY', 'EDUCATION'], balance = 1000000 } = {}) => {
+    const orders = new Map();
+    const outcomes = [];
+    let float = balance;
+
+    const purchase = async (service, order) => {
+        const outcome = outcomes.shift() || 'SUCCESS';
+
+        if (outcome === 'TIMEOUT') {
+            const error = new Error(`${name} timeout of 45000ms exceeded`);
+            error.code = 'ECONNABORTED';
+            orders.set(order.requestId, { service, order, status: 'PENDING' });
+            throw error;
+        }
+
+        if (outcome === 'SERVER_ERROR') {
+            const error = new Error('Request failed with status code 502');
+            error.response = { status: 502 };
+            orders.set(order.requestId, { service, order, status: 'PENDING' });
+            throw error;
+        }
+
+        if (outcome === 'FAIL') {
+            throw providerRejection(`${name} rejected the order`);
+        }
+
+        float -= Number(order.amount || 0);
+        const status = outcome === 'PENDING' ? 'PENDING' : 'SUCCESS';
+        orders.set(order.requestId, { service, order, status });
+
+        return {
+            success: status === 'SUCCESS',
+            isPending: status === 'PENDING',
+            orderId: `${name}-${order.requestId}`,
+            status: status === 'PENDING' ? 'pending' : 'delivered',
+            token: service === 'ELECTRICITY' ? '1234-5678-9012-3456' : null,
+            cardDetails: service === 'EDUCATION' ? 'Serial: FAKE0001 | PIN: 000000000000' : undefined,
+            provider: name
+        };
+    };
+
+    return {
+        name,
+        services,
+        isConfigured: () => true,
+        supports: () => true,
+        purchase,
+        query: async (reference) => {
+            const record = orders.get(reference);
+            return { status: record ? record.status : 'FAILED', original: record || null };
+        },
+        balance: async () => ({ balance: float, currency: 'NGN' }),
+        catalog: async () => [],
+
+        // --- Test controls ---
+        queueOutcome: (...next) => outcomes.push(...next),
+        setBalance: (value) => { float = value; },
+        settle: (reference, status) => {
+            const record = orders.get(reference);
+            if (record) record.status = status;
+        },
+        orders
+    };
+};
+
+module.exports = { createFakeProvider };
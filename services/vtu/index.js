@@ -0,0 +1,205 @@
+const prisma = require('@/lib/prisma');
+const { getCache, setCache, delCache } = require('@/lib/redis');
+const { isNetworkError, isDefinitiveRejection } = require('@/lib/financialSafety');
+const vtpassAdapter = require('./vtpassAdapter');
+const nelloByteAdapter = require('./nelloByteAdapter');
+const naijaResultPinsAdapter = require('./naijaResultPinsAdapter');
+const { createFakeProvider } = require('./fakeProvider');
+
+/**
+ * VTU Provider Router
+ * Purchases go through here instead of calling a provider service directly.
+ * Providers are tried in the priority order admins configure per service/network
+ * (ProviderRoute), falling back to DEFAULT_ROUTES. A definitive rejection (see
+ * isDefinitiveRejection) or a low provider float moves on to the next provider before
+ * the caller refunds. Anything else (network errors, 5xx, unreadable answers) stops
+ * immediately because the provider may still deliver (stay PENDING).
+ *
+ * Adapter interface:
+ *   name, services            - 'VTPASS' and the TransactionTypes it sells
+ *   isConfigured()            - credentials present
+ *   supports(service, order)  - can fulfil this order (plan code mapped, biller covered)
+ *   purchase(service, order)  - { success, isPending, orderId, status, token, units, address, cardDetails };
+ *                               throws providerRejection() when the provider refuses the order
+ *   query(reference)          - { status: 'SUCCESS' | 'PENDING' | 'FAILED', original } or null
+ *   balance()                 - { balance, currency } or null when unknown
+ *   catalog(service, params)  - the provider's own product list
+ *
+ * Order: { requestId, network, amount, phoneNumber, ...service fields }
+ *   network is the biller: MTN, DSTV, a disco code, or WAEC/JAMB for education.
+ *   amount is what the provider charges us, used for the float check.
+ */
+
+const DEFAULT_ROUTES = {
+    AIRTIME: ['VTPASS', 'NELLOBYTE'],
+    DATA: ['VTPASS', 'NELLOBYTE'],
+    CABLE_TV: ['VTPASS', 'NELLOBYTE'],
+    ELECTRICITY: ['VTPASS', 'NELLOBYTE'],
+    EDUCATION: ['NAIJA_RESULT_PINS', 'VTPASS']
+};
+
+const BALANCE_CACHE_TTL = 60;
+const balanceCacheKey = (name) => `vtu_provider_balance_${name}`;
+
+const adapters = new Map();
+
+const registerProvider = (adapter) => {
+    adapters.set(adapter.name, adapter);
+    return adapter;
+};
+
+[vtpassAdapter, nelloByteAdapter, naijaResultPinsAdapter].forEach(registerProvider);
+
+if (process.env.VTU_FAKE_PROVIDER === 'true') {
+    registerProvider(createFakeProvider());
+}
+
+const getProvider = (name) => adapters.get(name) || null;
+
+const listProviders = () => [...adapters.values()].map(adapter => ({
+    name: adapter.name,
+    services: adapter.services,
+    isConfigured: adapter.isConfigured()
+}));
+
+/**
+ * Ordered provider names for a service. A network-specific route beats the
+ * service-wide "*" route, which beats the built-in default.
+ */
+const resolveRoute = async (service, network) => {
+    try {
+        const networks = network ? [String(network).toUpperCase(), '*'] : ['*'];
+        const routes = await prisma.providerRoute.findMany({
+            where: { service, isActive: true, network: { in: networks } },
+            select: { network: true, providers: true }
+        }) || [];
+
+        const route = routes.find(r => r.network !== '*') || routes.find(r => r.network === '*');
+        if (route && route.providers.length > 0) return route.providers;
+    } catch (error) {
+        console.error("[VTU Router] Route lookup failed, using defaults:", error.message);
+    }
+
+    return DEFAULT_ROUTES[service] || [];
+};
+
+/**
+ * Provider float, cached briefly so a purchase does not wait on a balance call.
+ * Returns null when the provider cannot tell us (never blocks routing).
+ */
+const getFloat = async (adapter) => {
+    const cacheKey = balanceCacheKey(adapter.name);
+    const cached = await getCache(cacheKey);
+    if (typeof cached === 'number') return cached;
+
+    try {
+        const result = await adapter.balance();
+        const balance = Number(result?.balance);
+        if (!result || !Number.isFinite(balance)) return null;
+
+        await setCache(cacheKey, balance, BALANCE_CACHE_TTL);
+        return balance;
+    } catch (error) {
+        console.warn(`[VTU Router] ${adapter.name} balance check failed:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Buy through the first provider that accepts the order.
+ * Resolves with the provider response plus `provider` and `attempts`.
+ * Rejects with the last provider error (annotated with `attempts`) once every provider
+ * refused, or with an ambiguous error as-is (annotated with `provider` and
+ * `outcomeUnknown`) so the caller leaves it PENDING (isOutcomeUnknown).
+ */
+const purchase = async (service, order) => {
+    const route = await resolveRoute(service, order.network);
+    const attempts = [];
+    let lastError = null;
+
+    for (const name of route) {
+        const adapter = adapters.get(name);
+
+        if (!adapter || !adapter.services.includes(service) || !adapter.isConfigured()) {
+            attempts.push({ provider: name, outcome: 'SKIPPED', reason: 'Provider unavailable' });
+            continue;
+        }
+
+        if (!adapter.supports(service, order)) {
+            attempts.push({ provider: name, outcome: 'SKIPPED', reason: 'Order not supported' });
+            continue;
+        }
+
+        const float = await getFloat(adapter);
+        if (float !== null && float < Number(order.amount || 0)) {
+            console.warn(`[VTU Router] ${name} float ${float} too low for ${order.requestId}, trying next provider`);
+            attempts.push({ provider: name, outcome: 'SKIPPED', reason: 'Low provider balance' });
+            continue;
+        }
+
+        try {
+            const response = await adapter.purchase(service, order);
+            attempts.push({ provider: name, outcome: response.isPending ? 'PENDING' : 'SUCCESS' });
+            return { ...response, provider: name, attempts };
+        } catch (error) {
+            if (!isDefinitiveRejection(error)) {
+                console.warn(`[VTU Router] ${name} outcome unknown for ${service} ${order.requestId}, leaving PENDING: ${error.message}`);
+                error.provider = name;
+                error.outcomeUnknown = true;
+                error.attempts = [...attempts, { provider: name, outcome: isNetworkError(error) ? 'TIMEOUT' : 'UNKNOWN', reason: error.message }];
+                throw error;
+            }
+
+            console.warn(`[VTU Router] ${name} rejected ${service} ${order.requestId}: ${error.message}`);
+            attempts.push({ provider: name, outcome: 'FAILED', reason: error.message });
+            lastError = error;
+
+            // Rejections are often float related, so re-check the balance next time
+            await delCache(balanceCacheKey(name));
+        }
+    }
+
+    const error = lastError || new Error("Service temporarily unavailable. Please try again later.");
+    error.attempts = attempts;
+    throw error;
+};
+
+/**
+ * Query a purchase on the provider that fulfilled it (metadata.provider).
+ * Transactions from before routing have no provider recorded and went to VTPass.
+ */
+const queryTransaction = async (providerName, reference) => {
+    const adapter = adapters.get(providerName || 'VTPASS');
+    if (!adapter) throw new Error(`Unknown VTU provider: ${providerName}`);
+    return adapter.query(reference);
+};
+
+const getProviderBalances = async () => {
+    const entries = await Promise.all([...adapters.values()].map(async (adapter) => {
+        try {
+            const result = await adapter.balance();
+            return [adapter.name, result ? { balance: result.balance, currency: result.currency } : null];
+        } catch (error) {
+            return [adapter.name, { balance: null, error: error.message }];
+        }
+    }));
+    return Object.fromEntries(entries);
+};
+
+const getCatalog = async (providerName, service, params) => {
+    const adapter = adapters.get(providerName);
+    if (!adapter) throw new Error(`Unknown VTU provider: ${providerName}`);
+    return adapter.catalog(service, params);
+};
+
+module.exports = {
+    DEFAULT_ROUTES,
+    registerProvider,
+    getProvider,
+    listProviders,
+    resolveRoute,
+    purchase,
+    queryTransaction,
+    getProviderBalances,
+    getCatalog
+};
@@ -0,0 +1,19 @@
+const naijaProvider = require('@/services/naijaResultPinsProvider');
+
+/**
+ * NaijaResultPins Adapter
+ * Exam cards only (WAEC, NECO, NABTEB). Orders carry the provider's cardTypeId.
+ */
+
+module.exports = {
+    name: 'NAIJA_RESULT_PINS',
+    services: ['EDUCATION'],
+    isConfigured: () => Boolean(process.env.NAIJA_RESULT_PINS_TOKEN),
+    supports: (service, order) => service === 'EDUCATION' && Boolean(order.cardTypeId),
+    purchase: async (service, order) => naijaProvider.buyExamCard(order.cardTypeId, 1),
+    // Cards are issued synchronously, so there is nothing to poll
+    query: async () => null,
+    // No balance endpoint yet: unknown float never blocks routing
+    balance: async () => null,
+    catalog: async () => []
+};
@@ -0,0 +1,183 @@
+const axios = require('@/lib/providerClient');
+const pinProvider = require('@/services/pinProvider');
+const { providerRejection } = require('@/lib/financialSafety');
+
+/**
+ * NelloByte (ClubKonnect) Adapter
+ * Fallback provider for airtime, data, cable TV and electricity.
+ * Documentation: https://www.nellobytesystems.com/
+ */
+
+const BASE_URL = 'https://www.nellobytesystems.com';
+
+const NETWORK_CODES = {
+    'MTN': '01',
+    'GLO': '02',
+    '9MOBILE': '03',
+    'AIRTEL': '04'
+};
+
+// VTPass service IDs and disco acronyms mapped back to ClubKonnect disco codes.
+// Keep in step with ELECTRICITY_SERVICE_IDS in services/vtpassProvider.js.
+const DISCO_CODES = {
+    'EKO-ELECTRIC': '01',
+    'IKEJA-ELECTRIC': '02',
+    'ABUJA-ELECTRIC': '03',
+    'KANO-ELECTRIC': '04',
+    'PORTHARCOURT-ELECTRIC': '05',
+    'JOS-ELECTRIC': '06',
+    'IBADAN-ELECTRIC': '07',
+    'KADUNA-ELECTRIC': '08',
+    'ENUGU-ELECTRIC': '09',
+    'BENIN-ELECTRIC': '10',
+    'YOLA-ELECTRIC': '11',
+    'ABA-ELECTRIC': '12',
+
+    'EKEDC': '01',
+    'IKEDC': '02',
+    'AEDC': '03',
+    'KEDCO': '04',
+    'PHED': '05',
+    'JED': '06',
+    'IBEDC': '07',
+    'KAEDCO': '08',
+    'EEDC': '09',
+    'BEDC': '10',
+    'YEDC': '11',
+    'ABA': '12'
+};
+
+const CABLE_CODES = ['DSTV', 'GOTV', 'STARTIMES', 'SHOWMAX'];
+
+const toDiscoCode = (disco) => {
+    const key = String(disco || '').toUpperCase();
+    return /^\d{2}$/.test(key) ? key : DISCO_CODES[key];
+};
+
+const credentials = () => ({
+    UserID: process.env.NELLOBYTE_USER_ID,
+    APIKey: process.env.NELLOBYTE_API_KEY
+});
+
+/**
+ * ClubKonnect answers with { orderid, statuscode, status }.
+ * 100 = ORDER_RECEIVED (processing), 200 = ORDER_COMPLETED; any other status is a
+ * rejection. A body without a status (HTML error page, empty) is ambiguous.
+ */
+const handleOrderResponse = (data, requestId) => {
+    if (data && (data.statuscode === "100" || data.statuscode === "200")) {
+        const isPending = data.statuscode === "100";
+        return {
+            success: !isPending,
+            isPending,
+            orderId: data.orderid ? String(data.orderid) : requestId,
+            status: data.status,
+            token: data.metertoken || null,
+            units: data.PurchasedUnits,
+            address: data.CustomerAddress,
+            provider: 'NELLOBYTE'
+        };
+    }
+
+    if (data?.status) throw providerRejection(data.status);
+    throw new Error(typeof data === 'string' && data ? data : "Unreadable response from NelloByte");
+};
+
+const ENDPOINTS = {
+    AIRTIME: (order) => ['APIAirtimeV1.asp', {
+        MobileNetwork: NETWORK_CODES[order.network],
+        Amount: order.amount,
+        MobileNumber: order.phoneNumber
+    }],
+    DATA: (order) => ['APIDatabundleV1.asp', {
+        MobileNetwork: NETWORK_CODES[order.network],
+        DataPlan: order.planCodes.NELLOBYTE,
+        MobileNumber: order.phoneNumber
+    }],
+    CABLE_TV: (order) => ['APICableTVV1.asp', {
+        CableTV: order.network.toLowerCase(),
+        Package: order.packageCode,
+        SmartCardNo: order.smartCardNo,
+        PhoneNo: order.phoneNumber
+    }],
+    ELECTRICITY: (order) => ['APIElectricityV1.asp', {
+        ElectricCompany: toDiscoCode(order.network),
+        MeterType: order.meterType,
+        MeterNo: order.meterNo,
+        Amount: order.amount,
+        PhoneNo: order.phoneNumber
+    }]
+};
+
+const purchase = async (service, order) => {
+    const endpoint = ENDPOINTS[service];
+    if (!endpoint) throw providerRejection(`NelloByte does not sell ${service}`);
+
+    const [path, params] = endpoint(order);
+
+    try {
+        const response = await axios.get(`${BASE_URL}/${path}`, {
+            params: {
+                ...credentials(),
+                ...params,
+                RequestID: order.requestId,
+                CallBackURL: process.env.CALLBACK_URL
+            }
+        });
+
+        return handleOrderResponse(response.data, order.requestId);
+    } catch (error) {
+        console.error(`NelloByte ${service} Error:`, error.response?.data || error.message);
+        throw error;
+    }
+};
+
+/**
+ * Query by our RequestID and normalize to the router's SUCCESS / PENDING / FAILED.
+ */
+const query = async (reference) => {
+    const response = await axios.get(`${BASE_URL}/APIQueryV1.asp`, {
+        params: { ...credentials(), RequestID: reference },
+        timeout: 15000
+    });
+
+    const data = response.data;
+    let status = 'PENDING';
+    if (data.statuscode === "200" || data.status === "ORDER_COMPLETED") status = 'SUCCESS';
+    else if (["ORDER_CANCELLED", "ORDER_FAILED", "MISSING_ORDERID"].includes(data.status)) status = 'FAILED';
+
+    return { status, original: data };
+};
+
+const catalog = async (service) => {
+    const paths = {
+        DATA: 'APIDatabundlePlansV2.asp',
+        CABLE_TV: 'APICableTVPackagesV2.asp',
+        ELECTRICITY: 'APIElectricityDiscosV1.asp'
+    };
+    if (!paths[service]) return [];
+
+    const response = await axios.get(`${BASE_URL}/${paths[service]}`, {
+        params: { UserID: process.env.NELLOBYTE_USER_ID }
+    });
+    return response.data;
+};
+
+module.exports = {
+    name: 'NELLOBYTE',
+    services: Object.keys(ENDPOINTS),
+    isConfigured: () => Boolean(process.env.NELLOBYTE_USER_ID && process.env.NELLOBYTE_API_KEY),
+    supports: (service, order) => {
+        if (service === 'AIRTIME') return Boolean(NETWORK_CODES[order.network]);
+        if (service === 'DATA') return Boolean(NETWORK_CODES[order.network] && order.planCodes?.NELLOBYTE);
+        if (service === 'CABLE_TV') return CABLE_CODES.includes(String(order.network).toUpperCase());
+        if (service === 'ELECTRICITY') return Boolean(toDiscoCode(order.network));
+        return false;
+    },
+    purchase,
+    query,
+    // Same ClubKonnect account as the EPIN service
+    balance: () => pinProvider.getWalletBalance(),
+    catalog,
+    toDiscoCode
+};
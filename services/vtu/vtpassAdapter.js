@@ -0,0 +1,59 @@
+const vtpassProvider = require('@/services/vtpassProvider');
+const { providerRejection } = require('@/lib/financialSafety');
+
+/**
+ * VTPass Adapter
+ * Thin wrapper that maps router orders onto the existing vtpassProvider calls.
+ */
+
+const EDUCATION_EXAMS = ['WAEC', 'JAMB', 'JAMB_MOCK'];
+
+const purchase = async (service, order) => {
+    switch (service) {
+        case 'AIRTIME':
+            return vtpassProvider.buyAirtime(order.network, order.amount, order.phoneNumber, order.requestId);
+        case 'DATA':
+            return vtpassProvider.buyData(order.network, order.planCodes.VTPASS, order.phoneNumber, order.requestId);
+        case 'CABLE_TV':
+            return vtpassProvider.buyCableTV(order.network, order.packageCode, order.smartCardNo, order.phoneNumber, order.amount, order.requestId);
+        case 'ELECTRICITY':
+            return vtpassProvider.payElectricityBill(
+                order.network,
+                order.meterType === '01' ? 'prepaid' : 'postpaid',
+                order.meterNo,
+                order.amount,
+                order.phoneNumber,
+                order.requestId
+            );
+        case 'EDUCATION':
+            return vtpassProvider.buyEducationPin(order.network, order.variationCode, order.phoneNumber, order.profileId, order.amount, order.requestId);
+        default:
+            throw providerRejection(`VTPass does not sell ${service}`);
+    }
+};
+
+const catalog = async (service, params = {}) => {
+    switch (service) {
+        case 'DATA': return vtpassProvider.fetchDataPlans(params.network);
+        case 'CABLE_TV': return vtpassProvider.fetchCablePackages(params.network);
+        case 'ELECTRICITY': return vtpassProvider.fetchElectricityDiscos();
+        case 'EDUCATION': return vtpassProvider.fetchEducationPackages(params.network);
+        default: return [];
+    }
+};
+
+module.exports = {
+    name: 'VTPASS',
+    services: ['AIRTIME', 'DATA', 'CABLE_TV', 'ELECTRICITY', 'EDUCATION'],
+    // Primary provider: always eligible, as it was before routing existed
+    isConfigured: () => true,
+    supports: (service, order) => {
+        if (service === 'DATA') return Boolean(order.planCodes?.VTPASS);
+        if (service === 'EDUCATION') return EDUCATION_EXAMS.includes(order.network);
+        return true;
+    },
+    purchase,
+    query: (reference) => vtpassProvider.queryTransaction(reference),
+    balance: () => vtpassProvider.getWalletBalance(),
+    catalog
+};
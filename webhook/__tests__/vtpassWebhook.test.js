@@ -0,0 +1,57 @@
+const httpMocks = require('node-mocks-http');
+const prisma = require('@/lib/prisma');
+const { notifyTransactionUpdate } = require('@/lib/partnerWebhooks');
+const { handleVTPassWebhook } = require('../vtpassWebhook');
+
+jest.mock('@/lib/prisma');
+jest.mock('@/lib/partnerWebhooks');
+
+describe('VTPass Webhook', () => {
+    const reversal = {
+        type: 'transaction-update',
+        data: {
+            code: '040',
+            requestId: 'DAT-1',
+            response_description: 'TRANSACTION REVERSED',
+            content: { transactions: { status: 'reversed', transactionId: 'VT-1' } }
+        }
+    };
+
+    const deliver = async (body) => {
+        const res = httpMocks.createResponse();
+        await handleVTPassWebhook(httpMocks.createRequest({ method: 'POST', body }), res);
+        return res;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        prisma.$transaction.mockImplementation(async (cb) => cb(prisma));
+        prisma.transaction.findUnique.mockResolvedValue({
+            id: 'txn-1', status: 'PENDING', userId: 'user-1', amount: 500, metadata: {}, type: 'DATA'
+        });
+        prisma.walletLedgerEntry.findFirst.mockResolvedValue({ counterAccount: 'PROVIDER:VTPASS' });
+        prisma.wallet.update.mockResolvedValue({ id: 'wallet-1', userId: 'user-1', balance: 1500 });
+    });
+
+    it('should refund a reversed purchase and notify once', async () => {
+        prisma.transaction.updateMany.mockResolvedValue({ count: 1 });
+
+        const res = await deliver(reversal);
+
+        expect(res.statusCode).toBe(200);
+        expect(prisma.transaction.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: 'txn-1', status: 'PENDING' }
+        }));
+        expect(prisma.wallet.update).toHaveBeenCalledTimes(1);
+        expect(notifyTransactionUpdate).toHaveBeenCalledWith('txn-1');
+    });
+
+    it('should neither refund nor notify when another path settled the purchase first', async () => {
+        prisma.transaction.updateMany.mockResolvedValue({ count: 0 });
+
+        await deliver(reversal);
+
+        expect(prisma.wallet.update).not.toHaveBeenCalled();
+        expect(notifyTransactionUpdate).not.toHaveBeenCalled();
+    });
+});
@@ -3,6 +3,9 @@ const paymentProvider = require('@/services/paymentProvider');
 const { TransactionStatus } = require('@prisma/client');
 const crypto = require('crypto');
 const { getWalletCreditAmount } = require('@/lib/paymentUtils');
+const { creditWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { isPayoutReference, syncPayout } = require('@/lib/withdrawals');
+const { SYSTEM_ACTOR, isFlightWorkflowError, transitionFlight } = require('@/lib/flightWorkflow');
 
 /**
  * Logic: Reverse-calculate the principal to credit the wallet
@@ -40,6 +43,16 @@ const handleFlutterwaveWebhook = async (req, res) => {
     const eventType = payload.event || payload['event.type'];
     const validEvents = ['charge.completed', 'BANK_TRANSFER_TRANSACTION', 'transfer.completed'];
 
+    // Withdrawal payouts (ours carry a WDR- reference): status is re-read from Flutterwave
+    if (eventType === 'transfer.completed' && isPayoutReference(payload.data?.reference)) {
+        try {
+            await syncPayout(payload.data.reference, String(payload.data.id));
+        } catch (error) {
+            console.error("[Webhook] Payout Error:", error.message);
+        }
+        return;
+    }
+
     if (!validEvents.includes(eventType) || payload.data.status !== 'successful') {
         return;
     }
@@ -77,10 +90,7 @@ const handleFlutterwaveWebhook = async (req, res) => {
                 where: { reference },
                 select: {
                     reference: true,
-                    flightRequestId: true,
-                    wallet: {
-                        select: { userId: true }
-                    }
+                    flightRequestId: true
                 }
             });
 
@@ -89,33 +99,15 @@ const handleFlutterwaveWebhook = async (req, res) => {
                 return;
             }
 
-            await prisma.$transaction(async (tx) => {
-                const flightReq = await tx.flightBookingRequest.findUnique({
-                    where: { id: flightTx.flightRequestId }
+            try {
+                await transitionFlight(flightTx.flightRequestId, 'confirmTransfer', {
+                    actor: SYSTEM_ACTOR,
+                    details: `User paid NGN ${totalPaidByCustomer} via Flutterwave Transfer`
                 });
-
-                if (flightReq.status !== 'QUOTED') {
-                    return;
-                }
-
-                await tx.flightBookingRequest.update({
-                    where: { id: flightTx.flightRequestId },
-                    data: { status: 'PAID_PROCESSING' }
-                });
-
-                await tx.flightRequestActivity.create({
-                    data: {
-                        requestId: flightTx.flightRequestId,
-                        userId: flightTx.wallet.userId,
-                        previousState: flightReq.status,
-                        newState: 'PAID_PROCESSING',
-                        actionDetails: `User paid NGN ${totalPaidByCustomer} via Flutterwave Transfer`
-                    }
-                });
-            }, {
-                maxWait: 10000,
-                timeout: 15000
-            });
+            } catch (error) {
+                // Redelivered webhooks find the request already paid
+                if (!isFlightWorkflowError(error)) throw error;
+            }
 
             return; // Exit early, no wallet funding for flights
         }
@@ -175,6 +167,7 @@ const handleFlutterwaveWebhook = async (req, res) => {
         await prisma.$transaction(async (tx) => {
             const platformFee = Math.max(0, totalPaidByCustomer - walletCreditAmount);
             let isNewSuccess = false;
+            let fundingTx = null;
 
             if (isExistingTransaction) {
                 // UPDATE FLOW: For Gateway payments where the PENDING record already exists.
@@ -193,11 +186,15 @@ const handleFlutterwaveWebhook = async (req, res) => {
                 if (updateResult.count === 0) {
                     return; // Another thread already updated this
                 }
+                fundingTx = await tx.transaction.findUnique({
+                    where: { reference: internalReference },
+                    select: { id: true }
+                });
                 isNewSuccess = true;
             } else {
                 // CREATE FLOW: For Virtual Accounts where no prior record exists.
                 try {
-                    await tx.transaction.create({
+                    fundingTx = await tx.transaction.create({
                         data: {
                             userId,
                             amount: walletCreditAmount,
@@ -224,17 +221,16 @@ const handleFlutterwaveWebhook = async (req, res) => {
 
             // Only increment the wallet if we successfully bypassed the concurrency locks above
             if (isNewSuccess) {
-                await tx.wallet.upsert({
-                    where: { userId },
-                    update: {
-                        balance: { increment: walletCreditAmount }
-                    },
-                    create: {
-                        userId: userId,
-                        balance: walletCreditAmount
-                    }
+                await creditWallet(tx, {
+                    userId,
+                    amount: walletCreditAmount,
+                    createIfMissing: true,
+                    entryType: 'FUNDING',
+                    counterAccount: LEDGER_ACCOUNTS.FLUTTERWAVE,
+                    reference: internalReference,
+                    transactionId: fundingTx?.id,
+                    description: `Wallet funding via Flutterwave (${flwId})`
                 });
-
             }
         }, {
             maxWait: 10000,
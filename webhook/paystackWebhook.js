@@ -3,6 +3,8 @@ const paystackProvider = require('@/services/paystackProvider');
 const { TransactionStatus } = require('@prisma/client');
 const crypto = require('crypto');
 const { getWalletCreditAmount } = require('@/lib/paymentUtils');
+const { creditWallet, LEDGER_ACCOUNTS } = require('@/lib/walletLedger');
+const { syncPayout } = require('@/lib/withdrawals');
 
 /**
  * Logic: Reverse-calculate the principal to credit the wallet
@@ -40,6 +42,10 @@ const handlePaystackWebhook = async (req, res) => {
         else if (event === 'dedicatedaccount.assign.success') {
             await handleDvaAssignment(data);
         }
+        // CASE C: Withdrawal payout finished (status is re-read from Paystack)
+        else if (['transfer.success', 'transfer.failed', 'transfer.reversed'].includes(event)) {
+            await syncPayout(data.reference, data.transfer_code);
+        }
         else {
             // Ignored event
         }
@@ -87,9 +93,14 @@ const handleChargeSuccess = async (data) => {
         const platformFee = Math.max(0, totalPaid - walletCreditAmount);
 
         // Update Wallet
-        await tx.wallet.update({
-            where: { userId },
-            data: { balance: { increment: walletCreditAmount } }
+        await creditWallet(tx, {
+            userId,
+            amount: walletCreditAmount,
+            entryType: 'FUNDING',
+            counterAccount: LEDGER_ACCOUNTS.PAYSTACK,
+            reference,
+            transactionId: existingTx.id,
+            description: `Wallet funding via Paystack (${pstkId})`
         });
 
         // Update Transaction
@@ -1,5 +1,7 @@
 const prisma = require('@/lib/prisma');
 const { TransactionStatus } = require('@prisma/client');
+const { refundTransactionDebit } = require('@/lib/walletLedger');
+const { notifyTransactionUpdate } = require('@/lib/partnerWebhooks');
 
 /**
  * VTPass Webhook Handler
@@ -111,15 +113,17 @@ const processTransactionUpdate = async (data) => {
             }
         });
 
+        await notifyTransactionUpdate(existingTx.id);
+
 
     } else if (providerStatus === 'reversed' || code === '040' || providerStatus === 'failed') {
         // REVERSAL OR FAILURE => Refund Wallet
         const amountToRefund = Number(existingTx.amount);
 
-        await prisma.$transaction(async (tx) => {
-            // Mark Transaction as Failed
-            await tx.transaction.update({
-                where: { id: existingTx.id },
+        const refunded = await prisma.$transaction(async (tx) => {
+            // Mark Transaction as Failed, unless another path settled it since we read it
+            const claimed = await tx.transaction.updateMany({
+                where: { id: existingTx.id, status: TransactionStatus.PENDING },
                 data: {
                     status: TransactionStatus.FAILED,
                     providerReference: transactionId,
@@ -133,20 +137,26 @@ const processTransactionUpdate = async (data) => {
                     }
                 }
             });
+            if (claimed.count === 0) return false;
 
             // Refund User Wallet immediately
-            await tx.wallet.update({
-                where: { userId },
-                data: {
-                    balance: { increment: amountToRefund },
-                    totalSpent: { decrement: amountToRefund }
-                }
+            await refundTransactionDebit(tx, {
+                userId,
+                amount: amountToRefund,
+                entryType: providerStatus === 'reversed' || code === '040' ? 'REVERSAL' : 'REFUND',
+                transactionId: existingTx.id,
+                reference: requestId,
+                description: `VTPass webhook: ${response_description}`
             });
+            return true;
         }, {
             maxWait: 10000,
             timeout: 15000
         });
 
+        // Only the path that settled it tells the partner
+        if (refunded) await notifyTransactionUpdate(existingTx.id);
+
     } else {
         // Ignored Status
     }